@@ -2,11 +2,14 @@
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
 import { Strategy as MicrosoftStrategy } from "passport-microsoft";
+import OAuth2Strategy from "passport-oauth2";
 import dotenv from "dotenv";
 import axios from "axios"; // Add axios for making HTTP requests
 import User, { DEFAULT_IMPORTANT_KEYWORDS } from "../models/User.js";
 import { generateTokens } from "../controllers/authController.js";
 import WaitingList from "../models/WaitingList.js";
+import ConnectedInbox from "../models/ConnectedInbox.js";
+import { assertInboxCapacity } from "../controllers/inboxController.js";
 import { encrypt } from "../utils/encryptionUtils.js";
 import { sendFirstLoginConfirmation } from "../helper/notifyByEmail.js";
 
@@ -24,10 +27,48 @@ passport.deserializeUser(async (id, done) => {
   }
 });
 
+// Yahoo has no maintained passport strategy, so build one on top of the
+// generic OAuth2 strategy and load the profile from the OpenID userinfo endpoint
+class YahooStrategy extends OAuth2Strategy {
+  constructor(options, verify) {
+    super(
+      {
+        authorizationURL: "https://api.login.yahoo.com/oauth2/request_auth",
+        tokenURL: "https://api.login.yahoo.com/oauth2/get_token",
+        ...options,
+      },
+      verify
+    );
+    this.name = "yahoo";
+  }
+
+  userProfile(accessToken, done) {
+    axios
+      .get("https://api.login.yahoo.com/openid/v1/userinfo", {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      })
+      .then(({ data }) => {
+        done(null, {
+          provider: "yahoo",
+          id: data.sub,
+          displayName: data.name || data.nickname,
+          emails: data.email ? [{ value: data.email }] : [],
+          photos: data.picture ? [{ value: data.picture }] : [],
+          _json: data,
+        });
+      })
+      .catch((error) => {
+        console.error("Error fetching Yahoo profile:", error.message);
+        done(error);
+      });
+  }
+}
+
 const getProfilePicture = async (profile, provider, accessToken) => {
   try {
     switch (provider) {
       case "google":
+      case "yahoo":
         return profile.photos && profile.photos.length > 0
           ? profile.photos[0].value
           : null;
@@ -88,7 +129,84 @@ const getEmail = (profile, provider) => {
   }
 };
 
+const providerFields = {
+  google: {
+    idField: "googleId",
+    accessTokenField: "googleAccessToken",
+    refreshTokenField: "googleRefreshToken",
+    expiryField: "googleAccessTokenExpires",
+  },
+  microsoft: {
+    idField: "microsoftId",
+    accessTokenField: "microsoftAccessToken",
+    refreshTokenField: "microsoftRefreshToken",
+    expiryField: "microsoftAccessTokenExpires",
+  },
+  yahoo: {
+    idField: "yahooId",
+    accessTokenField: "yahooAccessToken",
+    refreshTokenField: "yahooRefreshToken",
+    expiryField: "yahooAccessTokenExpires",
+    // Yahoo access tokens are only valid for an hour
+    tokenLifetime: 3600 * 1000,
+  },
+};
+
+// Links the authorized account to the signed-in user as an extra inbox
+// instead of logging in with it. Started from GET /auth/link/:provider.
+const linkInboxCallback = async (
+  user,
+  accessToken,
+  refreshToken,
+  profile,
+  provider,
+  email
+) => {
+  const {
+    idField,
+    accessTokenField,
+    refreshTokenField,
+    expiryField,
+    tokenLifetime = 24 * 3600 * 1000,
+  } = providerFields[provider];
+
+  const existing = await ConnectedInbox.findOne({ userId: user._id, email });
+  if (!existing || existing.status !== "active") {
+    await assertInboxCapacity(user);
+  }
+
+  const inbox = existing || new ConnectedInbox({ userId: user._id, email });
+  inbox.name = profile.displayName || email.split("@")[0];
+  inbox.provider = provider;
+  inbox[idField] = profile.id;
+  inbox[accessTokenField] = accessToken;
+  inbox[refreshTokenField] = refreshToken || inbox[refreshTokenField];
+  inbox[expiryField] = Date.now() + tokenLifetime;
+  inbox.status = "active";
+  inbox.lastSync = new Date();
+  await inbox.save();
+
+  if (!user.inboxList.includes(email)) {
+    user.inboxList.push(email);
+  }
+
+  const { accessToken: jwtAccessToken, refreshToken: jwtRefreshToken } =
+    generateTokens(user);
+  user.refreshToken = jwtRefreshToken;
+  await user.save();
+
+  return {
+    user,
+    info: {
+      accessToken: jwtAccessToken,
+      refreshToken: jwtRefreshToken,
+      linkedInboxId: inbox._id,
+    },
+  };
+};
+
 const oauthCallback = async (
+  req,
   accessToken,
   refreshToken,
   profile,
@@ -103,6 +221,32 @@ const oauthCallback = async (
         null
       );
     }
+
+    // Linking an extra inbox; the primary address itself just refreshes below
+    const linkUserId = req.session?.linkInbox?.userId;
+    if (linkUserId) {
+      delete req.session.linkInbox;
+      const owner = await User.findById(linkUserId);
+      if (!owner) {
+        return done(null, false, { message: "User not found" });
+      }
+      if (owner.email !== email) {
+        try {
+          const { user, info } = await linkInboxCallback(
+            owner,
+            accessToken,
+            refreshToken,
+            profile,
+            provider,
+            email
+          );
+          return done(null, user, info);
+        } catch (error) {
+          return done(null, false, { message: error.message });
+        }
+      }
+    }
+
     // ----- waitingListEntry check email ------
     const waitingListEntry = await WaitingList.findOne({
       email,
@@ -122,27 +266,17 @@ const oauthCallback = async (
 
     // ----- waitingListEntry check email ------
 
-    const providerFields = {
-      google: {
-        idField: "googleId",
-        accessTokenField: "googleAccessToken",
-        refreshTokenField: "googleRefreshToken",
-        expiryField: "googleAccessTokenExpires",
-      },
-      microsoft: {
-        idField: "microsoftId",
-        accessTokenField: "microsoftAccessToken",
-        refreshTokenField: "microsoftRefreshToken",
-        expiryField: "microsoftAccessTokenExpires",
-      },
-    };
-
     if (!providerFields[provider]) {
       return done(new Error(`Unsupported provider: ${provider}`), null);
     }
 
-    const { idField, accessTokenField, refreshTokenField, expiryField } =
-      providerFields[provider];
+    const {
+      idField,
+      accessTokenField,
+      refreshTokenField,
+      expiryField,
+      tokenLifetime = 24 * 3600 * 1000,
+    } = providerFields[provider];
 
     // Get profile picture - now with async support
     const profilePicture = await getProfilePicture(
@@ -165,7 +299,7 @@ const oauthCallback = async (
       user[accessTokenField] = encryptedAccessToken;
       user[refreshTokenField] =
         encryptedRefreshToken || user[refreshTokenField];
-      user[expiryField] = Date.now() + 24 * 3600 * 1000;
+      user[expiryField] = Date.now() + tokenLifetime;
       user.authProvider = provider;
       user.verified = true;
       user.lastSync = new Date();
@@ -200,7 +334,7 @@ const oauthCallback = async (
         [idField]: profile.id,
         [accessTokenField]: encryptedAccessToken,
         [refreshTokenField]: encryptedRefreshToken,
-        [expiryField]: Date.now() + 24 * 3600 * 1000,
+        [expiryField]: Date.now() + tokenLifetime,
         authProvider: provider,
         verified: true,
         profilePicture,
@@ -255,6 +389,10 @@ const strategies = {
         "https://www.googleapis.com/auth/gmail.modify",
         "https://www.googleapis.com/auth/gmail.send",
         "https://www.googleapis.com/auth/gmail.compose",
+        "https://www.googleapis.com/auth/calendar.events",
+        "https://www.googleapis.com/auth/calendar.freebusy",
+        "https://www.googleapis.com/auth/contacts.readonly",
+        "https://www.googleapis.com/auth/contacts.other.readonly",
       ],
       accessType: "offline",
       // prompt: "consent",
@@ -275,18 +413,34 @@ const strategies = {
         "Mail.Read",
         "Mail.ReadWrite",
         "Mail.Send",
+        "Calendars.ReadWrite",
+        "Contacts.Read",
         "user.read", // Add this scope to access profile information
       ],
       tenant: "common",
     },
     Strategy: MicrosoftStrategy,
   },
+  yahoo: {
+    options: {
+      clientID: process.env.YAHOO_CLIENT_ID,
+      clientSecret: process.env.YAHOO_CLIENT_SECRET,
+      callbackURL:
+        process.env.NODE_ENV === "production"
+          ? process.env.YAHOO_LIVE_REDIRECT_URI
+          : process.env.YAHOO_REDIRECT_URI,
+      scope: ["openid", "email", "profile", "mail-r", "mail-w"],
+    },
+    Strategy: YahooStrategy,
+  },
 };
 
 Object.entries(strategies).forEach(([provider, { options, Strategy }]) => {
   passport.use(
-    new Strategy(options, (accessToken, refreshToken, profile, done) =>
-      oauthCallback(accessToken, refreshToken, profile, done, provider)
+    new Strategy(
+      { ...options, passReqToCallback: true },
+      (req, accessToken, refreshToken, profile, done) =>
+        oauthCallback(req, accessToken, refreshToken, profile, done, provider)
     )
   );
 });
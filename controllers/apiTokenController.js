@@ -0,0 +1,93 @@
+// controllers/apiTokenController.js
+import ApiToken from "../models/ApiToken.js";
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { generateApiToken, hashApiToken } from "../helper/apiTokenHelper.js";
+
+const MAX_API_TOKENS = 10;
+
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  lastUsedAt: apiToken.lastUsedAt,
+  expiresAt: apiToken.expiresAt,
+  createdAt: apiToken.createdAt,
+});
+
+const getApiTokens = catchAsync(async (req, res) => {
+  const tokens = await ApiToken.find({
+    userId: req.user.id,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    tokens: tokens.map(formatApiToken),
+  });
+});
+
+const createApiToken = catchAsync(async (req, res) => {
+  const { name, expiresInDays } = req.body;
+  if (!name || !String(name).trim()) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Token name is required");
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "expiresInDays must be a whole number between 1 and 365"
+      );
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const activeCount = await ApiToken.countDocuments({
+    userId: req.user.id,
+    revokedAt: null,
+  });
+  if (activeCount >= MAX_API_TOKENS) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `You can have at most ${MAX_API_TOKENS} active API tokens`
+    );
+  }
+
+  const token = generateApiToken();
+  const apiToken = await ApiToken.create({
+    userId: req.user.id,
+    name: String(name).trim(),
+    tokenHash: hashApiToken(token),
+    prefix: token.substring(0, 10),
+    expiresAt,
+  });
+
+  // The raw token is only ever returned here
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: "API token created. Copy it now, it won't be shown again.",
+    token,
+    apiToken: formatApiToken(apiToken),
+  });
+});
+
+const revokeApiToken = catchAsync(async (req, res) => {
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { _id: req.params.tokenId, userId: req.user.id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  ).catch(() => null);
+  if (!apiToken) {
+    throw new ApiError(StatusCodes.NOT_FOUND, "API token not found");
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `API token "${apiToken.name}" revoked`,
+  });
+});
+
+export { getApiTokens, createApiToken, revokeApiToken };
@@ -2,11 +2,15 @@
 import jwt from "jsonwebtoken";
 import dotenv from "dotenv";
 import User from "../models/User.js";
+import WaitingList from "../models/WaitingList.js";
 import userService from "../services/userService.js";
 import { safeCookie } from "../helper/cookieHelper.js";
 import { ApiError, AppError, catchAsync } from "../utils/errorHandler.js";
 import { jwtHelper } from "./../helper/jwtHelper.js";
 import { sendFirstLoginConfirmation } from "../helper/notifyByEmail.js";
+import { encrypt } from "../utils/encryptionUtils.js";
+import ImapSmtpService from "../services/imapSmtpService.js";
+import { hostServesEmailDomain } from "../helper/mailHostHelper.js";
 
 dotenv.config();
 
@@ -24,6 +28,8 @@ const generateTokens = (user) => {
     authProvider: user.authProvider,
     hasGoogleAuth: !!user.googleAccessToken,
     hasMicrosoftAuth: !!user.microsoftAccessToken,
+    hasYahooAuth: !!user.yahooAccessToken,
+    hasImapAuth: !!user.imapSettings?.password,
   };
   const refreshPayload = { id: user._id };
 
@@ -137,6 +143,130 @@ const localLogin = catchAsync(async (req, res, next) => {
   }
 });
 
+// Connect a generic IMAP/SMTP mailbox using an app password
+const imapLogin = catchAsync(async (req, res, next) => {
+  const { email, password, name, imapHost } = req.body;
+
+  if (!email || !password || !imapHost) {
+    return next(
+      new AppError("Email, app password and IMAP host are required", 400)
+    );
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const waitingListEntry = await WaitingList.findOne({
+    email: normalizedEmail,
+  });
+  if (!waitingListEntry) {
+    return next(
+      new AppError(
+        `Access denied: The email ${normalizedEmail} is not found in our waiting list. Please join the waiting list first to proceed.`,
+        403
+      )
+    );
+  }
+  if (waitingListEntry.status !== "approved") {
+    return next(
+      new AppError(
+        `Access denied: The email ${normalizedEmail} is registered but not yet approved. Please wait for admin approval.`,
+        403
+      )
+    );
+  }
+
+  // An IMAP sign-in only proves access to that mailbox, so it never signs
+  // in to (or rewrites) an account that signs in another way
+  let user = await User.findOne({ email: normalizedEmail });
+  if (user && user.authProvider !== "imap") {
+    return next(
+      new AppError(
+        `This email is registered with ${user.authProvider} sign-in. Please sign in that way and connect the mailbox from your inbox settings.`,
+        409
+      )
+    );
+  }
+
+  const settings = ImapSmtpService.normalizeSettings(req.body, normalizedEmail);
+
+  // Logging in to someone else's server proves nothing about the address
+  if (!(await hostServesEmailDomain(settings.imapHost, normalizedEmail))) {
+    return next(
+      new AppError(
+        `${settings.imapHost} is not a mail server for ${
+          normalizedEmail.split("@")[1]
+        }`,
+        400
+      )
+    );
+  }
+
+  await ImapSmtpService.verifyConnection({ ...settings, password });
+
+  if (user) {
+    user.imapSettings = { ...settings, password: encrypt(password) };
+    user.authProvider = "imap";
+    user.verified = true;
+    user.lastSync = new Date();
+    if (!user.inboxList.includes(normalizedEmail)) {
+      user.inboxList.push(normalizedEmail);
+    }
+  } else {
+    user = await User.create({
+      email: normalizedEmail,
+      name: name || normalizedEmail.split("@")[0],
+      authProvider: "imap",
+      imapSettings: { ...settings, password: encrypt(password) },
+      verified: true,
+      subscription: {
+        plan: "free",
+        dailyQueries: 5,
+        remainingQueries: 5,
+        status: "active",
+        startDate: new Date(),
+        endDate: new Date().setFullYear(new Date().getFullYear() + 10),
+      },
+      lastSync: new Date(),
+      inboxList: [normalizedEmail],
+    });
+  }
+
+  const { accessToken, refreshToken } = generateTokens(user);
+  user.refreshToken = refreshToken;
+
+  if (user.firstLogin) {
+    await sendFirstLoginConfirmation(user);
+    user.firstLogin = false;
+  }
+
+  await user.save();
+
+  safeCookie.set(res, "accessToken", accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+    maxAge: jwtHelper.getAccessTokenExpiryMs(),
+  });
+  safeCookie.set(res, "refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+    maxAge: jwtHelper.getRefreshTokenExpiryMs(),
+  });
+
+  res.json({
+    success: true,
+    message: "Mailbox connected successfully",
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+    },
+  });
+});
+
 const register = catchAsync(async (req, res, next) => {
   const { email, password, name } = req.body;
 
@@ -292,6 +422,7 @@ export {
   authError,
   oauthCallback,
   localLogin,
+  imapLogin,
   register,
   refresh,
   logout,
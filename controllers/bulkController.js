@@ -0,0 +1,51 @@
+// controllers/bulkController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import bulkActionService from "../services/bulkActionService.js";
+import { openEventStream, wantsEventStream } from "../helper/sseHelper.js";
+
+// Applies one action to a list of ids or to the matches of a search query.
+// Large batches come back with requiresConfirmation and the resolved ids
+// instead of being run; sending those ids again with confirmed: true runs
+// them. Streaming clients get a progress event after each chunk.
+const bulkEmails = catchAsync(async (req, res) => {
+  const { action, emailIds, query, maxResults } = req.body;
+  const label = typeof req.body.label === "string" ? req.body.label.trim() : "";
+  const confirmed =
+    req.body.confirmed === true || req.body.confirmed === "true";
+  bulkActionService.validateBulkAction({ action, label });
+
+  const emailService = await createEmailService(req);
+  const targets = await bulkActionService.resolveTargets(emailService, {
+    emailIds,
+    query,
+    maxResults,
+  });
+
+  if (bulkActionService.needsConfirmation(targets.length, confirmed)) {
+    return res.status(StatusCodes.OK).json({
+      success: true,
+      requiresConfirmation: true,
+      action,
+      total: targets.length,
+      emailIds: targets,
+      message: `This will ${action} ${targets.length} emails. Send these emailIds again with confirmed: true to go ahead.`,
+    });
+  }
+
+  const stream = wantsEventStream(req) ? openEventStream(req, res) : null;
+  const result = await bulkActionService.runBulkAction(emailService, targets, {
+    action,
+    label,
+    onProgress: stream ? (progress) => stream.send("progress", progress) : null,
+  });
+
+  if (stream) {
+    stream.send("done", { success: true, ...result });
+    return stream.close();
+  }
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+export { bulkEmails };
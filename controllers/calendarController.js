@@ -0,0 +1,127 @@
+// controllers/calendarController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import meetingService from "../services/meetingService.js";
+
+// IANA zone for local times: body or query `timezone`, or X-Timezone
+const requestTimeZone = (req) =>
+  req.body?.timezone || req.query.timezone || req.headers["x-timezone"];
+
+const getEvents = catchAsync(async (req, res) => {
+  const { start, end, maxResults } = req.query;
+  const emailService = await createEmailService(req);
+  const events = await meetingService.listEvents(emailService, {
+    start,
+    end,
+    maxResults,
+    timeZone: requestTimeZone(req),
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, events });
+});
+
+const getAvailability = catchAsync(async (req, res) => {
+  const { start, end } = req.query;
+  const emailService = await createEmailService(req);
+  const availability = await meetingService.checkAvailability(emailService, {
+    start,
+    end,
+    timeZone: requestTimeZone(req),
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, ...availability });
+});
+
+const createEvent = catchAsync(async (req, res) => {
+  const { sendInvites, ...input } = req.body;
+  const emailService = await createEmailService(req);
+  const event = await meetingService.createEvent(emailService, input, {
+    timeZone: input.timeZone || requestTimeZone(req),
+    sendInvites: sendInvites === true,
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message:
+      sendInvites === true ? "Event created and invites sent" : "Event created",
+    event,
+  });
+});
+
+// Preview of the event an email is about, without touching the calendar
+const extractEmailEvent = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const result = await meetingService.extractEvent(
+    emailService,
+    req.params.emailId,
+    { timeZone: requestTimeZone(req) }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    ...(result.event ? {} : { message: "No event found in this email" }),
+    ...result,
+  });
+});
+
+// Fields in the body replace the extracted ones
+const addEmailToCalendar = catchAsync(async (req, res) => {
+  const { title, start, end, location, description } = req.body;
+  const emailService = await createEmailService(req);
+  const result = await meetingService.addEmailToCalendar(
+    emailService,
+    req.params.emailId,
+    {
+      timeZone: requestTimeZone(req),
+      overrides: { title, start, end, location, description },
+    }
+  );
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message:
+      result.action === "accepted"
+        ? "Invite accepted and on your calendar"
+        : "Event added to your calendar",
+    ...result,
+  });
+});
+
+const respondToInvite = catchAsync(async (req, res) => {
+  const { response, comment } = req.body;
+  const emailService = await createEmailService(req);
+  const result = await meetingService.respondToInvite(
+    emailService,
+    req.params.emailId,
+    response,
+    { comment, timeZone: requestTimeZone(req) }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+const parseEmailInvite = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const invite = await meetingService.readInvite(
+    emailService,
+    req.params.emailId,
+    { timeZone: requestTimeZone(req) }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    ...(invite ? {} : { message: "This email has no calendar invite" }),
+    invite,
+  });
+});
+
+export {
+  getEvents,
+  getAvailability,
+  createEvent,
+  extractEmailEvent,
+  addEmailToCalendar,
+  respondToInvite,
+  parseEmailInvite,
+};
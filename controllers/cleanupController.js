@@ -0,0 +1,80 @@
+// controllers/cleanupController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import cleanupService from "../services/cleanupService.js";
+import { openEventStream, wantsEventStream } from "../helper/sseHelper.js";
+
+const getSenderReport = catchAsync(async (req, res) => {
+  const { timeFilter, maxMessages, limit, newsletters, refresh } = req.query;
+  const emailService = await createEmailService(req);
+  const report = await cleanupService.getSenderReport(
+    emailService,
+    req.user.id,
+    {
+      timeFilter,
+      maxMessages,
+      limit,
+      newslettersOnly: newsletters === "true",
+      refresh: refresh === "true",
+    }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...report });
+});
+
+const unsubscribeSender = catchAsync(async (req, res) => {
+  const { sender, emailId } = req.body;
+  const emailService = await createEmailService(req);
+  const result = await cleanupService.unsubscribe(emailService, req.user.id, {
+    sender,
+    emailId,
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: result.completed
+      ? `Unsubscribed from ${result.sender}`
+      : `${result.sender} only offers an unsubscribe page; open the link to finish`,
+    ...result,
+  });
+});
+
+// Same confirmation and streaming behaviour as POST /emails/bulk
+const trashSenderEmails = catchAsync(async (req, res) => {
+  const confirmed =
+    req.body.confirmed === true || req.body.confirmed === "true";
+  const emailService = await createEmailService(req);
+  const stream =
+    confirmed && wantsEventStream(req) ? openEventStream(req, res) : null;
+
+  try {
+    const result = await cleanupService.trashSender(emailService, req.user.id, {
+      sender: req.body.sender,
+      confirmed,
+      onProgress: stream
+        ? (progress) => stream.send("progress", progress)
+        : null,
+    });
+    const body = {
+      success: true,
+      ...(result.requiresConfirmation
+        ? {
+            message: `This will trash ${result.total} emails from ${result.sender}. Send the request again with confirmed: true to go ahead.`,
+          }
+        : {}),
+      ...result,
+    };
+    if (stream) {
+      stream.send("done", body);
+      return stream.close();
+    }
+    res.status(StatusCodes.OK).json(body);
+  } catch (error) {
+    if (!stream) throw error;
+    stream.send("error", { success: false, message: error.message });
+    stream.close();
+  }
+});
+
+export { getSenderReport, unsubscribeSender, trashSenderEmails };
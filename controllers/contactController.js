@@ -0,0 +1,43 @@
+// controllers/contactController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import contactService from "../services/contactService.js";
+
+// The address book, or the contacts matching `q`
+const getContacts = catchAsync(async (req, res) => {
+  const { q, limit, offset } = req.query;
+  const result = await contactService.listContacts(req.user.id, {
+    query: q,
+    limit,
+    offset,
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+const resolveContact = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const result = await contactService.resolveRecipient(
+    emailService,
+    req.user.id,
+    req.query.q
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+const syncContacts = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const result = await contactService.syncContacts(emailService, req.user.id, {
+    force: true,
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Address book updated with ${result.contacts} contact(s)`,
+    ...result,
+  });
+});
+
+export { getContacts, resolveContact, syncContacts };
@@ -0,0 +1,49 @@
+// controllers/digestController.js
+import { StatusCodes } from "http-status-codes";
+import User from "../models/User.js";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import digestService from "../services/digestService.js";
+
+const getDigestSettings = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    digest: digestService.formatDigestSettings(user.digest),
+  });
+});
+
+const updateDigestSettings = catchAsync(async (req, res) => {
+  const digest = await digestService.updateDigestSettings(
+    req.user.id,
+    req.body
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: digest.enabled
+      ? "Digest settings updated"
+      : "Digest settings updated; the digest is turned off",
+    digest: digestService.formatDigestSettings(digest),
+  });
+});
+
+// Sends the digest right away, e.g. to preview new settings. The regular
+// schedule is not affected.
+const sendDigestNow = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const items = await digestService.sendDigest(user);
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message:
+      items.length > 0
+        ? `Digest with ${items.length} emails sent to ${user.email}`
+        : "Nothing important enough for a digest right now",
+    items,
+  });
+});
+
+export { getDigestSettings, updateDigestSettings, sendDigestNow };
@@ -0,0 +1,180 @@
+// controllers/draftController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import draftService from "../services/draftService.js";
+import scheduledSendService from "../services/scheduledSendService.js";
+import MCPServer from "../services/mcpServer.js";
+
+const DRAFT_STATUSES = ["draft", "sent", "all"];
+
+const getDrafts = catchAsync(async (req, res) => {
+  const status = req.query.status || "draft";
+  if (!DRAFT_STATUSES.includes(status)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid status. Must be one of: ${DRAFT_STATUSES.join(", ")}`
+    );
+  }
+
+  const emailService = await createEmailService(req);
+  const drafts = await draftService.listDrafts(emailService, req.user.id, {
+    status,
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    totalDrafts: drafts.length,
+    drafts: drafts.map((draft) => draftService.formatDraft(draft)),
+  });
+});
+
+const getDraft = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const draft = await draftService.getDraft(
+    emailService,
+    req.user.id,
+    req.params.draftId
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    draft: draftService.formatDraft(draft, { withVersions: true }),
+  });
+});
+
+const createDraft = catchAsync(async (req, res) => {
+  const { to, subject, message } = req.body;
+  if (!to) throw new ApiError(StatusCodes.BAD_REQUEST, "Recipient is required");
+
+  const emailService = await createEmailService(req);
+  const draft = await draftService.createDraft(emailService, req.user.id, {
+    to,
+    subject,
+    message,
+    attachments: draftService.toStoredAttachments(req.files),
+  });
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: draft.providerSyncError
+      ? "Draft saved, but it could not be synced to your mailbox"
+      : "Draft saved",
+    draft: draftService.formatDraft(draft),
+  });
+});
+
+// Either edit fields directly or pass an `instruction` ("make it shorter")
+// and let the assistant rewrite the draft. Both create a new version.
+const updateDraft = catchAsync(async (req, res) => {
+  const { to, subject, message, instruction } = req.body;
+  const files = req.files || [];
+
+  const emailService = await createEmailService(req);
+  let draft = await draftService.getDraft(
+    emailService,
+    req.user.id,
+    req.params.draftId
+  );
+
+  if (instruction) {
+    const mcpServer = new MCPServer(emailService);
+    await mcpServer.callTool(
+      "draft-email",
+      { draft_id: draft._id.toString(), content: instruction },
+      req.user.id
+    );
+    draft = await draftService.getDraft(emailService, req.user.id, draft._id);
+  } else {
+    if (
+      to === undefined &&
+      subject === undefined &&
+      message === undefined &&
+      files.length === 0
+    ) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Nothing to update");
+    }
+    draft = await draftService.updateDraft(emailService, draft, {
+      to,
+      subject,
+      message,
+      attachments:
+        files.length > 0 ? draftService.toStoredAttachments(files) : undefined,
+    });
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Draft updated to version ${draft.version}`,
+    draft: draftService.formatDraft(draft),
+  });
+});
+
+// With `sendAt` the draft is queued and its latest version goes out then;
+// otherwise it is held for the user's undo-send window
+const sendDraft = catchAsync(async (req, res) => {
+  const sendAt = scheduledSendService.parseSendAt(req.body?.sendAt);
+  const emailService = await createEmailService(req);
+  const draft = await draftService.getDraft(
+    emailService,
+    req.user.id,
+    req.params.draftId
+  );
+
+  if (sendAt) {
+    const job = await scheduledSendService.scheduleEmail(
+      emailService,
+      req.user.id,
+      { type: "draft", draftId: draft._id, sendAt }
+    );
+    return res.status(StatusCodes.ACCEPTED).json({
+      success: true,
+      message: `Draft scheduled for ${job.sendAt.toISOString()}`,
+      scheduled: scheduledSendService.formatScheduledEmail(job),
+    });
+  }
+
+  const undoDelay = emailService.user?.undoSendDelay ?? 0;
+  if (undoDelay > 0) {
+    const job = await scheduledSendService.holdForUndo(
+      emailService,
+      req.user.id,
+      { type: "draft", draftId: draft._id },
+      undoDelay
+    );
+    return res.status(StatusCodes.ACCEPTED).json({
+      success: true,
+      message: `Sending in ${undoDelay} seconds`,
+      scheduled: scheduledSendService.formatScheduledEmail(job),
+    });
+  }
+
+  await draftService.sendDraft(emailService, draft);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Email sent to ${draft.recipientId}`,
+    draft: draftService.formatDraft(draft),
+  });
+});
+
+const deleteDraft = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const draft = await draftService.getDraft(
+    emailService,
+    req.user.id,
+    req.params.draftId
+  );
+  await draftService.deleteDraft(emailService, draft);
+
+  res.status(StatusCodes.OK).json({ success: true, message: "Draft deleted" });
+});
+
+export {
+  getDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  sendDraft,
+  deleteDraft,
+};
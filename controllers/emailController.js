@@ -1,11 +1,30 @@
 // controllers\emailController.js
-import { createEmailService } from "../services/emailService.js";
+import {
+  createEmailService,
+  getRequestedInboxId,
+  getUserEmailServices,
+} from "../services/emailService.js";
+import UnifiedInboxService from "../services/unifiedInboxService.js";
+import User from "../models/User.js";
 import MCPServer from "../services/mcpServer.js";
+import draftService from "../services/draftService.js";
 import { StatusCodes } from "http-status-codes";
 import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import mailEvents from "../helper/mailEvents.js";
 import NodeCache from "node-cache";
 const emailListCache = new NodeCache({ stdTTL: 300 });
 
+// Pushed changes (see services/pushService.js) make cached lists of that
+// inbox, and the user's unified list, stale
+mailEvents.on("mail", ({ userId, inboxId }) => {
+  const prefixes = [`${userId}-${inboxId}-`, `${userId}-unified-`];
+  emailListCache.del(
+    emailListCache
+      .keys()
+      .filter((key) => prefixes.some((prefix) => key.startsWith(prefix)))
+  );
+});
+
 const fetchEmails = catchAsync(async (req, res, filter = "all") => {
   const { q, maxResults = 1000, pageToken, _t } = req.query;
 
@@ -25,9 +44,9 @@ const fetchEmails = catchAsync(async (req, res, filter = "all") => {
   }
 
   // Include _t in cache key to ensure unique requests bypass cache
-  const cacheKey = `${req.user.id}-${filter}-${q || ""}-${pageToken || ""}-${
-    timeFilter || ""
-  }`;
+  const cacheKey = `${req.user.id}-${
+    getRequestedInboxId(req) || "primary"
+  }-${filter}-${q || ""}-${pageToken || ""}-${timeFilter || ""}`;
   const cachedEmails = emailListCache.get(cacheKey);
   if (cachedEmails) {
     // console.log(`Cache hit for ${cacheKey}`);
@@ -87,6 +106,77 @@ const fetchEmails = catchAsync(async (req, res, filter = "all") => {
   res.json(responseData);
 });
 
+// Fetch one merged list across every inbox the user has connected
+const fetchUnifiedEmails = catchAsync(async (req, res) => {
+  const { q, maxResults = 50, pageToken, filter = "all" } = req.query;
+  const timeFilter = req.query.timeFilter || "all";
+  if (
+    !["all", "daily", "weekly", "monthly"].includes(timeFilter) &&
+    !/^\d{4}\/\d{2}\/\d{2}$/.test(timeFilter)
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Invalid timeFilter. Must be 'all', 'daily', 'weekly', 'monthly', or a date in 'YYYY/MM/DD' format."
+    );
+  }
+  if (pageToken && typeof pageToken !== "string") {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Invalid pageToken");
+  }
+
+  const cacheKey = `${req.user.id}-unified-${filter}-${q || ""}-${
+    pageToken || ""
+  }-${timeFilter}-${maxResults}`;
+  const cachedEmails = emailListCache.get(cacheKey);
+  if (cachedEmails) {
+    return res.json(cachedEmails);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const accounts = await getUserEmailServices(user);
+  if (accounts.length === 0) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "No connected inboxes found. Connect an inbox first."
+    );
+  }
+
+  const query = q
+    ? new MCPServer(accounts[0].service).processQuery(q.toString())
+    : "";
+  const unifiedInbox = new UnifiedInboxService(accounts);
+  const emailsData = await unifiedInbox.fetchEmails({
+    query,
+    maxResults,
+    pageToken,
+    filter,
+    timeFilter,
+  });
+
+  const responseData = {
+    success: true,
+    totalEmails: emailsData.totalCount,
+    emails: emailsData.messages,
+    nextPageToken: emailsData.nextPageToken,
+    prevPageToken: emailsData.prevPageToken,
+    inboxes: emailsData.inboxes,
+    errors: emailsData.errors,
+    maxResults,
+  };
+
+  // Partial results are not cached so a failing inbox is retried next time
+  if (emailsData.errors.length === 0) {
+    try {
+      emailListCache.set(cacheKey, responseData);
+    } catch (error) {
+      console.error(`Failed to cache response for ${cacheKey}:`, error);
+    }
+  }
+
+  res.json(responseData);
+});
+
 // Other functions remain unchanged...
 const fetchImportantEmails = catchAsync(async (req, res) => {
   const emailService = await createEmailService(req);
@@ -157,9 +247,20 @@ const fetchImportantEmails = catchAsync(async (req, res) => {
   });
 });
 
+// Responds 202 with the queued item when the tool scheduled the email
+const respondToSend = (res, toolResponse) => {
+  const [{ text, scheduled }] = toolResponse;
+  if (scheduled) {
+    return res
+      .status(StatusCodes.ACCEPTED)
+      .json({ success: true, message: text, scheduled });
+  }
+  res.json({ success: true, message: text });
+};
+
 const sendEmail = catchAsync(async (req, res) => {
-  const { to, subject, message } = req.body;
-  const attachments = req.files || [];
+  const { to, subject, message, sendAt } = req.body;
+  const attachments = draftService.toStoredAttachments(req.files);
 
   if (!to || !subject || !message) {
     throw new ApiError(StatusCodes.BAD_REQUEST, "Missing required fields");
@@ -169,11 +270,11 @@ const sendEmail = catchAsync(async (req, res) => {
   const mcpServer = new MCPServer(emailService);
   const sendResponse = await mcpServer.callTool(
     "send-email",
-    { recipient_id: to, subject, message, attachments },
+    { recipient_id: to, subject, message, attachments, send_at: sendAt },
     req.user.id
   );
 
-  res.json({ success: true, message: sendResponse[0].text });
+  respondToSend(res, sendResponse);
 });
 
 const readEmail = catchAsync(async (req, res) => {
@@ -194,8 +295,8 @@ const readEmail = catchAsync(async (req, res) => {
 
 const replyToEmail = catchAsync(async (req, res) => {
   const { emailId } = req.params;
-  const { message } = req.body;
-  const attachments = req.files || [];
+  const { message, sendAt } = req.body;
+  const attachments = draftService.toStoredAttachments(req.files);
 
   if (!emailId || !message) {
     throw new ApiError(
@@ -208,11 +309,11 @@ const replyToEmail = catchAsync(async (req, res) => {
   const mcpServer = new MCPServer(emailService);
   const replyResponse = await mcpServer.callTool(
     "reply-to-email",
-    { email_id: emailId, message, attachments },
+    { email_id: emailId, message, attachments, send_at: sendAt },
     req.user.id
   );
 
-  res.json({ success: true, message: replyResponse[0].text });
+  respondToSend(res, replyResponse);
 });
 
 const trashEmail = catchAsync(async (req, res) => {
@@ -231,8 +332,54 @@ const trashEmail = catchAsync(async (req, res) => {
   res.json({ success: true, message: trashResponse[0].text });
 });
 
+// Archive, spam and untrash move the message; Outlook and IMAP give it a new
+// id, returned as newId
+const moveEmailWithTool = (toolName) =>
+  catchAsync(async (req, res) => {
+    const { emailId } = req.params;
+    if (!emailId)
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Email ID is required");
+
+    const emailService = await createEmailService(req);
+    const mcpServer = new MCPServer(emailService);
+    const [response] = await mcpServer.callTool(
+      toolName,
+      { email_id: emailId },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: response.text,
+      newId: response.emailId ?? null,
+    });
+  });
+
+const archiveEmail = moveEmailWithTool("archive-email");
+const reportSpam = moveEmailWithTool("report-spam");
+const untrashEmail = moveEmailWithTool("untrash-email");
+
+const starEmail = catchAsync(async (req, res) => {
+  const { emailId } = req.params;
+  const { starred = true } = req.body;
+  if (!emailId)
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Email ID is required");
+  if (typeof starred !== "boolean")
+    throw new ApiError(StatusCodes.BAD_REQUEST, "starred must be a boolean");
+
+  const emailService = await createEmailService(req);
+  const mcpServer = new MCPServer(emailService);
+  const starResponse = await mcpServer.callTool(
+    "star-email",
+    { email_id: emailId, starred },
+    req.user.id
+  );
+
+  res.json({ success: true, starred, message: starResponse[0].text });
+});
+
 const searchEmails = catchAsync(async (req, res) => {
-  const { query, timeFilter } = req.query;
+  const { query, timeFilter, pageToken } = req.query;
   if (!query)
     throw new ApiError(StatusCodes.BAD_REQUEST, "Search query is required");
 
@@ -271,7 +418,7 @@ const searchEmails = catchAsync(async (req, res) => {
   const effectiveTimeFilter = timeFilter || "weekly";
   const searchResponse = await mcpServer.callTool(
     "search-emails",
-    { query, timeFilter: effectiveTimeFilter },
+    { query, timeFilter: effectiveTimeFilter, pageToken },
     req.user.id
   );
 
@@ -321,7 +468,12 @@ const summarizeEmail = catchAsync(async (req, res) => {
     req.user.id
   );
 
-  res.json({ success: true, summary: summaryResponse[0].text });
+  res.json({
+    success: true,
+    summary: summaryResponse[0].text,
+    // Structured thread summary, when the email's conversation could be loaded
+    details: summaryResponse[0].summary || null,
+  });
 });
 
 const chatWithBot = catchAsync(async (req, res) => {
@@ -376,11 +528,16 @@ const createDraft = catchAsync(async (req, res) => {
 
 export {
   fetchEmails,
+  fetchUnifiedEmails,
   fetchImportantEmails,
   sendEmail,
   readEmail,
   replyToEmail,
   trashEmail,
+  archiveEmail,
+  starEmail,
+  reportSpam,
+  untrashEmail,
   searchEmails,
   markEmailAsRead,
   summarizeEmail,
@@ -0,0 +1,59 @@
+// controllers/extractionController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import extractionService from "../services/extractionService.js";
+
+// Purchases, reservations, shipments or bills, filtered by the query
+const listExtractions = catchAsync(async (req, res) => {
+  const { q, after, before, status, upcoming, limit, offset } = req.query;
+  const emailService = await createEmailService(req);
+  const result = await extractionService.listExtractions(
+    emailService,
+    req.user.id,
+    req.params.type,
+    {
+      query: q,
+      after,
+      before,
+      status,
+      upcoming: upcoming === "true",
+      limit,
+      offset,
+    }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+// Totals per currency and merchant (?merchant=, after, before)
+const getSpending = catchAsync(async (req, res) => {
+  const { merchant, after, before } = req.query;
+  const emailService = await createEmailService(req);
+  const result = await extractionService.getSpending(
+    emailService,
+    req.user.id,
+    {
+      merchant,
+      after,
+      before,
+      timeZone: req.query.timezone || req.headers["x-timezone"],
+    }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+// Read one email again, e.g. one the background pass skipped
+const extractEmail = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const result = await extractionService.extractEmail(
+    emailService,
+    req.user.id,
+    req.params.emailId
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+export { listExtractions, getSpending, extractEmail };
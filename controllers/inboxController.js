@@ -0,0 +1,147 @@
+// controllers/inboxController.js
+import User from "../models/User.js";
+import ConnectedInbox from "../models/ConnectedInbox.js";
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { getMaxInboxes } from "../helper/planLimits.js";
+import { encrypt } from "../utils/encryptionUtils.js";
+import { getUsableInboxes } from "../services/emailService.js";
+import ImapSmtpService from "../services/imapSmtpService.js";
+
+const hasPrimaryMailbox = (user) =>
+  !!user.authProvider && user.authProvider !== "local";
+
+// Throws when linking one more inbox would exceed the user's plan
+const assertInboxCapacity = async (user) => {
+  const maxInboxes = getMaxInboxes(user.subscription?.plan);
+  const linked = await ConnectedInbox.countDocuments({
+    userId: user._id,
+    status: "active",
+  });
+  if (linked + (hasPrimaryMailbox(user) ? 1 : 0) >= maxInboxes) {
+    throw new ApiError(
+      StatusCodes.FORBIDDEN,
+      `Inbox limit reached for your ${
+        user.subscription?.plan || "free"
+      } plan (${maxInboxes}). Upgrade your plan to connect more inboxes.`
+    );
+  }
+};
+
+const formatInbox = (inbox, usableIds) => ({
+  id: inbox._id,
+  email: inbox.email,
+  provider: inbox.provider,
+  isPrimary: false,
+  status: inbox.status,
+  usable: usableIds.has(String(inbox._id)),
+  lastSync: inbox.lastSync,
+  createdAt: inbox.createdAt,
+});
+
+const getInboxes = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const [linked, usable] = await Promise.all([
+    ConnectedInbox.find({ userId: user._id }).sort({ createdAt: 1 }),
+    getUsableInboxes(user),
+  ]);
+  const usableIds = new Set(usable.map((inbox) => String(inbox._id)));
+
+  const inboxes = linked.map((inbox) => formatInbox(inbox, usableIds));
+  if (hasPrimaryMailbox(user)) {
+    inboxes.unshift({
+      id: "primary",
+      email: user.email,
+      provider: user.authProvider,
+      isPrimary: true,
+      status: "active",
+      usable: true,
+      lastSync: user.lastSync,
+      createdAt: user.createdAt,
+    });
+  }
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    maxInboxes: getMaxInboxes(user.subscription?.plan),
+    inboxes,
+  });
+});
+
+const connectImapInbox = catchAsync(async (req, res) => {
+  const { email, password, name, imapHost } = req.body;
+  if (!email || !password || !imapHost) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Email, app password and IMAP host are required"
+    );
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const normalizedEmail = email.toLowerCase().trim();
+  if (normalizedEmail === user.email) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "This address is already your primary inbox"
+    );
+  }
+
+  const existing = await ConnectedInbox.findOne({
+    userId: user._id,
+    email: normalizedEmail,
+  });
+  if (!existing || existing.status !== "active") {
+    await assertInboxCapacity(user);
+  }
+
+  const settings = ImapSmtpService.normalizeSettings(req.body, normalizedEmail);
+  await ImapSmtpService.verifyConnection({ ...settings, password });
+
+  const inbox = await ConnectedInbox.findOneAndUpdate(
+    { userId: user._id, email: normalizedEmail },
+    {
+      name,
+      provider: "imap",
+      imapSettings: { ...settings, password: encrypt(password) },
+      status: "active",
+      lastSync: new Date(),
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (!user.inboxList.includes(normalizedEmail)) {
+    user.inboxList.push(normalizedEmail);
+    await user.save();
+  }
+
+  const usable = await getUsableInboxes(user);
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: "Inbox connected successfully",
+    inbox: formatInbox(inbox, new Set(usable.map((item) => String(item._id)))),
+  });
+});
+
+const removeInbox = catchAsync(async (req, res) => {
+  const inbox = await ConnectedInbox.findOneAndDelete({
+    _id: req.params.inboxId,
+    userId: req.user.id,
+  }).catch(() => null);
+  if (!inbox) throw new ApiError(StatusCodes.NOT_FOUND, "Inbox not found");
+
+  await User.updateOne(
+    { _id: req.user.id },
+    { $pull: { inboxList: inbox.email } }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Inbox ${inbox.email} disconnected`,
+  });
+});
+
+export { assertInboxCapacity, getInboxes, connectImapInbox, removeInbox };
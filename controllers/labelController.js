@@ -0,0 +1,138 @@
+// controllers/labelController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+
+const LABEL_KINDS = ["label", "folder", "category"];
+const MAX_EMAILS_PER_REQUEST = 100;
+const MAX_LABEL_NAME_LENGTH = 225;
+
+// Accepts `emailIds` (array) or a single `emailId`
+const getEmailIds = (body) => {
+  const emailIds = body.emailIds || (body.emailId ? [body.emailId] : []);
+  if (
+    !Array.isArray(emailIds) ||
+    emailIds.length === 0 ||
+    emailIds.some((id) => !id || typeof id !== "string")
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "emailIds must be a non-empty list of email ids"
+    );
+  }
+  if (emailIds.length > MAX_EMAILS_PER_REQUEST) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `At most ${MAX_EMAILS_PER_REQUEST} emails per request`
+    );
+  }
+  return [...new Set(emailIds)];
+};
+
+const getName = (value, field) => {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name || name.length > MAX_LABEL_NAME_LENGTH) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `${field} is required (at most ${MAX_LABEL_NAME_LENGTH} characters)`
+    );
+  }
+  return name;
+};
+
+// Runs `action` per email, one at a time to respect provider rate limits.
+// Partial failures are reported per email; if nothing succeeded the first
+// error is thrown.
+const forEachEmail = async (emailIds, action) => {
+  const results = [];
+  for (const id of emailIds) {
+    try {
+      results.push({ id, success: true, ...((await action(id)) || {}) });
+    } catch (error) {
+      results.push({ id, success: false, error: error.message, cause: error });
+    }
+  }
+
+  const failed = results.filter((result) => !result.success);
+  if (failed.length === results.length) {
+    const { cause } = failed[0];
+    throw cause instanceof ApiError
+      ? cause
+      : new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, cause.message);
+  }
+  return {
+    updated: results.length - failed.length,
+    failed: failed.length,
+    results: results.map(({ cause, ...result }) => result),
+  };
+};
+
+const getLabels = catchAsync(async (req, res) => {
+  const { kind } = req.query;
+  if (kind && !LABEL_KINDS.includes(kind)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid kind. Must be one of: ${LABEL_KINDS.join(", ")}`
+    );
+  }
+
+  const emailService = await createEmailService(req);
+  const labels = await emailService.listLabels();
+  res.status(StatusCodes.OK).json({
+    success: true,
+    labels: kind ? labels.filter((label) => label.kind === kind) : labels,
+  });
+});
+
+const createLabel = catchAsync(async (req, res) => {
+  const name = getName(req.body.name, "name");
+  const emailService = await createEmailService(req);
+
+  const existing = await emailService
+    .resolveLabel(name)
+    .catch((error) =>
+      error.statusCode === StatusCodes.NOT_FOUND ? null : Promise.reject(error)
+    );
+  if (existing) {
+    throw new ApiError(StatusCodes.CONFLICT, `"${name}" already exists`);
+  }
+
+  const label = await emailService.createLabel(name);
+  res.status(StatusCodes.CREATED).json({ success: true, label });
+});
+
+const applyLabel = catchAsync(async (req, res) => {
+  const emailIds = getEmailIds(req.body);
+  const label = getName(req.body.label, "label");
+  const emailService = await createEmailService(req);
+
+  const result = await forEachEmail(emailIds, (id) =>
+    emailService.applyLabel(id, label)
+  );
+  res.status(StatusCodes.OK).json({ success: true, label, ...result });
+});
+
+const removeLabel = catchAsync(async (req, res) => {
+  const emailIds = getEmailIds(req.body);
+  const label = getName(req.body.label, "label");
+  const emailService = await createEmailService(req);
+
+  const result = await forEachEmail(emailIds, (id) =>
+    emailService.removeLabel(id, label)
+  );
+  res.status(StatusCodes.OK).json({ success: true, label, ...result });
+});
+
+// Outlook and IMAP give a moved message a new id; it is returned as newId
+const moveEmails = catchAsync(async (req, res) => {
+  const emailIds = getEmailIds(req.body);
+  const folder = getName(req.body.folder, "folder");
+  const emailService = await createEmailService(req);
+
+  const result = await forEachEmail(emailIds, async (id) => ({
+    newId: await emailService.moveToFolder(id, folder),
+  }));
+  res.status(StatusCodes.OK).json({ success: true, folder, ...result });
+});
+
+export { getLabels, createLabel, applyLabel, removeLabel, moveEmails };
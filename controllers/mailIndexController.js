@@ -0,0 +1,65 @@
+// controllers/mailIndexController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import {
+  createEmailService,
+  getServiceInboxId,
+} from "../services/emailService.js";
+import mailIndexService from "../services/mailIndexService.js";
+
+const getIndexStatus = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const index = await mailIndexService.getStatus(emailService, req.user.id);
+
+  res.status(StatusCodes.OK).json({ success: true, index });
+});
+
+// Syncs at the next worker tick, or starts over with { rebuild: true }
+const syncIndex = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  let index;
+  if (req.body?.rebuild === true) {
+    index = await mailIndexService.rebuildIndex(emailService, req.user.id);
+  } else {
+    index = await mailIndexService.getStatus(emailService, req.user.id);
+    await mailIndexService.requestSync(
+      req.user.id,
+      getServiceInboxId(emailService)
+    );
+  }
+
+  res.status(StatusCodes.ACCEPTED).json({ success: true, index });
+});
+
+const getActivity = catchAsync(async (req, res) => {
+  const { by, query, filter, timeFilter, timezone } = req.query;
+  const emailService = await createEmailService(req);
+  const activity = await mailIndexService.getActivity(
+    emailService,
+    req.user.id,
+    {
+      by,
+      query,
+      filter,
+      timeFilter,
+      timeZone: timezone || req.headers["x-timezone"],
+    }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...activity });
+});
+
+// Search by meaning (?q=, limit, timeFilter)
+const semanticSearch = catchAsync(async (req, res) => {
+  const { q, limit, timeFilter } = req.query;
+  const emailService = await createEmailService(req);
+  const result = await mailIndexService.semanticSearch(
+    emailService,
+    req.user.id,
+    { query: q, maxResults: limit, timeFilter }
+  );
+
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+export { getIndexStatus, syncIndex, getActivity, semanticSearch };
@@ -0,0 +1,36 @@
+// controllers/mcpController.js
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import { createMcpProtocolServer } from "../services/mcpProtocolServer.js";
+
+// Stateless streamable HTTP: every POST gets its own server and transport,
+// so no MCP session has to survive between requests or PM2 workers
+export const handleMcpRequest = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const server = createMcpProtocolServer(req.user, emailService);
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+  });
+
+  res.on("close", () => {
+    transport.close();
+    server.close();
+  });
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, req.body);
+});
+
+// GET (server-initiated stream) and DELETE (session end) need sessions
+export const rejectMcpMethod = (req, res) => {
+  res.status(StatusCodes.METHOD_NOT_ALLOWED).json({
+    jsonrpc: "2.0",
+    error: {
+      code: -32000,
+      message: "Method not allowed. This MCP endpoint is stateless.",
+    },
+    id: null,
+  });
+};
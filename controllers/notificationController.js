@@ -0,0 +1,114 @@
+// controllers/notificationController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import pushService from "../services/pushService.js";
+import mailEvents from "../helper/mailEvents.js";
+import { openEventStream } from "../helper/sseHelper.js";
+
+// Server-Sent Events: `ready` with the push status of each inbox, then
+// `mail` whenever one of the user's inboxes changes
+const streamNotifications = catchAsync(async (req, res) => {
+  const userId = String(req.user.id);
+  // The stream outlives the server's request timeout
+  res.setTimeout(0);
+  const stream = openEventStream(req, res);
+
+  const forward = ({ userId: eventUserId, ...event }) => {
+    if (eventUserId === userId) stream.send("mail", event);
+  };
+  mailEvents.on("mail", forward);
+  req.on("close", () => mailEvents.off("mail", forward));
+
+  const inboxes = await pushService
+    .ensureSubscriptions(userId)
+    .catch((error) => {
+      console.error("[ERROR] Failed to turn on push:", error);
+      return [];
+    });
+  stream.send("ready", { inboxes });
+});
+
+const getSubscriptions = catchAsync(async (req, res) => {
+  const subscriptions = await pushService.listSubscriptions(req.user.id);
+  res.status(StatusCodes.OK).json({ success: true, subscriptions });
+});
+
+const subscribeInbox = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const subscription = await pushService.subscribe(emailService, req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Push notifications are on for this inbox",
+    subscription,
+  });
+});
+
+const unsubscribeInbox = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const subscription = await pushService.unsubscribe(emailService, req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Push notifications are off for this inbox",
+    subscription,
+  });
+});
+
+/*
+ * Provider webhooks. Both are acknowledged before the work is done: Pub/Sub
+ * redelivers slow pushes and Graph expects an answer within 3 seconds.
+ */
+
+const receiveGmailNotification = catchAsync(async (req, res) => {
+  const verified = await pushService.verifyGmailPush({
+    authorization: req.headers.authorization,
+    token: req.query.token,
+  });
+  if (!verified) {
+    throw new ApiError(StatusCodes.FORBIDDEN, "Invalid push notification");
+  }
+
+  res.status(StatusCodes.NO_CONTENT).end();
+  pushService.handleGmailNotification(req.body).catch((error) => {
+    console.error("[ERROR] Gmail notification failed:", error);
+  });
+});
+
+// Graph checks a notification URL by sending a validationToken, which has
+// to come back as plain text
+const answerValidation = (req, res) => {
+  const { validationToken } = req.query;
+  if (!validationToken) return false;
+  res.status(StatusCodes.OK).type("text/plain").send(String(validationToken));
+  return true;
+};
+
+const receiveGraphNotification = catchAsync(async (req, res) => {
+  if (answerValidation(req, res)) return;
+
+  res.status(StatusCodes.ACCEPTED).end();
+  pushService.handleGraphNotifications(req.body?.value).catch((error) => {
+    console.error("[ERROR] Graph notification failed:", error);
+  });
+});
+
+const receiveGraphLifecycle = catchAsync(async (req, res) => {
+  if (answerValidation(req, res)) return;
+
+  res.status(StatusCodes.ACCEPTED).end();
+  pushService.handleGraphLifecycle(req.body?.value).catch((error) => {
+    console.error("[ERROR] Graph lifecycle notification failed:", error);
+  });
+});
+
+export {
+  streamNotifications,
+  getSubscriptions,
+  subscribeInbox,
+  unsubscribeInbox,
+  receiveGmailNotification,
+  receiveGraphNotification,
+  receiveGraphLifecycle,
+};
@@ -0,0 +1,133 @@
+// controllers/ruleController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import ruleEngineService from "../services/ruleEngineService.js";
+
+const getRules = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const rules = await ruleEngineService.listRules(emailService, req.user.id);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    rules: rules.map(ruleEngineService.formatRule),
+  });
+});
+
+const getRule = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const rule = await ruleEngineService.getRule(
+    emailService,
+    req.user.id,
+    req.params.ruleId
+  );
+
+  res
+    .status(StatusCodes.OK)
+    .json({ success: true, rule: ruleEngineService.formatRule(rule) });
+});
+
+const createRule = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const rule = await ruleEngineService.createRule(
+    emailService,
+    req.user.id,
+    req.body
+  );
+
+  res.status(StatusCodes.CREATED).json({
+    success: true,
+    message: "Rule created; it applies to mail arriving from now on",
+    rule: ruleEngineService.formatRule(rule),
+  });
+});
+
+const updateRule = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const rule = await ruleEngineService.getRule(
+    emailService,
+    req.user.id,
+    req.params.ruleId
+  );
+  await ruleEngineService.updateRule(rule, req.body);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Rule updated",
+    rule: ruleEngineService.formatRule(rule),
+  });
+});
+
+const deleteRule = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const rule = await ruleEngineService.getRule(
+    emailService,
+    req.user.id,
+    req.params.ruleId
+  );
+  await ruleEngineService.deleteRule(rule);
+
+  res.status(StatusCodes.OK).json({ success: true, message: "Rule deleted" });
+});
+
+// Tests a saved rule (ruleId) or an unsaved one (rule) against recent mail.
+// Nothing is changed and nothing is logged.
+const dryRunRule = catchAsync(async (req, res) => {
+  const { ruleId, rule, maxResults, timeFilter } = req.body;
+  if (!ruleId && !rule) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Provide a ruleId or a rule");
+  }
+  const emailService = await createEmailService(req);
+  const candidate = ruleId
+    ? await ruleEngineService.getRule(emailService, req.user.id, ruleId)
+    : ruleEngineService.validateRuleInput({ name: "Dry run", ...rule });
+
+  const result = await ruleEngineService.dryRun(emailService, candidate, {
+    maxResults,
+    timeFilter,
+  });
+  res.status(StatusCodes.OK).json({ success: true, ...result });
+});
+
+// Applies the enabled rules to recent mail now instead of waiting for the
+// worker, e.g. right after creating a rule
+const runRules = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const executions = await ruleEngineService.runRulesNow(
+    emailService,
+    req.user.id,
+    { timeFilter: req.body.timeFilter }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Rules acted on ${executions.length} messages`,
+    executions: executions.map(ruleEngineService.formatExecution),
+  });
+});
+
+const getRuleLogs = catchAsync(async (req, res) => {
+  const { ruleId, limit } = req.query;
+  const emailService = await createEmailService(req);
+  const executions = await ruleEngineService.listExecutions(
+    emailService,
+    req.user.id,
+    { ruleId, limit }
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    executions: executions.map(ruleEngineService.formatExecution),
+  });
+});
+
+export {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRunRule,
+  runRules,
+  getRuleLogs,
+};
@@ -0,0 +1,67 @@
+// controllers/scheduledEmailController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import scheduledSendService from "../services/scheduledSendService.js";
+import draftService from "../services/draftService.js";
+
+const getScheduledEmails = catchAsync(async (req, res) => {
+  const jobs = await scheduledSendService.listScheduled(req.user.id, {
+    status: req.query.status || "pending",
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    totalScheduled: jobs.length,
+    scheduled: jobs.map(scheduledSendService.formatScheduledEmail),
+  });
+});
+
+const rescheduleEmail = catchAsync(async (req, res) => {
+  const sendAt = scheduledSendService.parseSendAt(req.body.sendAt);
+  if (!sendAt) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "sendAt is required");
+  }
+
+  const job = await scheduledSendService.getScheduled(
+    req.user.id,
+    req.params.scheduledId
+  );
+  await scheduledSendService.rescheduleEmail(job, sendAt);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Email rescheduled for ${sendAt.toISOString()}`,
+    scheduled: scheduledSendService.formatScheduledEmail(job),
+  });
+});
+
+const cancelScheduledEmail = catchAsync(async (req, res) => {
+  const job = await scheduledSendService.getScheduled(
+    req.user.id,
+    req.params.scheduledId
+  );
+  const cancelled = await scheduledSendService.cancelScheduledEmail(job);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Scheduled email cancelled",
+    scheduled: scheduledSendService.formatScheduledEmail(cancelled),
+  });
+});
+
+// Without an id the user's most recent held email is undone
+const undoSend = catchAsync(async (req, res) => {
+  const { scheduled, draft } = await scheduledSendService.undoSend(
+    req.user.id,
+    req.params.scheduledId
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: draft ? "Send undone, saved as a draft" : "Send undone",
+    scheduled: scheduledSendService.formatScheduledEmail(scheduled),
+    draft: draft ? draftService.formatDraft(draft) : null,
+  });
+});
+
+export { getScheduledEmails, rescheduleEmail, cancelScheduledEmail, undoSend };
@@ -0,0 +1,50 @@
+// controllers/snoozeController.js
+import { StatusCodes } from "http-status-codes";
+import { catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import snoozeService from "../services/snoozeService.js";
+
+const getSnoozedEmails = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const snoozed = await snoozeService.listSnoozed(emailService);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    totalSnoozed: snoozed.length,
+    snoozed: snoozed.map(snoozeService.formatSnoozed),
+  });
+});
+
+// Snoozing a snoozed email again only changes when it comes back
+const snoozeEmail = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const snooze = await emailService.snoozeEmail(
+    req.params.emailId,
+    req.body.until
+  );
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: `Email snoozed until ${snooze.until.toISOString()}`,
+    snoozed: snoozeService.formatSnoozed(snooze),
+  });
+});
+
+// Brings the email back to the inbox now. Accepts the id it was snoozed
+// with or the id it has while snoozed.
+const unsnoozeEmail = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const snooze = await snoozeService.getSnoozed(
+    emailService,
+    req.params.emailId
+  );
+  const woken = await snoozeService.unsnoozeEmail(snooze);
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    message: "Email is back in the inbox",
+    snoozed: snoozeService.formatSnoozed(woken),
+  });
+});
+
+export { getSnoozedEmails, snoozeEmail, unsnoozeEmail };
@@ -8,6 +8,7 @@ import {
   sendSubscriptionCancelEmail,
   sendSubscriptionSuccessEmail,
 } from "../helper/notifyByEmail.js";
+import { planLimits } from "../helper/planLimits.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const getFrontendUrl =
@@ -22,13 +23,6 @@ const priceIdToPlan = {
   [process.env.STRIPE_PRICE_ENTERPRISE]: "enterprise",
 };
 
-const planLimits = {
-  free: { maxInboxes: 1, dailyQueries: 5 },
-  basic: { maxInboxes: 1, dailyQueries: 15 },
-  premium: { maxInboxes: 3, dailyQueries: Infinity || 10000000000000 },
-  enterprise: { maxInboxes: 10, dailyQueries: Infinity || 10000000000000 },
-};
-
 // Helper function to get plan details
 const getPlanDetails = (plan) => ({
   dailyQueries: planLimits[plan].dailyQueries,
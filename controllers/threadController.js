@@ -0,0 +1,67 @@
+// controllers/threadController.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { createEmailService } from "../services/emailService.js";
+import MCPServer from "../services/mcpServer.js";
+
+const THREAD_FILTERS = ["all", "read", "unread", "sent", "archived", "starred"];
+const MAX_THREADS_PER_PAGE = 100;
+
+// Conversations in the inbox, newest activity first, without message bodies
+const getThreads = catchAsync(async (req, res) => {
+  const {
+    q = "",
+    filter = "all",
+    timeFilter = "all",
+    pageToken,
+    maxResults = 25,
+  } = req.query;
+
+  if (!THREAD_FILTERS.includes(filter)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid filter. Must be one of: ${THREAD_FILTERS.join(", ")}`
+    );
+  }
+  if (pageToken && typeof pageToken !== "string") {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Invalid pageToken");
+  }
+
+  const emailService = await createEmailService(req);
+  const { threads, nextPageToken } = await emailService.fetchThreads({
+    query: q,
+    filter,
+    timeFilter,
+    pageToken,
+    maxResults: Math.min(parseInt(maxResults, 10) || 25, MAX_THREADS_PER_PAGE),
+  });
+
+  res.status(StatusCodes.OK).json({
+    success: true,
+    totalThreads: threads.length,
+    threads,
+    nextPageToken,
+  });
+});
+
+// Every message of a conversation, oldest first, with quoted text folded
+const getThread = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const thread = await emailService.getThread(req.params.threadId);
+
+  res.status(StatusCodes.OK).json({ success: true, thread });
+});
+
+// Structured summary for the frontend's cards; ?refresh=true skips the cache
+const getThreadSummary = catchAsync(async (req, res) => {
+  const emailService = await createEmailService(req);
+  const thread = await emailService.getThread(req.params.threadId);
+  const mcpServer = new MCPServer(emailService);
+  const [result] = await mcpServer.summarizeConversation(thread, req.user.id, {
+    refresh: req.query.refresh === "true",
+  });
+
+  res.status(StatusCodes.OK).json({ success: true, summary: result.summary });
+});
+
+export { getThreads, getThread, getThreadSummary };
@@ -12,6 +12,7 @@ import { generateTokens } from "./authController.js";
 import { jwtHelper } from "../helper/jwtHelper.js";
 import crypto from "crypto";
 import OTP from "../models/OTP.js";
+import { getMaxInboxes } from "../helper/planLimits.js";
 import {
   sendOTPEmail,
   sendRejectionNotification,
@@ -117,7 +118,7 @@ const getMe = catchAsync(async (req, res, next) => {
   if (!req.user || !req.user.id)
     return next(new ApiError(400, "User not authenticated"));
   const user = await User.findById(req.user.id).select(
-    "-googleAccessToken -refreshToken -microsoftAccessToken -password"
+    "-googleAccessToken -refreshToken -microsoftAccessToken -yahooAccessToken -yahooRefreshToken -password -imapSettings.password"
   );
   if (!user) return next(new ApiError(404, "User not found"));
   res.status(StatusCodes.OK).json({ success: true, data: user });
@@ -380,9 +381,7 @@ const addInbox = catchAsync(async (req, res, next) => {
   const { inbox } = req.body;
   const user = await User.findById(req.user.id);
   if (!user) return next(new ApiError(404, "User not found"));
-  const maxInboxes = { free: 1, basic: 1, premium: 3, enterprise: 10 }[
-    user.subscription.plan
-  ];
+  const maxInboxes = getMaxInboxes(user.subscription.plan);
   if (user.inboxList.length >= maxInboxes) {
     return next(new ApiError(400, "Inbox limit reached for your plan"));
   }
@@ -0,0 +1,63 @@
+// helper/apiTokenHelper.js
+import crypto from "crypto";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+import { jwtHelper } from "./jwtHelper.js";
+import ApiToken from "../models/ApiToken.js";
+import User from "../models/User.js";
+
+const API_TOKEN_PREFIX = "ibx_";
+
+const hashApiToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateApiToken = () =>
+  `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+const findUserByApiToken = async (token) => {
+  const apiToken = await ApiToken.findOne({
+    tokenHash: hashApiToken(token),
+    revokedAt: null,
+  });
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt < new Date())) {
+    throw new ApiError(
+      StatusCodes.UNAUTHORIZED,
+      "Invalid or expired API token"
+    );
+  }
+  apiToken.lastUsedAt = new Date();
+  await apiToken.save();
+  return User.findById(apiToken.userId);
+};
+
+/**
+ * Resolves a bearer credential to the req.user shape used by auth():
+ * either a personal API token (ibx_...) or a JWT access token.
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<Object>} The authenticated user summary
+ */
+const resolveBearerUser = async (token) => {
+  if (!token) {
+    throw new ApiError(StatusCodes.UNAUTHORIZED, "Authentication required");
+  }
+
+  const user = token.startsWith(API_TOKEN_PREFIX)
+    ? await findUserByApiToken(token)
+    : await User.findById(
+        jwtHelper.verifyToken(token, process.env.JWT_SECRET).id
+      );
+
+  if (!user || user.status !== "active") {
+    throw new ApiError(StatusCodes.UNAUTHORIZED, "User not found or inactive");
+  }
+
+  return {
+    id: user._id,
+    name: user?.name || "User",
+    role: user.role,
+    email: user.email,
+    authProvider: user.authProvider,
+  };
+};
+
+export { API_TOKEN_PREFIX, hashApiToken, generateApiToken, resolveBearerUser };
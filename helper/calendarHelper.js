@@ -0,0 +1,303 @@
+// helper/calendarHelper.js
+// Calendar plumbing shared by the Google and Microsoft clients: a small
+// iCalendar (RFC 5545) reader for meeting invites and wall-clock/time zone
+// conversions.
+//
+// Event times use one shape throughout: { date: "YYYY-MM-DD" } for all-day
+// events, otherwise { dateTime: "YYYY-MM-DDTHH:mm:ss", timeZone } with the
+// wall-clock time in an IANA zone ("UTC" for absolute times). Both providers
+// accept it as is.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const ICS_MIME_TYPES = ["text/calendar", "application/ics"];
+
+// Outlook writes Windows zone names into TZID; the common ones map to IANA
+const WINDOWS_TIME_ZONES = {
+  UTC: "UTC",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Central European Standard Time": "Europe/Warsaw",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "Russian Standard Time": "Europe/Moscow",
+  "Arabian Standard Time": "Asia/Dubai",
+  "India Standard Time": "Asia/Kolkata",
+  "Bangladesh Standard Time": "Asia/Dhaka",
+  "SE Asia Standard Time": "Asia/Bangkok",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "New Zealand Standard Time": "Pacific/Auckland",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Mountain Standard Time": "America/Denver",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Central Standard Time": "America/Chicago",
+  "Eastern Standard Time": "America/New_York",
+  "Atlantic Standard Time": "America/Halifax",
+  "E. South America Standard Time": "America/Sao_Paulo",
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const resolveTzid = (tzid = "") => {
+  const name = tzid.replace(/^\//, "").trim();
+  if (isValidTimeZone(name)) return name;
+  return WINDOWS_TIME_ZONES[name] || null;
+};
+
+// Wall-clock time of an instant in a zone, as "YYYY-MM-DDTHH:mm:ss"
+const formatInTimeZone = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+/**
+ * Converts a wall-clock time in a zone to the instant it names.
+ * @param {string} dateTime - "YYYY-MM-DDTHH:mm[:ss]", any fraction ignored
+ * @param {string} [timeZone] - IANA zone, UTC when missing
+ * @returns {Date}
+ */
+const zonedTimeToDate = (dateTime, timeZone = "UTC") => {
+  const wallClock = new Date(`${normalizeDateTime(dateTime)}Z`).getTime();
+  if (!isValidTimeZone(timeZone) || timeZone === "UTC") {
+    return new Date(wallClock);
+  }
+  const offsetAt = (time) =>
+    new Date(`${formatInTimeZone(new Date(time), timeZone)}Z`).getTime() -
+    Math.floor(time / 1000) * 1000;
+  // A second pass settles times near a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+const normalizeDateTime = (value) => {
+  const [date, time = "00:00:00"] = String(value).split("T");
+  const [hours = "00", minutes = "00", seconds = "00"] = time
+    .replace(OFFSET_PATTERN, "")
+    .split(":");
+  return `${date}T${hours.padStart(2, "0")}:${minutes.padStart(
+    2,
+    "0"
+  )}:${seconds.slice(0, 2).padStart(2, "0")}`;
+};
+
+const addDays = (date, days) =>
+  new Date(new Date(`${date}T00:00:00Z`).getTime() + days * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Reads an event time from user or model input.
+ * @param {string} value - "YYYY-MM-DD" for all day, a local
+ *   "YYYY-MM-DDTHH:mm" in `timeZone`, or an ISO date-time with an offset
+ * @param {string} timeZone - IANA zone for local times
+ * @returns {Object|null} An event time, or null when unreadable
+ */
+const toEventTime = (value, timeZone = "UTC") => {
+  if (!value || typeof value !== "string") return null;
+  const text = value.trim();
+  if (DATE_PATTERN.test(text)) return { date: text };
+  if (!LOCAL_DATE_TIME_PATTERN.test(text)) return null;
+  if (OFFSET_PATTERN.test(text)) {
+    const instant = new Date(text);
+    if (Number.isNaN(instant.getTime())) return null;
+    return { dateTime: formatInTimeZone(instant, timeZone), timeZone };
+  }
+  return { dateTime: normalizeDateTime(text), timeZone };
+};
+
+// Instant an event time starts at; all-day dates start at midnight in
+// `timeZone`
+const eventTimeToDate = (time, timeZone = "UTC") =>
+  time.date
+    ? zonedTimeToDate(`${time.date}T00:00:00`, timeZone)
+    : zonedTimeToDate(time.dateTime, time.timeZone);
+
+// Shifts an event time; all-day times move by whole days
+const addMinutes = (time, minutes) => {
+  if (time.date) return { date: addDays(time.date, Math.ceil(minutes / 1440)) };
+  const shifted = new Date(
+    new Date(`${time.dateTime}Z`).getTime() + minutes * 60000
+  );
+  return {
+    dateTime: shifted.toISOString().slice(0, 19),
+    timeZone: time.timeZone,
+  };
+};
+
+// ─── iCalendar ────────────────────────────────────────────────────────────
+
+const isIcsAttachment = ({ mimeType = "", filename = "" } = {}) =>
+  ICS_MIME_TYPES.includes(mimeType.toLowerCase().split(";")[0].trim()) ||
+  /\.ics$/i.test(filename);
+
+// Long lines continue on the next line after a leading space or tab
+const unfold = (text) => String(text || "").replace(/\r?\n[ \t]/g, "");
+
+const parseLine = (line) => {
+  const match = line.match(
+    /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^:;"]*))*):(.*)$/
+  );
+  if (!match) return null;
+  const params = {};
+  for (const [, name, value] of match[2].matchAll(
+    /;([A-Za-z0-9-]+)=("[^"]*"|[^:;"]*)/g
+  )) {
+    params[name.toUpperCase()] = value.replace(/^"|"$/g, "");
+  }
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+const unescapeText = (value = "") =>
+  value.replace(/\\([nN,;\\])/g, (_, char) =>
+    char.toLowerCase() === "n" ? "\n" : char
+  );
+
+const parseIcsTime = ({ params, value }, timeZone) => {
+  const match = value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (params.VALUE === "DATE" || hours === undefined) {
+    return { date: `${year}-${month}-${day}` };
+  }
+  return {
+    dateTime: `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`,
+    // Times without a zone are "floating" and read in the user's zone
+    timeZone: utc ? "UTC" : resolveTzid(params.TZID) || timeZone,
+  };
+};
+
+// RFC 5545 durations such as PT1H30M or P1D, in minutes. An event's
+// duration is never negative.
+const parseDuration = (value = "") => {
+  const match = value.match(
+    /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!match) return null;
+  const [weeks, days, hours, minutes, seconds] = match
+    .slice(1)
+    .map((part) => Number(part || 0));
+  return weeks * 10080 + days * 1440 + hours * 60 + minutes + seconds / 60;
+};
+
+const parsePerson = ({ params, value }) => ({
+  email: value
+    .replace(/^mailto:/i, "")
+    .trim()
+    .toLowerCase(),
+  name: params.CN || "",
+});
+
+const toEvent = (properties, timeZone) => {
+  const first = (name) => properties.find((property) => property.name === name);
+  const text = (name) => unescapeText(first(name)?.value || "").trim();
+
+  const start = first("DTSTART") && parseIcsTime(first("DTSTART"), timeZone);
+  if (!start) return null;
+  let end = first("DTEND") && parseIcsTime(first("DTEND"), timeZone);
+  if (!end) {
+    const duration = parseDuration(first("DURATION")?.value);
+    end = addMinutes(start, duration ?? (start.date ? 1440 : 0));
+  }
+
+  return {
+    uid: text("UID"),
+    title: text("SUMMARY"),
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    start,
+    end,
+    allDay: Boolean(start.date),
+    organizer: first("ORGANIZER") ? parsePerson(first("ORGANIZER")) : null,
+    attendees: properties
+      .filter((property) => property.name === "ATTENDEE")
+      .map((property) => ({
+        ...parsePerson(property),
+        response: (property.params.PARTSTAT || "NEEDS-ACTION").toLowerCase(),
+      })),
+    status: text("STATUS").toLowerCase() || "confirmed",
+    sequence: Number(text("SEQUENCE")) || 0,
+    // Recurrence is passed through, not expanded
+    recurrence: properties
+      .filter((property) => property.name === "RRULE")
+      .map((property) => `RRULE:${property.value}`),
+  };
+};
+
+/**
+ * Parses the events of an iCalendar file.
+ * @param {string} text - ICS content
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Zone for times without one
+ * @returns {{ method: string|null, events: Object[] }} METHOD is REQUEST
+ *   for invites, CANCEL for cancellations, REPLY for responses
+ */
+const parseIcs = (text, { timeZone = "UTC" } = {}) => {
+  const lines = unfold(text).split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let method = null;
+  let properties = null;
+
+  for (const rawLine of lines) {
+    const line = parseLine(rawLine.trim());
+    if (!line) continue;
+    if (line.name === "BEGIN") {
+      stack.push(line.value.toUpperCase());
+      if (line.value.toUpperCase() === "VEVENT") properties = [];
+    } else if (line.name === "END") {
+      if (stack.pop() === "VEVENT" && properties) {
+        const event = toEvent(properties, timeZone);
+        if (event) events.push(event);
+        properties = null;
+      }
+    } else if (stack.at(-1) === "VEVENT" && properties) {
+      properties.push(line);
+    } else if (stack.at(-1) === "VCALENDAR" && line.name === "METHOD") {
+      method = line.value.trim().toUpperCase();
+    }
+  }
+
+  return { method, events };
+};
+
+export {
+  isValidTimeZone,
+  formatInTimeZone,
+  zonedTimeToDate,
+  toEventTime,
+  eventTimeToDate,
+  addMinutes,
+  isIcsAttachment,
+  parseIcs,
+};
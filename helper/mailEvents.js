@@ -0,0 +1,13 @@
+// helper/mailEvents.js
+import { EventEmitter } from "events";
+
+// In-process fan-out of mailbox changes. The push worker emits "mail" with
+// every stored MailEvent, whichever instance received the notification, as
+// { userId, inboxId, email, provider, changes, resync, receivedAt };
+// inboxId is "primary" for the primary inbox. Open notification streams and
+// caches of email lists listen here.
+const mailEvents = new EventEmitter();
+// One listener per open stream
+mailEvents.setMaxListeners(0);
+
+export default mailEvents;
@@ -0,0 +1,165 @@
+// helper/mailHostHelper.js
+// Checks the mail servers a client asks us to connect to. IMAP/SMTP hosts
+// come from request bodies, so before any connection they have to resolve
+// to public addresses on mail ports, and a mailbox used to sign in has to
+// be served from its own domain.
+import dns from "dns/promises";
+import net from "net";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+
+export const IMAP_PORTS = [143, 993];
+export const SMTP_PORTS = [465, 587];
+
+// Providers whose IMAP server is not under the mail domain or its MX hosts,
+// keyed by the domain the mail or MX record is under
+const PROVIDER_IMAP_HOSTS = {
+  "google.com": ["imap.gmail.com"],
+  "googlemail.com": ["imap.gmail.com"],
+  "outlook.com": ["outlook.office365.com"],
+  "hotmail.com": ["outlook.office365.com"],
+  "live.com": ["outlook.office365.com"],
+  "msn.com": ["outlook.office365.com"],
+  "icloud.com": ["imap.mail.me.com"],
+  "me.com": ["imap.mail.me.com"],
+  "mac.com": ["imap.mail.me.com"],
+  "messagingengine.com": ["imap.fastmail.com"],
+};
+
+const normalizeHost = (host) =>
+  String(host || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, "");
+
+const isUnder = (host, domain) =>
+  host === domain || host.endsWith(`.${domain}`);
+
+// Loopback, private, link-local, carrier-grade NAT and multicast addresses,
+// which a host from a request or a mail header must never lead us to
+export const isPrivateAddress = (ip) => {
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+  const lower = ip.toLowerCase();
+  if (lower.startsWith("::ffff:")) return isPrivateAddress(lower.slice(7));
+  return (
+    lower === "::" ||
+    lower === "::1" ||
+    /^f[cd]/.test(lower) ||
+    /^fe[89ab]/.test(lower)
+  );
+};
+
+/**
+ * Resolves a mail host to the address to connect to, refusing hosts that
+ * resolve to any private address. Connecting to the returned address rather
+ * than the name keeps a second lookup from pointing somewhere else; the
+ * name is returned as the TLS server name.
+ *
+ * ALLOW_PRIVATE_MAIL_HOSTS=true lifts the check for self-hosted servers on
+ * the local network.
+ * @param {string} host
+ * @returns {Promise<{address: string, servername: (string|undefined)}>}
+ */
+export const resolveMailHost = async (host) => {
+  const name = normalizeHost(host);
+  if (!name) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Mail server host is required");
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(name)
+      ? [{ address: name }]
+      : await dns.lookup(name, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Could not resolve mail server ${name}`
+    );
+  }
+  const allowPrivate = process.env.ALLOW_PRIVATE_MAIL_HOSTS === "true";
+  if (
+    !addresses.length ||
+    (!allowPrivate &&
+      addresses.some(({ address }) => isPrivateAddress(address)))
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Mail server ${name} does not resolve to a public address`
+    );
+  }
+  return {
+    address: addresses[0].address,
+    servername: net.isIP(name) ? undefined : name,
+  };
+};
+
+/**
+ * Rejects ports other than the standard IMAP and SMTP submission ones.
+ * @param {{imapPort: number, smtpPort: number}} settings
+ */
+export const assertMailPorts = ({ imapPort, smtpPort }) => {
+  if (!IMAP_PORTS.includes(imapPort)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `IMAP port must be one of ${IMAP_PORTS.join(", ")}`
+    );
+  }
+  if (smtpPort !== undefined && !SMTP_PORTS.includes(smtpPort)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `SMTP port must be one of ${SMTP_PORTS.join(", ")}`
+    );
+  }
+};
+
+/**
+ * Whether an IMAP host serves the email's domain: it is the domain or a
+ * subdomain of it, sits under the domain of one of the domain's MX hosts
+ * (mx1.mailhost.net → imap.mailhost.net), or is the known IMAP server of the
+ * provider the domain or its MX records point to.
+ * @param {string} host
+ * @param {string} email
+ * @returns {Promise<boolean>}
+ */
+export const hostServesEmailDomain = async (host, email) => {
+  const name = normalizeHost(host);
+  const domain = normalizeHost(String(email).split("@").pop());
+  if (!name || !domain) return false;
+
+  let exchanges = [];
+  try {
+    exchanges = (await dns.resolveMx(domain)).map((record) =>
+      normalizeHost(record.exchange)
+    );
+  } catch (error) {
+    // No MX records: only the domain itself can serve its mail
+  }
+  // An MX host's parent domain, unless that would leave a bare TLD
+  const mxDomains = exchanges.map((exchange) =>
+    exchange.split(".").length > 2
+      ? exchange.slice(exchange.indexOf(".") + 1)
+      : exchange
+  );
+
+  const domains = [domain, ...mxDomains];
+  if (domains.some((candidate) => isUnder(name, candidate))) return true;
+  return Object.entries(PROVIDER_IMAP_HOSTS).some(
+    ([providerDomain, hosts]) =>
+      hosts.includes(name) &&
+      [domain, ...exchanges].some((candidate) =>
+        isUnder(candidate, providerDomain)
+      )
+  );
+};
@@ -529,6 +529,75 @@ const adminSubscriptionCancelNotificationTemplate = `
 </table>
 `;
 
+// One important email in the digest; filled by renderDigestItem
+const digestItemTemplate = `
+<div style="border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 0 0 20px 0;">
+  <p style="margin: 0 0 4px 0; color: ${darkGray}; font-size: 13px;">{{from}} &middot; {{date}}</p>
+  <h3 style="color: ${accentColor}; margin: 0 0 12px 0; font-size: 17px;">{{subject}}</h3>
+  <p style="color: #555; margin: 0 0 15px 0;">{{summary}}</p>
+  <div style="background-color: ${lightGray}; border-left: 4px solid ${highlightColor}; padding: 12px 15px;">
+    <p style="margin: 0 0 5px 0; color: ${darkGray}; font-size: 13px; font-weight: 600;">Suggested reply</p>
+    <p style="margin: 0; color: #444; white-space: pre-line;">{{suggestedReply}}</p>
+  </div>
+</div>
+`;
+
+const digestTemplate = `
+<table width="100%" cellspacing="0" cellpadding="0" style="${commonStyles}">
+  <tr>
+    <td align="center" style="background-color: #f4f5f7; padding: 20px;">
+      <table width="600" cellspacing="0" cellpadding="0" style="border-radius: 8px; overflow: hidden; box-shadow: 0 4px 8px rgba(0,0,0,0.1);">
+        <tr>
+          <td style="background-color: ${primaryColor}; padding: 30px; text-align: center;">
+            <img src="cid:companyLogo" alt="${companyName} Logo" style="max-width: 180px;" />
+          </td>
+        </tr>
+        <tr>
+          <td style="padding: 40px 30px; background-color: #ffffff;">
+            <h2 style="color: ${accentColor}; margin-top: 0; font-weight: 600;">Your {{frequency}} inbox digest</h2>
+            <p style="color: #555;">Hello {{name}},</p>
+            <p style="color: #555;">Here are the {{count}} most important emails in {{inbox}} from {{period}}, each with a summary and a reply you can send as is or tweak.</p>
+            {{items}}
+            <div style="text-align: center; margin: 30px 0 10px 0;">
+              <a href="https://inbox-buddy.ai/chat" style="background-color: ${primaryColor}; color: white; padding: 14px 32px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; letter-spacing: 0.3px; font-size: 16px; box-shadow: 0 4px 6px rgba(67, 97, 238, 0.2);">Open Inbox-Buddy</a>
+            </div>
+          </td>
+        </tr>
+        <tr>
+          <td style="background-color: ${lightGray}; padding: 25px; text-align: center; color: ${darkGray};">
+            <p style="margin-bottom: 10px;">© ${year} ${companyName}. All rights reserved.</p>
+            <p style="margin: 0; font-size: 14px;">
+              <a href="https://inbox-buddy.ai/chat" style="color: ${primaryColor}; text-decoration: none; margin: 0 10px;">Digest Settings</a> |
+              <a href="https://inbox-buddy.ai/about" style="color: ${primaryColor}; text-decoration: none; margin: 0 10px;">Privacy Policy</a>
+            </p>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+`;
+
+// Email content is untrusted; "$" is escaped too because replacePlaceholders
+// hands values to String.replace, which treats "$&" and friends specially
+const escapeHtml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/\$/g, "&#36;");
+
+const renderDigestItem = (item) =>
+  replacePlaceholders(digestItemTemplate, {
+    from: escapeHtml(item.from),
+    date: escapeHtml(item.date),
+    subject: escapeHtml(item.subject || "(no subject)"),
+    summary: escapeHtml(item.summary),
+    suggestedReply: escapeHtml(item.suggestedReply),
+  });
+
 // Function to get admin emails
 const getAdminEmails = async () => {
   const admins = await User.find({
@@ -887,3 +956,47 @@ export const sendSubscriptionCancelEmail = async (user) => {
     );
   }
 };
+
+/**
+ * Sends the scheduled digest of important mail.
+ * @param {Object} user - Recipient ({ name, email })
+ * @param {Object} digest
+ * @param {string} digest.frequency - "daily" or "weekly"
+ * @param {string} digest.inbox - Address of the digested inbox
+ * @param {Object[]} digest.items - { from, date, subject, summary, suggestedReply }
+ */
+export const sendDigestEmail = async (user, { frequency, inbox, items }) => {
+  const html = replacePlaceholders(digestTemplate, {
+    frequency,
+    name: escapeHtml(user.name || "there"),
+    count: items.length,
+    inbox: escapeHtml(inbox),
+    period: frequency === "weekly" ? "the past week" : "the past day",
+    items: items.map(renderDigestItem).join(""),
+  });
+  const text = htmlToText(html, { wordwrap: 130 });
+  const mailOptions = {
+    from: `"${companyName}" <${process.env.EMAIL_FROM}>`,
+    to: user.email,
+    subject: `Your ${frequency} digest: ${items.length} important ${
+      items.length === 1 ? "email" : "emails"
+    }`,
+    html,
+    text,
+  };
+  if (fs.existsSync(localLogoPath) && !logoUrl) {
+    mailOptions.attachments = [
+      {
+        filename: "logo.png",
+        path: logoUrl || localLogoPath,
+        cid: "companyLogo",
+      },
+    ];
+  }
+  try {
+    await transporter.sendMail(mailOptions);
+  } catch (error) {
+    console.error(`Failed to send digest email to ${user.email}:`, error);
+    throw error;
+  }
+};
@@ -0,0 +1,13 @@
+// helper/planLimits.js
+// Per-plan limits shared by billing, inbox linking and the email services
+const planLimits = {
+  free: { maxInboxes: 1, dailyQueries: 5 },
+  basic: { maxInboxes: 1, dailyQueries: 15 },
+  premium: { maxInboxes: 3, dailyQueries: Infinity || 10000000000000 },
+  enterprise: { maxInboxes: 10, dailyQueries: Infinity || 10000000000000 },
+};
+
+const getMaxInboxes = (plan) =>
+  (planLimits[plan] || planLimits.free).maxInboxes;
+
+export { planLimits, getMaxInboxes };
@@ -0,0 +1,294 @@
+// helper/schemaOrgHelper.js
+// Reads the schema.org JSON-LD that airlines, hotels, shops and carriers put
+// in their emails (https://developers.google.com/gmail/markup) into the
+// plain records the extraction service stores. Microdata is not read.
+//
+// Records carry a kind plus its fields, e.g. { kind: "purchase", merchant,
+// orderNumber, orderDate, total, currency, items }. Dates stay the strings
+// the markup gives; amounts are numbers or null.
+
+const JSON_LD_PATTERN =
+  /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+const ENTITIES = {
+  "&quot;": '"',
+  "&#34;": '"',
+  "&apos;": "'",
+  "&#39;": "'",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&nbsp;": " ",
+  "&amp;": "&",
+};
+
+const decodeEntities = (text) =>
+  text.replace(
+    /&(quot|#34|apos|#39|lt|gt|nbsp|amp);/g,
+    (entity) => ENTITIES[entity]
+  );
+
+const parseBlock = (text) => {
+  for (const candidate of [text, decodeEntities(text)]) {
+    try {
+      return JSON.parse(candidate.trim().replace(/^<!--|-->$/g, ""));
+    } catch (error) {
+      // Some senders HTML-escape the block; the decoded text is tried next
+    }
+  }
+  return null;
+};
+
+// Every object in the markup, nested graphs and lists included
+const flatten = (value) => {
+  if (Array.isArray(value)) return value.flatMap(flatten);
+  if (!value || typeof value !== "object") return [];
+  return [value, ...(value["@graph"] ? flatten(value["@graph"]) : [])];
+};
+
+/**
+ * The JSON-LD objects in an HTML email body.
+ * @param {string} html
+ * @returns {Object[]}
+ */
+const readJsonLd = (html) => {
+  if (!html) return [];
+  const nodes = [];
+  for (const [, block] of String(html).matchAll(JSON_LD_PATTERN)) {
+    nodes.push(...flatten(parseBlock(block)));
+  }
+  return nodes;
+};
+
+// "http://schema.org/FlightReservation" and ["FlightReservation"] both
+// read as FlightReservation
+const typeOf = (node) => {
+  const type = Array.isArray(node?.["@type"])
+    ? node["@type"][0]
+    : node?.["@type"];
+  return typeof type === "string" ? type.split("/").pop() : "";
+};
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+const text = (value) => {
+  const item = first(value);
+  if (item === null || item === undefined) return "";
+  if (typeof item === "object") {
+    return text(item.name ?? item.iataCode ?? item["@id"] ?? item.value);
+  }
+  return String(item).trim();
+};
+
+/**
+ * Reads an amount the way receipts write it: 12.5, "12.50", "$1,234.56" or
+ * "1.234,56 €".
+ * @returns {number|null}
+ */
+const toAmount = (value) => {
+  const item = first(value);
+  if (typeof item === "number") return Number.isFinite(item) ? item : null;
+  if (item && typeof item === "object") {
+    return toAmount(item.price ?? item.value ?? item.amount);
+  }
+  let digits = String(item ?? "").replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(digits)) return null;
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+  // A comma after the last dot, or followed by one or two final digits, is
+  // the decimal separator
+  if (lastComma > lastDot && (lastDot !== -1 || /,\d{1,2}$/.test(digits))) {
+    digits = digits.replace(/\./g, "").replace(",", ".");
+  } else {
+    digits = digits.replace(/,/g, "");
+  }
+  const amount = parseFloat(digits);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const currencyOf = (...values) => {
+  for (const value of values) {
+    const item = first(value);
+    const currency =
+      item && typeof item === "object" ? item.priceCurrency : item;
+    if (typeof currency === "string" && /^[A-Za-z]{3}$/.test(currency.trim())) {
+      return currency.trim().toUpperCase();
+    }
+  }
+  return "";
+};
+
+const address = (value) => {
+  const item = first(value);
+  if (!item || typeof item !== "object") return text(item);
+  return [
+    item.streetAddress,
+    item.addressLocality,
+    item.addressRegion,
+    item.postalCode,
+    text(item.addressCountry),
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+// Airports by IATA code ("DEN") when the markup has one
+const airport = (value) => text(first(value)?.iataCode ?? value);
+
+const names = (value) =>
+  (Array.isArray(value) ? value : value ? [value] : [])
+    .map(text)
+    .filter(Boolean);
+
+const dateOf = (...values) => values.map(text).find(Boolean) || "";
+
+// schema.org statuses (OrderDelivered, PaymentDue…) as the stored ones
+const DELIVERY_STATUSES = {
+  OrderProcessing: "ordered",
+  OrderPaymentDue: "ordered",
+  OrderPickupAvailable: "out_for_delivery",
+  OrderInTransit: "in_transit",
+  OrderDelivered: "delivered",
+  OrderProblem: "exception",
+  OrderReturned: "exception",
+  OrderCancelled: "exception",
+};
+
+const statusName = (value) => text(value).split("/").pop();
+
+const toPurchase = (order) => {
+  const offers = Array.isArray(order.acceptedOffer)
+    ? order.acceptedOffer
+    : order.acceptedOffer
+    ? [order.acceptedOffer]
+    : [];
+  return {
+    kind: "purchase",
+    merchant: text(order.merchant ?? order.seller ?? order.broker),
+    orderNumber: text(order.orderNumber ?? order.confirmationNumber),
+    orderDate: dateOf(order.orderDate),
+    total: toAmount(order.totalPaymentDue ?? order.price ?? order.totalPrice),
+    currency: currencyOf(
+      order.priceCurrency,
+      order.totalPaymentDue,
+      ...offers.map((offer) => offer?.priceCurrency)
+    ),
+    items: offers
+      .map((offer) => ({
+        name: text(offer?.itemOffered),
+        quantity: toAmount(offer?.eligibleQuantity) ?? 1,
+        price: toAmount(offer?.price ?? offer?.priceSpecification),
+      }))
+      .filter((item) => item.name),
+  };
+};
+
+const toShipment = (delivery, order = {}) => ({
+  kind: "shipment",
+  carrier: text(delivery.carrier ?? delivery.provider),
+  trackingNumber: text(delivery.trackingNumber),
+  trackingUrl: text(delivery.trackingUrl),
+  merchant: text(
+    order.merchant ?? order.seller ?? first(delivery.partOfOrder)?.merchant
+  ),
+  orderNumber: text(
+    order.orderNumber ?? first(delivery.partOfOrder)?.orderNumber
+  ),
+  status: DELIVERY_STATUSES[statusName(delivery.deliveryStatus)] || "",
+  expectedDelivery: dateOf(
+    delivery.expectedArrivalUntil,
+    delivery.expectedArrivalFrom
+  ),
+});
+
+const toFlight = (reservation) => {
+  const flight = first(reservation.reservationFor) || {};
+  const airline = first(flight.airline) || {};
+  const number = text(flight.flightNumber);
+  return {
+    kind: "reservation",
+    type: "flight",
+    confirmationNumber: text(reservation.reservationNumber),
+    provider: text(airline),
+    // "UA 123" whether the markup splits airline and number or not
+    flightNumber:
+      airline.iataCode && number && !number.startsWith(airline.iataCode)
+        ? `${airline.iataCode} ${number}`
+        : number,
+    origin: airport(flight.departureAirport),
+    destination: airport(flight.arrivalAirport),
+    startAt: dateOf(flight.departureTime),
+    endAt: dateOf(flight.arrivalTime),
+    travelers: names(reservation.underName),
+  };
+};
+
+const toHotel = (reservation) => {
+  const lodging = first(reservation.reservationFor) || {};
+  return {
+    kind: "reservation",
+    type: "hotel",
+    confirmationNumber: text(reservation.reservationNumber),
+    provider: text(lodging.brand) || text(lodging),
+    name: text(lodging),
+    address: address(lodging.address),
+    startAt: dateOf(reservation.checkinTime, reservation.checkinDate),
+    endAt: dateOf(reservation.checkoutTime, reservation.checkoutDate),
+    travelers: names(reservation.underName),
+  };
+};
+
+const toBill = (invoice) => {
+  const status = statusName(invoice.paymentStatus);
+  return {
+    kind: "bill",
+    issuer: text(invoice.provider ?? invoice.broker ?? invoice.seller),
+    invoiceNumber: text(
+      invoice.confirmationNumber ?? invoice.identifier ?? invoice.accountId
+    ),
+    amount: toAmount(invoice.totalPaymentDue ?? invoice.minimumPaymentDue),
+    currency: currencyOf(invoice.totalPaymentDue, invoice.minimumPaymentDue),
+    dueDate: dateOf(invoice.paymentDueDate ?? invoice.paymentDue),
+    status: /Complete|Paid/i.test(status) ? "paid" : status ? "due" : "",
+    paymentUrl: text(invoice.url ?? first(invoice.potentialAction)?.target),
+  };
+};
+
+/**
+ * Turns JSON-LD objects into records: Order, Invoice, ParcelDelivery (on
+ * its own or as an order's orderDelivery), FlightReservation and
+ * LodgingReservation. Other types are skipped.
+ * @param {Object[]} nodes - From readJsonLd
+ * @returns {Object[]}
+ */
+const schemaOrgRecords = (nodes) => {
+  const records = [];
+  for (const node of nodes) {
+    switch (typeOf(node)) {
+      case "Order": {
+        records.push(toPurchase(node));
+        const delivery = first(node.orderDelivery);
+        if (delivery && typeof delivery === "object") {
+          records.push(toShipment(delivery, node));
+        }
+        break;
+      }
+      case "ParcelDelivery":
+        records.push(toShipment(node));
+        break;
+      case "FlightReservation":
+        records.push(toFlight(node));
+        break;
+      case "LodgingReservation":
+        records.push(toHotel(node));
+        break;
+      case "Invoice":
+        records.push(toBill(node));
+        break;
+      default:
+        break;
+    }
+  }
+  return records;
+};
+
+export { readJsonLd, schemaOrgRecords, toAmount };
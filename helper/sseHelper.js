@@ -0,0 +1,48 @@
+// helper/sseHelper.js
+const HEARTBEAT_INTERVAL = 15000;
+
+// Clients opt into streaming with ?stream=true, { stream: true } in the body
+// or an Accept: text/event-stream header
+export const wantsEventStream = (req) =>
+  req.query?.stream === "true" ||
+  req.body?.stream === true ||
+  req.body?.stream === "true" ||
+  (req.headers?.accept || "").includes("text/event-stream");
+
+// Switches the response to Server-Sent Events. send() is a no-op once the
+// client has disconnected so callers can keep working and persist results.
+export const openEventStream = (req, res) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  // Stop nginx from buffering the stream
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  req.on("close", cleanup);
+
+  return {
+    send: (event, data = {}) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      if (closed) return;
+      cleanup();
+      res.end();
+    },
+    get closed() {
+      return closed;
+    },
+  };
+};
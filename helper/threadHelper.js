@@ -0,0 +1,134 @@
+// helper/threadHelper.js
+// Provider-agnostic conversation building: orders a thread's messages and
+// folds the quoted history every reply drags along.
+
+// Lines that start the quoted copy of an earlier message
+const QUOTE_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/i,
+  /^Le .+a écrit\s*:\s*$/i,
+  /^Am .+schrieb .+:\s*$/i,
+  /^El .+escribió:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^_{10,}\s*$/,
+];
+const EMAIL_ADDRESS_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const SUBJECT_PREFIX_PATTERN = /^\s*((re|fw|fwd|aw|sv|tr)\s*(\[\d+\])?:\s*)+/i;
+
+const isQuoteHeader = (line, nextLine = "") => {
+  const trimmed = line.trim();
+  if (QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(trimmed))) {
+    return true;
+  }
+  // Gmail wraps long attributions: "On Mon, 3 Jun 2024 at 10:00, Jane" / "<jane@x.com> wrote:"
+  if (/^On .+/i.test(trimmed) && /wrote:\s*$/i.test(nextLine.trim())) {
+    return true;
+  }
+  // Outlook's header block: "From: ..." followed by "Sent:" or "Date:"
+  return /^From:\s/i.test(trimmed) && /^(Sent|Date):\s/i.test(nextLine.trim());
+};
+
+/**
+ * Splits an email body into the new text and the quoted history below it.
+ * @param {string} body - Plain-text email body
+ * @returns {{ body: string, quotedText: string }}
+ */
+const foldQuotedText = (body = "") => {
+  const lines = String(body || "").split(/\r?\n/);
+
+  let cut = lines.findIndex((line, i) => isQuoteHeader(line, lines[i + 1]));
+  if (cut === -1) {
+    // No attribution line, but a trailing run of "> " lines is still a quote
+    let start = lines.length;
+    while (start > 0 && /^\s*(>|$)/.test(lines[start - 1])) start--;
+    if (lines.slice(start).some((line) => /^\s*>/.test(line))) cut = start;
+  }
+  if (cut <= 0) return { body: String(body || "").trim(), quotedText: "" };
+
+  return {
+    body: lines.slice(0, cut).join("\n").trim(),
+    quotedText: lines.slice(cut).join("\n").trim(),
+  };
+};
+
+const normalizeSubject = (subject = "") =>
+  subject.replace(SUBJECT_PREFIX_PATTERN, "").trim();
+
+const extractAddresses = (value = "") =>
+  (String(value).match(EMAIL_ADDRESS_PATTERN) || []).map((address) =>
+    address.toLowerCase()
+  );
+
+const byDate = (a, b) =>
+  (new Date(a.date).getTime() || 0) - (new Date(b.date).getTime() || 0);
+
+const getParticipants = (messages) => [
+  ...new Set(
+    messages.flatMap((message) => [
+      ...extractAddresses(message.from),
+      ...extractAddresses(message.to),
+    ])
+  ),
+];
+
+/**
+ * Builds the list-view entry for a conversation without folding bodies.
+ * @param {string} threadId - Provider thread / conversation id
+ * @param {Object[]} messages - Formatted emails belonging to the thread
+ */
+const toThreadListEntry = (threadId, messages) => {
+  const ordered = [...messages].sort(byDate);
+  const latest = ordered[ordered.length - 1] || {};
+  return {
+    id: threadId,
+    subject: normalizeSubject(ordered[0]?.subject || latest.subject),
+    participants: getParticipants(ordered),
+    messageCount: ordered.length,
+    unreadCount: ordered.filter((message) => message.isRead === false).length,
+    hasAttachments: ordered.some((message) => message.hasAttachments),
+    lastMessageAt: latest.date || null,
+    lastMessageId: latest.id || null,
+    from: latest.from || "",
+    snippet: latest.snippet || "",
+  };
+};
+
+/**
+ * Builds a full conversation: messages oldest first, each with its quoted
+ * history folded into `quotedText`.
+ * @param {string} threadId - Provider thread / conversation id
+ * @param {Object[]} messages - Formatted emails belonging to the thread
+ */
+const buildThread = (threadId, messages) => ({
+  ...toThreadListEntry(threadId, messages),
+  messages: [...messages].sort(byDate).map((message) => {
+    const { body, quotedText } = foldQuotedText(message.body);
+    return { ...message, body, quotedText };
+  }),
+});
+
+/**
+ * The message a reply should answer: the latest one not sent by the user.
+ * @param {Object} thread - Result of buildThread
+ * @param {string} ownEmail - Address of the mailbox replying
+ */
+const getReplyTarget = (thread, ownEmail = "") => {
+  const own = ownEmail.toLowerCase();
+  const incoming = thread.messages.filter(
+    (message) => !extractAddresses(message.from).includes(own)
+  );
+  return (
+    incoming[incoming.length - 1] ||
+    thread.messages[thread.messages.length - 1] ||
+    null
+  );
+};
+
+export {
+  foldQuotedText,
+  normalizeSubject,
+  extractAddresses,
+  toThreadListEntry,
+  buildThread,
+  getReplyTarget,
+};
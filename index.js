@@ -18,10 +18,22 @@ import emailRoutes from "./routes/emailRoutes.js";
 import aiChatRoutes from "./routes/aiChatRoutes.js";
 import aiModelRoutes from "./routes/aiModelRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
+import mcpRoutes from "./routes/mcpRoutes.js";
+import ruleRoutes from "./routes/ruleRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import contactRoutes from "./routes/contactRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import extractionRoutes from "./routes/extractionRoutes.js";
 import { globalErrorHandler } from "./utils/errorHandler.js";
 import requestLogger from "./utils/requestLogger.js";
 import serverMonitor from "./utils/serverMonitor.js"; // Import our server monitor
 import { handleWebhook } from "./controllers/stripeController.js";
+import ScheduledSendWorker from "./services/scheduledSendWorker.js";
+import DigestWorker from "./services/digestWorker.js";
+import RuleWorker from "./services/ruleWorker.js";
+import SnoozeWorker from "./services/snoozeWorker.js";
+import PushWorker from "./services/pushWorker.js";
+import MailIndexWorker from "./services/mailIndexWorker.js";
 import "./config/passport.js";
 import { homePageHTML } from "./home.js";
 
@@ -106,7 +118,14 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "Cache-Control"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "Cache-Control",
+      "X-Inbox-Id",
+      "X-Timezone",
+      "Mcp-Protocol-Version",
+    ],
     exposedHeaders: ["Authorization"],
   })
 );
@@ -142,6 +161,12 @@ app.use("/api/v1/ai-models", aiModelRoutes);
 app.use("/api/v1/emails", emailRoutes);
 app.use("/api/v1/ai-assistant", aiChatRoutes);
 app.use("/api/v1/chats", chatRoutes);
+app.use("/api/v1/mcp", mcpRoutes);
+app.use("/api/v1/rules", ruleRoutes);
+app.use("/api/v1/calendar", calendarRoutes);
+app.use("/api/v1/contacts", contactRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/extractions", extractionRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -199,6 +224,25 @@ const monitor = serverMonitor(app, PORT, IP_ADDRESS, 2000);
     // Start server
     await monitor.start();
 
+    // Deliver emails queued with sendAt
+    const scheduledSendWorker = new ScheduledSendWorker();
+    scheduledSendWorker.start();
+    // Email daily/weekly digests at each user's chosen local time
+    const digestWorker = new DigestWorker();
+    digestWorker.start();
+    // Apply users' mail rules to newly arrived messages
+    const ruleWorker = new RuleWorker();
+    ruleWorker.start();
+    // Bring snoozed emails back to the inbox when they are due
+    const snoozeWorker = new SnoozeWorker();
+    snoozeWorker.start();
+    // Relay pushed mailbox changes and renew Gmail/Graph watches
+    const pushWorker = new PushWorker();
+    pushWorker.start();
+    // Keep the local mail index behind search in step with the mailboxes
+    const mailIndexWorker = new MailIndexWorker();
+    mailIndexWorker.start();
+
     // // Set up memory usage monitoring
     // const memoryMonitorInterval = setInterval(() => {
     //   const memoryUsage = process.memoryUsage();
@@ -216,6 +260,12 @@ const monitor = serverMonitor(app, PORT, IP_ADDRESS, 2000);
       console.log(
         `\n🛑 Received ${signal} signal. Shutting down gracefully...`
       );
+      scheduledSendWorker.stop();
+      digestWorker.stop();
+      ruleWorker.stop();
+      snoozeWorker.stop();
+      pushWorker.stop();
+      mailIndexWorker.stop();
       clearInterval(memoryMonitorInterval);
       await monitor.stop();
       process.exit(0);
@@ -0,0 +1,49 @@
+// mcp-stdio.js
+// Local Model Context Protocol server over stdio, e.g. for desktop agents:
+//   INBOX_BUDDY_TOKEN=ibx_... node mcp-stdio.js
+// INBOX_BUDDY_TOKEN is a personal API token or a JWT access token;
+// INBOX_BUDDY_INBOX_ID optionally selects a linked inbox.
+
+// stdout carries the protocol, so every log line has to go to stderr. Modules
+// are loaded dynamically below so this is in place before any of them log.
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const { default: dotenv } = await import("dotenv");
+const { default: mongoose } = await import("mongoose");
+const { StdioServerTransport } = await import(
+  "@modelcontextprotocol/sdk/server/stdio.js"
+);
+const { default: connectDB } = await import("./config/database.js");
+const { resolveBearerUser } = await import("./helper/apiTokenHelper.js");
+const { createEmailServiceFor } = await import("./services/emailService.js");
+const { createMcpProtocolServer } = await import(
+  "./services/mcpProtocolServer.js"
+);
+
+dotenv.config();
+
+try {
+  await connectDB();
+
+  const user = await resolveBearerUser(process.env.INBOX_BUDDY_TOKEN);
+  const emailService = await createEmailServiceFor(
+    user.id,
+    process.env.INBOX_BUDDY_INBOX_ID || null
+  );
+
+  const server = createMcpProtocolServer(user, emailService);
+  await server.connect(new StdioServerTransport());
+
+  // The client ends the session by closing our stdin
+  process.stdin.on("end", async () => {
+    await server.close();
+    await mongoose.disconnect();
+    process.exit(0);
+  });
+  console.error(`📬 Inbox-Buddy MCP server ready for ${user.email} (stdio)`);
+} catch (error) {
+  console.error("Failed to start MCP server:", error.message || error);
+  process.exit(1);
+}
@@ -129,6 +129,8 @@ const handleTokenRefresh = async (refreshToken, req, res, next, roles) => {
       authProvider: user.authProvider,
       hasGoogleAuth: !!user.googleAccessToken,
       hasMicrosoftAuth: !!user.microsoftAccessToken,
+      hasYahooAuth: !!user.yahooAccessToken,
+      hasImapAuth: !!user.imapSettings?.password,
     };
 
     const newAccessToken = jwtHelper.createAccessToken(payload);
@@ -1,13 +1,18 @@
 // middleware/emailMiddleware.js
 import { StatusCodes } from "http-status-codes";
 import { ApiError, catchAsync } from "../utils/errorHandler.js";
+import { getRequestedInboxId } from "../services/emailService.js";
 
 const emailAuth = catchAsync(async (req, res, next) => {
   const { authProvider } = req.user;
 
   // console.log("Get Auth Provider in email middleware::", authProvider);
 
-  if (!["google", "microsoft", "yahoo"].includes(authProvider)) {
+  // Linked inboxes carry their own provider, checked when the service is built
+  if (
+    !getRequestedInboxId(req) &&
+    !["google", "microsoft", "yahoo", "imap"].includes(authProvider)
+  ) {
     throw new ApiError(
       StatusCodes.BAD_REQUEST,
       "Unsupported auth provider for email operations"
@@ -0,0 +1,23 @@
+// middleware/mcpAuthMiddleware.js
+import { catchAsync } from "../utils/errorHandler.js";
+import { resolveBearerUser } from "../helper/apiTokenHelper.js";
+
+// MCP clients authenticate with "Authorization: Bearer <token>", where the
+// token is either a JWT access token or a personal API token. Cookies and
+// refresh tokens are not used here.
+const mcpAuth = catchAsync(async (req, res, next) => {
+  const authorization = req.headers.authorization || "";
+  const token = authorization.startsWith("Bearer ")
+    ? authorization.substring(7).trim()
+    : undefined;
+
+  try {
+    req.user = await resolveBearerUser(token);
+  } catch (error) {
+    res.set("WWW-Authenticate", 'Bearer realm="inbox-buddy-mcp"');
+    throw error;
+  }
+  next();
+});
+
+export default mcpAuth;
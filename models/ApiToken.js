@@ -0,0 +1,25 @@
+// models/ApiToken.js
+import mongoose from "mongoose";
+
+// Personal API tokens let external agents (e.g. MCP clients) act on behalf of
+// a user. Only the SHA-256 hash is stored; the raw token is shown once.
+const apiTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true },
+    tokenHash: { type: String, required: true, unique: true },
+    prefix: { type: String, required: true },
+    lastUsedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+export default ApiToken;
@@ -0,0 +1,38 @@
+// models/Bill.js
+import mongoose from "mongoose";
+
+// An invoice or bill read from an email (see services/extractionService.js)
+const billSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    emailId: { type: String, required: true },
+    sender: { type: String, default: "" },
+    emailDate: { type: Date, default: null },
+    source: { type: String, enum: ["schema.org", "model"], required: true },
+    // Company or person billing the user
+    issuer: { type: String, required: true },
+    invoiceNumber: { type: String, default: "" },
+    amount: { type: Number, default: null },
+    currency: { type: String, default: "" },
+    dueDate: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ["due", "paid", "unknown"],
+      default: "unknown",
+    },
+    paymentUrl: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+billSchema.index({ userId: 1, inboxId: 1, emailId: 1 });
+billSchema.index({ userId: 1, inboxId: 1, dueDate: -1 });
+
+const Bill = mongoose.model("Bill", billSchema);
+export default Bill;
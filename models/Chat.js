@@ -31,6 +31,19 @@ const chatSchema = new mongoose.Schema({
         type: String,
         required: false,
       },
+      // Emails an assistant reply cites as [marker]
+      citations: [
+        {
+          _id: false,
+          marker: Number,
+          emailId: String,
+          threadId: String,
+          inboxId: String,
+          from: String,
+          subject: String,
+          date: Date,
+        },
+      ],
     },
   ],
   createdAt: {
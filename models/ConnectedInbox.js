@@ -0,0 +1,50 @@
+// models/ConnectedInbox.js
+import mongoose from "mongoose";
+import { imapSettingsSchema } from "./User.js";
+
+// An additional mailbox linked to a user account. The account the user signed
+// in with stays on the User document; every extra inbox gets its own provider
+// and tokens here. Token fields mirror the names used on User so the provider
+// services can work against either document.
+const connectedInboxSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String },
+    provider: {
+      type: String,
+      enum: ["google", "microsoft", "yahoo", "imap"],
+      required: true,
+    },
+    googleId: { type: String },
+    googleAccessToken: { type: String },
+    googleRefreshToken: { type: String },
+    googleAccessTokenExpires: { type: Number },
+    microsoftId: { type: String },
+    microsoftAccessToken: { type: String },
+    microsoftRefreshToken: { type: String },
+    microsoftAccessTokenExpires: { type: Number },
+    yahooId: { type: String },
+    yahooAccessToken: { type: String },
+    yahooRefreshToken: { type: String },
+    yahooAccessTokenExpires: { type: Number },
+    imapSettings: { type: imapSettingsSchema },
+    status: {
+      type: String,
+      enum: ["active", "disconnected"],
+      default: "active",
+    },
+    lastSync: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+connectedInboxSchema.index({ userId: 1, email: 1 }, { unique: true });
+
+const ConnectedInbox = mongoose.model("ConnectedInbox", connectedInboxSchema);
+export default ConnectedInbox;
@@ -0,0 +1,36 @@
+// models/Contact.js
+import mongoose from "mongoose";
+
+// One address in a user's address book, merged across their inboxes. Mail
+// headers give the counts; provider address books (Google People, Outlook
+// contacts) mostly give names. Counts cover the recent messages scanned on
+// each sync plus the emails sent from chat since.
+const contactSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Lowercased address
+    email: { type: String, required: true },
+    name: { type: String, default: "" },
+    sources: [
+      {
+        type: String,
+        enum: ["sent", "received", "google", "microsoft"],
+      },
+    ],
+    // Messages the user sent to / received from this address
+    sentCount: { type: Number, default: 0 },
+    receivedCount: { type: Number, default: 0 },
+    lastContactedAt: { type: Date, default: null },
+    lastReceivedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+contactSchema.index({ userId: 1, email: 1 }, { unique: true });
+
+const Contact = mongoose.model("Contact", contactSchema);
+export default Contact;
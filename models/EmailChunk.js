@@ -0,0 +1,30 @@
+// models/EmailChunk.js
+import mongoose from "mongoose";
+
+// An embedded piece of an indexed message for semantic search (see
+// services/semanticSearchService.js). Long messages are split into several
+// overlapping chunks. With MAIL_VECTOR_SEARCH=atlas, an Atlas Vector Search
+// index over `embedding` (filters: userId, inboxId, model, date) serves
+// queries; otherwise they are scored in the server.
+const emailChunkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Linked inbox; null for the primary inbox
+  inboxId: { type: String, default: null },
+  emailId: { type: String, required: true },
+  chunkIndex: { type: Number, default: 0 },
+  text: { type: String, default: "" },
+  // Unit-length vector from the embedder named in model
+  embedding: [{ type: Number }],
+  model: { type: String, required: true },
+  date: { type: Date, default: null },
+});
+
+emailChunkSchema.index({ userId: 1, inboxId: 1, emailId: 1 });
+emailChunkSchema.index({ userId: 1, inboxId: 1, model: 1, date: -1 });
+
+const EmailChunk = mongoose.model("EmailChunk", emailChunkSchema);
+export default EmailChunk;
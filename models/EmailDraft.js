@@ -1,19 +1,59 @@
 // models/EmailDraft.js
 import mongoose from "mongoose";
 
-const emailDraftSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-  recipientId: { type: String, required: true },
-  subject: { type: String, required: true },
-  message: { type: String, required: true },
-  status: {
-    type: String,
-    enum: ["draft", "sent", "send"],
-    default: "draft",
+const attachmentSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true },
+    originalname: { type: String },
+    path: { type: String, required: true },
+    mimetype: { type: String },
+    size: { type: Number },
   },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
+  { _id: false }
+);
+
+// Every edit keeps a snapshot so earlier wording can be compared or restored
+const draftVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    recipientId: { type: String },
+    subject: { type: String },
+    message: { type: String },
+    instruction: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const emailDraftSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox the draft belongs to; null for the primary inbox
+    inboxId: { type: String, default: null },
+    recipientId: { type: String, required: true },
+    subject: { type: String, default: "" },
+    message: { type: String, default: "" },
+    attachments: { type: [attachmentSchema], default: [] },
+    status: {
+      type: String,
+      enum: ["draft", "sent", "send"],
+      default: "draft",
+    },
+    version: { type: Number, default: 1 },
+    versions: { type: [draftVersionSchema], default: [] },
+    providerDraftId: { type: String, default: null },
+    providerSyncedAt: { type: Date, default: null },
+    providerSyncError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+emailDraftSchema.index({ userId: 1, inboxId: 1, status: 1, updatedAt: -1 });
 
 const EmailDraft = mongoose.model("EmailDraft", emailDraftSchema);
 export default EmailDraft;
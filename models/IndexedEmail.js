@@ -0,0 +1,68 @@
+// models/IndexedEmail.js
+import mongoose from "mongoose";
+
+// One message in a user's local mail index (see services/mailIndexService.js).
+// Search, counts and breakdowns read these instead of the provider. Bodies
+// are plain text, cut to keep documents small.
+const indexedEmailSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Linked inbox; null for the primary inbox
+  inboxId: { type: String, default: null },
+  // Provider message id
+  emailId: { type: String, required: true },
+  threadId: { type: String, default: "" },
+  subject: { type: String, default: "" },
+  // From header as the provider gives it, plus its parts
+  from: { type: String, default: "" },
+  fromAddress: { type: String, default: "" },
+  fromName: { type: String, default: "" },
+  to: { type: String, default: "" },
+  date: { type: Date, default: null },
+  snippet: { type: String, default: "" },
+  body: { type: String, default: "" },
+  isRead: { type: Boolean, default: false },
+  // Sent from this mailbox
+  sent: { type: Boolean, default: false },
+  labels: [{ type: String }],
+  hasAttachments: { type: Boolean, default: false },
+  canUnsubscribe: { type: Boolean, default: null },
+  // Last time a sync wrote this message; a rebuild drops the ones it
+  // no longer sees
+  indexedAt: { type: Date, default: Date.now },
+  // Hash of subject and body, and what was last embedded for semantic
+  // search; a message whose text or embedder changed is embedded again
+  contentHash: { type: String, default: "" },
+  embeddedHash: { type: String, default: null },
+  embeddedModel: { type: String, default: null },
+  // When purchases, bookings, shipments and bills were read from it
+  extractedAt: { type: Date, default: null },
+});
+
+indexedEmailSchema.index(
+  { userId: 1, inboxId: 1, emailId: 1 },
+  { unique: true }
+);
+indexedEmailSchema.index({ userId: 1, inboxId: 1, date: -1 });
+indexedEmailSchema.index({ userId: 1, inboxId: 1, fromAddress: 1 });
+indexedEmailSchema.index(
+  {
+    userId: 1,
+    inboxId: 1,
+    subject: "text",
+    from: "text",
+    to: "text",
+    body: "text",
+  },
+  {
+    name: "indexed_email_text",
+    weights: { subject: 5, from: 3, to: 2, body: 1 },
+    default_language: "english",
+  }
+);
+
+const IndexedEmail = mongoose.model("IndexedEmail", indexedEmailSchema);
+export default IndexedEmail;
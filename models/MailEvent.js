@@ -0,0 +1,39 @@
+// models/MailEvent.js
+import mongoose from "mongoose";
+
+// A mailbox change reported by push. Notifications reach one server
+// instance, so they are stored here and every instance relays them to its
+// own browsers and caches (see services/pushWorker.js). Kept for an hour.
+const mailEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    provider: { type: String, enum: ["google", "microsoft"], required: true },
+    email: { type: String, required: true },
+    changes: [
+      {
+        _id: false,
+        emailId: { type: String, required: true },
+        changeType: {
+          type: String,
+          enum: ["created", "updated", "deleted"],
+          required: true,
+        },
+      },
+    ],
+    // The provider could not say what changed; clients should refetch
+    resync: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 },
+  },
+  { versionKey: false }
+);
+
+mailEventSchema.index({ createdAt: 1, _id: 1 });
+
+const MailEvent = mongoose.model("MailEvent", mailEventSchema);
+export default MailEvent;
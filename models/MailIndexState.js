@@ -0,0 +1,46 @@
+// models/MailIndexState.js
+import mongoose from "mongoose";
+
+// Sync state of one inbox's local mail index. An index is created the first
+// time the inbox is searched, backfilled page by page, then kept current
+// from the provider's change feed (Gmail history, Graph delta). The index
+// worker claims states from nextSyncAt on.
+const mailIndexStateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    provider: { type: String, required: true },
+    email: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: ["backfilling", "ready", "failed"],
+      default: "backfilling",
+    },
+    // Provider-specific position in the change feed (see listMailboxChanges)
+    cursor: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Oldest date the backfill reached back to; null when it covers the
+    // whole mailbox
+    coveredSince: { type: Date, default: null },
+    backfillStartedAt: { type: Date, default: Date.now },
+    messageCount: { type: Number, default: 0 },
+    nextSyncAt: { type: Date, default: Date.now },
+    // Set while a worker syncs the inbox
+    lockedUntil: { type: Date, default: null },
+    lastSyncAt: { type: Date, default: null },
+    // Inboxes nobody searched in a while are not synced
+    lastUsedAt: { type: Date, default: Date.now },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+mailIndexStateSchema.index({ userId: 1, inboxId: 1 }, { unique: true });
+mailIndexStateSchema.index({ status: 1, nextSyncAt: 1 });
+
+const MailIndexState = mongoose.model("MailIndexState", mailIndexStateSchema);
+export default MailIndexState;
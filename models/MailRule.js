@@ -0,0 +1,77 @@
+// models/MailRule.js
+import mongoose from "mongoose";
+
+const RULE_FIELDS = ["from", "to", "subject", "body", "any"];
+const RULE_OPERATORS = [
+  "contains",
+  "notContains",
+  "equals",
+  "startsWith",
+  "endsWith",
+  "matches",
+];
+const RULE_ACTIONS = [
+  "markRead",
+  "markUnread",
+  "trash",
+  "forward",
+  "label",
+  "archive",
+  "star",
+];
+
+const ruleConditionSchema = new mongoose.Schema(
+  {
+    field: { type: String, enum: RULE_FIELDS, required: true },
+    operator: { type: String, enum: RULE_OPERATORS, default: "contains" },
+    value: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const ruleActionSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: RULE_ACTIONS, required: true },
+    // Label name for "label", recipient address for "forward"
+    value: { type: String },
+  },
+  { _id: false }
+);
+
+// A user-defined filter that acts on incoming mail. Plain conditions are
+// checked first; the optional aiCondition is a natural-language test ("is a
+// newsletter") the model only evaluates for messages that passed them.
+const mailRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox the rule watches; null for the primary inbox
+    inboxId: { type: String, default: null },
+    name: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    match: { type: String, enum: ["all", "any"], default: "all" },
+    conditions: { type: [ruleConditionSchema], default: [] },
+    aiCondition: { type: String, trim: true, default: null },
+    actions: { type: [ruleActionSchema], default: [] },
+    // Rules run in ascending priority; stopProcessing skips later rules
+    priority: { type: Number, default: 0 },
+    stopProcessing: { type: Boolean, default: false },
+    // Only mail received after this is acted on automatically
+    activeSince: { type: Date, default: Date.now },
+    nextCheckAt: { type: Date, default: Date.now },
+    lastCheckedAt: { type: Date, default: null },
+    matchCount: { type: Number, default: 0 },
+    lastMatchedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+mailRuleSchema.index({ userId: 1, inboxId: 1, priority: 1 });
+mailRuleSchema.index({ enabled: 1, nextCheckAt: 1 });
+
+const MailRule = mongoose.model("MailRule", mailRuleSchema);
+export default MailRule;
+export { RULE_FIELDS, RULE_OPERATORS, RULE_ACTIONS };
@@ -0,0 +1,44 @@
+// models/Purchase.js
+import mongoose from "mongoose";
+
+// An order or receipt read from an email (see services/extractionService.js).
+// An order and its later receipt may both be stored; spending totals count
+// each order number once.
+const purchaseSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    emailId: { type: String, required: true },
+    // Sender address, e.g. auto-confirm@amazon.com
+    sender: { type: String, default: "" },
+    emailDate: { type: Date, default: null },
+    // schema.org markup in the email, or the model reading its text
+    source: { type: String, enum: ["schema.org", "model"], required: true },
+    merchant: { type: String, required: true },
+    orderNumber: { type: String, default: "" },
+    orderDate: { type: Date, required: true },
+    total: { type: Number, default: null },
+    // ISO 4217 code; empty when the email does not say
+    currency: { type: String, default: "" },
+    items: [
+      {
+        _id: false,
+        name: String,
+        quantity: { type: Number, default: 1 },
+        price: { type: Number, default: null },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+purchaseSchema.index({ userId: 1, inboxId: 1, emailId: 1 });
+purchaseSchema.index({ userId: 1, inboxId: 1, orderDate: -1 });
+
+const Purchase = mongoose.model("Purchase", purchaseSchema);
+export default Purchase;
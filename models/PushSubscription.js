@@ -0,0 +1,46 @@
+// models/PushSubscription.js
+import mongoose from "mongoose";
+
+// New-mail push for one inbox: a Gmail watch (users.watch publishing to
+// Pub/Sub) or a Microsoft Graph change-notification subscription. Both
+// expire, so the push worker renews them from renewAt on.
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    provider: { type: String, enum: ["google", "microsoft"], required: true },
+    // Lowercased mailbox address; Gmail notifications only carry this
+    email: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["active", "failed", "stopped"],
+      default: "active",
+    },
+    // Gmail: last history id processed
+    historyId: { type: String, default: null },
+    // Graph: subscription id and the secret echoed in every notification
+    subscriptionId: { type: String, default: null },
+    clientState: { type: String, default: null },
+    expiresAt: { type: Date, required: true },
+    renewAt: { type: Date, required: true },
+    lastNotificationAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+pushSubscriptionSchema.index({ userId: 1, inboxId: 1 }, { unique: true });
+pushSubscriptionSchema.index({ provider: 1, email: 1, status: 1 });
+pushSubscriptionSchema.index({ subscriptionId: 1 });
+pushSubscriptionSchema.index({ status: 1, renewAt: 1 });
+
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema
+);
+export default PushSubscription;
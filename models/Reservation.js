@@ -0,0 +1,43 @@
+// models/Reservation.js
+import mongoose from "mongoose";
+
+// A flight or hotel booking read from an email (see
+// services/extractionService.js). Each flight of an itinerary is its own
+// reservation.
+const reservationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    emailId: { type: String, required: true },
+    sender: { type: String, default: "" },
+    emailDate: { type: Date, default: null },
+    source: { type: String, enum: ["schema.org", "model"], required: true },
+    type: { type: String, enum: ["flight", "hotel"], required: true },
+    confirmationNumber: { type: String, default: "" },
+    // Airline or hotel chain
+    provider: { type: String, default: "" },
+    // Flights: "UA 110" and airports (IATA codes when known)
+    flightNumber: { type: String, default: "" },
+    origin: { type: String, default: "" },
+    destination: { type: String, default: "" },
+    // Hotels
+    name: { type: String, default: "" },
+    address: { type: String, default: "" },
+    // Departure and arrival, or check-in and check-out
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, default: null },
+    travelers: [{ type: String }],
+  },
+  { timestamps: true }
+);
+
+reservationSchema.index({ userId: 1, inboxId: 1, emailId: 1 });
+reservationSchema.index({ userId: 1, inboxId: 1, startAt: -1 });
+
+const Reservation = mongoose.model("Reservation", reservationSchema);
+export default Reservation;
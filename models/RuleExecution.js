@@ -0,0 +1,56 @@
+// models/RuleExecution.js
+import mongoose from "mongoose";
+
+const LOG_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const actionResultSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    value: { type: String },
+    status: { type: String, enum: ["success", "failed"], required: true },
+    error: { type: String },
+  },
+  { _id: false }
+);
+
+// One rule acting on one message. Every run inserts the entry before acting,
+// and the unique index makes sure a message is handled once per rule, by a
+// poll or a manual run, even with several server instances polling.
+const ruleExecutionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    inboxId: { type: String, default: null },
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MailRule",
+      required: true,
+    },
+    ruleName: { type: String },
+    emailId: { type: String, required: true },
+    from: { type: String },
+    subject: { type: String },
+    trigger: { type: String, enum: ["auto", "manual"], default: "auto" },
+    status: {
+      type: String,
+      enum: ["running", "success", "partial", "failed"],
+      default: "running",
+    },
+    actions: { type: [actionResultSchema], default: [] },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: LOG_RETENTION_SECONDS,
+    },
+  },
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+ruleExecutionSchema.index({ userId: 1, createdAt: -1 });
+ruleExecutionSchema.index({ ruleId: 1, emailId: 1 }, { unique: true });
+
+const RuleExecution = mongoose.model("RuleExecution", ruleExecutionSchema);
+export default RuleExecution;
@@ -0,0 +1,48 @@
+// models/ScheduledEmail.js
+import mongoose from "mongoose";
+
+// Outgoing mail queued for later delivery by the scheduled send worker, or
+// held for a few seconds so it can be undone. `type` decides what is sent: a
+// new email, a reply or a stored draft.
+const scheduledEmailSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Linked inbox to send from; null for the primary inbox
+    inboxId: { type: String, default: null },
+    type: {
+      type: String,
+      enum: ["send", "reply", "draft"],
+      required: true,
+    },
+    to: { type: String },
+    subject: { type: String },
+    message: { type: String },
+    attachments: { type: Array, default: [] },
+    emailId: { type: String },
+    draftId: { type: mongoose.Schema.Types.ObjectId, ref: "EmailDraft" },
+    sendAt: { type: Date, required: true },
+    // Held only for the user's undo-send window rather than scheduled
+    undoable: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, required: true },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+scheduledEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const ScheduledEmail = mongoose.model("ScheduledEmail", scheduledEmailSchema);
+export default ScheduledEmail;
@@ -0,0 +1,48 @@
+// models/Shipment.js
+import mongoose from "mongoose";
+
+// A package tracking number read from a shipping email (see
+// services/extractionService.js). Every update about a parcel is stored;
+// listings show the newest per tracking number.
+const shipmentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    emailId: { type: String, required: true },
+    sender: { type: String, default: "" },
+    emailDate: { type: Date, default: null },
+    source: { type: String, enum: ["schema.org", "model"], required: true },
+    carrier: { type: String, default: "" },
+    trackingNumber: { type: String, required: true },
+    trackingUrl: { type: String, default: "" },
+    merchant: { type: String, default: "" },
+    orderNumber: { type: String, default: "" },
+    status: {
+      type: String,
+      enum: [
+        "ordered",
+        "shipped",
+        "in_transit",
+        "out_for_delivery",
+        "delivered",
+        "exception",
+        "unknown",
+      ],
+      default: "unknown",
+    },
+    expectedDelivery: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+shipmentSchema.index({ userId: 1, inboxId: 1, emailId: 1 });
+shipmentSchema.index({ userId: 1, inboxId: 1, trackingNumber: 1 });
+shipmentSchema.index({ userId: 1, inboxId: 1, emailDate: -1 });
+
+const Shipment = mongoose.model("Shipment", shipmentSchema);
+export default Shipment;
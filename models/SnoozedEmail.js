@@ -0,0 +1,42 @@
+// models/SnoozedEmail.js
+import mongoose from "mongoose";
+
+// A message archived until `until`, when the snooze worker moves it back to
+// the inbox. Outlook and IMAP change a message's id when it moves, so the id
+// it has while snoozed is kept next to the one it was snoozed from.
+const snoozedEmailSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Linked inbox the message lives in; null for the primary inbox
+    inboxId: { type: String, default: null },
+    emailId: { type: String, required: true },
+    originalEmailId: { type: String, required: true },
+    subject: { type: String },
+    from: { type: String },
+    until: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "waking", "woken", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, required: true },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    wokenAt: { type: Date, default: null },
+    // Id of the message once it is back in the inbox
+    restoredEmailId: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+snoozedEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+snoozedEmailSchema.index({ userId: 1, inboxId: 1, status: 1 });
+
+const SnoozedEmail = mongoose.model("SnoozedEmail", snoozedEmailSchema);
+export default SnoozedEmail;
@@ -0,0 +1,30 @@
+// models/ThreadSummary.js
+import mongoose from "mongoose";
+
+// Cached structured summary of a conversation. `version` fingerprints the
+// thread's messages, so a new reply invalidates the cache.
+const threadSummarySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox the thread lives in; null for the primary inbox
+    inboxId: { type: String, default: null },
+    threadId: { type: String, required: true },
+    version: { type: String, required: true },
+    messageCount: { type: Number, default: 0 },
+    summary: { type: mongoose.Schema.Types.Mixed, required: true },
+    chunkCount: { type: Number, default: 1 },
+  },
+  { timestamps: true }
+);
+
+threadSummarySchema.index(
+  { userId: 1, inboxId: 1, threadId: 1 },
+  { unique: true }
+);
+
+const ThreadSummary = mongoose.model("ThreadSummary", threadSummarySchema);
+export default ThreadSummary;
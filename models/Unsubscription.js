@@ -0,0 +1,36 @@
+// models/Unsubscription.js
+import mongoose from "mongoose";
+
+// The last unsubscribe attempt per sender and inbox, shown in the sender
+// report. A "link" unsubscribe only has a web page the user still has to open.
+const unsubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Linked inbox; null for the primary inbox
+    inboxId: { type: String, default: null },
+    // Lowercased sender address
+    sender: { type: String, required: true },
+    method: {
+      type: String,
+      enum: ["one-click", "mailto", "link"],
+      required: true,
+    },
+    // URL posted to or opened, or the address mailed
+    target: { type: String },
+    completed: { type: Boolean, default: false },
+    emailId: { type: String },
+  },
+  { timestamps: true }
+);
+
+unsubscriptionSchema.index(
+  { userId: 1, inboxId: 1, sender: 1 },
+  { unique: true }
+);
+
+const Unsubscription = mongoose.model("Unsubscription", unsubscriptionSchema);
+export default Unsubscription;
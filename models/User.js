@@ -39,6 +39,47 @@ const subscriptionSchema = new mongoose.Schema({
   lastRequestDate: { type: Date },
 });
 
+// Connection details for generic IMAP/SMTP mailboxes. The app password is
+// stored as the { iv, encryptedData, authTag } object from encryptionUtils.
+const imapSettingsSchema = new mongoose.Schema(
+  {
+    imapHost: { type: String, trim: true },
+    imapPort: { type: Number, default: 993 },
+    imapSecure: { type: Boolean, default: true },
+    smtpHost: { type: String, trim: true },
+    smtpPort: { type: Number, default: 465 },
+    smtpSecure: { type: Boolean, default: true },
+    username: { type: String, trim: true },
+    password: { type: Object },
+  },
+  { _id: false }
+);
+
+// Scheduled summary of important mail, emailed at `time` in `timezone`.
+// `nextRunAt` is kept in UTC so the digest worker can query for due users.
+const digestSettingsSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    frequency: { type: String, enum: ["daily", "weekly"], default: "daily" },
+    // Local time of day, HH:mm
+    time: {
+      type: String,
+      default: "08:00",
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, "time must be HH:mm"],
+    },
+    timezone: { type: String, default: "UTC" },
+    // Weekly digests only: 0 = Sunday ... 6 = Saturday
+    dayOfWeek: { type: Number, default: 1, min: 0, max: 6 },
+    maxEmails: { type: Number, default: 5, min: 1, max: 10 },
+    // Linked inbox to digest; null for the primary inbox
+    inboxId: { type: String, default: null },
+    nextRunAt: { type: Date, default: null },
+    lastSentAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     role: {
@@ -49,7 +90,10 @@ const userSchema = new mongoose.Schema(
     name: { type: String },
     email: { type: String, required: true, unique: true },
     password: { type: String },
-    authProvider: { type: String, enum: ["google", "microsoft", "local"] },
+    authProvider: {
+      type: String,
+      enum: ["google", "microsoft", "yahoo", "imap", "local"],
+    },
     inboxList: [
       {
         type: String,
@@ -79,6 +123,11 @@ const userSchema = new mongoose.Schema(
     microsoftAccessToken: { type: String },
     microsoftRefreshToken: { type: String },
     microsoftAccessTokenExpires: { type: Number },
+    yahooId: { type: String },
+    yahooAccessToken: { type: String },
+    yahooRefreshToken: { type: String },
+    yahooAccessTokenExpires: { type: Number },
+    imapSettings: { type: imapSettingsSchema },
     profilePicture: { type: String },
     status: {
       type: String,
@@ -97,15 +146,27 @@ const userSchema = new mongoose.Schema(
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now },
     lastSync: { type: Date, default: Date.now },
+    // Seconds outgoing mail is held so it can be undone; 0 turns it off
+    undoSendDelay: {
+      type: Number,
+      default: 5,
+      validate: {
+        validator: (value) => value === 0 || (value >= 5 && value <= 30),
+        message: "undoSendDelay must be 0 (off) or between 5 and 30 seconds",
+      },
+    },
     userImportantMailKeywords: {
       type: [String],
       default: DEFAULT_IMPORTANT_KEYWORDS,
     },
+    digest: { type: digestSettingsSchema, default: () => ({}) },
     firstLogin: { type: Boolean, default: true },
   },
   { timestamps: true }
 );
 
+userSchema.index({ "digest.enabled": 1, "digest.nextRunAt": 1 });
+
 userSchema.pre("save", async function (next) {
   if (this.email) {
     this.email = this.email.toLowerCase().trim();
@@ -145,4 +206,4 @@ userSchema.methods.addImportantKeyword = async function (keyword) {
 
 const User = mongoose.model("User", userSchema);
 export default User;
-export { DEFAULT_IMPORTANT_KEYWORDS };
\ No newline at end of file
+export { DEFAULT_IMPORTANT_KEYWORDS, imapSettingsSchema };
\ No newline at end of file
@@ -14,6 +14,7 @@ import { dirname } from "path";
 import { chatRateLimit } from "../middleware/rateLimit.js";
 import User from "../models/User.js";
 import Chat from "../models/Chat.js";
+import { openEventStream, wantsEventStream } from "../helper/sseHelper.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -165,6 +166,7 @@ router.post(
           message: chatResponse.text,
           date: new Date(),
           model: chatResponse.modelUsed,
+          citations: chatResponse.citations || [],
         }
       );
 
@@ -178,6 +180,7 @@ router.post(
         fallbackUsed: chatResponse.fallbackUsed,
         tokenCount: chatResponse.tokenCount || 0,
         data: chatResponse.artifact?.data || null,
+        citations: chatResponse.citations || [],
       });
     } catch (error) {
       console.error("Error processing request:", error);
@@ -263,6 +266,12 @@ router.post(
       }
     }
 
+    // Streaming mode: tokens, tool progress and a final summary over SSE
+    const stream = wantsEventStream(req) ? openEventStream(req, res) : null;
+    if (stream) {
+      mcpServer.setEventListener(stream.send);
+    }
+
     try {
       console.log("Starting chat processing for user:", userId);
       const inboxStats = await emailService.getInboxStats();
@@ -338,9 +347,15 @@ router.post(
       const newTokenCount =
         (user.subscription.dailyTokens || 0) + (chatResponse.tokenCount || 0);
       if (newTokenCount > req.maxTokens) {
-        return res
-          .status(429)
-          .json({ success: false, message: "Daily token limit reached." });
+        const limitError = {
+          success: false,
+          message: "Daily token limit reached.",
+        };
+        if (stream) {
+          stream.send("error", limitError);
+          return stream.close();
+        }
+        return res.status(429).json(limitError);
       }
       user.subscription.dailyTokens = newTokenCount;
       await user.save();
@@ -352,28 +367,43 @@ router.post(
           message: chatResponse.text,
           date: new Date(),
           model: chatResponse.modelUsed,
+          citations: chatResponse.citations || [],
         }
       );
       console.log("Saving chat messages...");
       await chat.save();
       console.log("Chat messages saved");
 
-      res.json({
+      const responseData = {
         success: true,
         message: chatResponse.text,
         model: chatResponse.modelUsed,
         fallbackUsed: chatResponse.fallbackUsed,
         tokenCount: chatResponse.tokenCount || 0,
         data: chatResponse.artifact?.data || null,
-      });
+        citations: chatResponse.citations || [],
+      };
+      if (stream) {
+        stream.send("done", {
+          ...responseData,
+          modelUsed: chatResponse.modelUsed,
+        });
+        return stream.close();
+      }
+      res.json(responseData);
     } catch (error) {
       console.error("Error processing chat request:", error);
-      res.status(500).json({
+      const errorData = {
         success: false,
         message: "Trouble processing your request. Try again?",
         error:
           process.env.NODE_ENV === "development" ? error.message : undefined,
-      });
+      };
+      if (stream) {
+        stream.send("error", errorData);
+        return stream.close();
+      }
+      res.status(500).json(errorData);
     }
   })
 );
@@ -5,6 +5,7 @@ import {
   authError,
   oauthCallback,
   localLogin,
+  imapLogin,
   register,
   refresh,
   logout,
@@ -14,6 +15,65 @@ import auth from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+const oauthProviders = {
+  google: {
+    strategy: "google",
+    scope: [
+      "profile",
+      "email",
+      "https://www.googleapis.com/auth/gmail.readonly",
+      "https://www.googleapis.com/auth/gmail.modify",
+      "https://www.googleapis.com/auth/gmail.send",
+      "https://www.googleapis.com/auth/gmail.compose",
+      "https://www.googleapis.com/auth/calendar.events",
+      "https://www.googleapis.com/auth/calendar.freebusy",
+      "https://www.googleapis.com/auth/contacts.readonly",
+      "https://www.googleapis.com/auth/contacts.other.readonly",
+    ],
+    options: {
+      accessType: "offline",
+      // prompt: "consent"
+      prompt: "select_account",
+    },
+  },
+  microsoft: {
+    strategy: "microsoft",
+    scope: [
+      "offline_access",
+      "User.Read",
+      "Mail.Read",
+      "Mail.ReadWrite",
+      "Mail.Send",
+      "Calendars.ReadWrite",
+      "Contacts.Read",
+    ],
+    options: { prompt: "select_account" },
+  },
+  yahoo: {
+    strategy: "yahoo",
+    scope: ["openid", "email", "profile", "mail-r", "mail-w"],
+    options: { prompt: "select_account" },
+  },
+};
+
+const startOAuth = (req, res, next, extraOptions = {}) => {
+  const { provider } = req.params;
+  if (!oauthProviders[provider]) {
+    return res.status(400).json({ message: "Invalid provider" });
+  }
+  const { strategy, scope, options = {} } = oauthProviders[provider];
+  const state = Buffer.from(
+    JSON.stringify({ redirect: req.query.redirect || "/chat" })
+  ).toString("base64");
+
+  passport.authenticate(strategy, {
+    scope,
+    state,
+    ...options,
+    ...extraOptions,
+  })(req, res, next);
+};
+
 /**
  * ╔═══════════════════════════════════════╗
  * ║    OAuth Authentication Providers     ║
@@ -21,59 +81,35 @@ const router = express.Router();
  * @description Manages OAuth authentication for multiple providers
  * @route GET /oauth/:provider
  * @access Public
- * @param {string} provider - Authentication provider (google, microsoft)
+ * @param {string} provider - Authentication provider (google, microsoft, yahoo)
  */
 router.get(
   "/oauth/:provider",
   // authRateLimit(),
-  (req, res, next) => {
-    const { provider } = req.params;
-    const providers = {
-      google: {
-        strategy: "google",
-        scope: [
-          "profile",
-          "email",
-          "https://www.googleapis.com/auth/gmail.readonly",
-          "https://www.googleapis.com/auth/gmail.modify",
-          "https://www.googleapis.com/auth/gmail.send",
-          "https://www.googleapis.com/auth/gmail.compose",
-        ],
-        options: {
-          accessType: "offline",
-          // prompt: "consent"
-          prompt: "select_account",
-        },
-      },
-      microsoft: {
-        strategy: "microsoft",
-        scope: [
-          "offline_access",
-          "User.Read",
-          "Mail.Read",
-          "Mail.ReadWrite",
-          "Mail.Send",
-        ],
-        options: { prompt: "select_account" },
-      },
-    };
-
-    if (!providers[provider]) {
-      return res.status(400).json({ message: "Invalid provider" });
-    }
-    const { strategy, scope, options = {} } = providers[provider];
-    const state = Buffer.from(
-      JSON.stringify({ redirect: req.query.redirect || "/chat" })
-    ).toString("base64");
-
-    passport.authenticate(strategy, { scope, state, ...options })(
-      req,
-      res,
-      next
-    );
-  }
+  (req, res, next) => startOAuth(req, res, next)
 );
 
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Link Additional Inbox              ║
+ * ╚═══════════════════════════════════════╝
+ * @description Authorizes another mailbox and links it to the signed-in
+ * user as a connected inbox instead of logging in with it
+ * @route GET /link/:provider
+ * @access Authenticated
+ * @param {string} provider - Authentication provider (google, microsoft, yahoo)
+ */
+router.get("/link/:provider", auth(), (req, res, next) => {
+  req.session.linkInbox = { userId: req.user.id };
+  // Google only issues a refresh token on explicit consent
+  startOAuth(
+    req,
+    res,
+    next,
+    req.params.provider === "google" ? { prompt: "consent" } : {}
+  );
+});
+
 /**
  * ╔═══════════════════════════════════════╗
  * ║    OAuth Callback Handling            ║
@@ -125,6 +161,9 @@ router.get("/error", authError);
 // Local user login
 router.post("/login", authRateLimit(), localLogin);
 
+// Generic IMAP/SMTP mailbox login (app password)
+router.post("/imap", authRateLimit(), imapLogin);
+
 // User registration
 router.post("/register", authRateLimit(), register);
 
@@ -0,0 +1,119 @@
+// routes/calendarRoutes.js
+import express from "express";
+import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  getEvents,
+  getAvailability,
+  createEvent,
+  extractEmailEvent,
+  addEmailToCalendar,
+  respondToInvite,
+  parseEmailInvite,
+} from "../controllers/calendarController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Calendar                           ║
+ * ╚═══════════════════════════════════════╝
+ * @description The calendar of a Google or Microsoft inbox, reached with
+ * the inbox's stored OAuth tokens (X-Inbox-Id picks a linked inbox). Local
+ * times are read in the `timezone` body/query field or X-Timezone header,
+ * UTC by default. Inboxes connected before calendar access was added get a
+ * 403 asking the user to sign in again.
+ * @access Authenticated users
+ */
+
+// Events between start and end (defaults: now and a week later)
+router.get(
+  "/events",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getEvents
+);
+
+// Create an event; attendees are only invited with sendInvites: true
+router.post(
+  "/events",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `calendar-events-${req.user?.id || req.ip}`,
+  }),
+  createEvent
+);
+
+// Free/busy between start and end (end defaults to an hour after start)
+router.get(
+  "/availability",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getAvailability
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Meetings in Email                  ║
+ * ╚═══════════════════════════════════════╝
+ * @description Events found in an email: its calendar invite (.ics) when
+ * it has one, otherwise the date, time and place the AI model reads from
+ * the text.
+ * @access Authenticated users
+ */
+
+// Preview the event an email is about
+router.get(
+  "/emails/:emailId/event",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `calendar-extract-${req.user?.id || req.ip}`,
+  }),
+  extractEmailEvent
+);
+
+// Add it to the calendar: invites are accepted, anything else is created
+router.post(
+  "/emails/:emailId/event",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `calendar-events-${req.user?.id || req.ip}`,
+  }),
+  addEmailToCalendar
+);
+
+// The email's parsed .ics invite, or null
+router.get(
+  "/emails/:emailId/invite",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  parseEmailInvite
+);
+
+// Accept, tentatively accept or decline the invite ({ response, comment })
+router.post(
+  "/emails/:emailId/invite/respond",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  respondToInvite
+);
+
+export default router;
@@ -0,0 +1,61 @@
+// routes/contactRoutes.js
+import express from "express";
+import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  getContacts,
+  resolveContact,
+  syncContacts,
+} from "../controllers/contactController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Contacts                           ║
+ * ╚═══════════════════════════════════════╝
+ * @description The user's address book, built from the To and From headers
+ * of recent mail plus the Google or Microsoft contacts of each inbox they
+ * sync. Inboxes connected before contacts access was added still get the
+ * header contacts; the sync response carries a warning asking the user to
+ * sign in again.
+ * @access Authenticated users
+ */
+
+// Contacts, most used first, or those matching ?q= best first
+// (?limit=&offset= to page)
+router.get(
+  "/",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getContacts
+);
+
+// Turn a name into an address: resolved, ambiguous (with candidates) or
+// not_found
+router.get(
+  "/resolve",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  resolveContact
+);
+
+// Rescan the inbox (X-Inbox-Id picks a linked one) into the address book
+router.post(
+  "/sync",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 10,
+    keyGenerator: (req) => `contacts-sync-${req.user?.id || req.ip}`,
+  }),
+  syncContacts
+);
+
+export default router;
@@ -10,10 +10,15 @@ import { fileURLToPath } from "url";
 import { dirname } from "path";
 import {
   fetchEmails,
+  fetchUnifiedEmails,
   sendEmail,
   readEmail,
   replyToEmail,
   trashEmail,
+  archiveEmail,
+  starEmail,
+  reportSpam,
+  untrashEmail,
   searchEmails,
   markEmailAsRead,
   summarizeEmail,
@@ -21,6 +26,49 @@ import {
   fetchImportantEmails,
   createDraft,
 } from "../controllers/emailController.js";
+import {
+  getDrafts,
+  getDraft,
+  createDraft as createStoredDraft,
+  updateDraft,
+  sendDraft,
+  deleteDraft,
+} from "../controllers/draftController.js";
+import {
+  getScheduledEmails,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  undoSend,
+} from "../controllers/scheduledEmailController.js";
+import {
+  getThreads,
+  getThread,
+  getThreadSummary,
+} from "../controllers/threadController.js";
+import {
+  getLabels,
+  createLabel,
+  applyLabel,
+  removeLabel,
+  moveEmails,
+} from "../controllers/labelController.js";
+import {
+  getSnoozedEmails,
+  snoozeEmail,
+  unsnoozeEmail,
+} from "../controllers/snoozeController.js";
+import { bulkEmails } from "../controllers/bulkController.js";
+import {
+  getSenderReport,
+  unsubscribeSender,
+  trashSenderEmails,
+} from "../controllers/cleanupController.js";
+import {
+  getIndexStatus,
+  syncIndex,
+  getActivity,
+  semanticSearch,
+} from "../controllers/mailIndexController.js";
 import { getEmailService } from "../services/emailService.js";
 
 const router = express.Router();
@@ -63,6 +111,15 @@ router.get(
   }
 );
 
+// Fetch one merged list across all connected inboxes
+router.get(
+  "/unified",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  fetchUnifiedEmails
+);
+
 // Fetch important emails
 router.get(
   "/important",
@@ -73,6 +130,324 @@ router.get(
   fetchImportantEmails
 );
 
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Thread Routes                      ║
+ * ╚═══════════════════════════════════════╝
+ * Conversations built from Gmail threads and Outlook conversations.
+ * Registered before /:emailId.
+ */
+// List conversations (?q, filter, timeFilter, pageToken, maxResults)
+router.get(
+  "/threads",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getThreads
+);
+
+// Get every message of a conversation with quoted text folded
+router.get(
+  "/threads/:threadId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getThread
+);
+
+// Structured summary: participants, decisions, open questions, action items
+router.get(
+  "/threads/:threadId/summary",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getThreadSummary
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Label & Folder Routes              ║
+ * ╚═══════════════════════════════════════╝
+ * Gmail labels, Outlook folders and categories, IMAP/Yahoo folders.
+ * Registered before /:emailId.
+ */
+// List labels, folders and categories (?kind=label|folder|category)
+router.get(
+  "/labels",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getLabels
+);
+
+// Create a label (Gmail) or folder (Outlook, IMAP, Yahoo)
+router.post(
+  "/labels",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  createLabel
+);
+
+// Add a label to emails (emailIds, label); missing labels are created
+router.post(
+  "/labels/apply",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  applyLabel
+);
+
+// Remove a label from emails (emailIds, label)
+router.post(
+  "/labels/remove",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  removeLabel
+);
+
+// Move emails to a folder (emailIds, folder)
+router.post(
+  "/labels/move",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  moveEmails
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Cleanup Routes                     ║
+ * ╚═══════════════════════════════════════╝
+ */
+// Top senders of recent mail with volume, read rate and last opened
+// (?timeFilter=weekly|monthly, maxMessages, limit, newsletters, refresh)
+router.get(
+  "/senders",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getSenderReport
+);
+
+// Unsubscribe via List-Unsubscribe (sender or emailId)
+router.post(
+  "/senders/unsubscribe",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `senders-unsubscribe-${req.user?.id || req.ip}`,
+  }),
+  unsubscribeSender
+);
+
+// Trash every email from a sender (sender, confirmed)
+router.post(
+  "/senders/trash",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `senders-trash-${req.user?.id || req.ip}`,
+  }),
+  trashSenderEmails
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Mail Index Routes                  ║
+ * ╚═══════════════════════════════════════╝
+ * Local index behind search, counts and breakdowns
+ */
+// Index status: backfilling, ready or failed, with coverage and last sync
+router.get(
+  "/index",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getIndexStatus
+);
+
+// Sync now, or start over with { rebuild: true }
+router.post(
+  "/index/sync",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 10,
+    keyGenerator: (req) => `emails-index-sync-${req.user?.id || req.ip}`,
+  }),
+  syncIndex
+);
+
+// Mail volume per period (?by=day|week|month, query, filter, timeFilter,
+// timezone)
+router.get(
+  "/activity",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getActivity
+);
+
+// Search by meaning rather than keywords (?q=, limit up to 50, timeFilter)
+router.get(
+  "/semantic-search",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  semanticSearch
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Draft Routes                       ║
+ * ╚═══════════════════════════════════════╝
+ * Server-side drafts, versioned on every edit and mirrored to the
+ * provider's drafts folder. Registered before /:emailId.
+ */
+// List drafts (?status=draft|sent|all)
+router.get(
+  "/drafts",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getDrafts
+);
+
+// Get a draft with its version history
+router.get(
+  "/drafts/:draftId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getDraft
+);
+
+// Save a new draft with attachments
+router.post(
+  "/drafts",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  uploadMiddleware.array("attachments"),
+  createStoredDraft
+);
+
+// Edit a draft directly or with an AI instruction
+router.put(
+  "/drafts/:draftId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  uploadMiddleware.array("attachments"),
+  updateDraft
+);
+
+// Send a stored draft
+router.post(
+  "/drafts/:draftId/send",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  sendDraft
+);
+
+// Delete a draft here and in the provider's drafts folder
+router.delete(
+  "/drafts/:draftId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  deleteDraft
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Scheduled Send Routes              ║
+ * ╚═══════════════════════════════════════╝
+ * Emails queued with `sendAt` on /send, /reply/:emailId or
+ * /drafts/:draftId/send, delivered by the scheduled send worker, plus
+ * the undo-send window that holds every other send for a few seconds.
+ */
+// List scheduled emails (?status=pending|sent|failed|cancelled|all)
+router.get(
+  "/scheduled",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getScheduledEmails
+);
+
+// Move a pending or failed email to a new sendAt
+router.patch(
+  "/scheduled/:scheduledId",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  rescheduleEmail
+);
+
+// Cancel a pending email
+router.delete(
+  "/scheduled/:scheduledId",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  cancelScheduledEmail
+);
+
+// Undo the most recent held email while its undo window is open
+router.post(
+  "/undo-send",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  undoSend
+);
+
+// Undo a specific held email
+router.post(
+  "/undo-send/:scheduledId",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  undoSend
+);
+
+// List snoozed emails and when each comes back
+router.get(
+  "/snoozed",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getSnoozedEmails
+);
+
 // Read a specific email
 router.get(
   "/:emailId",
@@ -119,6 +494,66 @@ router.delete(
   trashEmail
 );
 
+// Take an email out of the inbox without deleting it
+router.patch(
+  "/archive/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  archiveEmail
+);
+
+// Star or flag an email (starred: false to remove it)
+router.patch(
+  "/star/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  starEmail
+);
+
+// Report an email as spam
+router.patch(
+  "/spam/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  reportSpam
+);
+
+// Restore an email from the trash to the inbox
+router.patch(
+  "/untrash/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  untrashEmail
+);
+
+// Archive an email until `until`, then bring it back unread
+router.post(
+  "/snooze/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  snoozeEmail
+);
+
+// Bring a snoozed email back now
+router.delete(
+  "/snooze/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  unsnoozeEmail
+);
+
 /**
  * ╔═══════════════════════════════════════╗
  * ║    Email Management Routes            ║
@@ -144,6 +579,20 @@ router.patch(
   markEmailAsRead
 );
 
+// Trash, mark read/unread, archive or label many emails at once (emailIds or
+// query, action, label, confirmed)
+router.post(
+  "/bulk",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `emails-bulk-${req.user?.id || req.ip}`,
+  }),
+  bulkEmails
+);
+
 // Summarize email content
 router.get(
   "/summarize/:emailId",
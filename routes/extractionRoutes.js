@@ -0,0 +1,60 @@
+// routes/extractionRoutes.js
+import express from "express";
+import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  extractEmail,
+  getSpending,
+  listExtractions,
+} from "../controllers/extractionController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Extractions                        ║
+ * ╚═══════════════════════════════════════╝
+ * @description Orders and receipts, flight and hotel reservations, package
+ * shipments and bills read from the inbox's indexed mail (X-Inbox-Id picks
+ * a linked inbox). schema.org markup is used when the email has it, the
+ * model otherwise. Mail is read in the background after each index sync;
+ * responses carry complete: false until it has all been read.
+ * @access Authenticated users
+ */
+
+// What the user spent (?merchant=, after, before; this month by default)
+router.get(
+  "/spending",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getSpending
+);
+
+// Read one email now and replace what was stored for it
+router.post(
+  "/emails/:emailId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 30,
+    keyGenerator: (req) => `extractions-email-${req.user?.id || req.ip}`,
+  }),
+  extractEmail
+);
+
+// purchases, reservations, shipments or bills (?q=, after, before, status,
+// upcoming=true, limit, offset)
+router.get(
+  "/:type",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  listExtractions
+);
+
+export default router;
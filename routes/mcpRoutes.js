@@ -0,0 +1,39 @@
+// routes/mcpRoutes.js
+import express from "express";
+import mcpAuth from "../middleware/mcpAuthMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  handleMcpRequest,
+  rejectMcpMethod,
+} from "../controllers/mcpController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║     Model Context Protocol            ║
+ * ╚═══════════════════════════════════════╝
+ * @description Streamable HTTP MCP endpoint publishing the assistant's email
+ * tools. Authenticate with a JWT access token or a personal API token as a
+ * Bearer token; pass X-Inbox-Id (or ?inboxId=) to use a linked inbox.
+ * @access Authenticated users
+ */
+
+// 🤖 JSON-RPC messages from MCP clients
+router.post(
+  "/",
+  mcpAuth,
+  emailAuth,
+  rateLimitMiddleware({
+    max: 300,
+    keyGenerator: (req) => String(req.user.id),
+    message: "Too many MCP requests, please slow down.",
+  }),
+  handleMcpRequest
+);
+
+router.get("/", rejectMcpMethod);
+router.delete("/", rejectMcpMethod);
+
+export default router;
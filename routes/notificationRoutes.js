@@ -0,0 +1,84 @@
+// routes/notificationRoutes.js
+import express from "express";
+import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  streamNotifications,
+  getSubscriptions,
+  subscribeInbox,
+  unsubscribeInbox,
+  receiveGmailNotification,
+  receiveGraphNotification,
+  receiveGraphLifecycle,
+} from "../controllers/notificationController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    New-Mail Push                      ║
+ * ╚═══════════════════════════════════════╝
+ * @description Mailbox changes pushed by Gmail (users.watch through Cloud
+ * Pub/Sub) and Microsoft Graph (change notifications), forwarded to the
+ * browser over Server-Sent Events. Opening the stream turns push on for
+ * every Google and Microsoft inbox of the user; watches are renewed in the
+ * background.
+ * @access Authenticated users
+ */
+
+// Event stream: `ready`, then `mail` with { inboxId, email, provider,
+// changes: [{ emailId, changeType }], resync, receivedAt }
+router.get(
+  "/stream",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  streamNotifications
+);
+
+// Push status of the user's inboxes
+router.get(
+  "/subscriptions",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getSubscriptions
+);
+
+// Turn push on or off for one inbox (X-Inbox-Id picks a linked inbox)
+router.post(
+  "/subscriptions",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  subscribeInbox
+);
+
+router.delete(
+  "/subscriptions",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  unsubscribeInbox
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Provider Webhooks                  ║
+ * ╚═══════════════════════════════════════╝
+ * @description Called by Google and Microsoft, not by the app. Gmail pushes
+ * carry a Pub/Sub OIDC token (or ?token= for a shared secret); Graph
+ * notifications echo the subscription's clientState.
+ * @access Public
+ */
+
+router.post("/gmail", receiveGmailNotification);
+
+router.post("/graph", receiveGraphNotification);
+
+router.post("/graph/lifecycle", receiveGraphLifecycle);
+
+export default router;
@@ -0,0 +1,113 @@
+// routes/ruleRoutes.js
+import express from "express";
+import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
+import emailAuth from "../middleware/emailMiddleware.js";
+import { rateLimitMiddleware } from "../middleware/rateLimit.js";
+import {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRunRule,
+  runRules,
+  getRuleLogs,
+} from "../controllers/ruleController.js";
+
+const router = express.Router();
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║    Mail Rules                         ║
+ * ╚═══════════════════════════════════════╝
+ * @description Filters that act on incoming mail: conditions on sender,
+ * recipients, subject and body (plus an optional AI condition) trigger
+ * actions such as label, mark read, forward, archive or trash. Rules are
+ * per inbox; pass X-Inbox-Id to manage a linked inbox's rules.
+ * @access Authenticated users
+ */
+
+// List the inbox's rules in the order they run
+router.get(
+  "/",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getRules
+);
+
+// Create a rule
+router.post(
+  "/",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  createRule
+);
+
+// Execution log, newest first (?ruleId, limit). Registered before /:ruleId.
+router.get(
+  "/logs",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getRuleLogs
+);
+
+// Preview which recent messages a rule would act on, without acting
+router.post(
+  "/dry-run",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 20,
+    keyGenerator: (req) => `rules-dry-run-${req.user?.id || req.ip}`,
+  }),
+  dryRunRule
+);
+
+// Apply the enabled rules to recent mail right away
+router.post(
+  "/run",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 10,
+    keyGenerator: (req) => `rules-run-${req.user?.id || req.ip}`,
+  }),
+  runRules
+);
+
+router.get(
+  "/:ruleId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getRule
+);
+
+router.put(
+  "/:ruleId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  updateRule
+);
+
+router.delete(
+  "/:ruleId",
+  auth(),
+  emailAuth,
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  deleteRule
+);
+
+export default router;
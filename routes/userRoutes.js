@@ -35,6 +35,21 @@ import {
   requestChangePasswordOTP,
   verifyOTP,
 } from "../controllers/userController.js";
+import {
+  getInboxes,
+  connectImapInbox,
+  removeInbox,
+} from "../controllers/inboxController.js";
+import {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} from "../controllers/apiTokenController.js";
+import {
+  getDigestSettings,
+  updateDigestSettings,
+  sendDigestNow,
+} from "../controllers/digestController.js";
 import auth, { setRefreshedTokenCookie } from "../middleware/authMiddleware.js";
 import { rateLimitMiddleware } from "../middleware/rateLimit.js";
 import WaitingList from "../models/WaitingList.js";
@@ -226,6 +241,117 @@ router.post(
   addInbox
 );
 
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║     Connected Inboxes                 ║
+ * ╚═══════════════════════════════════════╝
+ * @description Linked mailboxes, each with its own provider and tokens.
+ * OAuth inboxes are linked through GET /api/v1/auth/link/:provider.
+ * @access Authenticated users
+ */
+
+// 📥 List the primary and linked inboxes
+router.get(
+  "/inboxes",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getInboxes
+);
+
+// 📥 Link an IMAP/SMTP inbox with an app password
+router.post(
+  "/inboxes/imap",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  connectImapInbox
+);
+
+// 📥 Disconnect a linked inbox
+router.delete(
+  "/inboxes/:inboxId",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  removeInbox
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║     Personal API Tokens               ║
+ * ╚═══════════════════════════════════════╝
+ * @description Tokens for external agents such as MCP clients
+ * (see /api/v1/mcp). The raw token is only returned on creation.
+ * @access Authenticated users
+ */
+
+// 🔐 List active API tokens
+router.get(
+  "/api-tokens",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getApiTokens
+);
+
+// 🔐 Create an API token
+router.post(
+  "/api-tokens",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  createApiToken
+);
+
+// 🔐 Revoke an API token
+router.delete(
+  "/api-tokens/:tokenId",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  revokeApiToken
+);
+
+/**
+ * ╔═══════════════════════════════════════╗
+ * ║     Email Digest                      ║
+ * ╚═══════════════════════════════════════╝
+ * @description Daily or weekly email with the most important mail, AI
+ * summaries and suggested replies, sent at a local time of day.
+ * @access Authenticated users
+ */
+
+// 📰 Get digest settings
+router.get(
+  "/digest",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  getDigestSettings
+);
+
+// 📰 Update digest settings (enabled, frequency, time, timezone, dayOfWeek, maxEmails, inboxId)
+router.put(
+  "/digest",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware(),
+  updateDigestSettings
+);
+
+// 📰 Send the digest now
+router.post(
+  "/digest/send",
+  auth(),
+  setRefreshedTokenCookie,
+  rateLimitMiddleware({
+    max: 5,
+    keyGenerator: (req) => `digest-${req.user?.id || req.ip}`,
+  }),
+  sendDigestNow
+);
+
 /**
  * ╔═══════════════════════════════════════╗
  * ║     Admin: User Management            ║
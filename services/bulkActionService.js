@@ -0,0 +1,149 @@
+// services/bulkActionService.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+
+const BULK_ACTIONS = ["trash", "read", "unread", "archive", "label"];
+const MAX_BULK_EMAILS = 500;
+const DEFAULT_QUERY_RESULTS = 100;
+// Above this many messages the caller has to confirm before anything changes
+const CONFIRMATION_THRESHOLD =
+  Number(process.env.BULK_CONFIRMATION_THRESHOLD) || 25;
+// Messages handed to the provider per step; progress is reported after each
+const CHUNK_SIZE = 50;
+const QUERY_PAGE_SIZE = 100;
+
+const validateBulkAction = ({ action, label }) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid action. Must be one of: ${BULK_ACTIONS.join(", ")}`
+    );
+  }
+  if (action === "label" && !(typeof label === "string" && label.trim())) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "label is required for the label action"
+    );
+  }
+};
+
+/**
+ * Resolves the messages a bulk action targets: the ids given, or the
+ * matches of a search query.
+ * @param {EmailService} emailService - Service of the inbox to act on
+ * @param {Object} target
+ * @param {string[]} [target.emailIds] - Explicit message ids
+ * @param {string} [target.query] - Provider search query
+ * @param {number} [target.maxResults] - Most query matches to act on
+ * @returns {Promise<string[]>} De-duplicated message ids
+ */
+const resolveTargets = async (
+  emailService,
+  { emailIds, query, maxResults = DEFAULT_QUERY_RESULTS }
+) => {
+  if (Array.isArray(emailIds) && emailIds.length > 0) {
+    if (emailIds.some((id) => !id || typeof id !== "string")) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "emailIds must be a list of email ids"
+      );
+    }
+    if (emailIds.length > MAX_BULK_EMAILS) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `At most ${MAX_BULK_EMAILS} emails per request`
+      );
+    }
+    return [...new Set(emailIds)];
+  }
+
+  if (!query || typeof query !== "string") {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Provide emailIds or a search query"
+    );
+  }
+  const limit = Math.min(
+    Math.max(parseInt(maxResults, 10) || DEFAULT_QUERY_RESULTS, 1),
+    MAX_BULK_EMAILS
+  );
+
+  const ids = new Set();
+  let pageToken;
+  do {
+    const { messages = [], nextPageToken } = await emailService.fetchEmails({
+      query,
+      maxResults: Math.min(limit - ids.size, QUERY_PAGE_SIZE),
+      pageToken,
+      timeFilter: "all",
+    });
+    messages.forEach((email) => ids.size < limit && ids.add(email.id));
+    pageToken = messages.length > 0 ? nextPageToken : null;
+  } while (pageToken && ids.size < limit);
+
+  return [...ids];
+};
+
+const needsConfirmation = (count, confirmed) =>
+  count > CONFIRMATION_THRESHOLD && confirmed !== true;
+
+/**
+ * Applies an action to many messages in chunks, using the provider's batch
+ * API where it has one.
+ * @param {EmailService} emailService - Service of the inbox to act on
+ * @param {string[]} emailIds - Messages to change
+ * @param {Object} options
+ * @param {string} options.action - One of BULK_ACTIONS
+ * @param {string} [options.label] - Label for the label action
+ * @param {Function} [options.onProgress] - Called after each chunk with
+ * { processed, total, succeeded, failed }
+ * @returns {Promise<Object>} Totals plus a result per message
+ */
+const runBulkAction = async (
+  emailService,
+  emailIds,
+  { action, label, onProgress }
+) => {
+  const results = [];
+  for (let i = 0; i < emailIds.length; i += CHUNK_SIZE) {
+    const chunk = emailIds.slice(i, i + CHUNK_SIZE);
+    let chunkResults;
+    try {
+      chunkResults = await emailService.bulkModify(chunk, action, { label });
+    } catch (error) {
+      // Label lookups or auth failures reject the whole chunk
+      chunkResults = chunk.map((id) => ({
+        id,
+        success: false,
+        error: error.message || "Unknown error",
+      }));
+    }
+    results.push(...chunkResults);
+    onProgress?.({
+      processed: results.length,
+      total: emailIds.length,
+      succeeded: results.filter((result) => result.success).length,
+      failed: results.filter((result) => !result.success).length,
+    });
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  return {
+    action,
+    ...(action === "label" ? { label } : {}),
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+};
+
+export default {
+  BULK_ACTIONS,
+  MAX_BULK_EMAILS,
+  CONFIRMATION_THRESHOLD,
+  validateBulkAction,
+  resolveTargets,
+  needsConfirmation,
+  runBulkAction,
+};
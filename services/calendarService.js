@@ -0,0 +1,65 @@
+// services/calendarService.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+
+const INVITE_RESPONSES = ["accept", "tentative", "decline"];
+// Shown when the stored tokens predate the calendar scopes
+const CALENDAR_CONSENT_MESSAGE =
+  "Calendar access hasn't been granted for this inbox yet. Sign in again to allow calendar access.";
+
+const calendarConsentError = () =>
+  new ApiError(StatusCodes.FORBIDDEN, CALENDAR_CONSENT_MESSAGE);
+
+// Calendar of a Google or Microsoft inbox, authorized with the inbox's
+// stored OAuth tokens. Events come back in one shape from every provider:
+// { id, uid, title, description, location, start, end, allDay, organizer,
+//   attendees: [{ email, name, response }], response, status, link }
+// where start/end are ISO date-times (dates for all-day events) and
+// response is the user's own answer: needsAction, accepted, tentative or
+// declined. Event times passed in use the helper/calendarHelper.js shape.
+class CalendarService {
+  constructor(emailService) {
+    this.emailService = emailService;
+    this.account = emailService.account;
+  }
+
+  // Events overlapping [start, end), earliest first
+  async listEvents({ start, end, maxResults }) {
+    throw new Error("Method 'listEvents' must be implemented");
+  }
+
+  // Busy periods between start and end: [{ start, end }] as ISO date-times
+  async getFreeBusy({ start, end }) {
+    throw new Error("Method 'getFreeBusy' must be implemented");
+  }
+
+  // Attendees are only invited with sendInvites; otherwise the event is
+  // just put on the user's calendar
+  async createEvent(event, { sendInvites = false } = {}) {
+    throw new Error("Method 'createEvent' must be implemented");
+  }
+
+  // Answers an invite on the calendar and notifies the organizer
+  async respondToEvent(eventId, response, { comment } = {}) {
+    throw new Error("Method 'respondToEvent' must be implemented");
+  }
+
+  async findEventByICalUid(uid) {
+    throw new Error("Method 'findEventByICalUid' must be implemented");
+  }
+
+  // Puts an invite the provider did not add by itself on the calendar with
+  // the user's answer. The organizer is not notified.
+  async importEvent(invite, response) {
+    throw new Error("Method 'importEvent' must be implemented");
+  }
+
+  // The calendar event an invite email belongs to, or null. Providers that
+  // link invite emails to events override this.
+  async findInviteEvent({ emailId, uid }) {
+    return uid ? this.findEventByICalUid(uid) : null;
+  }
+}
+
+export default CalendarService;
+export { INVITE_RESPONSES, CALENDAR_CONSENT_MESSAGE, calendarConsentError };
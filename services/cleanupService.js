@@ -0,0 +1,478 @@
+// services/cleanupService.js
+import dns from "dns/promises";
+import https from "https";
+import net from "net";
+import NodeCache from "node-cache";
+import { StatusCodes } from "http-status-codes";
+import Unsubscription from "../models/Unsubscription.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { isPrivateAddress } from "../helper/mailHostHelper.js";
+import { getServiceInboxId } from "./emailService.js";
+import bulkActionService from "./bulkActionService.js";
+import mailIndexService from "./mailIndexService.js";
+
+const REPORT_TIME_FILTERS = ["weekly", "monthly"];
+const DEFAULT_REPORT_MESSAGES = 300;
+const MAX_REPORT_MESSAGES = 500;
+const DEFAULT_REPORT_SENDERS = 20;
+const MAX_REPORT_SENDERS = 100;
+const PAGE_SIZE = 100;
+const UNSUBSCRIBE_TIMEOUT_MS = 10 * 1000;
+// Emails checked for an unsubscribe header when only a sender is given
+const UNSUBSCRIBE_LOOKUP_EMAILS = 20;
+const EMAIL_ADDRESS_PATTERN = /[^\s<>"',;]+@[^\s<>"',;]+\.[^\s<>"',;]+/;
+
+// A report reads a few hundred messages, so it is reused for a while
+const reportCache = new NodeCache({ stdTTL: 10 * 60 });
+
+/*
+ * Senders
+ */
+
+// Splits a From header such as `"Acme News" <news@acme.com>`
+const parseSender = (from = "") => {
+  const address = (
+    from.match(/<([^>]+)>/)?.[1] ||
+    from.match(EMAIL_ADDRESS_PATTERN)?.[0] ||
+    ""
+  )
+    .trim()
+    .toLowerCase();
+  const name = from.includes("<")
+    ? from.split("<")[0].replace(/"/g, "").trim()
+    : "";
+  return { address, name: name || address };
+};
+
+const normalizeSender = (value) => {
+  const { address } = parseSender(typeof value === "string" ? value : "");
+  if (!address) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "sender must be an email address"
+    );
+  }
+  return address;
+};
+
+/**
+ * Groups messages by sender address, busiest sender first. Providers do not
+ * say when a message was opened, so lastOpened is the date of the newest
+ * message that has been read.
+ * @param {Object[]} emails - Formatted emails from any provider
+ * @returns {Object[]} Per sender: address, name, count, unread, readRate,
+ * lastReceived, lastOpened, canUnsubscribe, latestEmailId and a few subjects
+ */
+const groupBySender = (emails) => {
+  const senders = new Map();
+  for (const email of emails) {
+    const { address, name } = parseSender(email.from);
+    if (!address) continue;
+    const time = new Date(email.date).getTime() || 0;
+    const stats = senders.get(address) || {
+      address,
+      name,
+      count: 0,
+      unread: 0,
+      lastReceived: 0,
+      lastOpened: 0,
+      // null when the provider does not report List-Unsubscribe in lists
+      canUnsubscribe: null,
+      latestEmailId: null,
+      subjects: [],
+    };
+
+    stats.count++;
+    if (email.isRead) stats.lastOpened = Math.max(stats.lastOpened, time);
+    else stats.unread++;
+    if (time >= stats.lastReceived) {
+      stats.lastReceived = time;
+      stats.latestEmailId = email.id;
+    }
+    if (typeof email.canUnsubscribe === "boolean") {
+      stats.canUnsubscribe = stats.canUnsubscribe || email.canUnsubscribe;
+    }
+    if (
+      email.subject &&
+      stats.subjects.length < 3 &&
+      !stats.subjects.includes(email.subject)
+    ) {
+      stats.subjects.push(email.subject);
+    }
+    senders.set(address, stats);
+  }
+
+  const toDate = (time) => (time ? new Date(time).toISOString() : null);
+  return [...senders.values()]
+    .sort((a, b) => b.count - a.count || b.lastReceived - a.lastReceived)
+    .map((stats) => ({
+      ...stats,
+      readRate:
+        Math.round(((stats.count - stats.unread) / stats.count) * 100) / 100,
+      lastReceived: toDate(stats.lastReceived),
+      lastOpened: toDate(stats.lastOpened),
+    }));
+};
+
+const fetchRecentEmails = async (emailService, { timeFilter, maxMessages }) => {
+  const emails = [];
+  let pageToken;
+  do {
+    const { messages = [], nextPageToken } = await emailService.fetchEmails({
+      maxResults: Math.min(maxMessages - emails.length, PAGE_SIZE),
+      pageToken,
+      timeFilter,
+    });
+    emails.push(...messages);
+    pageToken = messages.length > 0 ? nextPageToken : null;
+  } while (pageToken && emails.length < maxMessages);
+  return emails.slice(0, maxMessages);
+};
+
+// Search results are fuzzy on some providers, so matches are checked
+// against the exact address
+const findSenderEmails = async (emailService, address, limit) => {
+  const matches = [];
+  let pageToken;
+  do {
+    const { messages = [], nextPageToken } = await emailService.fetchEmails({
+      query: `from:${address}`,
+      maxResults: PAGE_SIZE,
+      pageToken,
+      timeFilter: "all",
+    });
+    matches.push(
+      ...messages.filter((email) => parseSender(email.from).address === address)
+    );
+    pageToken = messages.length > 0 ? nextPageToken : null;
+  } while (pageToken && matches.length < limit);
+  return matches.slice(0, limit);
+};
+
+const reportCachePrefix = (userId, inboxId) => `${userId}:${inboxId}:`;
+
+const clearReportCache = (userId, inboxId) => {
+  const prefix = reportCachePrefix(userId, inboxId);
+  reportCache.del(reportCache.keys().filter((key) => key.startsWith(prefix)));
+};
+
+/**
+ * Top senders of recent mail with volume, read rate, last opened and
+ * unsubscribe state, e.g. for "clean up my newsletters".
+ * @param {EmailService} emailService - Service of the inbox to report on
+ * @param {string} userId - Owner of the inbox
+ * @param {Object} [options]
+ * @param {string} [options.timeFilter] - weekly or monthly
+ * @param {number} [options.maxMessages] - Recent messages to scan
+ * @param {number} [options.limit] - Senders to return
+ * @param {boolean} [options.newslettersOnly] - Only senders with an
+ * unsubscribe header
+ * @param {boolean} [options.refresh] - Ignore the cached report
+ */
+const getSenderReport = async (
+  emailService,
+  userId,
+  {
+    timeFilter = "monthly",
+    maxMessages = DEFAULT_REPORT_MESSAGES,
+    limit = DEFAULT_REPORT_SENDERS,
+    newslettersOnly = false,
+    refresh = false,
+  } = {}
+) => {
+  if (!REPORT_TIME_FILTERS.includes(timeFilter)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid timeFilter. Must be one of: ${REPORT_TIME_FILTERS.join(", ")}`
+    );
+  }
+  const scanLimit = Math.min(
+    Math.max(parseInt(maxMessages, 10) || DEFAULT_REPORT_MESSAGES, 1),
+    MAX_REPORT_MESSAGES
+  );
+  const senderLimit = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_REPORT_SENDERS, 1),
+    MAX_REPORT_SENDERS
+  );
+  const inboxId = getServiceInboxId(emailService);
+  const cacheKey = `${reportCachePrefix(
+    userId,
+    inboxId
+  )}${timeFilter}:${scanLimit}`;
+
+  let report = refresh ? null : reportCache.get(cacheKey);
+  if (!report) {
+    const indexed = await mailIndexService.search(emailService, userId, {
+      timeFilter,
+      maxResults: scanLimit,
+      withBody: false,
+    });
+    const emails = indexed
+      ? indexed.messages
+      : await fetchRecentEmails(emailService, {
+          timeFilter,
+          maxMessages: scanLimit,
+        });
+    const ownAddress = (emailService.account?.email || "").toLowerCase();
+    report = {
+      scanned: emails.length,
+      senders: groupBySender(emails).filter(
+        (sender) => sender.address !== ownAddress
+      ),
+      generatedAt: new Date().toISOString(),
+    };
+    reportCache.set(cacheKey, report);
+  }
+
+  const senders = report.senders
+    .filter((sender) => !newslettersOnly || sender.canUnsubscribe === true)
+    .slice(0, senderLimit);
+  const unsubscriptions = await Unsubscription.find({
+    userId,
+    inboxId,
+    sender: { $in: senders.map((sender) => sender.address) },
+  });
+  const unsubscribed = new Map(
+    unsubscriptions.map((item) => [
+      item.sender,
+      {
+        method: item.method,
+        completed: item.completed,
+        at: item.updatedAt,
+      },
+    ])
+  );
+
+  return {
+    timeFilter,
+    scanned: report.scanned,
+    generatedAt: report.generatedAt,
+    senders: senders.map((sender) => ({
+      ...sender,
+      unsubscribed: unsubscribed.get(sender.address) || null,
+    })),
+  };
+};
+
+/*
+ * Unsubscribe
+ */
+
+/**
+ * Reads the unsubscribe options of a message. One-click (RFC 8058) needs an
+ * HTTPS URI plus `List-Unsubscribe-Post: List-Unsubscribe=One-Click`.
+ * @returns {{ mailto: string|null, url: string|null, oneClick: boolean }}
+ */
+const parseListUnsubscribe = ({ listUnsubscribe, listUnsubscribePost }) => {
+  const uris = [...(listUnsubscribe || "").matchAll(/<([^>]+)>/g)].map(
+    (match) => match[1].trim()
+  );
+  const secureUrl = uris.find((uri) => /^https:/i.test(uri)) || null;
+  return {
+    mailto: uris.find((uri) => /^mailto:/i.test(uri)) || null,
+    url: secureUrl || uris.find((uri) => /^http:/i.test(uri)) || null,
+    oneClick:
+      !!secureUrl &&
+      /List-Unsubscribe=One-Click/i.test(listUnsubscribePost || ""),
+  };
+};
+
+const parseMailto = (uri) => {
+  const url = new URL(uri);
+  return {
+    to: decodeURIComponent(url.pathname),
+    subject: url.searchParams.get("subject"),
+    body: url.searchParams.get("body"),
+  };
+};
+
+// The URL comes from a header anyone can write, so the server only posts to
+// public HTTPS hosts and does not follow redirects. Returns the checked
+// address, which the request connects to so a second lookup can't point it
+// somewhere else.
+const resolvePublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:") {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "One-click unsubscribe needs an HTTPS link"
+    );
+  }
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true }).catch(() => []);
+  if (
+    addresses.length === 0 ||
+    addresses.some(({ address }) => isPrivateAddress(address))
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "The unsubscribe link does not point to a public host"
+    );
+  }
+  const { address } = addresses[0];
+  return { address, family: net.isIP(address) };
+};
+
+// https.request rather than fetch, whose own lookup can't be replaced. The
+// URL's host is still sent as Host and used for TLS, and like
+// redirect: "manual" a redirect is returned, not followed.
+const postOneClickUnsubscribe = async (url) => {
+  const { address, family } = await resolvePublicUrl(url);
+  const body = "List-Unsubscribe=One-Click";
+  const status = await new Promise((resolve, reject) => {
+    const request = https.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          "Content-Length": Buffer.byteLength(body),
+        },
+        lookup: (hostname, options, callback) =>
+          options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family),
+        signal: AbortSignal.timeout(UNSUBSCRIBE_TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+  if (status >= 400) {
+    throw new ApiError(
+      StatusCodes.BAD_GATEWAY,
+      `The sender's unsubscribe endpoint answered ${status}`
+    );
+  }
+};
+
+/**
+ * Unsubscribes from a sender using the newest message's List-Unsubscribe
+ * header: a one-click POST when offered, else an email to the mailto
+ * address. A plain web link is returned for the user to open.
+ * @param {EmailService} emailService - Service of the inbox
+ * @param {string} userId - Owner of the inbox
+ * @param {Object} target - `sender` address, or `emailId` of a message
+ * @returns {Promise<Object>} { sender, method, target, completed }
+ */
+const unsubscribe = async (emailService, userId, { sender, emailId }) => {
+  let address = sender ? normalizeSender(sender) : null;
+  let messageId = emailId;
+  if (!messageId) {
+    if (!address) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "Provide a sender or an emailId"
+      );
+    }
+    const [latest] = (
+      await findSenderEmails(emailService, address, UNSUBSCRIBE_LOOKUP_EMAILS)
+    ).filter((email) => email.canUnsubscribe !== false);
+    if (!latest) {
+      throw new ApiError(
+        StatusCodes.NOT_FOUND,
+        `No recent email from ${address} has an unsubscribe link`
+      );
+    }
+    messageId = latest.id;
+  }
+  if (!address) {
+    address = parseSender(
+      (await emailService.getEmail(messageId)).from
+    ).address;
+  }
+
+  const options = parseListUnsubscribe(
+    await emailService.getUnsubscribeHeaders(messageId)
+  );
+  let result = null;
+  if (options.oneClick) {
+    try {
+      await postOneClickUnsubscribe(options.url);
+      result = { method: "one-click", target: options.url, completed: true };
+    } catch (error) {
+      if (!options.mailto) throw error;
+      console.warn(
+        `[WARN] One-click unsubscribe from ${address} failed, using mailto:`,
+        error.message
+      );
+    }
+  }
+  if (!result && options.mailto) {
+    const { to, subject, body } = parseMailto(options.mailto);
+    await emailService.sendEmail({
+      to,
+      subject: subject || "Unsubscribe",
+      body: body || "Please unsubscribe me from this mailing list.",
+    });
+    result = { method: "mailto", target: to, completed: true };
+  }
+  if (!result && options.url) {
+    result = { method: "link", target: options.url, completed: false };
+  }
+  if (!result) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "This email has no unsubscribe link"
+    );
+  }
+
+  await Unsubscription.findOneAndUpdate(
+    { userId, inboxId: getServiceInboxId(emailService), sender: address },
+    { ...result, emailId: messageId },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return { sender: address, ...result };
+};
+
+/**
+ * Trashes every email from a sender, up to the bulk action limit. Above the
+ * confirmation threshold nothing changes unless `confirmed` is true.
+ * @param {EmailService} emailService - Service of the inbox
+ * @param {string} userId - Owner of the inbox
+ * @param {Object} options - `sender`, `confirmed` and an `onProgress`
+ * callback as taken by bulkActionService.runBulkAction
+ */
+const trashSender = async (
+  emailService,
+  userId,
+  { sender, confirmed, onProgress }
+) => {
+  const address = normalizeSender(sender);
+  const emailIds = (
+    await findSenderEmails(
+      emailService,
+      address,
+      bulkActionService.MAX_BULK_EMAILS
+    )
+  ).map((email) => email.id);
+
+  if (bulkActionService.needsConfirmation(emailIds.length, confirmed)) {
+    return {
+      sender: address,
+      requiresConfirmation: true,
+      total: emailIds.length,
+    };
+  }
+  const result = await bulkActionService.runBulkAction(emailService, emailIds, {
+    action: "trash",
+    onProgress,
+  });
+  clearReportCache(userId, getServiceInboxId(emailService));
+  return { sender: address, ...result };
+};
+
+export default {
+  parseSender,
+  groupBySender,
+  getSenderReport,
+  parseListUnsubscribe,
+  unsubscribe,
+  trashSender,
+};
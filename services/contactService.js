@@ -0,0 +1,433 @@
+// services/contactService.js
+import NodeCache from "node-cache";
+import { StatusCodes } from "http-status-codes";
+import Contact from "../models/Contact.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { getServiceInboxId } from "./emailService.js";
+import cleanupService from "./cleanupService.js";
+
+const { parseSender } = cleanupService;
+
+// Recent messages read from each of the sent and received folders
+const SCAN_MESSAGES = 200;
+const PAGE_SIZE = 100;
+const MAX_PROVIDER_CONTACTS = 2000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Contacts ranked for a search, most used first
+const MAX_SEARCHED_CONTACTS = 5000;
+const MAX_CANDIDATES = 5;
+// Automated senders are never worth writing to
+const AUTOMATED_ADDRESS_PATTERN =
+  /^(no-?reply|do-?not-?reply|notifications?|mailer-daemon|postmaster|bounces?)([+._-]|@)/i;
+const MATCH = { exact: 4, word: 3, prefix: 2, fuzzy: 1 };
+
+// An inbox is scanned again once its entry expires
+const syncCache = new NodeCache({ stdTTL: 6 * 60 * 60 });
+const runningSyncs = new Map();
+
+const syncKey = (userId, emailService) =>
+  `${userId}:${getServiceInboxId(emailService) || "primary"}`;
+
+/*
+ * Address book
+ */
+
+// Splits a To header such as `Ann <ann@acme.com>, "Lee, Bo" <bo@acme.com>`;
+// names equal to the address are dropped
+const parseAddressList = (value = "") =>
+  (String(value).match(/(?:"[^"]*"|[^,])+/g) || [])
+    .map((part) => parseSender(part.trim()))
+    .filter(({ address }) => address)
+    .map(({ address, name }) => ({
+      email: address,
+      name: name === address ? "" : name,
+    }));
+
+const fetchMessages = async (emailService, filter) => {
+  const emails = [];
+  let pageToken;
+  do {
+    const { messages = [], nextPageToken } = await emailService.fetchEmails({
+      filter,
+      maxResults: Math.min(SCAN_MESSAGES - emails.length, PAGE_SIZE),
+      pageToken,
+    });
+    emails.push(...messages);
+    pageToken = messages.length > 0 ? nextPageToken : null;
+  } while (pageToken && emails.length < SCAN_MESSAGES);
+  return emails.slice(0, SCAN_MESSAGES);
+};
+
+const formatContact = (contact) => ({
+  id: String(contact._id),
+  email: contact.email,
+  name: contact.name || "",
+  sources: contact.sources || [],
+  sentCount: contact.sentCount || 0,
+  receivedCount: contact.receivedCount || 0,
+  lastContactedAt: contact.lastContactedAt || null,
+  lastReceivedAt: contact.lastReceivedAt || null,
+});
+
+/**
+ * Adds an inbox's correspondents to the user's address book: the
+ * recipients of recent sent mail, the senders of recent received mail and
+ * the provider's own contacts. Counts are per scan and only ever raised, so
+ * running it again is harmless.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Scan even if the inbox was scanned
+ *   recently
+ * @returns {Promise<Object>} { synced, contacts, warning? }
+ */
+const syncContacts = async (emailService, userId, { force = false } = {}) => {
+  const key = syncKey(userId, emailService);
+  if (runningSyncs.has(key)) return runningSyncs.get(key);
+  if (!force && syncCache.get(key)) return { synced: false, contacts: 0 };
+
+  const run = (async () => {
+    const ownAddresses = new Set(
+      [emailService.account?.email, emailService.user?.email]
+        .filter(Boolean)
+        .map((address) => address.toLowerCase())
+    );
+    const entries = new Map();
+    const entryFor = (email, name) => {
+      const address = email.trim().toLowerCase();
+      if (
+        ownAddresses.has(address) ||
+        AUTOMATED_ADDRESS_PATTERN.test(address)
+      ) {
+        return null;
+      }
+      const entry = entries.get(address) || {
+        email: address,
+        name: "",
+        sources: new Set(),
+        sentCount: 0,
+        receivedCount: 0,
+        lastContactedAt: null,
+        lastReceivedAt: null,
+      };
+      if (name) entry.name = name;
+      entries.set(address, entry);
+      return entry;
+    };
+    const latest = (current, date) => {
+      const time = new Date(date);
+      if (Number.isNaN(time.getTime())) return current;
+      return !current || time > current ? time : current;
+    };
+
+    for (const email of await fetchMessages(emailService, "sent")) {
+      for (const { email: address, name } of parseAddressList(email.to)) {
+        const entry = entryFor(address, name);
+        if (!entry) continue;
+        entry.sources.add("sent");
+        entry.sentCount++;
+        entry.lastContactedAt = latest(entry.lastContactedAt, email.date);
+      }
+    }
+    for (const email of await fetchMessages(emailService, "all")) {
+      const [sender] = parseAddressList(email.from);
+      const entry = sender && entryFor(sender.email, sender.name);
+      if (!entry) continue;
+      entry.sources.add("received");
+      entry.receivedCount++;
+      entry.lastReceivedAt = latest(entry.lastReceivedAt, email.date);
+    }
+
+    // Provider contacts come last so their names win over header names
+    let warning;
+    try {
+      const contacts = await emailService.listProviderContacts({
+        maxResults: MAX_PROVIDER_CONTACTS,
+      });
+      for (const { email, name, source } of contacts) {
+        entryFor(email, name)?.sources.add(source);
+      }
+    } catch (error) {
+      // Mail headers still make a usable address book
+      console.error("[ERROR] Failed to read provider contacts:", error.message);
+      warning = error.message;
+    }
+
+    const operations = [...entries.values()].map((entry) => ({
+      updateOne: {
+        filter: { userId, email: entry.email },
+        update: {
+          ...(entry.name ? { $set: { name: entry.name } } : {}),
+          $addToSet: { sources: { $each: [...entry.sources] } },
+          $max: {
+            sentCount: entry.sentCount,
+            receivedCount: entry.receivedCount,
+            ...(entry.lastContactedAt
+              ? { lastContactedAt: entry.lastContactedAt }
+              : {}),
+            ...(entry.lastReceivedAt
+              ? { lastReceivedAt: entry.lastReceivedAt }
+              : {}),
+          },
+        },
+        upsert: true,
+      },
+    }));
+    if (operations.length > 0) {
+      await Contact.bulkWrite(operations, { ordered: false });
+    }
+    syncCache.set(key, true);
+    return {
+      synced: true,
+      contacts: operations.length,
+      ...(warning ? { warning } : {}),
+    };
+  })();
+
+  runningSyncs.set(key, run);
+  try {
+    return await run;
+  } finally {
+    runningSyncs.delete(key);
+  }
+};
+
+// Counts an email sent from the app right away instead of at the next scan
+const recordSent = async (userId, to) => {
+  const recipients = parseAddressList(to);
+  if (recipients.length === 0) return;
+  const now = new Date();
+  await Contact.bulkWrite(
+    recipients.map(({ email, name }) => ({
+      updateOne: {
+        filter: { userId, email },
+        update: {
+          ...(name ? { $set: { name } } : {}),
+          $addToSet: { sources: "sent" },
+          $inc: { sentCount: 1 },
+          $max: { lastContactedAt: now },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/*
+ * Name matching
+ */
+
+const normalize = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const tokenize = (text) =>
+  normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// At most one insertion, deletion or substitution apart ("jon"/"john")
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * How well a contact matches a name: exact (the whole name or address),
+ * word (every word of the query is a word of the name or address), prefix
+ * ("jo" for John), fuzzy (a typo away, or the address run together) or 0.
+ * @param {Object} contact - { email, name }
+ * @param {string} query
+ * @returns {number} One of MATCH, 0 for no match
+ */
+const matchContact = (contact, query) => {
+  const text = normalize(query);
+  if (!text) return 0;
+  if (normalize(contact.email) === text || normalize(contact.name) === text) {
+    return MATCH.exact;
+  }
+
+  const localPart = contact.email.split("@")[0];
+  const words = [...tokenize(contact.name), ...tokenize(localPart)];
+  const matchWord = (token) => {
+    if (words.includes(token)) return MATCH.word;
+    if (words.some((word) => word.startsWith(token))) return MATCH.prefix;
+    if (token.length >= 4 && words.some((word) => withinOneEdit(word, token))) {
+      return MATCH.fuzzy;
+    }
+    return 0;
+  };
+  // The weakest word of the query decides
+  const queryWords = tokenize(query);
+  const match = Math.min(...queryWords.map(matchWord));
+  if (match > 0) return match;
+
+  const compact = queryWords.join("");
+  return compact.length >= 3 &&
+    normalize(localPart)
+      .replace(/[^a-z0-9]/g, "")
+      .includes(compact)
+    ? MATCH.fuzzy
+    : 0;
+};
+
+// Saved contacts and people the user has written to are the likely
+// recipients; senders they never answered rarely are
+const isKnown = (contact) =>
+  contact.sentCount > 0 ||
+  (contact.sources || []).some((source) =>
+    ["google", "microsoft"].includes(source)
+  );
+
+const rankContacts = (contacts, query) =>
+  contacts
+    .map((contact) => ({ contact, match: matchContact(contact, query) }))
+    .filter(({ match }) => match > 0)
+    .sort(
+      (a, b) =>
+        b.match - a.match ||
+        isKnown(b.contact) - isKnown(a.contact) ||
+        b.contact.sentCount - a.contact.sentCount ||
+        b.contact.receivedCount - a.contact.receivedCount
+    );
+
+const loadContacts = (userId) =>
+  Contact.find({ userId })
+    .sort({ sentCount: -1, receivedCount: -1 })
+    .limit(MAX_SEARCHED_CONTACTS)
+    .lean();
+
+/*
+ * Queries
+ */
+
+/**
+ * The address book, most used first, or the contacts matching `query`,
+ * best match first.
+ * @param {string} userId
+ * @param {Object} [options] - { query, limit, offset }
+ * @returns {Promise<Object>} { contacts, total }
+ */
+const listContacts = async (userId, { query, limit, offset } = {}) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+  if (query && String(query).trim()) {
+    const ranked = rankContacts(await loadContacts(userId), query);
+    return {
+      contacts: ranked
+        .slice(skip, skip + pageSize)
+        .map(({ contact }) => formatContact(contact)),
+      total: ranked.length,
+    };
+  }
+
+  const [contacts, total] = await Promise.all([
+    Contact.find({ userId })
+      .sort({ sentCount: -1, lastContactedAt: -1, receivedCount: -1 })
+      .skip(skip)
+      .limit(pageSize)
+      .lean(),
+    Contact.countDocuments({ userId }),
+  ]);
+  return { contacts: contacts.map(formatContact), total };
+};
+
+/**
+ * Turns a recipient as the user said it ("John", "john smith", or an
+ * address) into an email address. The inbox is scanned first when its
+ * contacts are stale. Among equally good matches, contacts the user knows
+ * (see isKnown) are preferred; if several remain the caller should ask.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {string} query
+ * @returns {Promise<Object>} { status: "resolved" | "ambiguous" |
+ *   "not_found", query, contact, candidates }
+ */
+const resolveRecipient = async (emailService, userId, query) => {
+  const text = String(query || "").trim();
+  if (!text) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "A name or email address is required"
+    );
+  }
+
+  // Anything holding an address is taken at its word
+  const [given] = parseAddressList(text);
+  if (given) {
+    const saved = await Contact.findOne({ userId, email: given.email }).lean();
+    return {
+      status: "resolved",
+      query: text,
+      contact: saved
+        ? formatContact(saved)
+        : { email: given.email, name: given.name },
+      candidates: [],
+    };
+  }
+
+  try {
+    await syncContacts(emailService, userId);
+  } catch (error) {
+    console.error("[ERROR] Contact sync failed:", error.message);
+  }
+
+  const ranked = rankContacts(await loadContacts(userId), text);
+  if (ranked.length === 0) {
+    return { status: "not_found", query: text, contact: null, candidates: [] };
+  }
+  const best = ranked.filter(({ match }) => match === ranked[0].match);
+  const known = best.filter(({ contact }) => isKnown(contact));
+  const pool = (known.length > 0 ? known : best).map(({ contact }) =>
+    formatContact(contact)
+  );
+  if (pool.length === 1) {
+    return {
+      status: "resolved",
+      query: text,
+      contact: pool[0],
+      candidates: [],
+    };
+  }
+  return {
+    status: "ambiguous",
+    query: text,
+    contact: null,
+    candidates: pool.slice(0, MAX_CANDIDATES),
+  };
+};
+
+export default {
+  parseAddressList,
+  matchContact,
+  syncContacts,
+  recordSent,
+  listContacts,
+  resolveRecipient,
+};
@@ -0,0 +1,323 @@
+// services/digestService.js
+import { StatusCodes } from "http-status-codes";
+import User from "../models/User.js";
+import ConnectedInbox from "../models/ConnectedInbox.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { createEmailServiceFor } from "./emailService.js";
+import { sendDigestEmail } from "../helper/notifyByEmail.js";
+
+const DIGEST_FREQUENCIES = ["daily", "weekly"];
+const DIGEST_FIELDS = [
+  "enabled",
+  "frequency",
+  "time",
+  "timezone",
+  "dayOfWeek",
+  "maxEmails",
+  "inboxId",
+];
+// Candidates pulled from the inbox before importance filtering
+const DIGEST_CANDIDATES = 100;
+const MAX_BODY_CHARS = 3000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of `date` in `timeZone`
+const getZonedParts = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+};
+
+// UTC instant of a wall-clock time in `timeZone`. The offset is checked a
+// second time so times next to a DST switch land on the right side of it.
+const zonedTimeToUtc = (year, month, day, hour, minute, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+  const corrected = getOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+};
+
+/**
+ * Next time the digest is due after `from`.
+ * @param {Object} settings - User digest settings
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+const computeNextRun = (settings, from = new Date()) => {
+  const [hour, minute] = settings.time.split(":").map(Number);
+  const today = getZonedParts(from, settings.timezone);
+
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+    if (
+      settings.frequency === "weekly" &&
+      day.getUTCDay() !== settings.dayOfWeek
+    ) {
+      continue;
+    }
+    const runAt = zonedTimeToUtc(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      hour,
+      minute,
+      settings.timezone
+    );
+    if (runAt > from) return runAt;
+  }
+  // Unreachable for valid settings; retry in a day rather than never
+  return new Date(from.getTime() + 24 * 60 * 60 * 1000);
+};
+
+const formatDigestSettings = (digest = {}) => ({
+  enabled: digest.enabled,
+  frequency: digest.frequency,
+  time: digest.time,
+  timezone: digest.timezone,
+  dayOfWeek: digest.dayOfWeek,
+  maxEmails: digest.maxEmails,
+  inboxId: digest.inboxId,
+  nextRunAt: digest.enabled ? digest.nextRunAt : null,
+  lastSentAt: digest.lastSentAt,
+  lastError: digest.lastError,
+});
+
+const updateDigestSettings = async (userId, changes) => {
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const updates = Object.keys(changes)
+    .filter((key) => DIGEST_FIELDS.includes(key))
+    .reduce((obj, key) => ({ ...obj, [key]: changes[key] }), {});
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "No valid fields to update");
+  }
+
+  if (updates.enabled !== undefined) {
+    updates.enabled = updates.enabled === true || updates.enabled === "true";
+  }
+  if (
+    updates.frequency !== undefined &&
+    !DIGEST_FREQUENCIES.includes(updates.frequency)
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`
+    );
+  }
+  if (
+    updates.time !== undefined &&
+    !/^([01]\d|2[0-3]):[0-5]\d$/.test(updates.time)
+  ) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "time must be HH:mm in 24-hour format, e.g. 08:00"
+    );
+  }
+  if (updates.timezone !== undefined && !isValidTimeZone(updates.timezone)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "timezone must be an IANA time zone, e.g. Europe/Berlin"
+    );
+  }
+  if (updates.dayOfWeek !== undefined) {
+    updates.dayOfWeek = Number(updates.dayOfWeek);
+    if (
+      !Number.isInteger(updates.dayOfWeek) ||
+      updates.dayOfWeek < 0 ||
+      updates.dayOfWeek > 6
+    ) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "dayOfWeek must be 0 (Sunday) to 6 (Saturday)"
+      );
+    }
+  }
+  if (updates.maxEmails !== undefined) {
+    updates.maxEmails = Number(updates.maxEmails);
+    if (
+      !Number.isInteger(updates.maxEmails) ||
+      updates.maxEmails < 1 ||
+      updates.maxEmails > 10
+    ) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "maxEmails must be between 1 and 10"
+      );
+    }
+  }
+  if (updates.inboxId !== undefined) {
+    if (!updates.inboxId || updates.inboxId === "primary") {
+      updates.inboxId = null;
+    } else {
+      const inbox = await ConnectedInbox.exists({
+        _id: updates.inboxId,
+        userId,
+      }).catch(() => null);
+      if (!inbox) throw new ApiError(StatusCodes.NOT_FOUND, "Inbox not found");
+      updates.inboxId = String(updates.inboxId);
+    }
+  }
+
+  const digest = { ...user.digest.toObject(), ...updates };
+  digest.nextRunAt = digest.enabled ? computeNextRun(digest) : null;
+  user.digest = digest;
+  await user.save();
+  return user.digest;
+};
+
+const parseJson = (text = "") => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/\{[\s\S]*\}/);
+    return match ? JSON.parse(match[0]) : {};
+  }
+};
+
+const summarizeForDigest = async (emailService, email) => {
+  const body = (email.body || email.snippet || "").slice(0, MAX_BODY_CHARS);
+  const prompt = `
+      You are preparing ${
+        emailService.user.name || "the user"
+      }'s email digest. Write a 1-2 sentence summary of the email below and a short, polite reply they could send as is.
+      Return only a valid JSON object: {"summary": "...", "suggestedReply": "..."}
+      From: "${email.from || "Unknown"}"
+      Subject: "${email.subject || ""}"
+      Email content: "${body}"
+    `;
+
+  try {
+    const { content } = await emailService.callModelWithFallback(prompt);
+    const result = parseJson(content);
+    return {
+      summary: result.summary || email.snippet || "",
+      suggestedReply: result.suggestedReply || "",
+    };
+  } catch (error) {
+    console.error(`Failed to summarize ${email.id} for digest:`, error);
+    return { summary: email.snippet || "", suggestedReply: "" };
+  }
+};
+
+/**
+ * Builds and emails the digest for one user.
+ * @param {Object} user - User document
+ * @returns {Promise<Object[]>} The digest items; empty when nothing was
+ *   important enough to send
+ */
+const sendDigest = async (user) => {
+  const { frequency, maxEmails, inboxId } = user.digest;
+  const emailService = await createEmailServiceFor(user._id, inboxId);
+
+  const { messages = [] } = await emailService.fetchEmails({
+    filter: "all",
+    maxResults: DIGEST_CANDIDATES,
+    timeFilter: frequency,
+  });
+  const important = (
+    await emailService.filterImportantEmails(messages, [], frequency)
+  ).slice(0, maxEmails);
+  if (important.length === 0) return [];
+
+  // Sequential to stay within the model providers' rate limits
+  const items = [];
+  for (const email of important) {
+    items.push({
+      id: email.id,
+      threadId: email.threadId,
+      from: email.from,
+      date: email.date,
+      subject: email.subject,
+      score: email.importanceScore,
+      ...(await summarizeForDigest(emailService, email)),
+    });
+  }
+
+  await sendDigestEmail(user, {
+    frequency,
+    inbox: emailService.account.email,
+    items,
+  });
+  return items;
+};
+
+/*
+ * Worker side. A due user is claimed by moving nextRunAt forward with a
+ * conditional update, so only one instance sends each digest.
+ */
+
+const claimDueDigest = async () => {
+  const now = new Date();
+  const candidates = await User.find({
+    "digest.enabled": true,
+    "digest.nextRunAt": { $lte: now },
+  })
+    .sort({ "digest.nextRunAt": 1 })
+    .limit(5);
+
+  for (const candidate of candidates) {
+    const claimed = await User.findOneAndUpdate(
+      { _id: candidate._id, "digest.nextRunAt": candidate.digest.nextRunAt },
+      { "digest.nextRunAt": computeNextRun(candidate.digest, now) },
+      { new: true }
+    );
+    if (claimed) return claimed;
+  }
+  return null;
+};
+
+// A failed digest is not retried; the next one goes out on schedule
+const processDigest = async (user) => {
+  try {
+    const items = await sendDigest(user);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        "digest.lastError": null,
+        ...(items.length > 0 ? { "digest.lastSentAt": new Date() } : {}),
+      }
+    );
+  } catch (error) {
+    console.error(
+      `[ERROR] Digest for ${user.email} failed:`,
+      error.message || error
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { "digest.lastError": error.message || "Unknown error" }
+    );
+  }
+};
+
+export default {
+  computeNextRun,
+  formatDigestSettings,
+  updateDigestSettings,
+  sendDigest,
+  claimDueDigest,
+  processDigest,
+};
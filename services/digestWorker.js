@@ -0,0 +1,51 @@
+// services/digestWorker.js
+import digestService from "./digestService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 10;
+
+// Sends the digests that are due. Runs in every server instance; users are
+// claimed atomically, so each digest goes out once.
+class DigestWorker {
+  constructor({
+    pollInterval = Number(process.env.DIGEST_POLL_MS) ||
+      DEFAULT_POLL_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.tick();
+    console.log(`📰 Digest worker polling every ${this.pollInterval / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const user = await digestService.claimDueDigest();
+        if (!user) break;
+        await digestService.processDigest(user);
+      }
+    } catch (error) {
+      console.error("[ERROR] Digest worker tick failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default DigestWorker;
@@ -0,0 +1,222 @@
+// services/draftService.js
+import { StatusCodes } from "http-status-codes";
+import EmailDraft from "../models/EmailDraft.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { getServiceInboxId } from "./emailService.js";
+
+const MAX_DRAFT_VERSIONS = 20;
+
+// Multer files are kept on disk so the providers can read them at send time
+const toStoredAttachments = (files = []) =>
+  files.map((file) => ({
+    filename: file.filename,
+    originalname: file.originalname,
+    path: file.path,
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+
+const formatDraft = (draft, { withVersions = false } = {}) => ({
+  id: draft._id,
+  inboxId: draft.inboxId,
+  to: draft.recipientId,
+  subject: draft.subject,
+  message: draft.message,
+  attachments: (draft.attachments || []).map((file) => ({
+    filename: file.originalname || file.filename,
+    mimetype: file.mimetype,
+    size: file.size,
+  })),
+  status: draft.status,
+  version: draft.version,
+  ...(withVersions ? { versions: draft.versions } : {}),
+  providerDraftId: draft.providerDraftId,
+  providerSyncedAt: draft.providerSyncedAt,
+  providerSyncError: draft.providerSyncError,
+  sentAt: draft.sentAt,
+  createdAt: draft.createdAt,
+  updatedAt: draft.updatedAt,
+});
+
+const snapshot = (draft, instruction) => ({
+  version: draft.version,
+  recipientId: draft.recipientId,
+  subject: draft.subject,
+  message: draft.message,
+  instruction,
+  createdAt: new Date(),
+});
+
+// Mirrors the draft into the provider's native drafts folder. Providers have
+// no portable "update draft" call, so the old native draft is replaced. A
+// failed sync is recorded on the draft but never loses the local copy.
+const syncProviderDraft = async (emailService, draft) => {
+  try {
+    if (draft.providerDraftId) {
+      await emailService
+        .deleteDraft(draft.providerDraftId)
+        .catch((error) =>
+          console.error("[ERROR] Failed to remove old provider draft:", error)
+        );
+    }
+    draft.providerDraftId =
+      (await emailService.draftEmail({
+        to: draft.recipientId,
+        subject: draft.subject,
+        body: draft.message,
+        attachments: draft.attachments,
+      })) || null;
+    draft.providerSyncedAt = new Date();
+    draft.providerSyncError = null;
+  } catch (error) {
+    console.error("[ERROR] Failed to sync draft with provider:", error);
+    draft.providerDraftId = null;
+    draft.providerSyncError = error.message || "Provider sync failed";
+  }
+  await draft.save();
+  return draft;
+};
+
+const removeProviderDraft = async (emailService, draft) => {
+  if (!draft.providerDraftId) return;
+  await emailService
+    .deleteDraft(draft.providerDraftId)
+    .catch((error) =>
+      console.error("[ERROR] Failed to remove provider draft:", error)
+    );
+  draft.providerDraftId = null;
+};
+
+const listDrafts = async (
+  emailService,
+  userId,
+  { status = "draft", limit = 0 } = {}
+) =>
+  EmailDraft.find({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    ...(status === "all" ? {} : { status }),
+  })
+    .sort({ updatedAt: -1 })
+    .limit(limit);
+
+const getDraft = async (emailService, userId, draftId) => {
+  const draft = await EmailDraft.findOne({
+    _id: draftId,
+    userId,
+    inboxId: getServiceInboxId(emailService),
+  }).catch(() => null);
+  if (!draft) throw new ApiError(StatusCodes.NOT_FOUND, "Draft not found");
+  return draft;
+};
+
+// The draft the user is most likely talking about ("adjust it", "send it")
+const getLatestDraft = async (emailService, userId) =>
+  EmailDraft.findOne({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    status: "draft",
+  }).sort({ updatedAt: -1 });
+
+const createDraft = async (
+  emailService,
+  userId,
+  { to, subject = "", message = "", attachments = [] }
+) => {
+  if (!to) throw new ApiError(StatusCodes.BAD_REQUEST, "Recipient is required");
+
+  const draft = new EmailDraft({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    recipientId: to,
+    subject,
+    message,
+    attachments,
+  });
+  draft.versions = [snapshot(draft)];
+  return syncProviderDraft(emailService, draft);
+};
+
+// Applies an edit as a new version; `instruction` records what was asked for
+const updateDraft = async (emailService, draft, changes, instruction) => {
+  if (draft.status !== "draft") {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Only unsent drafts can be edited"
+    );
+  }
+
+  const { to, subject, message, attachments } = changes;
+  if (to !== undefined) draft.recipientId = to;
+  if (subject !== undefined) draft.subject = subject;
+  if (message !== undefined) draft.message = message;
+  if (attachments !== undefined) draft.attachments = attachments;
+  if (!draft.recipientId) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Recipient is required");
+  }
+
+  draft.version += 1;
+  draft.versions = [...draft.versions, snapshot(draft, instruction)].slice(
+    -MAX_DRAFT_VERSIONS
+  );
+  return syncProviderDraft(emailService, draft);
+};
+
+const sendDraft = async (emailService, draft) => {
+  if (draft.status !== "draft") {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Draft was already sent");
+  }
+  if (!draft.subject || !draft.message) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Draft needs a subject and a message before sending"
+    );
+  }
+
+  await emailService.sendEmail({
+    to: draft.recipientId,
+    subject: draft.subject,
+    body: draft.message,
+    attachments: draft.attachments,
+  });
+  await removeProviderDraft(emailService, draft);
+  draft.status = "sent";
+  draft.sentAt = new Date();
+  await draft.save();
+  return draft;
+};
+
+// An email sent without going through sendDraft still retires its drafts
+const markDraftsSent = async (emailService, userId, { to, subject }) => {
+  const drafts = await EmailDraft.find({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    status: "draft",
+    recipientId: to,
+    subject,
+  });
+  for (const draft of drafts) {
+    await removeProviderDraft(emailService, draft);
+    draft.status = "sent";
+    draft.sentAt = new Date();
+    await draft.save();
+  }
+};
+
+const deleteDraft = async (emailService, draft) => {
+  await removeProviderDraft(emailService, draft);
+  await draft.deleteOne();
+};
+
+export default {
+  toStoredAttachments,
+  formatDraft,
+  listDrafts,
+  getDraft,
+  getLatestDraft,
+  createDraft,
+  updateDraft,
+  sendDraft,
+  markDraftsSent,
+  deleteDraft,
+};
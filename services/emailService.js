@@ -1,8 +1,13 @@
 // services/emailService.js
+import crypto from "crypto";
 import Groq from "groq-sdk";
 import { ApiError } from "../utils/errorHandler.js";
 import { StatusCodes } from "http-status-codes";
 import User from "../models/User.js";
+import ConnectedInbox from "../models/ConnectedInbox.js";
+import { getMaxInboxes } from "../helper/planLimits.js";
+import { buildThread, toThreadListEntry } from "../helper/threadHelper.js";
+import { isIcsAttachment } from "../helper/calendarHelper.js";
 import { getDefaultModel, getModelById } from "../routes/aiModelRoutes.js";
 import OpenAI from "openai";
 
@@ -45,8 +50,11 @@ const STANDARD_FALLBACK_CHAIN = [
   "gpt-4o-mini",
 ];
 class EmailService {
-  constructor(user) {
+  // `account` is the mailbox being operated on: the user themselves for the
+  // inbox they signed in with, or a ConnectedInbox for any linked inbox
+  constructor(user, account = user) {
     this.user = user;
+    this.account = account;
     this.grok = groq;
     this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
     this.analysisCache = new TTLCache();
@@ -85,6 +93,10 @@ class EmailService {
     throw new Error("Method 'draftEmail' must be implemented");
   }
 
+  async deleteDraft(draftId) {
+    throw new Error("Method 'deleteDraft' must be implemented");
+  }
+
   async getInboxStats() {
     throw new Error("Method 'getInboxStats' must be implemented");
   }
@@ -101,6 +113,301 @@ class EmailService {
     throw new Error("Method 'getAttachment' must be implemented");
   }
 
+  // Like moveToFolder, the moving actions resolve to the message's id
+  // afterwards
+  async archiveEmail(emailId) {
+    throw new Error("Method 'archiveEmail' must be implemented");
+  }
+
+  async starEmail(emailId, starred) {
+    throw new Error("Method 'starEmail' must be implemented");
+  }
+
+  // Outlook and IMAP call starring "flagging"
+  async flagEmail(emailId, flagged = true) {
+    return this.starEmail(emailId, flagged);
+  }
+
+  async reportSpam(emailId) {
+    throw new Error("Method 'reportSpam' must be implemented");
+  }
+
+  async untrashEmail(emailId) {
+    throw new Error("Method 'untrashEmail' must be implemented");
+  }
+
+  // Snoozing is done server-side for every provider: the message is archived
+  // now and the snooze worker moves it back to the inbox at `until`
+  async snoozeEmail(emailId, until) {
+    const { default: snoozeService } = await import("./snoozeService.js");
+    return snoozeService.snoozeEmail(this, emailId, until);
+  }
+
+  /**
+   * Applies one action to many messages. This default goes message by
+   * message; Gmail and Outlook override it with their batch APIs.
+   * @param {string[]} emailIds - Messages to change
+   * @param {string} action - trash, read, unread, archive or label
+   * @param {Object} [options]
+   * @param {string} [options.label] - Label to apply for the label action
+   * @returns {Promise<Object[]>} { id, success, newId?, error? } per message
+   */
+  async bulkModify(emailIds, action, { label } = {}) {
+    const results = [];
+    for (const id of emailIds) {
+      try {
+        const newId = await this.runBulkAction(id, action, label);
+        results.push({ id, success: true, ...(newId ? { newId } : {}) });
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          error: error.message || "Unknown error",
+        });
+      }
+    }
+    return results;
+  }
+
+  // Single-message version of a bulk action. Resolves to the message's new
+  // id when the action moved it.
+  async runBulkAction(emailId, action, label) {
+    switch (action) {
+      case "trash":
+        await this.trashEmail(emailId);
+        return null;
+      case "read":
+      case "unread":
+        await this.markAsRead(emailId, action === "read");
+        return null;
+      case "archive": {
+        const newId = await this.archiveEmail(emailId);
+        return newId && newId !== emailId ? newId : null;
+      }
+      case "label":
+        await this.applyLabel(emailId, label);
+        return null;
+      default:
+        throw new Error(`Unknown bulk action: ${action}`);
+    }
+  }
+
+  // Raw List-Unsubscribe and List-Unsubscribe-Post headers (RFC 2369 and
+  // RFC 8058) of a message: { listUnsubscribe, listUnsubscribePost }.
+  // Providers that expose message headers override this.
+  async getUnsubscribeHeaders(emailId) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Unsubscribing is not supported for this inbox"
+    );
+  }
+
+  // Calendar of this inbox (see services/calendarService.js). Gmail and
+  // Outlook override this; other providers have no calendar API.
+  async getCalendarService() {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Calendar is available for Google and Microsoft inboxes"
+    );
+  }
+
+  // Address book of the provider account as [{ email, name, source }],
+  // source being "google" or "microsoft". Gmail and Outlook override this;
+  // other providers only have mail headers to go on.
+  async listProviderContacts() {
+    return [];
+  }
+
+  // New-mail push (see services/pushService.js). watchMailbox starts
+  // watching the inbox with { topicName, notificationUrl, lifecycleUrl,
+  // clientState, expiresAt } and resolves to { provider, expiresAt,
+  // historyId?, subscriptionId? }. Gmail and Outlook override these.
+  async watchMailbox(options) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Push notifications are available for Google and Microsoft inboxes"
+    );
+  }
+
+  // Extends a stored watch; starting over is enough where nothing is kept
+  async renewMailboxWatch(watch, options) {
+    return this.watchMailbox(options);
+  }
+
+  async stopWatchingMailbox(watch) {}
+
+  // Local mail index (see services/mailIndexService.js). Reads the changes
+  // after `cursor`, or starts a backfill of mail received since `since`
+  // (everything when null) when there is none, and resolves to { upserts,
+  // deletions, cursor, done }: formatted emails to store, ids to drop, the
+  // cursor to pass next and whether the index has caught up. Gmail and
+  // Outlook follow their change feeds. Other providers page back through
+  // their mail once, then reread the newest page on each sync, so they miss
+  // deletions.
+  async listMailboxChanges(cursor, { since = null, pageSize = 50 } = {}) {
+    if (cursor?.phase === "recent") {
+      const { messages = [] } = await this.fetchEmails({
+        maxResults: pageSize,
+      });
+      return { upserts: messages, deletions: [], cursor, done: true };
+    }
+    const { messages = [], nextPageToken } = await this.fetchEmails({
+      maxResults: pageSize,
+      pageToken: cursor?.pageToken,
+    });
+    // Mail comes newest first, so the first older message ends the backfill
+    const upserts = since
+      ? messages.filter((email) => new Date(email.date) >= since)
+      : messages;
+    const done =
+      !nextPageToken ||
+      messages.length === 0 ||
+      upserts.length < messages.length;
+    return {
+      upserts,
+      deletions: [],
+      cursor: done
+        ? { phase: "recent" }
+        : { phase: "backfill", pageToken: nextPageToken },
+      done,
+    };
+  }
+
+  // iCalendar text of the invite attached to a message, or null
+  async getCalendarInvite(emailId) {
+    const attachments = (await this.getAttachments(emailId)) || [];
+    const invite = attachments.find(isIcsAttachment);
+    if (!invite) return null;
+    const { content } = await this.getAttachment(emailId, invite.id);
+    return Buffer.from(content).toString("utf-8");
+  }
+
+  // HTML body of a message, where senders put their schema.org markup; null
+  // when the provider only hands out text
+  async getEmailHtml(emailId) {
+    return null;
+  }
+
+  // Labels and folders. Every provider returns the same shape:
+  // { id, name, type: "system" | "user", kind: "label" | "folder" | "category" }
+  // plus messageCount/unreadCount/color where the provider reports them.
+  async listLabels() {
+    throw new Error("Method 'listLabels' must be implemented");
+  }
+
+  async createLabel(name) {
+    throw new Error("Method 'createLabel' must be implemented");
+  }
+
+  async applyLabel(emailId, label) {
+    throw new Error("Method 'applyLabel' must be implemented");
+  }
+
+  async removeLabel(emailId, label) {
+    throw new Error("Method 'removeLabel' must be implemented");
+  }
+
+  // Resolves to the message's id after the move; providers that key
+  // messages by folder (Outlook, IMAP) hand out a new one, or null when the
+  // server does not report it
+  async moveToFolder(emailId, folder) {
+    throw new Error("Method 'moveToFolder' must be implemented");
+  }
+
+  /**
+   * Finds a label or folder by id or case-insensitive name. The list is
+   * fetched once per service instance, so bulk operations stay cheap.
+   * @param {string} label - Label id or name
+   * @param {Object} [options]
+   * @param {boolean} [options.create] - Create a user label when missing
+   * @param {string[]} [options.kinds] - Only match these kinds
+   */
+  async resolveLabel(label, { create = false, kinds } = {}) {
+    const wanted = String(label || "").trim();
+    if (!wanted) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Label name is required");
+    }
+
+    const find = () =>
+      this.labelCache
+        .filter((item) => !kinds || kinds.includes(item.kind))
+        .sort((a, b) => (a.id === wanted ? -1 : b.id === wanted ? 1 : 0))
+        .find(
+          (item) =>
+            item.id === wanted ||
+            item.name.toLowerCase() === wanted.toLowerCase()
+        );
+
+    this.labelCache = this.labelCache || (await this.listLabels());
+    const found = find();
+    if (found) return found;
+
+    if (!create) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Label "${wanted}" not found`);
+    }
+    try {
+      const created = await this.createLabel(wanted);
+      this.labelCache.push(created);
+      return created;
+    } catch (error) {
+      // Created elsewhere since the list was cached
+      if (error.statusCode !== StatusCodes.CONFLICT) throw error;
+      this.labelCache = await this.listLabels();
+      const existing = find();
+      if (!existing) throw error;
+      return existing;
+    }
+  }
+
+  // Conversation view. Providers with native threads (Gmail, Outlook) override
+  // these; the fallback groups a page of messages by the threadId that
+  // formatEmail derived from the References headers.
+  async fetchThreads({
+    query,
+    maxResults = 50,
+    pageToken,
+    filter,
+    timeFilter,
+  }) {
+    const { messages = [], nextPageToken = null } = await this.fetchEmails({
+      query,
+      maxResults,
+      pageToken,
+      filter,
+      timeFilter,
+    });
+
+    const groups = new Map();
+    for (const message of messages) {
+      const threadId = message.threadId || message.id;
+      groups.set(threadId, [...(groups.get(threadId) || []), message]);
+    }
+
+    return {
+      threads: [...groups.entries()]
+        .map(([threadId, threadMessages]) =>
+          toThreadListEntry(threadId, threadMessages)
+        )
+        .sort(
+          (a, b) =>
+            (new Date(b.lastMessageAt).getTime() || 0) -
+            (new Date(a.lastMessageAt).getTime() || 0)
+        ),
+      nextPageToken,
+    };
+  }
+
+  async getThread(threadId) {
+    const { messages = [] } = await this.fetchEmails({ maxResults: 200 });
+    const threadMessages = messages.filter(
+      (message) => (message.threadId || message.id) === threadId
+    );
+    if (threadMessages.length === 0) {
+      throw new ApiError(StatusCodes.NOT_FOUND, "Thread not found");
+    }
+    return buildThread(threadId, threadMessages);
+  }
+
   // Helper method to call AI model with fallback
   async callModelWithFallback(
     prompt,
@@ -115,7 +422,12 @@ class EmailService {
         throw new ApiError(StatusCodes.BAD_REQUEST, "No valid AI model found");
       }
 
-      const cacheKey = `${primaryModel.id}-${prompt.slice(0, 100)}`;
+      // Prompts about different emails often open the same way, so the
+      // whole prompt makes the key
+      const cacheKey = `${primaryModel.id}-${crypto
+        .createHash("sha256")
+        .update(prompt)
+        .digest("hex")}`;
       const cachedResponse = modelResponseCache.get(cacheKey);
       if (cachedResponse) {
         return cachedResponse;
@@ -342,26 +654,139 @@ class EmailService {
   }
 }
 
-// Cache to store email service instances per user
+// Cache to store email service instances per user and inbox
 const emailServiceCache = new Map();
 const TTL = 60000; // 1 minute
 
+const PRIMARY_INBOX = "primary";
+
+// inboxId can come from the query string, the body (JSON or multipart) or a header
+export const getRequestedInboxId = (req) => {
+  const inboxId =
+    req.query?.inboxId || req.body?.inboxId || req.headers?.["x-inbox-id"];
+  return inboxId && inboxId !== PRIMARY_INBOX ? String(inboxId) : null;
+};
+
+// The linked inbox a provider service works on, or null for the primary one
+export const getServiceInboxId = (service) =>
+  service.account && service.account !== service.user
+    ? String(service.account._id)
+    : null;
+
+// Thrown by listProviderContacts when the inbox was connected before
+// contacts access was requested
+export const contactsConsentError = () =>
+  new ApiError(
+    StatusCodes.FORBIDDEN,
+    "Contacts access hasn't been granted for this inbox yet. Sign in again to allow it."
+  );
+
+// Linked inboxes the user's plan allows them to use, oldest first. The inbox
+// they signed in with counts toward maxInboxes when it is a mailbox provider.
+export const getUsableInboxes = async (user) => {
+  const usesPrimary = !!user.authProvider && user.authProvider !== "local";
+  const allowed = Math.max(
+    getMaxInboxes(user.subscription?.plan) - (usesPrimary ? 1 : 0),
+    0
+  );
+  if (allowed === 0) return [];
+  return ConnectedInbox.find({ userId: user._id, status: "active" })
+    .sort({ createdAt: 1 })
+    .limit(allowed);
+};
+
+const resolveAccount = async (user, inboxId) => {
+  if (!inboxId || inboxId === PRIMARY_INBOX || inboxId === String(user._id)) {
+    return { provider: user.authProvider, account: user };
+  }
+
+  const inbox = await ConnectedInbox.findOne({
+    _id: inboxId,
+    userId: user._id,
+    status: "active",
+  }).catch(() => null);
+  if (!inbox) throw new ApiError(StatusCodes.NOT_FOUND, "Inbox not found");
+
+  const usable = await getUsableInboxes(user);
+  if (!usable.some((item) => item._id.equals(inbox._id))) {
+    throw new ApiError(
+      StatusCodes.FORBIDDEN,
+      `Your ${user.subscription?.plan || "free"} plan allows ${getMaxInboxes(
+        user.subscription?.plan
+      )} inbox(es). Upgrade your plan to use ${inbox.email}.`
+    );
+  }
+  return { provider: inbox.provider, account: inbox };
+};
+
+export const buildEmailService = async (user, provider, account = user) => {
+  switch (provider) {
+    case "google":
+      const { default: GmailService } = await import("./gmailService.js");
+      return new GmailService(user, account);
+    case "microsoft":
+      const { default: OutlookService } = await import("./outlookService.js");
+      return new OutlookService(user, account);
+    case "yahoo":
+      const { default: YahooService } = await import("./yahooService.js");
+      return new YahooService(user, account);
+    case "imap":
+      const { default: ImapSmtpService } = await import("./imapSmtpService.js");
+      return new ImapSmtpService(user, account);
+    default:
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Unsupported email provider");
+  }
+};
+
+// One service per mailbox the user can currently use, primary inbox first
+export const getUserEmailServices = async (user) => {
+  const accounts = [];
+  if (user.authProvider && user.authProvider !== "local") {
+    accounts.push({
+      inboxId: PRIMARY_INBOX,
+      email: user.email,
+      provider: user.authProvider,
+      account: user,
+    });
+  }
+  for (const inbox of await getUsableInboxes(user)) {
+    accounts.push({
+      inboxId: String(inbox._id),
+      email: inbox.email,
+      provider: inbox.provider,
+      account: inbox,
+    });
+  }
+  return Promise.all(
+    accounts.map(async ({ account, ...rest }) => ({
+      ...rest,
+      service: await buildEmailService(user, rest.provider, account),
+    }))
+  );
+};
+
 export async function getEmailService(req) {
-  const userId = req.user.id;
-  if (emailServiceCache.has(userId)) {
-    return emailServiceCache.get(userId);
+  const cacheKey = `${req.user.id}-${
+    getRequestedInboxId(req) || PRIMARY_INBOX
+  }`;
+  if (emailServiceCache.has(cacheKey)) {
+    return emailServiceCache.get(cacheKey);
   }
   const emailService = await createEmailService(req);
-  emailServiceCache.set(userId, emailService);
-  setTimeout(() => emailServiceCache.delete(userId), TTL);
+  emailServiceCache.set(cacheKey, emailService);
+  setTimeout(() => emailServiceCache.delete(cacheKey), TTL);
   return emailService;
 }
 
-export const createEmailService = async (req) => {
-  const user = await User.findById(req.user.id);
+// Builds the service for the user's primary inbox (inboxId null) or a linked
+// one. Also used outside a request, e.g. by background workers.
+export const createEmailServiceFor = async (userId, inboxId = null) => {
+  const user = await User.findById(userId);
   if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
 
-  if (!user.authProvider) {
+  const { provider, account } = await resolveAccount(user, inboxId);
+
+  if (!provider || provider === "local") {
     throw new ApiError(
       StatusCodes.BAD_REQUEST,
       "User has no authentication provider set"
@@ -369,21 +794,10 @@ export const createEmailService = async (req) => {
   }
 
   try {
-    switch (user.authProvider) {
-      case "google":
-        const { default: GmailService } = await import("./gmailService.js");
-        return new GmailService(user);
-      case "microsoft":
-        const { default: OutlookService } = await import("./outlookService.js");
-        return new OutlookService(user);
-      default:
-        throw new ApiError(
-          StatusCodes.BAD_REQUEST,
-          "Unsupported email provider"
-        );
-    }
+    return await buildEmailService(user, provider, account);
   } catch (error) {
     console.error("Error loading email service:", error);
+    if (error instanceof ApiError) throw error;
     throw new ApiError(
       StatusCodes.INTERNAL_SERVER_ERROR,
       "Failed to load email service"
@@ -391,4 +805,7 @@ export const createEmailService = async (req) => {
   }
 };
 
+export const createEmailService = async (req) =>
+  createEmailServiceFor(req.user.id, getRequestedInboxId(req));
+
 export default EmailService;
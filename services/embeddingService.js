@@ -0,0 +1,129 @@
+// services/embeddingService.js
+import OpenAI from "openai";
+
+// Texts sent to the embeddings API per request
+const OPENAI_BATCH_SIZE = 100;
+const OPENAI_MODEL = "text-embedding-3-small";
+const LOCAL_DIMENSIONS = 256;
+// Cosine similarity below which a passage is taken as unrelated to a query.
+// Hashed words score lower and noisier than learned embeddings.
+const OPENAI_MIN_SCORE = 0.3;
+const LOCAL_MIN_SCORE = 0.15;
+// Inputs longer than this are cut; chunks stay well below it
+const MAX_INPUT_LENGTH = 8000;
+
+const normalize = (vector) => {
+  const length = Math.sqrt(
+    vector.reduce((sum, value) => sum + value * value, 0)
+  );
+  return length ? vector.map((value) => value / length) : vector;
+};
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+const tokenize = (text) =>
+  (
+    String(text)
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || []
+  )
+    // Plurals and verb forms land on the same feature
+    .map((token) => token.replace(/(ing|ed|es|s)$/, "") || token);
+
+/**
+ * Deterministic embedder that needs no API: words and word pairs hashed
+ * into a fixed number of signed buckets. It only matches shared words, so
+ * it suits development and tests rather than production.
+ */
+const createLocalEmbedder = ({ dimensions = LOCAL_DIMENSIONS } = {}) => ({
+  id: `local:hash-${dimensions}`,
+  minScore: LOCAL_MIN_SCORE,
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Array(dimensions).fill(0);
+      const tokens = tokenize(text);
+      const features = [
+        ...tokens,
+        ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`),
+      ];
+      for (const feature of features) {
+        const bucket = hash(feature);
+        vector[bucket % dimensions] += bucket & 0x80000000 ? -1 : 1;
+      }
+      return normalize(vector);
+    });
+  },
+});
+
+const createOpenAIEmbedder = ({ model = OPENAI_MODEL } = {}) => {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return {
+    id: `openai:${model}`,
+    minScore: OPENAI_MIN_SCORE,
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+        const { data } = await client.embeddings.create({
+          model,
+          input: texts
+            .slice(i, i + OPENAI_BATCH_SIZE)
+            .map((text) => text.slice(0, MAX_INPUT_LENGTH) || " "),
+        });
+        vectors.push(
+          ...data
+            .sort((a, b) => a.index - b.index)
+            .map((item) => normalize(item.embedding))
+        );
+      }
+      return vectors;
+    },
+  };
+};
+
+const providers = {
+  local: createLocalEmbedder,
+  openai: createOpenAIEmbedder,
+};
+
+let embedder = null;
+
+/**
+ * The embedder in use. EMBEDDING_PROVIDER picks it: local by default, or
+ * openai, which sends mail text to OpenAI and so is only used when set
+ * explicitly. EMBEDDING_MODEL picks the OpenAI model. Every embedder has
+ * { id, embed(texts) } and returns unit-length vectors, plus an optional
+ * minScore for relevance; stored vectors are tagged with its id, so
+ * changing embedders re-embeds the mail.
+ */
+const getEmbedder = () => {
+  if (!embedder) {
+    const name = process.env.EMBEDDING_PROVIDER || "local";
+    const create = providers[name];
+    if (!create) throw new Error(`Unknown EMBEDDING_PROVIDER "${name}"`);
+    embedder = create(
+      process.env.EMBEDDING_MODEL ? { model: process.env.EMBEDDING_MODEL } : {}
+    );
+  }
+  return embedder;
+};
+
+// Replaces the embedder, e.g. with createLocalEmbedder() in tests or a
+// custom { id, embed } object
+const setEmbedder = (value) => {
+  embedder = value;
+};
+
+export { createLocalEmbedder, createOpenAIEmbedder };
+
+export default {
+  getEmbedder,
+  setEmbedder,
+};
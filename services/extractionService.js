@@ -0,0 +1,646 @@
+// services/extractionService.js
+import mongoose from "mongoose";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+import IndexedEmail from "../models/IndexedEmail.js";
+import Purchase from "../models/Purchase.js";
+import Reservation from "../models/Reservation.js";
+import Shipment from "../models/Shipment.js";
+import Bill from "../models/Bill.js";
+import { getServiceInboxId } from "./emailService.js";
+import {
+  readJsonLd,
+  schemaOrgRecords,
+  toAmount,
+} from "../helper/schemaOrgHelper.js";
+import {
+  eventTimeToDate,
+  formatInTimeZone,
+  isValidTimeZone,
+  toEventTime,
+} from "../helper/calendarHelper.js";
+
+const MAX_BODY_CHARS = 6000;
+// Candidate emails read per sync; each may cost a model call
+const MAX_EXTRACTED_PER_SYNC = 20;
+// Indexed emails looked at per batch, candidates or not
+const PENDING_BATCH_SIZE = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_ITEMS = 50;
+// Only mail that mentions one of these is read; the rest is skipped
+const CANDIDATE_PATTERN =
+  /\b(order|receipt|purchase|invoice|bill|statement|payment|amount due|flight|itinerary|boarding|booking|reservation|check-in|hotel|stay|shipped|shipment|tracking|delivery|delivered|package|parcel)\b/i;
+const SHIPMENT_STATUSES = [
+  "ordered",
+  "shipped",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "exception",
+];
+const BILL_STATUSES = ["due", "paid"];
+
+const parseJson = (text = "") => {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return {};
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return {};
+  }
+};
+
+const asText = (value) =>
+  typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const resolveTimeZone = (timeZone) =>
+  isValidTimeZone(timeZone) ? timeZone : "UTC";
+
+// Dates, local times and ISO date-times. Emails rarely say which zone a
+// time without an offset is in, so those are taken as UTC.
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  const time = toEventTime(asText(value), "UTC");
+  return time ? eventTimeToDate(time, "UTC") : null;
+};
+
+const toCurrency = (value) => {
+  const currency = asText(value).toUpperCase();
+  return /^[A-Z]{3}$/.test(currency) ? currency : "";
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Each kind's fields from a record of the schema.org reader or the model,
+// or null when the record is not usable. `email` is the indexed message.
+const NORMALIZERS = {
+  purchase: (record, email) => {
+    const merchant = asText(record.merchant) || email.fromName;
+    const orderNumber = asText(record.orderNumber);
+    const total = toAmount(record.total);
+    const items = (Array.isArray(record.items) ? record.items : [])
+      .slice(0, MAX_ITEMS)
+      .map((item) => ({
+        name: asText(item?.name),
+        quantity: toAmount(item?.quantity) ?? 1,
+        price: toAmount(item?.price),
+      }))
+      .filter((item) => item.name);
+    if (!merchant || (total === null && !orderNumber && items.length === 0)) {
+      return null;
+    }
+    return {
+      merchant,
+      orderNumber,
+      orderDate: toDate(record.orderDate) || email.date || new Date(),
+      total,
+      currency: toCurrency(record.currency),
+      items,
+    };
+  },
+  reservation: (record) => {
+    const type = asText(record.type).toLowerCase();
+    const startAt = toDate(record.startAt);
+    if (!["flight", "hotel"].includes(type) || !startAt) return null;
+    const fields = {
+      type,
+      confirmationNumber: asText(record.confirmationNumber),
+      provider: asText(record.provider),
+      flightNumber: asText(record.flightNumber),
+      origin: asText(record.origin),
+      destination: asText(record.destination),
+      name: asText(record.name),
+      address: asText(record.address),
+      startAt,
+      endAt: toDate(record.endAt),
+      travelers: (Array.isArray(record.travelers) ? record.travelers : [])
+        .map(asText)
+        .filter(Boolean),
+    };
+    const described =
+      type === "flight"
+        ? fields.flightNumber || (fields.origin && fields.destination)
+        : fields.name || fields.address;
+    return described ? fields : null;
+  },
+  shipment: (record) => {
+    const trackingNumber = asText(record.trackingNumber).replace(/\s+/g, "");
+    if (!trackingNumber) return null;
+    const status = asText(record.status).toLowerCase();
+    return {
+      carrier: asText(record.carrier),
+      trackingNumber,
+      trackingUrl: asText(record.trackingUrl),
+      merchant: asText(record.merchant),
+      orderNumber: asText(record.orderNumber),
+      status: SHIPMENT_STATUSES.includes(status) ? status : "unknown",
+      expectedDelivery: toDate(record.expectedDelivery),
+    };
+  },
+  bill: (record, email) => {
+    const issuer = asText(record.issuer) || email.fromName;
+    const amount = toAmount(record.amount);
+    const dueDate = toDate(record.dueDate);
+    if (!issuer || (amount === null && !dueDate)) return null;
+    const status = asText(record.status).toLowerCase();
+    return {
+      issuer,
+      invoiceNumber: asText(record.invoiceNumber),
+      amount,
+      currency: toCurrency(record.currency),
+      dueDate,
+      status: BILL_STATUSES.includes(status) ? status : "unknown",
+      paymentUrl: asText(record.paymentUrl),
+    };
+  },
+};
+
+/**
+ * Collections by the name the API and tools use. `date` orders a listing
+ * and takes the after/before filters; `key` names the fields that identify
+ * the same thing across emails (the newest email wins), the last of which
+ * must be set; `search` the fields `query` matches. Types with `statuses`
+ * filter by status, those with `upcoming` by what is still ahead.
+ */
+const TYPES = {
+  purchases: {
+    kind: "purchase",
+    model: Purchase,
+    date: "orderDate",
+    key: ["merchant", "orderNumber"],
+    search: ["merchant", "sender", "orderNumber", "items.name"],
+  },
+  reservations: {
+    kind: "reservation",
+    model: Reservation,
+    date: "startAt",
+    key: ["confirmationNumber", "flightNumber", "name", "startAt"],
+    upcoming: true,
+    search: [
+      "provider",
+      "confirmationNumber",
+      "flightNumber",
+      "origin",
+      "destination",
+      "name",
+      "address",
+    ],
+  },
+  shipments: {
+    kind: "shipment",
+    model: Shipment,
+    date: "emailDate",
+    key: ["trackingNumber"],
+    statuses: [...SHIPMENT_STATUSES, "unknown"],
+    search: ["carrier", "trackingNumber", "merchant", "orderNumber", "sender"],
+  },
+  bills: {
+    kind: "bill",
+    model: Bill,
+    date: "dueDate",
+    key: ["issuer", "invoiceNumber"],
+    statuses: [...BILL_STATUSES, "unknown"],
+    upcoming: true,
+    search: ["issuer", "invoiceNumber", "sender"],
+  },
+};
+
+// Aggregations do not cast ids, so the user id is made an ObjectId here
+const inboxKey = (emailService, userId) => ({
+  userId: new mongoose.Types.ObjectId(String(userId)),
+  inboxId: getServiceInboxId(emailService),
+});
+
+const isCandidate = ({ subject = "", body = "", snippet = "" }) =>
+  CANDIDATE_PATTERN.test(`${subject}\n${(body || snippet).slice(0, 2000)}`);
+
+// Asks the model for the records in an email's text
+const extractWithModel = async (emailService, email) => {
+  const prompt = `
+      Read the orders and receipts, flight and hotel bookings, package shipments and bills in the email below.
+      Return only a valid JSON object {"records": [...]} with one object per item, each shaped like one of these:
+      {"kind": "purchase", "merchant": "store name", "orderNumber": "", "orderDate": "YYYY-MM-DD", "total": amount charged including tax and shipping as a number or null, "currency": "ISO 4217 code", "items": [{"name": "", "quantity": 1, "price": number or null}]}
+      {"kind": "reservation", "type": "flight", "confirmationNumber": "", "provider": "airline", "flightNumber": "UA 110", "origin": "airport code or city", "destination": "airport code or city", "startAt": "departure as YYYY-MM-DDTHH:mm plus the UTC offset when known", "endAt": "arrival, same format", "travelers": ["names"]}
+      {"kind": "reservation", "type": "hotel", "confirmationNumber": "", "provider": "hotel chain", "name": "hotel name", "address": "", "startAt": "check-in YYYY-MM-DD", "endAt": "check-out YYYY-MM-DD", "travelers": ["names"]}
+      {"kind": "shipment", "carrier": "", "trackingNumber": "", "trackingUrl": "", "merchant": "", "orderNumber": "", "status": "ordered, shipped, in_transit, out_for_delivery, delivered or exception", "expectedDelivery": "YYYY-MM-DD or null"}
+      {"kind": "bill", "issuer": "company billing the reader", "invoiceNumber": "", "amount": number or null, "currency": "ISO 4217 code", "dueDate": "YYYY-MM-DD or null", "status": "due or paid"}
+      Each flight of an itinerary is its own reservation. Only use values the email states. Return {"records": []} for newsletters, ads, price alerts and anything else that is not the reader's own transaction.
+      Sent: "${email.date ? new Date(email.date).toISOString() : ""}"
+      From: "${email.from || "Unknown"}"
+      Subject: "${email.subject || ""}"
+      Email content: "${(email.body || email.snippet || "").slice(
+        0,
+        MAX_BODY_CHARS
+      )}"
+    `;
+
+  const { content } = await emailService.callModelWithFallback(prompt);
+  const { records } = parseJson(content);
+  return Array.isArray(records) ? records : [];
+};
+
+// The email's schema.org markup when it has some, otherwise what the model
+// reads from its text
+const readRecords = async (emailService, email) => {
+  let html = null;
+  try {
+    html = await emailService.getEmailHtml(email.emailId);
+  } catch (error) {
+    console.error(
+      `[ERROR] Failed to read HTML of ${email.emailId}:`,
+      error.message
+    );
+  }
+  const records = schemaOrgRecords(readJsonLd(html));
+  if (records.length > 0) return { source: "schema.org", records };
+  return {
+    source: "model",
+    records: await extractWithModel(emailService, email),
+  };
+};
+
+// Replaces what was stored for the email with `records`
+const saveRecords = async (key, email, source, records) => {
+  const common = {
+    ...key,
+    emailId: email.emailId,
+    sender: email.fromAddress || "",
+    emailDate: email.date || null,
+    source,
+  };
+  const saved = {};
+  for (const [type, { kind, model }] of Object.entries(TYPES)) {
+    const docs = records
+      .filter((record) => record?.kind === kind)
+      .map((record) => NORMALIZERS[kind](record, email))
+      .filter(Boolean)
+      .map((fields) => ({ ...common, ...fields }));
+    await model.deleteMany({ ...key, emailId: email.emailId });
+    saved[type] = docs.length > 0 ? await model.insertMany(docs) : [];
+  }
+  return saved;
+};
+
+const formatRecord = (type) => (doc) => {
+  const { _id, userId, inboxId, __v, createdAt, updatedAt, ...fields } =
+    doc.toObject ? doc.toObject() : doc;
+  return {
+    id: _id,
+    kind: TYPES[type].kind,
+    inboxId: inboxId || "primary",
+    ...fields,
+  };
+};
+
+/**
+ * Reads the indexed emails of an inbox that were not read yet, newest
+ * first. Emails that mention no order, booking, parcel or bill are only
+ * marked; at most `limit` others are read.
+ * @param {EmailService} emailService - Service of the inbox
+ * @param {Object} key - { userId, inboxId }
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} { extracted, remaining }
+ */
+const extractPending = async (
+  emailService,
+  key,
+  { limit = MAX_EXTRACTED_PER_SYNC } = {}
+) => {
+  let extracted = 0;
+  while (extracted < limit) {
+    const emails = await IndexedEmail.find({
+      ...key,
+      extractedAt: null,
+      sent: false,
+    })
+      .select("emailId from fromAddress fromName subject date snippet body")
+      .sort({ date: -1 })
+      .limit(PENDING_BATCH_SIZE)
+      .lean();
+    if (emails.length === 0) return { extracted, remaining: false };
+
+    const skipped = [];
+    for (const email of emails) {
+      if (extracted >= limit) break;
+      if (!isCandidate(email)) {
+        skipped.push(email._id);
+        continue;
+      }
+      const { source, records } = await readRecords(emailService, email);
+      await saveRecords(key, email, source, records);
+      await IndexedEmail.updateOne(
+        { _id: email._id },
+        { extractedAt: new Date() }
+      );
+      extracted++;
+    }
+    await IndexedEmail.updateMany(
+      { _id: { $in: skipped } },
+      { extractedAt: new Date() }
+    );
+  }
+  return { extracted, remaining: true };
+};
+
+const removeExtractions = async (key, emailIds) => {
+  if (emailIds.length === 0) return;
+  await Promise.all(
+    Object.values(TYPES).map(({ model }) =>
+      model.deleteMany({ ...key, emailId: { $in: emailIds } })
+    )
+  );
+};
+
+/**
+ * Reads one email now, whether or not it looks like a transaction, and
+ * replaces what was stored for it.
+ * @param {EmailService} emailService - Service of the email's inbox
+ * @param {string} userId
+ * @param {string} emailId
+ * @returns {Promise<Object>} { emailId, source, purchases, reservations,
+ *   shipments, bills }
+ */
+const extractEmail = async (emailService, userId, emailId) => {
+  const key = inboxKey(emailService, userId);
+  let email = await IndexedEmail.findOne({ ...key, emailId }).lean();
+  if (!email) {
+    const message = await emailService.getEmail(emailId);
+    const from = message.from || "";
+    const date = new Date(message.date);
+    email = {
+      emailId,
+      from,
+      fromAddress: (/<([^>]+)>/.exec(from)?.[1] || from).trim().toLowerCase(),
+      fromName: from
+        .replace(/<[^>]*>/, "")
+        .replace(/"/g, "")
+        .trim(),
+      subject: message.subject || "",
+      date: Number.isNaN(date.getTime()) ? null : date,
+      body: message.body || "",
+      snippet: message.snippet || "",
+    };
+  }
+  const { source, records } = await readRecords(emailService, email);
+  const saved = await saveRecords(key, email, source, records);
+  await IndexedEmail.updateOne(
+    { ...key, emailId },
+    { extractedAt: new Date() }
+  );
+  return {
+    emailId,
+    source,
+    ...Object.fromEntries(
+      Object.entries(saved).map(([type, docs]) => [
+        type,
+        docs.map(formatRecord(type)),
+      ])
+    ),
+  };
+};
+
+/*
+ * Queries
+ */
+
+const clampLimit = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// after/before as dates; before is exclusive. "YYYY-MM-DD" is a UTC day,
+// the way dates emails state without a time are stored.
+const dateRange = (field, { after, before }) => {
+  const range = {};
+  for (const [name, value, operator] of [
+    ["after", after, "$gte"],
+    ["before", before, "$lt"],
+  ]) {
+    if (!value) continue;
+    const date = toDate(value);
+    if (!date) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `${name} must be a date (YYYY-MM-DD) or an ISO 8601 date-time`
+      );
+    }
+    range[operator] = date;
+  }
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+};
+
+const textMatch = (fields, query) => {
+  const text = asText(query);
+  if (!text) return {};
+  const pattern = new RegExp(escapeRegex(text), "i");
+  return { $or: fields.map((field) => ({ [field]: pattern })) };
+};
+
+// Keeps the newest record (by email date) of each `key`; records whose last
+// key field is empty are all kept
+const dedupeStages = (key) => {
+  const last = key[key.length - 1];
+  return [
+    { $sort: { emailDate: -1, _id: -1 } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $in: [`$${last}`, ["", null]] },
+            "$_id",
+            key.map((field) => ({ $toLower: { $toString: `$${field}` } })),
+          ],
+        },
+        doc: { $first: "$$ROOT" },
+      },
+    },
+    { $replaceRoot: { newRoot: "$doc" } },
+  ];
+};
+
+// Whether the inbox still has indexed mail nobody read for extractions
+const hasPending = async (key) =>
+  Boolean(
+    await IndexedEmail.exists({ ...key, extractedAt: null, sent: false })
+  );
+
+/**
+ * Lists the records of one type in the inbox.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {string} type - purchases, reservations, shipments or bills
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Matches merchant, airline, carrier,
+ *   issuer, numbers and the like
+ * @param {string} [filters.after] - On the type's date: order date,
+ *   departure or check-in, email date (shipments), due date (bills)
+ * @param {string} [filters.before]
+ * @param {string} [filters.status] - Shipments and bills
+ * @param {boolean} [filters.upcoming] - Reservations and bills from now on,
+ *   soonest first; bills that are not paid
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {Promise<Object>} { type, records, total, complete }, complete
+ *   being false while mail is still to be read
+ */
+const listExtractions = async (
+  emailService,
+  userId,
+  type,
+  { query, after, before, status, upcoming = false, limit, offset } = {}
+) => {
+  const config = TYPES[type];
+  if (!config) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `type must be one of ${Object.keys(TYPES).join(", ")}`
+    );
+  }
+  const statusFilter = asText(status).toLowerCase();
+  if (statusFilter && !config.statuses?.includes(statusFilter)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      config.statuses
+        ? `status must be one of ${config.statuses.join(", ")}`
+        : `${type} have no status`
+    );
+  }
+  if (upcoming && !config.upcoming) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "upcoming only applies to reservations and bills"
+    );
+  }
+  const key = inboxKey(emailService, userId);
+  const match = {
+    ...key,
+    ...textMatch(config.search, query),
+    ...dateRange(config.date, { after, before }),
+    ...(statusFilter ? { status: statusFilter } : {}),
+  };
+  if (upcoming) {
+    const now = new Date();
+    const from = match[config.date]?.$gte;
+    match[config.date] = {
+      ...match[config.date],
+      $gte: from && from > now ? from : now,
+    };
+    if (type === "bills") match.status = { $ne: "paid" };
+  }
+  const skip = Math.max(parseInt(offset, 10) || 0, 0);
+  const [result] = await config.model.aggregate([
+    { $match: match },
+    ...dedupeStages(config.key),
+    { $sort: { [config.date]: upcoming ? 1 : -1, emailDate: -1 } },
+    {
+      $facet: {
+        records: [{ $skip: skip }, { $limit: clampLimit(limit) }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+  return {
+    type,
+    records: result.records.map(formatRecord(type)),
+    total: result.total[0]?.count || 0,
+    complete: !(await hasPending(key)),
+  };
+};
+
+/**
+ * What the user spent, from the purchases in the inbox. An order number
+ * counts once, however many confirmations and receipts mention it.
+ * Purchases without a total are left out.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.merchant] - Part of the merchant's name or
+ *   sender address, e.g. "amazon"
+ * @param {string} [options.after] - Defaults to the first of this month
+ * @param {string} [options.before]
+ * @param {string} [options.timeZone] - Decides when this month started
+ * @returns {Promise<Object>} { merchant, after, before, totals: [{ currency,
+ *   total, orders }], merchants: [{ merchant, currency, total, orders }],
+ *   purchases, complete }
+ */
+const getSpending = async (
+  emailService,
+  userId,
+  { merchant, after, before, timeZone } = {}
+) => {
+  const key = inboxKey(emailService, userId);
+  // This month as the user's calendar has it
+  const from =
+    after ||
+    `${formatInTimeZone(new Date(), resolveTimeZone(timeZone)).slice(0, 7)}-01`;
+  const range = dateRange("orderDate", { after: from, before });
+  const [result] = await Purchase.aggregate([
+    {
+      $match: {
+        ...key,
+        ...range,
+        ...textMatch(["merchant", "sender"], merchant),
+        total: { $ne: null },
+      },
+    },
+    ...dedupeStages(TYPES.purchases.key),
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: "$currency",
+              total: { $sum: "$total" },
+              orders: { $sum: 1 },
+            },
+          },
+          { $sort: { total: -1 } },
+        ],
+        merchants: [
+          {
+            $group: {
+              _id: { merchant: "$merchant", currency: "$currency" },
+              total: { $sum: "$total" },
+              orders: { $sum: 1 },
+            },
+          },
+          { $sort: { total: -1 } },
+          { $limit: 20 },
+        ],
+        purchases: [{ $sort: { orderDate: -1 } }, { $limit: DEFAULT_LIMIT }],
+      },
+    },
+  ]);
+  return {
+    merchant: asText(merchant) || null,
+    after: range.orderDate.$gte,
+    before: range.orderDate.$lt || null,
+    totals: result.totals.map(({ _id, total, orders }) => ({
+      currency: _id,
+      total: roundAmount(total),
+      orders,
+    })),
+    merchants: result.merchants.map(({ _id, total, orders }) => ({
+      merchant: _id.merchant,
+      currency: _id.currency,
+      total: roundAmount(total),
+      orders,
+    })),
+    purchases: result.purchases.map(formatRecord("purchases")),
+    complete: !(await hasPending(key)),
+  };
+};
+
+export { TYPES as EXTRACTION_TYPES };
+
+export default {
+  extractPending,
+  extractEmail,
+  removeExtractions,
+  listExtractions,
+  getSpending,
+};
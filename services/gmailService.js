@@ -3,21 +3,45 @@ import { google } from "googleapis";
 import fs from "fs/promises";
 import { ApiError } from "../utils/errorHandler.js";
 import { StatusCodes } from "http-status-codes";
-import EmailService from "./emailService.js";
+import EmailService, { contactsConsentError } from "./emailService.js";
+import GoogleCalendarService from "./googleCalendarService.js";
+import { buildThread, toThreadListEntry } from "../helper/threadHelper.js";
+import { isIcsAttachment } from "../helper/calendarHelper.js";
 import { convert } from "html-to-text";
+import { simpleParser } from "mailparser";
 import { decrypt, encrypt } from "../utils/encryptionUtils.js";
 import NodeCache from "node-cache";
+import mailEvents from "../helper/mailEvents.js";
 const statsCache = new NodeCache({ stdTTL: 300 });
+// Changes read from the history in one go; more means a full refetch
+const MAX_HISTORY_CHANGES = 500;
+// Messages the local index leaves out
+const UNINDEXED_LABELS = ["DRAFT", "SPAM", "TRASH"];
+// Full messages fetched at once while indexing
+const INDEX_FETCH_CONCURRENCY = 25;
+
+// Pushed changes make the cached counts stale
+mailEvents.on("mail", ({ provider, email }) => {
+  if (provider !== "google") return;
+  statsCache.del(
+    statsCache
+      .keys()
+      .filter((key) => key.toLowerCase() === `inbox-stats-${email}`)
+  );
+});
+// Most message ids users.messages.batchModify accepts per call
+const GMAIL_BATCH_MODIFY_LIMIT = 1000;
 
 class GmailService extends EmailService {
-  async getClient() {
+  // OAuth2 client with a fresh access token; Gmail and Calendar share it
+  async getAuth() {
     const auth = new google.auth.OAuth2(
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET,
       process.env.GOOGLE_REDIRECT_URI
     );
 
-    const encryptedRefreshToken = this.user.googleRefreshToken;
+    const encryptedRefreshToken = this.account.googleRefreshToken;
     if (!encryptedRefreshToken) {
       throw new ApiError(
         StatusCodes.UNAUTHORIZED,
@@ -26,16 +50,16 @@ class GmailService extends EmailService {
     }
 
     // const refreshToken = decrypt(encryptedRefreshToken);
-    // const encryptedAccessToken = this.user.googleAccessToken;
+    // const encryptedAccessToken = this.account.googleAccessToken;
     // let accessToken = encryptedAccessToken
     //   ? decrypt(encryptedAccessToken)
     //   : null;
 
     const refreshToken = encryptedRefreshToken;
-    const encryptedAccessToken = this.user.googleAccessToken;
+    const encryptedAccessToken = this.account.googleAccessToken;
     let accessToken = encryptedAccessToken ? encryptedAccessToken : null;
 
-    const googleTokenExpiry = this.user.googleAccessTokenExpires || 0;
+    const googleTokenExpiry = this.account.googleAccessTokenExpires || 0;
     if (googleTokenExpiry < Date.now() || !accessToken) {
       auth.setCredentials({
         refresh_token: refreshToken,
@@ -43,16 +67,16 @@ class GmailService extends EmailService {
       try {
         const { credentials } = await auth.refreshAccessToken();
         accessToken = credentials.access_token;
-        // this.user.googleAccessToken = encrypt(credentials.access_token);
-        // this.user.googleRefreshToken = credentials.refresh_token
+        // this.account.googleAccessToken = encrypt(credentials.access_token);
+        // this.account.googleRefreshToken = credentials.refresh_token
         //   ? encrypt(credentials.refresh_token)
-        //   : this.user.googleRefreshToken;
-        this.user.googleAccessToken = credentials.access_token;
-        this.user.googleRefreshToken = credentials.refresh_token
+        //   : this.account.googleRefreshToken;
+        this.account.googleAccessToken = credentials.access_token;
+        this.account.googleRefreshToken = credentials.refresh_token
           ? credentials.refresh_token
-          : this.user.googleRefreshToken;
-        this.user.googleAccessTokenExpires = credentials.expiry_date;
-        await this.user.save();
+          : this.account.googleRefreshToken;
+        this.account.googleAccessTokenExpires = credentials.expiry_date;
+        await this.account.save();
         // console.log("[DEBUG] Google token refreshed");
       } catch (error) {
         console.error("[ERROR] Google token refresh failed:", error);
@@ -73,18 +97,269 @@ class GmailService extends EmailService {
       access_token: accessToken,
       refresh_token: refreshToken,
     });
-    return google.gmail({ version: "v1", auth });
+    return auth;
   }
 
-  async fetchEmails({
-    query = "",
-    maxResults = 500,
-    pageToken,
-    filter = "all",
-    timeFilter = "all",
-  }) {
+  async getClient() {
+    return google.gmail({ version: "v1", auth: await this.getAuth() });
+  }
+
+  async getCalendarService() {
+    return new GoogleCalendarService(this);
+  }
+
+  // Inbox changes are published to the Pub/Sub topic, which pushes them to
+  // /api/v1/notifications/gmail. A watch lasts 7 days.
+  async watchMailbox({ topicName }) {
+    if (!topicName) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "Gmail push notifications need GMAIL_PUBSUB_TOPIC to be set"
+      );
+    }
+    const client = await this.getClient();
+    try {
+      const { data } = await client.users.watch({
+        userId: "me",
+        requestBody: {
+          topicName,
+          labelIds: ["INBOX"],
+          labelFilterBehavior: "INCLUDE",
+        },
+      });
+      return {
+        provider: "google",
+        historyId: String(data.historyId),
+        expiresAt: new Date(Number(data.expiration)),
+      };
+    } catch (error) {
+      console.error("[ERROR] Failed to watch mailbox:", error);
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to watch mailbox: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // Stops every watch on the mailbox, whoever started it
+  async stopWatchingMailbox() {
+    const client = await this.getClient();
+    await client.users.stop({ userId: "me" });
+  }
+
+  /**
+   * Inbox changes since a history id, oldest first.
+   * @param {string} startHistoryId
+   * @param {Object} [options]
+   * @param {string|null} [options.labelId] - Label to follow; null for the
+   *   whole mailbox
+   * @returns {Promise<Object>} { historyId, changes: [{ emailId, changeType }],
+   *   complete } where complete is false when there were too many to list
+   * @throws {ApiError} GONE when the history id is too old to read from
+   */
+  async listHistory(startHistoryId, { labelId = "INBOX" } = {}) {
+    const client = await this.getClient();
+    const changes = [];
+    let historyId = startHistoryId;
+    let pageToken;
+    try {
+      do {
+        const { data } = await client.users.history.list({
+          userId: "me",
+          startHistoryId,
+          ...(labelId ? { labelId } : {}),
+          maxResults: 500,
+          pageToken,
+        });
+        for (const record of data.history || []) {
+          const add = (entries = [], changeType) =>
+            entries.forEach(({ message }) =>
+              changes.push({ emailId: message.id, changeType })
+            );
+          add(record.messagesAdded, "created");
+          add(record.labelsAdded, "updated");
+          add(record.labelsRemoved, "updated");
+          add(record.messagesDeleted, "deleted");
+        }
+        historyId = data.historyId || historyId;
+        pageToken = data.nextPageToken;
+      } while (pageToken && changes.length < MAX_HISTORY_CHANGES);
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (status === 404) {
+        throw new ApiError(
+          StatusCodes.GONE,
+          "Mailbox history is no longer available"
+        );
+      }
+      console.error("[ERROR] Failed to list mailbox history:", error);
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to list mailbox history: ${error.message || "Unknown error"}`
+      );
+    }
+    return {
+      historyId: String(historyId),
+      changes: changes.slice(0, MAX_HISTORY_CHANGES),
+      complete: !pageToken,
+    };
+  }
+
+  // Index sync. The backfill pages through messages from the history id
+  // read before it started, so changes made meanwhile arrive with the
+  // history that follows.
+  async listMailboxChanges(cursor, { since = null, pageSize = 50 } = {}) {
+    if (cursor?.phase === "history") {
+      const { historyId, changes, complete } = await this.listHistory(
+        cursor.historyId,
+        { labelId: null }
+      );
+      if (!complete) {
+        throw new ApiError(
+          StatusCodes.GONE,
+          "Too many mailbox changes to catch up on"
+        );
+      }
+      const latest = new Map(
+        changes.map(({ emailId, changeType }) => [emailId, changeType])
+      );
+      const { upserts, missing } = await this.getIndexableMessages(
+        [...latest].filter(([, type]) => type !== "deleted").map(([id]) => id)
+      );
+      return {
+        upserts,
+        deletions: [
+          ...[...latest]
+            .filter(([, type]) => type === "deleted")
+            .map(([id]) => id),
+          ...missing,
+        ],
+        cursor: { phase: "history", historyId },
+        done: true,
+      };
+    }
+
+    const client = await this.getClient();
+    try {
+      let historyId = cursor?.historyId;
+      if (!historyId) {
+        const { data } = await client.users.getProfile({ userId: "me" });
+        historyId = String(data.historyId);
+      }
+      const { data } = await client.users.messages.list({
+        userId: "me",
+        maxResults: pageSize,
+        pageToken: cursor?.pageToken,
+        ...(since ? { q: `after:${Math.floor(since.getTime() / 1000)}` } : {}),
+      });
+      const { upserts, missing } = await this.getIndexableMessages(
+        (data.messages || []).map(({ id }) => id)
+      );
+      return {
+        upserts,
+        deletions: missing,
+        cursor: data.nextPageToken
+          ? { phase: "backfill", historyId, pageToken: data.nextPageToken }
+          : { phase: "history", historyId },
+        done: !data.nextPageToken,
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      const status = error.code || error.response?.status;
+      console.error("[ERROR] Failed to index mailbox:", error);
+      throw new ApiError(
+        [StatusCodes.UNAUTHORIZED, StatusCodes.FORBIDDEN].includes(status)
+          ? status
+          : StatusCodes.BAD_REQUEST,
+        `Failed to index mailbox: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // Formatted messages for the index. Ids that are gone, drafts and mail in
+  // spam or trash come back as missing.
+  async getIndexableMessages(emailIds) {
     const client = await this.getClient();
+    const upserts = [];
+    const missing = [];
+    for (let i = 0; i < emailIds.length; i += INDEX_FETCH_CONCURRENCY) {
+      await Promise.all(
+        emailIds.slice(i, i + INDEX_FETCH_CONCURRENCY).map(async (id) => {
+          try {
+            const { data } = await client.users.messages.get({
+              userId: "me",
+              id,
+              format: "full",
+            });
+            if (
+              (data.labelIds || []).some((label) =>
+                UNINDEXED_LABELS.includes(label)
+              )
+            ) {
+              missing.push(id);
+            } else {
+              upserts.push(this.formatEmail(data));
+            }
+          } catch (error) {
+            if ((error.code || error.response?.status) !== 404) throw error;
+            missing.push(id);
+          }
+        })
+      );
+    }
+    return { upserts, missing };
+  }
 
+  // Saved contacts plus "other contacts" (people the user has emailed)
+  // from the People API, as [{ email, name, source }]
+  async listProviderContacts({ maxResults = 1000 } = {}) {
+    const people = google.people({ version: "v1", auth: await this.getAuth() });
+    const sources = [
+      (pageToken) =>
+        people.people.connections.list({
+          resourceName: "people/me",
+          personFields: "names,emailAddresses",
+          pageSize: 1000,
+          pageToken,
+        }),
+      (pageToken) =>
+        people.otherContacts.list({
+          readMask: "names,emailAddresses",
+          pageSize: 1000,
+          pageToken,
+        }),
+    ];
+    const contacts = [];
+    try {
+      for (const list of sources) {
+        let pageToken;
+        do {
+          const { data } = await list(pageToken);
+          for (const person of data.connections || data.otherContacts || []) {
+            const name = person.names?.[0]?.displayName || "";
+            for (const { value } of person.emailAddresses || []) {
+              if (value)
+                contacts.push({ email: value, name, source: "google" });
+            }
+          }
+          pageToken = data.nextPageToken;
+        } while (pageToken && contacts.length < maxResults);
+      }
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      // Tokens granted before the contacts scopes were added
+      if (status === 403) throw contactsConsentError();
+      console.error("[ERROR] Failed to list contacts:", error);
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to list contacts: ${error.message || "Unknown error"}`
+      );
+    }
+    return contacts.slice(0, maxResults);
+  }
+
+  // Gmail list parameters (messages.list and threads.list share them)
+  buildListParams({ query, maxResults, pageToken, filter, timeFilter }) {
     const params = {
       userId: "me",
       maxResults,
@@ -92,14 +367,6 @@ class GmailService extends EmailService {
       pageToken,
     };
 
-    // console.log(
-    //   `[DEBUG] Parameters sent to Gmail API:`,
-    //   JSON.stringify(params)
-    // );
-
-    const response = await client.users.messages.list(params);
-    // console.log(`[DEBUG] Gmail API response:`, JSON.stringify(response.data));
-
     const filterMap = {
       all: (params) => params,
       inbox: (params) => {
@@ -195,6 +462,25 @@ class GmailService extends EmailService {
       }
     }
 
+    return filteredParams;
+  }
+
+  async fetchEmails({
+    query = "",
+    maxResults = 500,
+    pageToken,
+    filter = "all",
+    timeFilter = "all",
+  }) {
+    const client = await this.getClient();
+    const filteredParams = this.buildListParams({
+      query,
+      maxResults,
+      pageToken,
+      filter,
+      timeFilter,
+    });
+
     try {
       const response = await client.users.messages.list(filteredParams);
       if (response.status !== 200 || !response.data) {
@@ -222,9 +508,9 @@ class GmailService extends EmailService {
       );
 
       const pageTokenCache =
-        statsCache.get(`pageTokens-${this.user.email}`) || [];
+        statsCache.get(`pageTokens-${this.account.email}`) || [];
       if (pageToken) pageTokenCache.push(pageToken);
-      statsCache.set(`pageTokens-${this.user.email}`, pageTokenCache);
+      statsCache.set(`pageTokens-${this.account.email}`, pageTokenCache);
 
       return {
         messages: emails.filter(Boolean),
@@ -241,6 +527,93 @@ class GmailService extends EmailService {
     }
   }
 
+  async fetchThreads({
+    query = "",
+    maxResults = 50,
+    pageToken,
+    filter = "all",
+    timeFilter = "all",
+  }) {
+    const client = await this.getClient();
+    const params = this.buildListParams({
+      query,
+      maxResults,
+      pageToken,
+      filter,
+      timeFilter,
+    });
+
+    try {
+      const response = await client.users.threads.list(params);
+      const threads = await Promise.all(
+        (response.data.threads || []).map(async ({ id }) => {
+          try {
+            // Headers are enough for the list; bodies come with getThread
+            const thread = await client.users.threads.get({
+              userId: "me",
+              id,
+              format: "metadata",
+              metadataHeaders: [
+                "From",
+                "To",
+                "Subject",
+                "Date",
+                "Message-ID",
+                "List-Unsubscribe",
+              ],
+            });
+            return toThreadListEntry(
+              id,
+              (thread.data.messages || []).map((message) =>
+                this.formatEmail(message)
+              )
+            );
+          } catch (error) {
+            console.error(`Failed to fetch thread ${id}:`, error);
+            return null;
+          }
+        })
+      );
+
+      return {
+        threads: threads.filter(Boolean),
+        nextPageToken: response.data.nextPageToken || null,
+      };
+    } catch (error) {
+      console.error("[ERROR] Failed to fetch Gmail threads:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to fetch threads: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async getThread(threadId) {
+    const client = await this.getClient();
+    let thread;
+    try {
+      thread = await client.users.threads.get({
+        userId: "me",
+        id: threadId,
+        format: "full",
+      });
+    } catch (error) {
+      if (error.code === 404) {
+        throw new ApiError(StatusCodes.NOT_FOUND, "Thread not found");
+      }
+      console.error("[ERROR] Failed to get thread:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to get thread: ${error.message || "Unknown error"}`
+      );
+    }
+
+    return buildThread(
+      threadId,
+      (thread.data.messages || []).map((message) => this.formatEmail(message))
+    );
+  }
+
   formatEmail(email) {
     const headers = email.payload.headers || [];
     const parts = email.payload?.parts || [];
@@ -256,6 +629,13 @@ class GmailService extends EmailService {
     return {
       id: email.id || "",
       threadId: email.threadId || "",
+      messageId:
+        headers.find((h) => h.name.toLowerCase() === "message-id")?.value || "",
+      references: (
+        headers.find((h) => h.name.toLowerCase() === "references")?.value || ""
+      )
+        .split(/\s+/)
+        .filter(Boolean),
       subject: headers.find((h) => h.name === "Subject")?.value || "",
       from: headers.find((h) => h.name === "From")?.value || "",
       to: headers.find((h) => h.name === "To")?.value || "",
@@ -263,6 +643,10 @@ class GmailService extends EmailService {
       snippet: email.snippet || "",
       body: this.getEmailBody(email.payload),
       isRead: !(email.labelIds || []).includes("UNREAD"),
+      labels: email.labelIds || [],
+      canUnsubscribe: headers.some(
+        (h) => h.name.toLowerCase() === "list-unsubscribe"
+      ),
       hasAttachments: attachments.length > 0,
       attachments: attachments,
     };
@@ -322,6 +706,55 @@ class GmailService extends EmailService {
       }));
   }
 
+  // Invites usually sit inline in multipart/alternative rather than as a
+  // named attachment, so the raw message is parsed instead
+  async getCalendarInvite(emailId) {
+    const client = await this.getClient();
+    try {
+      const { data } = await client.users.messages.get({
+        userId: "me",
+        id: emailId,
+        format: "raw",
+      });
+      const parsed = await simpleParser(Buffer.from(data.raw, "base64"));
+      const invite = (parsed.attachments || []).find((attachment) =>
+        isIcsAttachment({
+          mimeType: attachment.contentType,
+          filename: attachment.filename,
+        })
+      );
+      return invite ? invite.content.toString("utf-8") : null;
+    } catch (error) {
+      console.error("[ERROR] Failed to read calendar invite:", error);
+      throw new ApiError(
+        error.code === 404
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to get email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async getEmailHtml(emailId) {
+    const client = await this.getClient();
+    const { data } = await client.users.messages.get({
+      userId: "me",
+      id: emailId,
+      format: "full",
+    });
+    const findHtml = (part) => {
+      if (part?.mimeType === "text/html" && part.body?.data) {
+        return Buffer.from(part.body.data, "base64").toString("utf-8");
+      }
+      for (const child of part?.parts || []) {
+        const html = findHtml(child);
+        if (html) return html;
+      }
+      return null;
+    };
+    return findHtml(data.payload);
+  }
+
   async getAttachment(emailId, attachmentId) {
     const client = await this.getClient();
     const response = await client.users.messages.attachments.get({
@@ -379,12 +812,16 @@ class GmailService extends EmailService {
     const client = await this.getClient();
     try {
       const email = await this.getEmail(emailId);
-      const replyTo = email.from === this.user.email ? email.to : email.from;
+      const replyTo = email.from === this.account.email ? email.to : email.from;
       const raw = await this.createRawEmail({
         to: replyTo,
-        subject: `Re: ${email.subject}`,
+        subject: /^re:/i.test(email.subject)
+          ? email.subject
+          : `Re: ${email.subject}`,
         body,
         attachments,
+        inReplyTo: email.messageId,
+        references: [...email.references, email.messageId].filter(Boolean),
       });
 
       await client.users.messages.send({
@@ -433,6 +870,223 @@ class GmailService extends EmailService {
     }
   }
 
+  async archiveEmail(emailId) {
+    await this.modifyLabels(emailId, { removeLabelIds: ["INBOX"] });
+    return emailId;
+  }
+
+  async starEmail(emailId, starred = true) {
+    await this.modifyLabels(
+      emailId,
+      starred ? { addLabelIds: ["STARRED"] } : { removeLabelIds: ["STARRED"] }
+    );
+  }
+
+  async reportSpam(emailId) {
+    await this.modifyLabels(emailId, {
+      addLabelIds: ["SPAM"],
+      removeLabelIds: ["INBOX"],
+    });
+    return emailId;
+  }
+
+  async untrashEmail(emailId) {
+    const client = await this.getClient();
+    try {
+      await client.users.messages.untrash({ userId: "me", id: emailId });
+    } catch (error) {
+      console.error("[ERROR] Failed to restore email:", error);
+      throw new ApiError(
+        error.code === 404
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to restore email: ${error.message || "Unknown error"}`
+      );
+    }
+    return emailId;
+  }
+
+  async listLabels() {
+    const client = await this.getClient();
+    try {
+      const response = await client.users.labels.list({ userId: "me" });
+      return (response.data.labels || []).map((label) =>
+        this.formatLabel(label)
+      );
+    } catch (error) {
+      console.error("[ERROR] Failed to list labels:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to list labels: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  formatLabel(label) {
+    return {
+      id: label.id,
+      name: label.name,
+      type: label.type === "system" ? "system" : "user",
+      kind: "label",
+      ...(label.messagesTotal !== undefined
+        ? {
+            messageCount: label.messagesTotal,
+            unreadCount: label.messagesUnread || 0,
+          }
+        : {}),
+      ...(label.color?.backgroundColor
+        ? { color: label.color.backgroundColor }
+        : {}),
+    };
+  }
+
+  async createLabel(name) {
+    const client = await this.getClient();
+    try {
+      const response = await client.users.labels.create({
+        userId: "me",
+        requestBody: {
+          name,
+          labelListVisibility: "labelShow",
+          messageListVisibility: "show",
+        },
+      });
+      return this.formatLabel(response.data);
+    } catch (error) {
+      console.error("[ERROR] Failed to create label:", error);
+      if (error.code === 409) {
+        throw new ApiError(
+          StatusCodes.CONFLICT,
+          `Label "${name}" already exists`
+        );
+      }
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to create label: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async modifyLabels(emailId, { addLabelIds = [], removeLabelIds = [] }) {
+    const client = await this.getClient();
+    try {
+      await client.users.messages.modify({
+        userId: "me",
+        id: emailId,
+        requestBody: { addLabelIds, removeLabelIds },
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to update email labels:", error);
+      throw new ApiError(
+        error.code === 404
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to update email labels: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // Missing user labels are created, so rules and the assistant can label
+  // with a name the user has not set up yet
+  async applyLabel(emailId, label) {
+    const target = await this.resolveLabel(label, { create: true });
+    await this.modifyLabels(emailId, { addLabelIds: [target.id] });
+  }
+
+  async removeLabel(emailId, label) {
+    const target = await this.resolveLabel(label);
+    await this.modifyLabels(emailId, { removeLabelIds: [target.id] });
+  }
+
+  // Gmail has no folders: like "Move to" in the web UI, a move adds the
+  // label and takes the message out of the inbox
+  async moveToFolder(emailId, folder) {
+    const target = await this.resolveLabel(folder, { create: true });
+    if (target.id === "TRASH") {
+      await this.trashEmail(emailId);
+    } else if (target.id === "INBOX") {
+      await this.modifyLabels(emailId, {
+        addLabelIds: ["INBOX"],
+        removeLabelIds: ["SPAM"],
+      });
+    } else {
+      await this.modifyLabels(emailId, {
+        addLabelIds: [target.id],
+        removeLabelIds: ["INBOX"],
+      });
+    }
+    return emailId;
+  }
+
+  // batchModify changes up to 1,000 messages in one call, but only labels:
+  // trashing still goes message by message. If a batch is rejected the
+  // messages are retried one at a time to find out which ones failed.
+  async bulkModify(emailIds, action, { label } = {}) {
+    let labelIds;
+    switch (action) {
+      case "read":
+        labelIds = { removeLabelIds: ["UNREAD"] };
+        break;
+      case "unread":
+        labelIds = { addLabelIds: ["UNREAD"] };
+        break;
+      case "archive":
+        labelIds = { removeLabelIds: ["INBOX"] };
+        break;
+      case "label":
+        labelIds = {
+          addLabelIds: [(await this.resolveLabel(label, { create: true })).id],
+        };
+        break;
+      default:
+        return super.bulkModify(emailIds, action, { label });
+    }
+
+    const client = await this.getClient();
+    const results = [];
+    for (let i = 0; i < emailIds.length; i += GMAIL_BATCH_MODIFY_LIMIT) {
+      const ids = emailIds.slice(i, i + GMAIL_BATCH_MODIFY_LIMIT);
+      try {
+        await client.users.messages.batchModify({
+          userId: "me",
+          requestBody: { ids, ...labelIds },
+        });
+        results.push(...ids.map((id) => ({ id, success: true })));
+      } catch (error) {
+        console.error("[ERROR] Gmail batchModify failed:", error.message);
+        results.push(...(await super.bulkModify(ids, action, { label })));
+      }
+    }
+    return results;
+  }
+
+  async getUnsubscribeHeaders(emailId) {
+    const client = await this.getClient();
+    try {
+      const { data } = await client.users.messages.get({
+        userId: "me",
+        id: emailId,
+        format: "metadata",
+        metadataHeaders: ["List-Unsubscribe", "List-Unsubscribe-Post"],
+      });
+      const headers = data.payload?.headers || [];
+      const find = (name) =>
+        headers.find((h) => h.name.toLowerCase() === name)?.value || "";
+      return {
+        listUnsubscribe: find("list-unsubscribe"),
+        listUnsubscribePost: find("list-unsubscribe-post"),
+      };
+    } catch (error) {
+      console.error("[ERROR] Failed to read unsubscribe headers:", error);
+      throw new ApiError(
+        error.code === 404
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to read email headers: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
   async draftEmail({ to, subject, body, attachments = [] }) {
     const client = await this.getClient();
     try {
@@ -452,8 +1106,21 @@ class GmailService extends EmailService {
     }
   }
 
+  async deleteDraft(draftId) {
+    const client = await this.getClient();
+    try {
+      await client.users.drafts.delete({ userId: "me", id: draftId });
+    } catch (error) {
+      console.error("[ERROR] Failed to delete draft:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to delete draft: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
   async getInboxStats() {
-    const cacheKey = `inbox-stats-${this.user.email}`;
+    const cacheKey = `inbox-stats-${this.account.email}`;
     const cachedStats = statsCache.get(cacheKey);
     if (cachedStats) return cachedStats;
 
@@ -497,12 +1164,22 @@ class GmailService extends EmailService {
     }
   }
 
-  async createRawEmail({ to, subject, body, attachments = [] }) {
+  async createRawEmail({
+    to,
+    subject,
+    body,
+    attachments = [],
+    inReplyTo,
+    references = [],
+  }) {
     const boundary = `boundary_${Date.now().toString(16)}`;
     let email = [
       `To: ${to}`,
       "Content-Type: multipart/mixed; boundary=" + boundary,
       `Subject: ${subject}`,
+      // Threading headers keep replies in the conversation for the recipient
+      ...(inReplyTo ? [`In-Reply-To: ${inReplyTo}`] : []),
+      ...(references.length > 0 ? [`References: ${references.join(" ")}`] : []),
       "",
       `--${boundary}`,
       "Content-Type: text/plain; charset=UTF-8",
@@ -0,0 +1,230 @@
+// services/googleCalendarService.js
+import { google } from "googleapis";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+import CalendarService, { calendarConsentError } from "./calendarService.js";
+
+const CALENDAR_ID = "primary";
+const RESPONSE_STATUS = {
+  accept: "accepted",
+  tentative: "tentative",
+  decline: "declined",
+};
+// PARTSTAT values of parsed invites, in Google's vocabulary
+const PARTSTAT_STATUS = {
+  "needs-action": "needsAction",
+  accepted: "accepted",
+  tentative: "tentative",
+  declined: "declined",
+};
+
+// Google accepts the shared event time shape unchanged
+const toGoogleTime = (time) =>
+  time.date
+    ? { date: time.date }
+    : { dateTime: time.dateTime, timeZone: time.timeZone };
+
+class GoogleCalendarService extends CalendarService {
+  async getClient() {
+    return google.calendar({
+      version: "v3",
+      auth: await this.emailService.getAuth(),
+    });
+  }
+
+  // Runs a Calendar API call and maps its errors; resolves to the data
+  async request(action, call) {
+    const client = await this.getClient();
+    try {
+      const { data } = await call(client);
+      return data;
+    } catch (error) {
+      console.error(`[ERROR] Failed to ${action}:`, error);
+      const status = error.code || error.response?.status;
+      const reason = `${error.errors?.[0]?.reason || ""} ${error.message}`;
+      // Tokens granted before the calendar scopes were added
+      if (status === 403 && /insufficient/i.test(reason)) {
+        throw calendarConsentError();
+      }
+      throw new ApiError(
+        status === 404 ? StatusCodes.NOT_FOUND : StatusCodes.BAD_REQUEST,
+        `Failed to ${action}: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  formatEvent(event) {
+    const self = (event.attendees || []).find((attendee) => attendee.self);
+    return {
+      id: event.id,
+      uid: event.iCalUID || "",
+      title: event.summary || "(No title)",
+      description: event.description || "",
+      location: event.location || "",
+      start: event.start?.dateTime || event.start?.date || "",
+      end: event.end?.dateTime || event.end?.date || "",
+      allDay: Boolean(event.start?.date),
+      organizer: event.organizer
+        ? {
+            email: event.organizer.email || "",
+            name: event.organizer.displayName || "",
+          }
+        : null,
+      attendees: (event.attendees || []).map((attendee) => ({
+        email: attendee.email,
+        name: attendee.displayName || "",
+        response: attendee.responseStatus || "needsAction",
+      })),
+      // Events without attendees are the user's own
+      response: self ? self.responseStatus : "accepted",
+      status: event.status || "confirmed",
+      link: event.htmlLink || "",
+    };
+  }
+
+  async listEvents({ start, end, maxResults = 25 }) {
+    const data = await this.request("list calendar events", (client) =>
+      client.events.list({
+        calendarId: CALENDAR_ID,
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString(),
+        singleEvents: true,
+        orderBy: "startTime",
+        maxResults,
+      })
+    );
+    return (data.items || [])
+      .filter((event) => event.status !== "cancelled")
+      .map((event) => this.formatEvent(event));
+  }
+
+  async getFreeBusy({ start, end }) {
+    const data = await this.request("check availability", (client) =>
+      client.freebusy.query({
+        requestBody: {
+          timeMin: start.toISOString(),
+          timeMax: end.toISOString(),
+          items: [{ id: CALENDAR_ID }],
+        },
+      })
+    );
+    return (data.calendars?.[CALENDAR_ID]?.busy || []).map((period) => ({
+      start: period.start,
+      end: period.end,
+    }));
+  }
+
+  async createEvent(event, { sendInvites = false } = {}) {
+    const created = await this.request("create calendar event", (client) =>
+      client.events.insert({
+        calendarId: CALENDAR_ID,
+        sendUpdates: sendInvites ? "all" : "none",
+        requestBody: {
+          summary: event.title,
+          description: event.description || undefined,
+          location: event.location || undefined,
+          start: toGoogleTime(event.start),
+          end: toGoogleTime(event.end),
+          attendees: sendInvites
+            ? (event.attendees || []).map((attendee) => ({
+                email: attendee.email,
+                displayName: attendee.name || undefined,
+              }))
+            : undefined,
+        },
+      })
+    );
+    return this.formatEvent(created);
+  }
+
+  async respondToEvent(eventId, response, { comment } = {}) {
+    const event = await this.request("read calendar event", (client) =>
+      client.events.get({ calendarId: CALENDAR_ID, eventId })
+    );
+    const attendees = event.attendees || [];
+    if (!attendees.some((attendee) => attendee.self)) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "You're not an invited attendee of this event"
+      );
+    }
+
+    const updated = await this.request("respond to invite", (client) =>
+      client.events.patch({
+        calendarId: CALENDAR_ID,
+        eventId,
+        sendUpdates: "all",
+        requestBody: {
+          attendees: attendees.map((attendee) =>
+            attendee.self
+              ? {
+                  ...attendee,
+                  responseStatus: RESPONSE_STATUS[response],
+                  ...(comment ? { comment } : {}),
+                }
+              : attendee
+          ),
+        },
+      })
+    );
+    return this.formatEvent(updated);
+  }
+
+  async findEventByICalUid(uid) {
+    const data = await this.request("find calendar event", (client) =>
+      client.events.list({ calendarId: CALENDAR_ID, iCalUID: uid })
+    );
+    const event = (data.items || []).find(
+      (item) => item.status !== "cancelled"
+    );
+    return event ? this.formatEvent(event) : null;
+  }
+
+  // events.import keeps the invite's UID, so later updates from the
+  // organizer land on the same event
+  async importEvent(invite, response) {
+    const ownEmail = (this.account.email || "").toLowerCase();
+    const attendees = invite.attendees.map((attendee) => ({
+      email: attendee.email,
+      displayName: attendee.name || undefined,
+      responseStatus:
+        attendee.email === ownEmail
+          ? RESPONSE_STATUS[response]
+          : PARTSTAT_STATUS[attendee.response] || "needsAction",
+    }));
+    if (
+      ownEmail &&
+      !attendees.some((attendee) => attendee.email === ownEmail)
+    ) {
+      attendees.push({
+        email: ownEmail,
+        responseStatus: RESPONSE_STATUS[response],
+      });
+    }
+
+    const imported = await this.request("add invite to calendar", (client) =>
+      client.events.import({
+        calendarId: CALENDAR_ID,
+        requestBody: {
+          iCalUID: invite.uid,
+          summary: invite.title,
+          description: invite.description || undefined,
+          location: invite.location || undefined,
+          start: toGoogleTime(invite.start),
+          end: toGoogleTime(invite.end),
+          recurrence: invite.recurrence?.length ? invite.recurrence : undefined,
+          organizer: invite.organizer
+            ? {
+                email: invite.organizer.email,
+                displayName: invite.organizer.name || undefined,
+              }
+            : undefined,
+          attendees,
+        },
+      })
+    );
+    return this.formatEvent(imported);
+  }
+}
+
+export default GoogleCalendarService;
@@ -0,0 +1,852 @@
+// services/imapSmtpService.js
+import { ImapFlow } from "imapflow";
+import nodemailer from "nodemailer";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import { simpleParser } from "mailparser";
+import { ApiError } from "../utils/errorHandler.js";
+import { StatusCodes } from "http-status-codes";
+import EmailService from "./emailService.js";
+import { convert } from "html-to-text";
+import { decrypt } from "../utils/encryptionUtils.js";
+import { assertMailPorts, resolveMailHost } from "../helper/mailHostHelper.js";
+
+// IMAP UIDs are only unique per mailbox, so ids handed to clients carry the
+// mailbox path too. base64url keeps folder names like "[Gmail]/Sent" URL-safe.
+const encodeId = (mailbox, uid) =>
+  Buffer.from(`${mailbox}\n${uid}`).toString("base64url");
+
+const decodeId = (emailId) => {
+  const [mailbox, uid] = Buffer.from(String(emailId), "base64url")
+    .toString("utf-8")
+    .split("\n");
+  if (!mailbox || !uid || isNaN(Number(uid))) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid email ID: ${emailId}`);
+  }
+  return { mailbox, uid: Number(uid) };
+};
+
+const getDateRange = (timeFilter) => {
+  const now = new Date();
+  if (timeFilter === "daily") {
+    return { since: new Date(now.getTime() - 24 * 60 * 60 * 1000) };
+  } else if (timeFilter === "weekly") {
+    return { since: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) };
+  } else if (timeFilter === "monthly") {
+    return { since: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) };
+  } else if (/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(timeFilter || "")) {
+    const [year, month, day] = timeFilter
+      .split("/")
+      .map((part) => parseInt(part, 10));
+    return {
+      since: new Date(Date.UTC(year, month - 1, day)),
+      before: new Date(Date.UTC(year, month - 1, day + 1)),
+    };
+  }
+  return {};
+};
+
+// Folder names that stand for a special-use mailbox whatever the server
+// calls it ("Junk", "Spam", "[Gmail]/Trash", ...)
+const SPECIAL_USE_ALIASES = {
+  inbox: "\\Inbox",
+  archive: "\\Archive",
+  drafts: "\\Drafts",
+  sent: "\\Sent",
+  trash: "\\Trash",
+  spam: "\\Junk",
+  junk: "\\Junk",
+};
+
+class ImapSmtpService extends EmailService {
+  getSettings() {
+    const settings = this.account.imapSettings;
+    if (!settings?.imapHost || !settings?.password) {
+      throw new ApiError(
+        StatusCodes.UNAUTHORIZED,
+        "No IMAP credentials available. Please reconnect your mailbox."
+      );
+    }
+    return {
+      ...(settings.toObject ? settings.toObject() : settings),
+      username: settings.username || this.account.email,
+      password: decrypt(settings.password),
+    };
+  }
+
+  // Normalizes connection details posted by the client
+  static normalizeSettings(body, email) {
+    const {
+      imapHost,
+      imapPort = 993,
+      imapSecure = true,
+      smtpHost,
+      smtpPort = 465,
+      smtpSecure = true,
+      username,
+    } = body;
+    return {
+      imapHost,
+      imapPort: Number(imapPort),
+      imapSecure: imapSecure !== false && imapSecure !== "false",
+      smtpHost: smtpHost || imapHost,
+      smtpPort: Number(smtpPort),
+      smtpSecure: smtpSecure !== false && smtpSecure !== "false",
+      username: username || email,
+    };
+  }
+
+  // IMAP client for the settings, connecting to the checked address of the
+  // host (the name is still used for TLS)
+  static async createImapClient({
+    imapHost,
+    imapPort,
+    imapSecure,
+    smtpPort,
+    username,
+    password,
+  }) {
+    assertMailPorts({ imapPort, smtpPort });
+    const { address, servername } = await resolveMailHost(imapHost);
+    return new ImapFlow({
+      host: address,
+      servername,
+      port: imapPort,
+      secure: imapSecure,
+      auth: { user: username, pass: password },
+      logger: false,
+    });
+  }
+
+  // Verify credentials before they are stored on the user
+  static async verifyConnection(settings) {
+    const { imapHost, smtpHost } = settings;
+    const client = await ImapSmtpService.createImapClient(settings);
+    if (smtpHost && smtpHost !== imapHost) await resolveMailHost(smtpHost);
+    try {
+      await client.connect();
+      await client.logout();
+    } catch (error) {
+      // A failed login leaves the socket open until it times out
+      client.close();
+      throw new ApiError(
+        StatusCodes.UNAUTHORIZED,
+        `Could not connect to ${imapHost}: ${
+          error.responseText || error.message || "Unknown error"
+        }`
+      );
+    }
+  }
+
+  async getClient() {
+    const client = await ImapSmtpService.createImapClient(this.getSettings());
+    try {
+      await client.connect();
+    } catch (error) {
+      client.close();
+      console.error("[ERROR] IMAP connection failed:", error);
+      throw new ApiError(
+        StatusCodes.UNAUTHORIZED,
+        `Failed to connect to IMAP server: ${
+          error.responseText || error.message || "Unknown error"
+        }`
+      );
+    }
+    return client;
+  }
+
+  async getTransport() {
+    const settings = this.getSettings();
+    assertMailPorts(settings);
+    const { address, servername } = await resolveMailHost(
+      settings.smtpHost || settings.imapHost
+    );
+    return nodemailer.createTransport({
+      host: address,
+      servername,
+      port: settings.smtpPort,
+      secure: settings.smtpSecure,
+      auth: { user: settings.username, pass: settings.password },
+    });
+  }
+
+  // Opens a connection, locks the mailbox and always logs out afterwards
+  async withMailbox(mailbox, fn) {
+    const client = await this.getClient();
+    try {
+      const path =
+        typeof mailbox === "function" ? await mailbox(client) : mailbox;
+      const lock = await client.getMailboxLock(path);
+      try {
+        return await fn(client, path);
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  async resolveMailbox(client, specialUse, fallback) {
+    const mailboxes = await client.list();
+    const match = mailboxes.find((box) => box.specialUse === specialUse);
+    return match ? match.path : fallback;
+  }
+
+  buildSearchCriteria({ query = "", filter = "all", timeFilter = "all" }) {
+    const criteria = {};
+    const lowerFilter = filter.toLowerCase();
+    if (lowerFilter === "read") criteria.seen = true;
+    if (lowerFilter === "unread") criteria.seen = false;
+    if (lowerFilter === "starred" || lowerFilter === "important")
+      criteria.flagged = true;
+
+    const { since, before } = getDateRange(timeFilter);
+    if (since) criteria.since = since;
+    if (before) criteria.before = before;
+
+    // Support the Gmail-style operators the assistant already emits
+    let text = query.trim();
+    const operators = { from: "from", to: "to", subject: "subject" };
+    text = text.replace(
+      /\b(from|to|subject):("[^"]+"|\S+)/gi,
+      (_, key, value) => {
+        criteria[operators[key.toLowerCase()]] = value.replace(/"/g, "");
+        return "";
+      }
+    );
+    text = text.replace(/\bis:unread\b/gi, () => {
+      criteria.seen = false;
+      return "";
+    });
+    text = text.replace(/\bis:read\b/gi, () => {
+      criteria.seen = true;
+      return "";
+    });
+    text = text.replace(
+      /\b(after|before):(\d{4}\/\d{1,2}\/\d{1,2})/gi,
+      (_, key, value) => {
+        const [year, month, day] = value.split("/").map(Number);
+        criteria[key.toLowerCase() === "after" ? "since" : "before"] = new Date(
+          Date.UTC(year, month - 1, day)
+        );
+        return "";
+      }
+    );
+    text = text.replace(/\s+/g, " ").trim();
+    if (text) criteria.text = text;
+
+    return Object.keys(criteria).length > 0 ? criteria : { all: true };
+  }
+
+  async mailboxForFilter(client, filter = "all") {
+    switch (filter.toLowerCase()) {
+      case "sent":
+        return this.resolveMailbox(client, "\\Sent", "Sent");
+      case "drafts":
+        return this.resolveMailbox(client, "\\Drafts", "Drafts");
+      case "archived":
+        return this.resolveMailbox(client, "\\Archive", "Archive");
+      default:
+        return "INBOX";
+    }
+  }
+
+  async fetchEmails({
+    query = "",
+    maxResults = 50,
+    pageToken,
+    filter = "all",
+    timeFilter = "all",
+  }) {
+    const offset = pageToken ? parseInt(pageToken, 10) || 0 : 0;
+    const limit = Math.min(parseInt(maxResults, 10) || 50, 200);
+
+    try {
+      return await this.withMailbox(
+        (client) => this.mailboxForFilter(client, filter),
+        async (client, mailbox) => {
+          const criteria = this.buildSearchCriteria({
+            query,
+            filter,
+            timeFilter,
+          });
+          const uids = (
+            (await client.search(criteria, { uid: true })) || []
+          ).sort((a, b) => b - a);
+          const pageUids = uids.slice(offset, offset + limit);
+
+          const messages = [];
+          if (pageUids.length > 0) {
+            for await (const message of client.fetch(
+              pageUids,
+              { uid: true, flags: true, source: true },
+              { uid: true }
+            )) {
+              messages.push(
+                await this.formatEmail(message, mailbox).catch((error) => {
+                  console.error(
+                    `Failed to parse IMAP message ${message.uid}:`,
+                    error
+                  );
+                  return null;
+                })
+              );
+            }
+          }
+
+          return {
+            messages: messages
+              .filter(Boolean)
+              .sort((a, b) => new Date(b.date) - new Date(a.date)),
+            nextPageToken:
+              offset + limit < uids.length ? String(offset + limit) : null,
+            prevPageToken:
+              offset > 0 ? String(Math.max(offset - limit, 0)) : null,
+            totalCount: uids.length,
+          };
+        }
+      );
+    } catch (error) {
+      console.error("[ERROR] Failed to fetch IMAP emails:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to fetch emails: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async formatEmail(message, mailbox) {
+    const parsed = await simpleParser(message.source);
+    const body = parsed.text || (parsed.html ? convert(parsed.html) : "");
+    const attachments = (parsed.attachments || []).map((att, index) => ({
+      id: String(index),
+      filename: att.filename || "unnamed",
+      mimeType: att.contentType || "application/octet-stream",
+      size: att.size || 0,
+    }));
+    const references = Array.isArray(parsed.references)
+      ? parsed.references
+      : parsed.references
+      ? [parsed.references]
+      : [];
+
+    return {
+      id: encodeId(mailbox, message.uid),
+      threadId: references[0] || parsed.messageId || "",
+      messageId: parsed.messageId || "",
+      references,
+      subject: parsed.subject || "",
+      from: parsed.from?.text || "",
+      to: parsed.to?.text || "",
+      date: parsed.date ? parsed.date.toISOString() : "",
+      snippet: body.replace(/\s+/g, " ").trim().substring(0, 200),
+      body,
+      isRead: message.flags?.has("\\Seen") || false,
+      canUnsubscribe: (parsed.headerLines || []).some(
+        (header) => header.key === "list-unsubscribe"
+      ),
+      hasAttachments: attachments.length > 0,
+      attachments,
+    };
+  }
+
+  async fetchParsed(emailId) {
+    const { mailbox, uid } = decodeId(emailId);
+    return this.withMailbox(mailbox, async (client) => {
+      const message = await client.fetchOne(
+        uid,
+        { uid: true, flags: true, source: true },
+        { uid: true }
+      );
+      if (!message) {
+        throw new ApiError(StatusCodes.NOT_FOUND, "Email not found");
+      }
+      return { message, mailbox, parsed: await simpleParser(message.source) };
+    });
+  }
+
+  // headerLines keeps each header as sent ("Name: value", possibly folded)
+  async getUnsubscribeHeaders(emailId) {
+    const { parsed } = await this.fetchParsed(emailId);
+    const find = (key) => {
+      const header = (parsed.headerLines || []).find(
+        (line) => line.key === key
+      );
+      return header
+        ? header.line
+            .replace(/^[^:]*:/, "")
+            .replace(/\r?\n[ \t]+/g, " ")
+            .trim()
+        : "";
+    };
+    return {
+      listUnsubscribe: find("list-unsubscribe"),
+      listUnsubscribePost: find("list-unsubscribe-post"),
+    };
+  }
+
+  async getEmailHtml(emailId) {
+    const { parsed } = await this.fetchParsed(emailId);
+    return parsed.html || null;
+  }
+
+  async getEmail(emailId) {
+    const { mailbox, uid } = decodeId(emailId);
+    try {
+      return await this.withMailbox(mailbox, async (client) => {
+        const message = await client.fetchOne(
+          uid,
+          { uid: true, flags: true, source: true },
+          { uid: true }
+        );
+        if (!message) {
+          throw new ApiError(StatusCodes.NOT_FOUND, "Email not found");
+        }
+        return this.formatEmail(message, mailbox);
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to get IMAP email:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to get email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async buildRawMessage({ to, subject, body, attachments = [], headers = {} }) {
+    const senderName = this.account.name || this.user.name;
+    const mail = new MailComposer({
+      from: senderName
+        ? { name: senderName, address: this.account.email }
+        : this.account.email,
+      to,
+      subject,
+      text: body,
+      attachments: attachments.map((file) => ({
+        filename: file.originalname || file.filename,
+        path: file.path,
+        contentType: file.mimetype,
+      })),
+      ...headers,
+    });
+    return mail.compile().build();
+  }
+
+  // Many IMAP hosts do not file SMTP submissions into Sent on their own
+  async appendToMailbox(specialUse, fallback, raw, flags = []) {
+    const client = await this.getClient();
+    try {
+      const path = await this.resolveMailbox(client, specialUse, fallback);
+      const result = await client.append(path, raw, flags);
+      return result?.uid ? encodeId(path, result.uid) : null;
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  async deliver(message) {
+    const raw = await this.buildRawMessage(message);
+    try {
+      await (
+        await this.getTransport()
+      ).sendMail({
+        envelope: { from: this.account.email, to: message.to },
+        raw,
+      });
+    } catch (error) {
+      console.error("[ERROR] SMTP delivery failed:", error);
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to send email: ${error.response || error.message}`
+      );
+    }
+    await this.appendToMailbox("\\Sent", "Sent", raw, ["\\Seen"]).catch(
+      (error) => console.error("[ERROR] Failed to store sent copy:", error)
+    );
+  }
+
+  async sendEmail({ to, subject, body, attachments = [] }) {
+    await this.deliver({ to, subject, body, attachments });
+  }
+
+  async replyToEmail(emailId, { body, attachments = [] }) {
+    const email = await this.getEmail(emailId);
+    const replyTo = email.from.includes(this.account.email)
+      ? email.to
+      : email.from;
+    const references = [...email.references, email.messageId].filter(Boolean);
+    await this.deliver({
+      to: replyTo,
+      subject: /^re:/i.test(email.subject)
+        ? email.subject
+        : `Re: ${email.subject}`,
+      body,
+      attachments,
+      headers: {
+        inReplyTo: email.messageId || undefined,
+        references: references.length > 0 ? references : undefined,
+      },
+    });
+  }
+
+  async trashEmail(emailId) {
+    const { mailbox, uid } = decodeId(emailId);
+    try {
+      await this.withMailbox(mailbox, async (client) => {
+        const trash = await this.resolveMailbox(client, "\\Trash", null);
+        if (trash && trash !== mailbox) {
+          await client.messageMove(uid, trash, { uid: true });
+        } else {
+          await client.messageFlagsAdd(uid, ["\\Deleted"], { uid: true });
+        }
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to trash IMAP email:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to trash email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async markAsRead(emailId, read = true) {
+    const { mailbox, uid } = decodeId(emailId);
+    try {
+      await this.withMailbox(mailbox, async (client) => {
+        if (read) {
+          await client.messageFlagsAdd(uid, ["\\Seen"], { uid: true });
+        } else {
+          await client.messageFlagsRemove(uid, ["\\Seen"], { uid: true });
+        }
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to mark IMAP email as read:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to mark email as read: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // IMAP has no labels: mailboxes are both, and a label is a copy of the
+  // message in that mailbox (the model Gmail's own IMAP interface uses)
+  formatMailbox(box) {
+    return {
+      id: box.path,
+      name: box.delimiter ? box.path.split(box.delimiter).join("/") : box.path,
+      type: box.specialUse || box.path === "INBOX" ? "system" : "user",
+      kind: "folder",
+      ...(box.status
+        ? {
+            messageCount: box.status.messages || 0,
+            unreadCount: box.status.unseen || 0,
+          }
+        : {}),
+    };
+  }
+
+  async listLabels() {
+    let client;
+    try {
+      client = await this.getClient();
+      const mailboxes = await client.list({
+        statusQuery: { messages: true, unseen: true },
+      });
+      return mailboxes
+        .filter((box) => !box.flags?.has("\\Noselect"))
+        .map((box) => this.formatMailbox(box));
+    } catch (error) {
+      console.error("[ERROR] Failed to list IMAP mailboxes:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to list folders: ${error.message || "Unknown error"}`
+      );
+    } finally {
+      if (client) await client.logout().catch(() => client.close());
+    }
+  }
+
+  async createLabel(name) {
+    let client;
+    try {
+      client = await this.getClient();
+      // An array lets imapflow join the levels with the server's delimiter
+      const { path } = await client.mailboxCreate(name.split("/"));
+      const box = (await client.list()).find((item) => item.path === path);
+      return this.formatMailbox(box || { path });
+    } catch (error) {
+      console.error("[ERROR] Failed to create IMAP mailbox:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        error.serverResponseCode === "ALREADYEXISTS"
+          ? StatusCodes.CONFLICT
+          : StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to create folder: ${
+          error.responseText || error.message || "Unknown error"
+        }`
+      );
+    } finally {
+      if (client) await client.logout().catch(() => client.close());
+    }
+  }
+
+  async applyLabel(emailId, label) {
+    const { mailbox, uid } = decodeId(emailId);
+    const target = await this.resolveLabel(label, { create: true });
+    if (target.id === mailbox) return;
+    try {
+      await this.withMailbox(mailbox, (client) =>
+        client.messageCopy(uid, target.id, { uid: true })
+      );
+    } catch (error) {
+      console.error("[ERROR] Failed to label IMAP email:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to label email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // Deletes the copy in the label's mailbox, found by Message-ID. A message
+  // that only lives there goes back to the inbox instead.
+  async removeLabel(emailId, label) {
+    const { mailbox } = decodeId(emailId);
+    const target = await this.resolveLabel(label);
+    if (target.id === mailbox) {
+      await this.moveToFolder(emailId, "INBOX");
+      return;
+    }
+
+    const { parsed } = await this.fetchParsed(emailId);
+    if (!parsed.messageId) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "This email has no Message-ID, so its labelled copy cannot be found"
+      );
+    }
+    try {
+      await this.withMailbox(target.id, async (client) => {
+        const uids = await client.search(
+          { header: { "message-id": parsed.messageId } },
+          { uid: true }
+        );
+        if (uids?.length > 0) {
+          await client.messageDelete(uids, { uid: true });
+        }
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to remove IMAP label:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to remove label: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  // Mailbox path for a folder name, id or special-use alias. Servers that
+  // do not flag special-use mailboxes usually still have one by that name.
+  async resolveFolderPath(folder) {
+    const name = String(folder).trim();
+    const specialUse = SPECIAL_USE_ALIASES[name.toLowerCase()];
+    if (specialUse === "\\Inbox") return "INBOX";
+    if (specialUse) {
+      const client = await this.getClient();
+      try {
+        const path = await this.resolveMailbox(client, specialUse, null);
+        if (path) return path;
+      } finally {
+        await client.logout().catch(() => client.close());
+      }
+      const label = await this.resolveLabel(name, {
+        create: specialUse === "\\Archive",
+      }).catch((error) => {
+        if (error.statusCode !== StatusCodes.NOT_FOUND) throw error;
+        throw new ApiError(
+          StatusCodes.NOT_FOUND,
+          `This mailbox has no ${name} folder`
+        );
+      });
+      return label.id;
+    }
+    return (await this.resolveLabel(name, { create: true })).id;
+  }
+
+  // Ids carry the mailbox, so the moved message gets a new one. Servers
+  // without UIDPLUS do not report it, so it is looked up by Message-ID; null
+  // is returned when that fails too.
+  async moveToFolder(emailId, folder) {
+    const { mailbox, uid } = decodeId(emailId);
+    const destination = await this.resolveFolderPath(folder);
+    if (destination === mailbox) return emailId;
+
+    try {
+      const { newUid, messageId } = await this.withMailbox(
+        mailbox,
+        async (client) => {
+          const message = await client.fetchOne(
+            uid,
+            { uid: true, envelope: true },
+            { uid: true }
+          );
+          if (!message) {
+            throw new ApiError(StatusCodes.NOT_FOUND, "Email not found");
+          }
+          const result = await client.messageMove(uid, destination, {
+            uid: true,
+          });
+          return {
+            newUid: result?.uidMap?.get(uid),
+            messageId: message.envelope?.messageId,
+          };
+        }
+      );
+      if (newUid) return encodeId(destination, newUid);
+      if (!messageId) return null;
+
+      return await this.withMailbox(destination, async (client) => {
+        const uids = await client.search(
+          { header: { "message-id": messageId } },
+          { uid: true }
+        );
+        return uids?.length > 0
+          ? encodeId(destination, Math.max(...uids))
+          : null;
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to move IMAP email:", error);
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to move email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async archiveEmail(emailId) {
+    return this.moveToFolder(emailId, "archive");
+  }
+
+  async starEmail(emailId, starred = true) {
+    const { mailbox, uid } = decodeId(emailId);
+    try {
+      await this.withMailbox(mailbox, async (client) => {
+        if (starred) {
+          await client.messageFlagsAdd(uid, ["\\Flagged"], { uid: true });
+        } else {
+          await client.messageFlagsRemove(uid, ["\\Flagged"], { uid: true });
+        }
+      });
+    } catch (error) {
+      console.error("[ERROR] Failed to flag IMAP email:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to flag email: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async reportSpam(emailId) {
+    return this.moveToFolder(emailId, "spam");
+  }
+
+  async untrashEmail(emailId) {
+    return this.moveToFolder(emailId, "inbox");
+  }
+
+  async draftEmail({ to, subject, body, attachments = [] }) {
+    try {
+      const raw = await this.buildRawMessage({
+        to,
+        subject,
+        body,
+        attachments,
+      });
+      return await this.appendToMailbox("\\Drafts", "Drafts", raw, [
+        "\\Draft",
+        "\\Seen",
+      ]);
+    } catch (error) {
+      console.error("[ERROR] Failed to create IMAP draft:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to create draft: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async deleteDraft(draftId) {
+    const { mailbox, uid } = decodeId(draftId);
+    try {
+      await this.withMailbox(mailbox, (client) =>
+        client.messageDelete(uid, { uid: true })
+      );
+    } catch (error) {
+      console.error("[ERROR] Failed to delete IMAP draft:", error);
+      throw new ApiError(
+        StatusCodes.INTERNAL_SERVER_ERROR,
+        `Failed to delete draft: ${error.message || "Unknown error"}`
+      );
+    }
+  }
+
+  async getInboxStats() {
+    let client;
+    try {
+      client = await this.getClient();
+      const status = await client.status("INBOX", {
+        messages: true,
+        unseen: true,
+      });
+      return {
+        totalEmails: status.messages || 0,
+        unreadEmails: status.unseen || 0,
+      };
+    } catch (error) {
+      console.error("[ERROR] Failed to get IMAP inbox stats:", error);
+      return { totalEmails: 0, unreadEmails: 0 };
+    } finally {
+      if (client) await client.logout().catch(() => client.close());
+    }
+  }
+
+  async getEmailCount({ filter = "all", query = "" }) {
+    try {
+      return await this.withMailbox(
+        (client) => this.mailboxForFilter(client, filter),
+        async (client) => {
+          const uids = await client.search(
+            this.buildSearchCriteria({ query, filter }),
+            { uid: true }
+          );
+          return (uids || []).length;
+        }
+      );
+    } catch (error) {
+      console.error("[ERROR] Failed to count IMAP emails:", error);
+      return 0;
+    }
+  }
+
+  async getAttachments(emailId) {
+    const email = await this.getEmail(emailId);
+    return email.attachments;
+  }
+
+  async getAttachment(emailId, attachmentId) {
+    const { parsed } = await this.fetchParsed(emailId);
+    const attachment = (parsed.attachments || [])[Number(attachmentId)];
+    if (!attachment) {
+      throw new ApiError(StatusCodes.NOT_FOUND, "Attachment not found");
+    }
+    return {
+      filename: attachment.filename || "unnamed",
+      mimeType: attachment.contentType || "application/octet-stream",
+      content: attachment.content,
+    };
+  }
+}
+
+export default ImapSmtpService;
@@ -0,0 +1,751 @@
+// services/mailIndexService.js
+import mongoose from "mongoose";
+import { StatusCodes } from "http-status-codes";
+import IndexedEmail from "../models/IndexedEmail.js";
+import MailIndexState from "../models/MailIndexState.js";
+import User from "../models/User.js";
+import ConnectedInbox from "../models/ConnectedInbox.js";
+import { ApiError } from "../utils/errorHandler.js";
+import mailEvents from "../helper/mailEvents.js";
+import { isValidTimeZone } from "../helper/calendarHelper.js";
+import { createEmailServiceFor, getServiceInboxId } from "./emailService.js";
+import semanticSearchService from "./semanticSearchService.js";
+import extractionService from "./extractionService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 50;
+// Pages read per claim; a longer backfill carries on at the next tick
+const MAX_PAGES_PER_SYNC = 10;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_MS = 15 * 60 * 1000;
+// A sync holds its inbox this long at most, e.g. when its instance dies
+const LOCK_MS = 30 * 60 * 1000;
+// Inboxes nobody searched for this long are not synced until they are
+const IDLE_AFTER_MS = 30 * DAY_MS;
+const DEFAULT_BACKFILL_DAYS = 365;
+const MAX_BODY_LENGTH = 10000;
+const DEFAULT_RESULTS = 100;
+const MAX_RESULTS = 500;
+const INDEXED_FILTERS = ["all", "read", "unread", "sent"];
+const ACTIVITY_FORMATS = { day: "%Y-%m-%d", week: "%G-W%V", month: "%Y-%m" };
+const PERMANENT_FAILURES = [
+  StatusCodes.UNAUTHORIZED,
+  StatusCodes.FORBIDDEN,
+  StatusCodes.NOT_FOUND,
+];
+const EMAIL_ADDRESS_PATTERN = /[^\s<>"',;]+@[^\s<>"',;]+\.[^\s<>"',;]+/;
+const DATE_PATTERN = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/;
+
+// MAIL_INDEX_BACKFILL_DAYS=0 indexes the whole mailbox
+const backfillDays = () => {
+  const days = Number(process.env.MAIL_INDEX_BACKFILL_DAYS);
+  return process.env.MAIL_INDEX_BACKFILL_DAYS && days >= 0
+    ? days
+    : DEFAULT_BACKFILL_DAYS;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseFrom = (from = "") => {
+  const address = (
+    from.match(/<([^>]+)>/)?.[1] ||
+    from.match(EMAIL_ADDRESS_PATTERN)?.[0] ||
+    ""
+  )
+    .trim()
+    .toLowerCase();
+  const name = from.includes("<")
+    ? from.split("<")[0].replace(/"/g, "").trim()
+    : "";
+  return { address, name };
+};
+
+const toDocument = (email, ownAddress) => {
+  const { address, name } = parseFrom(email.from);
+  const date = new Date(email.date);
+  const doc = {
+    emailId: email.id,
+    threadId: email.threadId || "",
+    subject: email.subject || "",
+    from: email.from || "",
+    fromAddress: address,
+    fromName: name,
+    to: email.to || "",
+    date: Number.isNaN(date.getTime()) ? null : date,
+    snippet: email.snippet || "",
+    body: (email.body || "").slice(0, MAX_BODY_LENGTH),
+    isRead: Boolean(email.isRead),
+    sent:
+      (email.labels || []).includes("SENT") ||
+      (!!ownAddress && address === ownAddress),
+    labels: email.labels || [],
+    hasAttachments: Boolean(email.hasAttachments),
+    canUnsubscribe:
+      typeof email.canUnsubscribe === "boolean" ? email.canUnsubscribe : null,
+  };
+  return { ...doc, contentHash: semanticSearchService.contentHash(doc) };
+};
+
+// Back to the shape provider services return
+const toEmail = (doc) => ({
+  id: doc.emailId,
+  threadId: doc.threadId,
+  subject: doc.subject,
+  from: doc.from,
+  to: doc.to,
+  date: doc.date ? doc.date.toISOString() : "",
+  snippet: doc.snippet,
+  ...(doc.body !== undefined ? { body: doc.body } : {}),
+  isRead: doc.isRead,
+  labels: doc.labels,
+  canUnsubscribe: doc.canUnsubscribe,
+  hasAttachments: doc.hasAttachments,
+});
+
+const formatState = (state) => ({
+  inboxId: state.inboxId || "primary",
+  provider: state.provider,
+  email: state.email,
+  status: state.status,
+  ready: state.status === "ready",
+  messageCount: state.messageCount,
+  coveredSince: state.coveredSince,
+  lastSyncAt: state.lastSyncAt,
+  lastError: state.lastError,
+});
+
+/*
+ * Queries
+ */
+
+// Same ranges as the providers' timeFilter: rolling days, or one UTC day
+const timeRange = (timeFilter = "all") => {
+  const days = { daily: 1, weekly: 7, monthly: 30 }[timeFilter];
+  if (days) return { after: new Date(Date.now() - days * DAY_MS) };
+  const match = DATE_PATTERN.exec(timeFilter || "");
+  if (!match) return {};
+  const [year, month, day] = match.slice(1).map(Number);
+  return {
+    after: new Date(Date.UTC(year, month - 1, day)),
+    before: new Date(Date.UTC(year, month - 1, day + 1)),
+  };
+};
+
+const parseDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const parseAge = (value) => {
+  const match = /^(\d+)([dmy])$/i.exec(value);
+  if (!match) return null;
+  const days =
+    Number(match[1]) * { d: 1, m: 30, y: 365 }[match[2].toLowerCase()];
+  return new Date(Date.now() - days * DAY_MS);
+};
+
+const later = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+const earlier = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+
+/**
+ * Reads the Gmail-style search syntax the assistant writes: words and
+ * "phrases" (all must match), from:, to:, subject:, is:read/unread,
+ * has:attachment, after:/before: with YYYY/MM/DD dates and
+ * newer_than:/older_than: such as 7d. A bare date, as processQuery leaves
+ * for "today" or "this week", means mail from that day on.
+ * @param {string} query
+ * @returns {Object|null} { clauses, terms, after, before }, or null when the
+ *   query uses anything else (OR, negation, labels…) and needs the provider
+ */
+const parseQuery = (query = "") => {
+  const parsed = { clauses: [], terms: [], after: null, before: null };
+  const tokens = String(query).matchAll(
+    /(-?)([a-z_]+):("[^"]*"|\([^)]*\)|\S+)|"([^"]*)"|(\S+)/gi
+  );
+  for (const [, negated, operator, rawValue, phrase, word] of tokens) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) parsed.terms.push(phrase.trim());
+      continue;
+    }
+    if (word !== undefined) {
+      if (/^(or|and)$/i.test(word) || /^[-({]/.test(word)) return null;
+      const date = parseDate(word);
+      if (date) parsed.after = later(parsed.after, date);
+      else parsed.terms.push(word);
+      continue;
+    }
+    if (negated) return null;
+    const value = rawValue.replace(/^["(]|[")]$/g, "").trim();
+    const contains = (field) =>
+      parsed.clauses.push({ [field]: new RegExp(escapeRegex(value), "i") });
+    switch (operator.toLowerCase()) {
+      case "from":
+      case "to":
+      case "subject":
+        contains(operator.toLowerCase());
+        break;
+      case "is":
+        if (!["read", "unread"].includes(value.toLowerCase())) return null;
+        parsed.clauses.push({ isRead: value.toLowerCase() === "read" });
+        break;
+      case "has":
+        if (!/^attachments?$/i.test(value)) return null;
+        parsed.clauses.push({ hasAttachments: true });
+        break;
+      case "after":
+      case "since":
+      case "newer_than": {
+        const date =
+          operator.toLowerCase() === "newer_than"
+            ? parseAge(value)
+            : parseDate(value);
+        if (!date) return null;
+        parsed.after = later(parsed.after, date);
+        break;
+      }
+      case "before":
+      case "older_than": {
+        const date =
+          operator.toLowerCase() === "older_than"
+            ? parseAge(value)
+            : parseDate(value);
+        if (!date) return null;
+        parsed.before = earlier(parsed.before, date);
+        break;
+      }
+      default:
+        return null;
+    }
+  }
+  return parsed;
+};
+
+// Mongo filter for a search over one inbox's index, or null when the index
+// cannot answer it
+const buildMatch = (
+  userId,
+  inboxId,
+  { query = "", filter = "all", timeFilter = "all" }
+) => {
+  const normalizedFilter = (filter || "all").toLowerCase();
+  if (!INDEXED_FILTERS.includes(normalizedFilter)) return null;
+  const parsed = parseQuery(query);
+  if (!parsed) return null;
+
+  const range = timeRange(timeFilter);
+  const after = later(range.after, parsed.after);
+  const before = earlier(range.before, parsed.before);
+  const clauses = [...parsed.clauses];
+  if (normalizedFilter === "read") clauses.push({ isRead: true });
+  if (normalizedFilter === "unread") clauses.push({ isRead: false });
+  if (normalizedFilter === "sent") clauses.push({ sent: true });
+  if (after || before) {
+    clauses.push({
+      date: {
+        ...(after ? { $gte: after } : {}),
+        ...(before ? { $lt: before } : {}),
+      },
+    });
+  }
+
+  const match = { userId: toObjectId(userId), inboxId };
+  if (clauses.length > 0) match.$and = clauses;
+  // Quoted terms must all appear, as in a provider search
+  if (parsed.terms.length > 0) {
+    match.$text = {
+      $search: parsed.terms
+        .map((term) => `"${term.replace(/"/g, "")}"`)
+        .join(" "),
+    };
+  }
+  return { match, after };
+};
+
+/*
+ * Index state
+ */
+
+/**
+ * Marks the service's inbox index as in use, creating it (and so starting
+ * its backfill) the first time.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @returns {Promise<Object>} The index state
+ */
+const ensureIndex = async (emailService, userId) => {
+  const now = new Date();
+  const days = backfillDays();
+  return MailIndexState.findOneAndUpdate(
+    { userId, inboxId: getServiceInboxId(emailService) },
+    {
+      $set: { lastUsedAt: now },
+      $setOnInsert: {
+        // Linked inboxes name their provider; the primary one is the
+        // user's sign-in
+        provider:
+          emailService.account?.provider || emailService.user?.authProvider,
+        email: (emailService.account?.email || "").toLowerCase(),
+        coveredSince: days ? new Date(now.getTime() - days * DAY_MS) : null,
+        backfillStartedAt: now,
+        nextSyncAt: now,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// The index answers once its backfill is done, for ranges it reaches back to
+const covers = (state, after) =>
+  state.status === "ready" &&
+  (!state.coveredSince || (!!after && after >= state.coveredSince));
+
+const getStatus = async (emailService, userId) =>
+  formatState(await ensureIndex(emailService, userId));
+
+// Pushed changes are synced at the next worker tick, not the next interval
+const requestSync = async (userId, inboxId = null) =>
+  MailIndexState.updateOne(
+    { userId, inboxId, status: { $ne: "failed" } },
+    { nextSyncAt: new Date() }
+  );
+
+/**
+ * Indexes the inbox again from scratch, e.g. after its sign-in was fixed.
+ * Searches go to the provider until the backfill is done.
+ */
+const rebuildIndex = async (emailService, userId) => {
+  await ensureIndex(emailService, userId);
+  const now = new Date();
+  const days = backfillDays();
+  const state = await MailIndexState.findOneAndUpdate(
+    { userId, inboxId: getServiceInboxId(emailService) },
+    {
+      status: "backfilling",
+      cursor: null,
+      coveredSince: days ? new Date(now.getTime() - days * DAY_MS) : null,
+      backfillStartedAt: now,
+      nextSyncAt: now,
+      lastError: null,
+    },
+    { new: true }
+  );
+  return formatState(state);
+};
+
+mailEvents.on("mail", ({ userId, inboxId }) => {
+  requestSync(userId, inboxId === "primary" ? null : inboxId).catch((error) =>
+    console.error("[ERROR] Failed to request mail index sync:", error)
+  );
+});
+
+/*
+ * Sync
+ */
+
+const claimDueSync = async () => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCK_MS);
+  return MailIndexState.findOneAndUpdate(
+    {
+      status: { $ne: "failed" },
+      nextSyncAt: { $lte: now },
+      lastUsedAt: { $gte: new Date(now.getTime() - IDLE_AFTER_MS) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { lockedUntil, nextSyncAt: lockedUntil },
+    { new: true, sort: { nextSyncAt: 1 } }
+  );
+};
+
+const applyChanges = async (
+  state,
+  { upserts = [], deletions = [] },
+  ownAddress
+) => {
+  const indexedAt = new Date();
+  const key = { userId: state.userId, inboxId: state.inboxId };
+  const operations = upserts
+    .filter((email) => email?.id)
+    .map((email) => ({
+      updateOne: {
+        filter: { ...key, emailId: email.id },
+        update: { $set: { ...toDocument(email, ownAddress), indexedAt } },
+        upsert: true,
+      },
+    }));
+  if (deletions.length > 0) {
+    operations.push({
+      deleteMany: { filter: { ...key, emailId: { $in: deletions } } },
+    });
+  }
+  if (operations.length > 0) {
+    await IndexedEmail.bulkWrite(operations, { ordered: false });
+  }
+  await semanticSearchService.removeChunks(key, deletions);
+  await extractionService.removeExtractions(key, deletions);
+};
+
+const markLastSync = async ({ userId, inboxId }, at) =>
+  inboxId
+    ? ConnectedInbox.updateOne({ _id: inboxId, userId }, { lastSync: at })
+    : User.updateOne({ _id: userId }, { lastSync: at });
+
+/**
+ * Reads the next changes of a claimed inbox into its index, embeds what is
+ * new for semantic search and reads purchases, bookings, shipments and
+ * bills from it: up to MAX_PAGES_PER_SYNC pages, then it is due again right
+ * away while behind, else after SYNC_INTERVAL_MS. A change feed that
+ * expired starts a new backfill; lost sign-ins stop the index until it is
+ * rebuilt.
+ * @param {Object} state - Claimed index state
+ */
+const syncIndex = async (state) => {
+  const key = { userId: state.userId, inboxId: state.inboxId };
+  const now = new Date();
+  let update;
+  let nextSyncAt;
+  try {
+    const emailService = await createEmailServiceFor(
+      state.userId,
+      state.inboxId
+    );
+    const ownAddress = (
+      emailService.account?.email ||
+      state.email ||
+      ""
+    ).toLowerCase();
+    let cursor = state.cursor;
+    let result;
+    let pages = 0;
+    do {
+      result = await emailService.listMailboxChanges(cursor, {
+        since: state.coveredSince,
+        pageSize: PAGE_SIZE,
+      });
+      await applyChanges(state, result, ownAddress);
+      cursor = result.cursor;
+      pages++;
+    } while (!result.done && pages < MAX_PAGES_PER_SYNC);
+
+    const backfilled = result.done && state.status === "backfilling";
+    if (backfilled) {
+      // Whatever the backfill did not see again has left the mailbox
+      const stale = { ...key, indexedAt: { $lt: state.backfillStartedAt } };
+      const staleIds = await IndexedEmail.distinct("emailId", stale);
+      await IndexedEmail.deleteMany(stale);
+      await semanticSearchService.removeChunks(key, staleIds);
+      await extractionService.removeExtractions(key, staleIds);
+    }
+    // Embedding trails the sync; what fails is embedded the next time
+    let embeddingBehind = false;
+    try {
+      ({ remaining: embeddingBehind } =
+        await semanticSearchService.embedPending(key));
+    } catch (error) {
+      console.error(
+        `[ERROR] Failed to embed mail for index ${state._id}:`,
+        error.message
+      );
+    }
+    let extractionBehind = false;
+    try {
+      ({ remaining: extractionBehind } = await extractionService.extractPending(
+        emailService,
+        key
+      ));
+    } catch (error) {
+      console.error(
+        `[ERROR] Failed to extract mail for index ${state._id}:`,
+        error.message
+      );
+    }
+    const syncedAt = new Date();
+    update = {
+      cursor,
+      status: backfilled ? "ready" : state.status,
+      messageCount: await IndexedEmail.countDocuments(key),
+      lastSyncAt: syncedAt,
+      lastError: null,
+    };
+    nextSyncAt =
+      result.done && !embeddingBehind && !extractionBehind
+        ? new Date(syncedAt.getTime() + SYNC_INTERVAL_MS)
+        : syncedAt;
+    await markLastSync(state, syncedAt);
+  } catch (error) {
+    console.error(
+      `[ERROR] Failed to sync mail index ${state._id}:`,
+      error.message
+    );
+    if (error.statusCode === StatusCodes.GONE) {
+      update = {
+        status: "backfilling",
+        cursor: null,
+        backfillStartedAt: now,
+        lastError: error.message,
+      };
+      nextSyncAt = now;
+    } else {
+      update = {
+        lastError: error.message,
+        ...(PERMANENT_FAILURES.includes(error.statusCode)
+          ? { status: "failed" }
+          : {}),
+      };
+      nextSyncAt = new Date(now.getTime() + RETRY_MS);
+    }
+  }
+  // $min keeps a sync requested while this one ran
+  await MailIndexState.updateOne(
+    { _id: state._id },
+    { $set: { ...update, lockedUntil: null }, $min: { nextSyncAt } }
+  );
+};
+
+/*
+ * Reads
+ */
+
+const clampResults = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || DEFAULT_RESULTS, 1), MAX_RESULTS);
+
+/**
+ * Searches the inbox's index the way fetchEmails searches the provider.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {Object} options - query, filter, timeFilter, maxResults and
+ *   pageToken as for fetchEmails; withBody: false leaves bodies out
+ * @returns {Promise<Object|null>} { messages, nextPageToken, totalCount,
+ *   source: "index" }, or null when the provider has to answer: the index
+ *   is still backfilling, does not reach back far enough, or the query
+ *   uses syntax it does not know
+ */
+const search = async (
+  emailService,
+  userId,
+  { pageToken, maxResults, withBody = true, ...options } = {}
+) => {
+  const state = await ensureIndex(emailService, userId);
+  const built = buildMatch(userId, state.inboxId, options);
+  if (!built || !covers(state, built.after)) return null;
+
+  const offset = Math.max(parseInt(pageToken, 10) || 0, 0);
+  const limit = clampResults(maxResults);
+  const [docs, totalCount] = await Promise.all([
+    IndexedEmail.find(built.match)
+      .select(withBody ? "-indexedAt" : "-body -indexedAt")
+      .sort({ date: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean(),
+    IndexedEmail.countDocuments(built.match),
+  ]);
+  return {
+    messages: docs.map(toEmail),
+    nextPageToken:
+      offset + docs.length < totalCount ? String(offset + docs.length) : null,
+    totalCount,
+    source: "index",
+  };
+};
+
+/**
+ * Counts matching messages in the inbox's index.
+ * @returns {Promise<Object|null>} { count, latest } with the three newest
+ *   matches, or null when the provider has to answer (see search)
+ */
+const count = async (emailService, userId, options = {}) => {
+  const result = await search(emailService, userId, {
+    ...options,
+    maxResults: 3,
+    withBody: false,
+  });
+  return result && { count: result.totalCount, latest: result.messages };
+};
+
+/**
+ * Mail volume per day, ISO week or month, read from the index only.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.by] - day, week or month
+ * @param {string} [options.query] - Search query as for search
+ * @param {string} [options.filter] - all, read, unread or sent
+ * @param {string} [options.timeFilter] - As for search
+ * @param {string} [options.timeZone] - IANA zone the periods are cut in
+ * @returns {Promise<Object>} { by, timeFilter, total, unread, periods:
+ *   [{ period, count, unread }] } oldest period first
+ * @throws {ApiError} CONFLICT while the index is still backfilling
+ */
+const getActivity = async (
+  emailService,
+  userId,
+  {
+    by = "day",
+    query = "",
+    filter = "all",
+    timeFilter = "monthly",
+    timeZone = "UTC",
+  } = {}
+) => {
+  const format = ACTIVITY_FORMATS[by];
+  if (!format) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid by. Must be one of: ${Object.keys(ACTIVITY_FORMATS).join(", ")}`
+    );
+  }
+  const state = await ensureIndex(emailService, userId);
+  const built = buildMatch(userId, state.inboxId, {
+    query,
+    filter,
+    timeFilter,
+  });
+  if (!built) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "That search can't be broken down; use words, from:, to:, subject:, is:, has:attachment and dates"
+    );
+  }
+  if (!covers(state, built.after)) {
+    throw new ApiError(
+      StatusCodes.CONFLICT,
+      state.status === "ready"
+        ? `Your mail index reaches back to ${state.coveredSince
+            .toISOString()
+            .slice(0, 10)}; pick a shorter time range`
+        : "Your mail is still being indexed. Try again in a few minutes."
+    );
+  }
+
+  const periods = await IndexedEmail.aggregate([
+    { $match: { ...built.match, date: { $ne: null } } },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format,
+            date: "$date",
+            timezone: isValidTimeZone(timeZone) ? timeZone : "UTC",
+          },
+        },
+        count: { $sum: 1 },
+        unread: { $sum: { $cond: ["$isRead", 0, 1] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+  return {
+    by,
+    timeFilter,
+    total: periods.reduce((sum, period) => sum + period.count, 0),
+    unread: periods.reduce((sum, period) => sum + period.unread, 0),
+    periods: periods.map(({ _id, count, unread }) => ({
+      period: _id,
+      count,
+      unread,
+    })),
+  };
+};
+
+/**
+ * Finds messages by meaning rather than words, e.g. "the email where the
+ * landlord mentioned the broken heater". Reads the embedded chunks of the
+ * index, so messages appear as they are embedded during the backfill.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.query - Description of the message
+ * @param {number} [options.maxResults] - Up to 50, 10 by default
+ * @param {string} [options.timeFilter] - As for search, all by default
+ * @param {boolean} [options.createIndex] - True by default. When false, an
+ *   inbox without an index gets CONFLICT instead of a backfill, and the
+ *   search does not count as a use of the index.
+ * @param {boolean} [options.relevantOnly] - Leave out passages the embedder
+ *   scores as unrelated
+ * @param {number} [options.maxChunks] - Newest passages scored when Atlas
+ *   Vector Search is not used
+ * @returns {Promise<Object>} { query, complete, results } where each result
+ *   is an email without its body plus score (cosine similarity) and
+ *   excerpt (the best matching passage); complete is false while the
+ *   backfill runs
+ * @throws {ApiError} CONFLICT when nothing has been embedded yet
+ */
+const semanticSearch = async (
+  emailService,
+  userId,
+  {
+    query,
+    maxResults,
+    timeFilter = "all",
+    createIndex = true,
+    relevantOnly = false,
+    maxChunks,
+  } = {}
+) => {
+  if (!query || typeof query !== "string" || !query.trim()) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Search query is required");
+  }
+  const state = createIndex
+    ? await ensureIndex(emailService, userId)
+    : await MailIndexState.findOne({
+        userId,
+        inboxId: getServiceInboxId(emailService),
+      }).lean();
+  if (!state) {
+    throw new ApiError(StatusCodes.CONFLICT, "Your mail is not indexed yet");
+  }
+  const key = { userId: state.userId, inboxId: state.inboxId };
+  const matches = await semanticSearchService.findSimilar(key, query.trim(), {
+    limit: Math.min(Math.max(parseInt(maxResults, 10) || 10, 1), 50),
+    ...timeRange(timeFilter),
+    relevantOnly,
+    maxChunks,
+  });
+  if (matches.length === 0 && state.status !== "ready") {
+    throw new ApiError(
+      StatusCodes.CONFLICT,
+      "Your mail is still being indexed. Try again in a few minutes."
+    );
+  }
+
+  const docs = await IndexedEmail.find({
+    ...key,
+    emailId: { $in: matches.map(({ emailId }) => emailId) },
+  })
+    .select("-body")
+    .lean();
+  const byId = new Map(docs.map((doc) => [doc.emailId, doc]));
+  return {
+    query,
+    complete:
+      state.status === "ready" &&
+      !(await semanticSearchService.hasPending(key)),
+    results: matches
+      .filter(({ emailId }) => byId.has(emailId))
+      .map(({ emailId, score, text }) => ({
+        ...toEmail(byId.get(emailId)),
+        score: Math.round(score * 1000) / 1000,
+        // The chunk without its subject/from header
+        excerpt: text.split("\n").slice(2).join(" ").trim(),
+      })),
+  };
+};
+
+export default {
+  parseQuery,
+  ensureIndex,
+  getStatus,
+  requestSync,
+  rebuildIndex,
+  claimDueSync,
+  syncIndex,
+  search,
+  count,
+  getActivity,
+  semanticSearch,
+};
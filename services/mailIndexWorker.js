@@ -0,0 +1,54 @@
+// services/mailIndexWorker.js
+import mailIndexService from "./mailIndexService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_BATCH_SIZE = 5;
+
+// Backfills local mail indexes and keeps them in step with the mailboxes.
+// Runs in every server instance; claiming locks the inbox, so each one is
+// synced by a single instance at a time.
+class MailIndexWorker {
+  constructor({
+    pollInterval = Number(process.env.MAIL_INDEX_POLL_MS) ||
+      DEFAULT_POLL_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.tick();
+    console.log(
+      `🗂️ Mail index worker polling every ${this.pollInterval / 1000}s`
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const state = await mailIndexService.claimDueSync();
+        if (!state) break;
+        await mailIndexService.syncIndex(state);
+      }
+    } catch (error) {
+      console.error("[ERROR] Mail index worker tick failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default MailIndexWorker;
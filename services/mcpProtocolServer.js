@@ -0,0 +1,106 @@
+// services/mcpProtocolServer.js
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import MCPServer, { TOOL_DEFINITIONS, TOOL_LABELS } from "./mcpServer.js";
+
+const SERVER_INFO = { name: "inbox-buddy", version: "1.0.0" };
+
+const READ_ONLY_TOOLS = new Set([
+  "fetch-emails",
+  "search-emails",
+  "count-emails",
+  "read-email",
+  "summarize-email",
+  "list-attachments",
+  "list-labels",
+  "top-senders",
+  "extract-event",
+  "check-availability",
+  "parse-ics",
+  "find-contact",
+  "email-activity",
+  "semantic-search",
+  "spending-summary",
+  "find-extractions",
+]);
+const DESTRUCTIVE_TOOLS = new Set([
+  "trash-email",
+  "report-spam",
+  "bulk-emails",
+  "trash-sender",
+]);
+const OUTBOUND_TOOLS = new Set([
+  "send-email",
+  "reply-to-email",
+  "unsubscribe-sender",
+  "create-event",
+  "respond-to-invite",
+]);
+
+// The chat assistant's OpenAI-style function schemas, reshaped as MCP tools
+const MCP_TOOLS = TOOL_DEFINITIONS.map(({ function: tool }) => ({
+  name: tool.name,
+  title: TOOL_LABELS[tool.name]?.replace(/…$/, ""),
+  description: tool.description,
+  inputSchema: tool.parameters,
+  annotations: {
+    readOnlyHint: READ_ONLY_TOOLS.has(tool.name),
+    destructiveHint: DESTRUCTIVE_TOOLS.has(tool.name),
+    openWorldHint: OUTBOUND_TOOLS.has(tool.name),
+  },
+}));
+
+const TOOL_NAMES = new Set(MCP_TOOLS.map((tool) => tool.name));
+
+/**
+ * Builds a Model Context Protocol server exposing the assistant's email tools
+ * for one user and mailbox. The caller connects it to a transport (stdio or
+ * streamable HTTP).
+ * @param {Object} user - Authenticated user ({ id, name, email })
+ * @param {Object} emailService - Provider service for the selected inbox
+ * @returns {Server} MCP server instance
+ */
+const createMcpProtocolServer = (user, emailService) => {
+  const assistant = new MCPServer(emailService);
+  const server = new Server(SERVER_INFO, { capabilities: { tools: {} } });
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: MCP_TOOLS,
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    if (!TOOL_NAMES.has(name)) {
+      return {
+        content: [{ type: "text", text: `Unknown tool: ${name}` }],
+        isError: true,
+      };
+    }
+
+    try {
+      const toolResponse = await assistant.executeTool(
+        name,
+        { ...args },
+        user.id
+      );
+      return {
+        content: [
+          { type: "text", text: assistant.formatToolResult(toolResponse) },
+        ],
+      };
+    } catch (error) {
+      console.error(`[ERROR] MCP tool ${name} failed:`, error);
+      return {
+        content: [{ type: "text", text: error.message || "Tool call failed" }],
+        isError: true,
+      };
+    }
+  });
+
+  return server;
+};
+
+export { MCP_TOOLS, createMcpProtocolServer };
@@ -0,0 +1,399 @@
+// services/meetingService.js
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+import { INVITE_RESPONSES } from "./calendarService.js";
+import {
+  addMinutes,
+  eventTimeToDate,
+  formatInTimeZone,
+  isValidTimeZone,
+  parseIcs,
+  toEventTime,
+} from "../helper/calendarHelper.js";
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_BODY_CHARS = 4000;
+// Longest window checked or listed at once
+const MAX_RANGE_DAYS = 62;
+const DEFAULT_LIST_DAYS = 7;
+const MAX_LIST_EVENTS = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const parseJson = (text = "") => {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return {};
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return {};
+  }
+};
+
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+
+const resolveTimeZone = (timeZone) =>
+  isValidTimeZone(timeZone) ? timeZone : "UTC";
+
+const parseInstant = (value, timeZone, field) => {
+  const time = toEventTime(value, timeZone);
+  if (!time) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `${field} must be a date (YYYY-MM-DD) or an ISO 8601 date-time`
+    );
+  }
+  return eventTimeToDate(time, timeZone);
+};
+
+// Window between start (default now) and end (default `defaultMinutes`
+// after start) as Dates
+const parseRange = ({ start, end, timeZone }, defaultMinutes) => {
+  const from = start ? parseInstant(start, timeZone, "start") : new Date();
+  const to = end
+    ? parseInstant(end, timeZone, "end")
+    : new Date(from.getTime() + defaultMinutes * 60000);
+  if (to <= from) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "end must be after start");
+  }
+  if (to - from > MAX_RANGE_DAYS * 86400000) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `At most ${MAX_RANGE_DAYS} days can be checked at once`
+    );
+  }
+  return { start: from, end: to };
+};
+
+/**
+ * Validates event fields from a request, a tool call or the model into the
+ * shape the calendar clients take.
+ * @param {Object} input
+ * @param {string} input.title
+ * @param {string} input.start - "YYYY-MM-DD", local "YYYY-MM-DDTHH:mm" or
+ *   an ISO date-time with offset
+ * @param {string} [input.end] - Same formats; defaults to an hour after
+ *   start, or the next day for all-day events
+ * @param {string} [input.timeZone] - Zone of local times
+ * @param {string} [input.location]
+ * @param {string} [input.description]
+ * @param {Array<string|Object>} [input.attendees] - Addresses or
+ *   { email, name }
+ * @param {string} timeZone - The user's zone, used when input has none
+ */
+const normalizeEvent = (input = {}, timeZone = "UTC") => {
+  const title = asText(input.title);
+  if (!title) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Event title is required");
+  }
+  const zone = isValidTimeZone(input.timeZone) ? input.timeZone : timeZone;
+  const start = toEventTime(input.start, zone);
+  if (!start) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "start must be a date (YYYY-MM-DD) or an ISO 8601 date-time"
+    );
+  }
+  const end = input.end
+    ? toEventTime(input.end, zone)
+    : addMinutes(start, start.date ? 1440 : DEFAULT_DURATION_MINUTES);
+  if (!end || Boolean(end.date) !== Boolean(start.date)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "end must use the same format as start"
+    );
+  }
+  if (eventTimeToDate(end, zone) <= eventTimeToDate(start, zone)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "end must be after start");
+  }
+
+  const attendees = (Array.isArray(input.attendees) ? input.attendees : [])
+    .map((attendee) =>
+      typeof attendee === "string"
+        ? { email: attendee.trim().toLowerCase(), name: "" }
+        : {
+            email: asText(attendee?.email).toLowerCase(),
+            name: asText(attendee?.name),
+          }
+    )
+    .filter((attendee) => EMAIL_PATTERN.test(attendee.email));
+
+  return {
+    title,
+    description: asText(input.description),
+    location: asText(input.location),
+    start,
+    end,
+    allDay: Boolean(start.date),
+    attendees,
+  };
+};
+
+/**
+ * Reads the calendar invite attached to an email.
+ * @returns {Promise<Object|null>} The invite's first event plus its METHOD,
+ *   or null when the email carries no invite
+ */
+const readInvite = async (emailService, emailId, { timeZone = "UTC" } = {}) => {
+  const ics = await emailService.getCalendarInvite(emailId);
+  if (!ics) return null;
+  const { method, events } = parseIcs(ics, {
+    timeZone: resolveTimeZone(timeZone),
+  });
+  return events.length > 0 ? { ...events[0], method } : null;
+};
+
+// Asks the model for the meeting an email proposes, in the user's zone
+const extractWithModel = async (emailService, email, timeZone) => {
+  const prompt = `
+      Find the meeting, call or appointment the email below proposes or confirms.
+      Today is ${formatInTimeZone(new Date(), timeZone).slice(
+        0,
+        10
+      )} and the reader's time zone is ${timeZone}. Resolve relative dates ("next Tuesday") against the date the email was sent.
+      Return only a valid JSON object:
+      {"found": true or false, "title": "short event title", "start": "YYYY-MM-DDTHH:mm, or YYYY-MM-DD for an all-day event", "end": "same format, or null if not stated", "timeZone": "IANA zone the email states times in, or null", "location": "address, room or video link, or empty", "description": "one sentence on what the meeting is about", "attendees": ["email addresses of other people invited"]}
+      Set found to false when the email does not name a date for an event.
+      Sent: "${email.date || ""}"
+      From: "${email.from || "Unknown"}"
+      Subject: "${email.subject || ""}"
+      Email content: "${(email.body || email.snippet || "").slice(
+        0,
+        MAX_BODY_CHARS
+      )}"
+    `;
+
+  const { content } = await emailService.callModelWithFallback(prompt);
+  const result = parseJson(content);
+  if (result.found !== true || !result.start) return null;
+  try {
+    return normalizeEvent(
+      { ...result, title: asText(result.title) || email.subject },
+      timeZone
+    );
+  } catch (error) {
+    console.error(`Unusable event extracted from ${email.id}:`, result);
+    return null;
+  }
+};
+
+/**
+ * Finds the event an email is about: its calendar invite when it has one,
+ * otherwise what the model reads from the text.
+ * @param {EmailService} emailService - Service of the email's inbox
+ * @param {string} emailId
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The user's IANA zone
+ * @returns {Promise<Object>} { emailId, subject, source: "invite" | "email",
+ *   method, event } with event null when none was found
+ */
+const extractEvent = async (emailService, emailId, { timeZone } = {}) => {
+  const zone = resolveTimeZone(timeZone);
+  const invite = await readInvite(emailService, emailId, { timeZone: zone });
+  const email = await emailService.getEmail(emailId);
+  if (invite) {
+    return {
+      emailId,
+      subject: email.subject,
+      source: "invite",
+      method: invite.method,
+      event: { ...invite, title: invite.title || email.subject },
+    };
+  }
+
+  return {
+    emailId,
+    subject: email.subject,
+    source: "email",
+    method: null,
+    event: await extractWithModel(emailService, email, zone),
+  };
+};
+
+const createEvent = async (
+  emailService,
+  input,
+  { timeZone, sendInvites = false } = {}
+) => {
+  const event = normalizeEvent(input, resolveTimeZone(timeZone));
+  const calendar = await emailService.getCalendarService();
+  return calendar.createEvent(event, { sendInvites });
+};
+
+/**
+ * Answers the invite in an email. Invites already on the calendar are
+ * answered there and the organizer is notified; others are added to the
+ * calendar with the answer but the organizer is not told.
+ * @param {EmailService} emailService - Service of the email's inbox
+ * @param {string} emailId - The invite email
+ * @param {string} response - accept, tentative or decline
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Note to the organizer
+ * @param {string} [options.timeZone] - Zone for floating invite times
+ * @returns {Promise<Object>} { response, event, organizerNotified }
+ */
+const respondToInvite = async (
+  emailService,
+  emailId,
+  response,
+  { comment, timeZone } = {}
+) => {
+  if (!INVITE_RESPONSES.includes(response)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `response must be one of: ${INVITE_RESPONSES.join(", ")}`
+    );
+  }
+  const calendar = await emailService.getCalendarService();
+  const invite = await readInvite(emailService, emailId, { timeZone });
+  if (invite?.method === "CANCEL") {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "This email cancels the meeting; there is nothing to answer"
+    );
+  }
+
+  const existing = await calendar.findInviteEvent({
+    emailId,
+    uid: invite?.uid,
+  });
+  if (existing) {
+    return {
+      response,
+      event: await calendar.respondToEvent(existing.id, response, { comment }),
+      organizerNotified: true,
+    };
+  }
+
+  if (!invite) {
+    throw new ApiError(
+      StatusCodes.NOT_FOUND,
+      "This email doesn't contain a calendar invite"
+    );
+  }
+  if (response === "decline") {
+    // Not on the calendar, so declining only means leaving it off
+    return { response, event: null, organizerNotified: false };
+  }
+  return {
+    response,
+    event: invite.uid
+      ? await calendar.importEvent(invite, response)
+      : await calendar.createEvent(invite),
+    organizerNotified: false,
+  };
+};
+
+/**
+ * Puts the event an email is about on the calendar: invites are accepted,
+ * anything else is created from the details found in the text.
+ * @param {EmailService} emailService - Service of the email's inbox
+ * @param {string} emailId
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - The user's IANA zone
+ * @param {Object} [options.overrides] - Event fields that replace the
+ *   extracted ones (title, start, end, location, description)
+ * @returns {Promise<Object>} { action: "accepted" | "created", event,
+ *   organizerNotified? }
+ */
+const addEmailToCalendar = async (
+  emailService,
+  emailId,
+  { timeZone, overrides = {} } = {}
+) => {
+  const zone = resolveTimeZone(timeZone);
+  const extracted = await extractEvent(emailService, emailId, {
+    timeZone: zone,
+  });
+  const hasOverrides = Object.values(overrides).some(Boolean);
+
+  if (
+    extracted.source === "invite" &&
+    extracted.method === "REQUEST" &&
+    !hasOverrides
+  ) {
+    const result = await respondToInvite(emailService, emailId, "accept", {
+      timeZone: zone,
+    });
+    return { action: "accepted", ...result };
+  }
+
+  if (!extracted.event && !overrides.start) {
+    throw new ApiError(
+      StatusCodes.UNPROCESSABLE_ENTITY,
+      "Couldn't find a date and time for an event in this email"
+    );
+  }
+  const base = extracted.event || {};
+  const event = await createEvent(
+    emailService,
+    {
+      title: overrides.title || base.title || extracted.subject,
+      // Overridden times are read in the user's zone
+      ...(overrides.start
+        ? { start: overrides.start, end: overrides.end, timeZone: zone }
+        : {
+            start: base.start.date || base.start.dateTime,
+            end: base.end.date || base.end.dateTime,
+            timeZone: base.start.timeZone,
+          }),
+      location: overrides.location || base.location,
+      description: overrides.description || base.description,
+    },
+    { timeZone: zone }
+  );
+  return { action: "created", event };
+};
+
+/**
+ * Busy periods in a window and whether it is free.
+ * @param {EmailService} emailService
+ * @param {Object} range - start and end as dates or date-times; end
+ *   defaults to an hour after start
+ * @returns {Promise<Object>} { start, end, free, busy: [{ start, end }] }
+ */
+const checkAvailability = async (emailService, { start, end, timeZone }) => {
+  if (!start) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "start is required");
+  }
+  const range = parseRange(
+    { start, end, timeZone: resolveTimeZone(timeZone) },
+    DEFAULT_DURATION_MINUTES
+  );
+  const calendar = await emailService.getCalendarService();
+  const busy = await calendar.getFreeBusy(range);
+  return {
+    start: range.start.toISOString(),
+    end: range.end.toISOString(),
+    free: busy.length === 0,
+    busy,
+  };
+};
+
+const listEvents = async (
+  emailService,
+  { start, end, maxResults, timeZone } = {}
+) => {
+  const range = parseRange(
+    { start, end, timeZone: resolveTimeZone(timeZone) },
+    DEFAULT_LIST_DAYS * 1440
+  );
+  const calendar = await emailService.getCalendarService();
+  return calendar.listEvents({
+    ...range,
+    maxResults: Math.min(
+      Math.max(parseInt(maxResults, 10) || 25, 1),
+      MAX_LIST_EVENTS
+    ),
+  });
+};
+
+export default {
+  normalizeEvent,
+  readInvite,
+  extractEvent,
+  createEvent,
+  respondToInvite,
+  addEmailToCalendar,
+  checkAvailability,
+  listEvents,
+};
@@ -0,0 +1,239 @@
+// services/outlookCalendarService.js
+import fetch from "node-fetch";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "../utils/errorHandler.js";
+import CalendarService, { calendarConsentError } from "./calendarService.js";
+
+const GRAPH_URL = "https://graph.microsoft.com/v1.0/me";
+// The mail token is refreshed for mail scopes only, so the calendar gets its
+// own access token from the same refresh token. Mail.Read lets it expand the
+// event behind an invite email.
+const CALENDAR_SCOPE = "offline_access Mail.Read Calendars.ReadWrite";
+const EVENT_FIELDS =
+  "id,iCalUId,subject,bodyPreview,location,start,end,isAllDay,organizer,attendees,responseStatus,isCancelled,webLink";
+const RESPONSE_ACTIONS = {
+  accept: "accept",
+  tentative: "tentativelyAccept",
+  decline: "decline",
+};
+// Graph's response names in the shared vocabulary
+const RESPONSE_NAMES = {
+  none: "needsAction",
+  notResponded: "needsAction",
+  organizer: "accepted",
+  accepted: "accepted",
+  tentativelyAccepted: "tentative",
+  declined: "declined",
+};
+
+const toGraphTime = (time) =>
+  time.date
+    ? { dateTime: `${time.date}T00:00:00`, timeZone: "UTC" }
+    : { dateTime: time.dateTime, timeZone: time.timeZone };
+
+// Graph returns times in UTC (see the Prefer header) without a suffix
+const fromGraphTime = (time, allDay) => {
+  const dateTime = (time?.dateTime || "").slice(0, 19);
+  if (!dateTime) return "";
+  return allDay ? dateTime.slice(0, 10) : `${dateTime}Z`;
+};
+
+class OutlookCalendarService extends CalendarService {
+  async getAccessToken() {
+    return this.emailService.getScopedAccessToken(
+      CALENDAR_SCOPE,
+      calendarConsentError
+    );
+  }
+
+  // JSON request against the user's Graph calendar, with its error message
+  // surfaced
+  async graphRequest(path, { method = "GET", body, action }) {
+    const accessToken = await this.getAccessToken();
+    const response = await fetch(`${GRAPH_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: 'outlook.timezone="UTC"',
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage = errorData.error?.message || JSON.stringify(errorData);
+      } catch (e) {
+        errorMessage = errorText || "Unknown error";
+      }
+      if (response.status === 403) throw calendarConsentError();
+      throw new ApiError(
+        response.status === StatusCodes.NOT_FOUND
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.BAD_REQUEST,
+        `Failed to ${action}: ${errorMessage}`
+      );
+    }
+    return [202, 204].includes(response.status) ? null : response.json();
+  }
+
+  formatEvent(event) {
+    const allDay = Boolean(event.isAllDay);
+    return {
+      id: event.id,
+      uid: event.iCalUId || "",
+      title: event.subject || "(No title)",
+      description: event.bodyPreview || "",
+      location: event.location?.displayName || "",
+      start: fromGraphTime(event.start, allDay),
+      end: fromGraphTime(event.end, allDay),
+      allDay,
+      organizer: event.organizer?.emailAddress
+        ? {
+            email: event.organizer.emailAddress.address || "",
+            name: event.organizer.emailAddress.name || "",
+          }
+        : null,
+      attendees: (event.attendees || []).map((attendee) => ({
+        email: attendee.emailAddress?.address || "",
+        name: attendee.emailAddress?.name || "",
+        response: RESPONSE_NAMES[attendee.status?.response] || "needsAction",
+      })),
+      response: RESPONSE_NAMES[event.responseStatus?.response] || "accepted",
+      status: event.isCancelled ? "cancelled" : "confirmed",
+      link: event.webLink || "",
+    };
+  }
+
+  async listEvents({ start, end, maxResults = 25 }) {
+    const params = new URLSearchParams({
+      startDateTime: start.toISOString(),
+      endDateTime: end.toISOString(),
+      $top: String(maxResults),
+      $orderby: "start/dateTime",
+      $select: EVENT_FIELDS,
+    });
+    const data = await this.graphRequest(`/calendarView?${params}`, {
+      action: "list calendar events",
+    });
+    return (data.value || [])
+      .filter((event) => !event.isCancelled)
+      .map((event) => this.formatEvent(event));
+  }
+
+  async getFreeBusy({ start, end }) {
+    const data = await this.graphRequest("/calendar/getSchedule", {
+      method: "POST",
+      action: "check availability",
+      body: {
+        schedules: [this.account.email],
+        startTime: {
+          dateTime: start.toISOString().slice(0, 19),
+          timeZone: "UTC",
+        },
+        endTime: { dateTime: end.toISOString().slice(0, 19), timeZone: "UTC" },
+      },
+    });
+    return (data.value?.[0]?.scheduleItems || [])
+      .filter((item) => item.status !== "free")
+      .map((item) => ({
+        start: fromGraphTime(item.start, false),
+        end: fromGraphTime(item.end, false),
+      }));
+  }
+
+  // Graph invites everyone in attendees as soon as the event is created
+  async createEvent(event, { sendInvites = false, showAs } = {}) {
+    const created = await this.graphRequest("/events", {
+      method: "POST",
+      action: "create calendar event",
+      body: {
+        subject: event.title,
+        body: { contentType: "text", content: event.description || "" },
+        start: toGraphTime(event.start),
+        end: toGraphTime(event.end),
+        isAllDay: Boolean(event.start.date),
+        ...(event.location
+          ? { location: { displayName: event.location } }
+          : {}),
+        attendees: sendInvites
+          ? (event.attendees || []).map((attendee) => ({
+              emailAddress: {
+                address: attendee.email,
+                name: attendee.name || attendee.email,
+              },
+              type: "required",
+            }))
+          : [],
+        ...(showAs ? { showAs } : {}),
+      },
+    });
+    return this.formatEvent(created);
+  }
+
+  async respondToEvent(eventId, response, { comment } = {}) {
+    await this.graphRequest(
+      `/events/${eventId}/${RESPONSE_ACTIONS[response]}`,
+      {
+        method: "POST",
+        action: "respond to invite",
+        body: { comment: comment || "", sendResponse: true },
+      }
+    );
+    const event = await this.graphRequest(
+      `/events/${eventId}?$select=${EVENT_FIELDS}`,
+      { action: "read calendar event" }
+    );
+    return this.formatEvent(event);
+  }
+
+  async findEventByICalUid(uid) {
+    const filter = `iCalUId eq '${uid.replace(/'/g, "''")}'`;
+    const data = await this.graphRequest(
+      `/events?$filter=${encodeURIComponent(
+        filter
+      )}&$top=1&$select=${EVENT_FIELDS}`,
+      { action: "find calendar event" }
+    );
+    const event = (data.value || []).find((item) => !item.isCancelled);
+    return event ? this.formatEvent(event) : null;
+  }
+
+  // Exchange puts invites on the calendar as they arrive and links the
+  // invite email (an eventMessage) to that event
+  async findInviteEvent({ emailId, uid }) {
+    try {
+      const message = await this.graphRequest(
+        `/messages/${emailId}?$select=id&$expand=microsoft.graph.eventMessage/event($select=${EVENT_FIELDS})`,
+        { action: "read invite" }
+      );
+      if (message.event && !message.event.isCancelled) {
+        return this.formatEvent(message.event);
+      }
+    } catch (error) {
+      if (error.statusCode !== StatusCodes.BAD_REQUEST) throw error;
+    }
+    return super.findInviteEvent({ emailId, uid });
+  }
+
+  // Graph has no import, so the invite becomes a plain event without
+  // attendees
+  async importEvent(invite, response) {
+    return this.createEvent(
+      {
+        ...invite,
+        description: invite.organizer
+          ? `Organized by ${
+              invite.organizer.name || invite.organizer.email
+            }\n\n${invite.description}`
+          : invite.description,
+      },
+      { showAs: response === "tentative" ? "tentative" : "busy" }
+    );
+  }
+}
+
+export default OutlookCalendarService;
@@ -1,12 +1,60 @@
 // services\outlookService.js
 import fetch from "node-fetch";
+import NodeCache from "node-cache";
 import { promises as fsPromises } from "fs";
 import { ApiError } from "../utils/errorHandler.js";
 import { StatusCodes } from "http-status-codes";
-import EmailService from "./emailService.js";
+import EmailService, { contactsConsentError } from "./emailService.js";
+import OutlookCalendarService from "./outlookCalendarService.js";
+import { buildThread } from "../helper/threadHelper.js";
 import { convert } from "html-to-text";
+import { simpleParser } from "mailparser";
+import { isIcsAttachment } from "../helper/calendarHelper.js";
 import { decrypt, encrypt } from "../utils/encryptionUtils.js";
 
+// Default folders Graph accepts by name in place of an id
+const WELL_KNOWN_FOLDERS = {
+  inbox: "inbox",
+  archive: "archive",
+  drafts: "drafts",
+  sent: "sentitems",
+  "sent items": "sentitems",
+  sentitems: "sentitems",
+  trash: "deleteditems",
+  "deleted items": "deleteditems",
+  deleteditems: "deleteditems",
+  spam: "junkemail",
+  junk: "junkemail",
+  "junk email": "junkemail",
+  junkemail: "junkemail",
+};
+const SYSTEM_FOLDER_NAMES = new Set([
+  "inbox",
+  "archive",
+  "drafts",
+  "sent items",
+  "deleted items",
+  "junk email",
+  "outbox",
+  "conversation history",
+]);
+// Nested folders are listed up to this depth
+const MAX_FOLDER_DEPTH = 3;
+const TOKEN_URL = "https://login.microsoftonline.com/common/oauth2/v2.0/token";
+// The mail token only carries mail scopes; calendar and contacts get their
+// own tokens from the same refresh token
+const CONTACTS_SCOPE = "offline_access Contacts.Read";
+const scopedTokenCache = new NodeCache();
+const GRAPH_BATCH_URL = "https://graph.microsoft.com/v1.0/$batch";
+const GRAPH_SUBSCRIPTIONS_URL =
+  "https://graph.microsoft.com/v1.0/subscriptions";
+// Graph JSON batching takes at most 20 requests per call
+const GRAPH_BATCH_LIMIT = 20;
+// Folders the local index follows; Graph has no delta over the whole mailbox
+const INDEX_FOLDERS = ["inbox", "sentitems"];
+const INDEX_FIELDS =
+  "id,internetMessageId,conversationId,subject,from,toRecipients,receivedDateTime,bodyPreview,body,isRead,hasAttachments,categories,unsubscribeEnabled";
+
 class OutlookService extends EmailService {
   constructor(user) {
     super(user);
@@ -14,7 +62,7 @@ class OutlookService extends EmailService {
   }
 
   async getClient(forceRefresh = false) {
-    const encryptedRefreshToken = this.user.microsoftRefreshToken;
+    const encryptedRefreshToken = this.account.microsoftRefreshToken;
     if (!encryptedRefreshToken) {
       throw new ApiError(
         StatusCodes.UNAUTHORIZED,
@@ -23,14 +71,14 @@ class OutlookService extends EmailService {
     }
 
     // const refreshToken = decrypt(encryptedRefreshToken);
-    // const encryptedAccessToken = this.user.microsoftAccessToken;
+    // const encryptedAccessToken = this.account.microsoftAccessToken;
     // let accessToken = encryptedAccessToken
     //   ? decrypt(encryptedAccessToken)
     //   : null;
     const refreshToken = encryptedRefreshToken;
-    const encryptedAccessToken = this.user.microsoftAccessToken;
+    const encryptedAccessToken = this.account.microsoftAccessToken;
     let accessToken = encryptedAccessToken ? encryptedAccessToken : null;
-    const microsoftTokenExpiry = this.user.microsoftAccessTokenExpires || 0;
+    const microsoftTokenExpiry = this.account.microsoftAccessTokenExpires || 0;
 
     console.log(
       `[DEBUG] Token expiry: ${microsoftTokenExpiry}, Current time: ${Date.now()}`
@@ -96,19 +144,20 @@ class OutlookService extends EmailService {
 
         accessToken = access_token;
         // const newEncryptedAccessToken = encrypt(access_token);
-        // this.user.microsoftAccessToken = newEncryptedAccessToken;
+        // this.account.microsoftAccessToken = newEncryptedAccessToken;
         // if (refresh_token) {
         //   const newEncryptedRefreshToken = encrypt(refresh_token);
-        //   this.user.microsoftRefreshToken = newEncryptedRefreshToken;
+        //   this.account.microsoftRefreshToken = newEncryptedRefreshToken;
         // }
         const newEncryptedAccessToken = access_token;
-        this.user.microsoftAccessToken = newEncryptedAccessToken;
+        this.account.microsoftAccessToken = newEncryptedAccessToken;
         if (refresh_token) {
           const newEncryptedRefreshToken = refresh_token;
-          this.user.microsoftRefreshToken = newEncryptedRefreshToken;
+          this.account.microsoftRefreshToken = newEncryptedRefreshToken;
         }
-        this.user.microsoftAccessTokenExpires = Date.now() + expires_in * 1000;
-        await this.user.save();
+        this.account.microsoftAccessTokenExpires =
+          Date.now() + expires_in * 1000;
+        await this.account.save();
         console.log("[DEBUG] Microsoft token refreshed successfully");
       } catch (error) {
         if (error instanceof ApiError) throw error;
@@ -145,7 +194,7 @@ class OutlookService extends EmailService {
     try {
       let client = await this.getClient();
       let endpoint;
-      const baseParams = `?$top=${maxResults}&$select=id,subject,from,toRecipients,receivedDateTime,bodyPreview,body,isRead`;
+      const baseParams = `?$top=${maxResults}&$select=id,internetMessageId,conversationId,subject,from,toRecipients,receivedDateTime,bodyPreview,body,isRead,hasAttachments,categories,unsubscribeEnabled`;
 
       // Define filter conditions and handle query separately
       let hasSearchQuery = query && query.trim().length > 0;
@@ -324,6 +373,8 @@ class OutlookService extends EmailService {
       email.body?.contentType === "html" ? convert(bodyContent) : bodyContent;
     return {
       id: email.id || "",
+      threadId: email.conversationId || "",
+      messageId: email.internetMessageId || "",
       subject: email.subject || "",
       from: email.from?.emailAddress?.address || "",
       to:
@@ -335,10 +386,47 @@ class OutlookService extends EmailService {
       snippet: email.bodyPreview || "",
       body: bodyText,
       isRead: email.isRead || false,
+      labels: email.categories || [],
+      canUnsubscribe: email.unsubscribeEnabled ?? null,
       hasAttachments: email.hasAttachments || false,
     };
   }
 
+  // Graph rejects $orderby combined with a conversationId filter, so the
+  // messages are ordered by buildThread instead
+  async getThread(threadId) {
+    const client = await this.getClient();
+    const filter = encodeURIComponent(
+      `conversationId eq '${threadId.replace(/'/g, "''")}'`
+    );
+    const response = await fetch(
+      `${client.baseUrl}/messages?$filter=${filter}&$top=100`,
+      { headers: { Authorization: `Bearer ${client.accessToken}` } }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage = errorData.error?.message || JSON.stringify(errorData);
+      } catch (e) {
+        errorMessage = errorText || "Unknown error";
+      }
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Microsoft API error: ${errorMessage}`
+      );
+    }
+
+    const data = await response.json();
+    const messages = (data.value || []).map((email) => this.formatEmail(email));
+    if (messages.length === 0) {
+      throw new ApiError(StatusCodes.NOT_FOUND, "Thread not found");
+    }
+    return buildThread(threadId, messages);
+  }
+
   // Other methods remain unchanged...
   async getAttachments(emailId) {
     const client = await this.getClient();
@@ -358,6 +446,267 @@ class OutlookService extends EmailService {
     }));
   }
 
+  // Meeting requests arrive as event messages whose invite is only part of
+  // the MIME source, not of the attachment list
+  async getCalendarInvite(emailId) {
+    const client = await this.getClient();
+    const response = await fetch(
+      `${client.baseUrl}/messages/${emailId}/$value`,
+      {
+        headers: { Authorization: `Bearer ${client.accessToken}` },
+      }
+    );
+    if (!response.ok) {
+      throw new ApiError(
+        response.status === StatusCodes.NOT_FOUND
+          ? StatusCodes.NOT_FOUND
+          : StatusCodes.BAD_REQUEST,
+        `Failed to read email: ${(await response.text()) || "Unknown error"}`
+      );
+    }
+    const parsed = await simpleParser(
+      Buffer.from(await response.arrayBuffer())
+    );
+    const invite = (parsed.attachments || []).find((attachment) =>
+      isIcsAttachment({
+        mimeType: attachment.contentType,
+        filename: attachment.filename,
+      })
+    );
+    return invite ? invite.content.toString("utf-8") : null;
+  }
+
+  async getEmailHtml(emailId) {
+    const { body } = await this.graphRequest(
+      `/messages/${emailId}?$select=body`,
+      { action: "read email" }
+    );
+    return body?.contentType === "html" ? body.content : null;
+  }
+
+  async getCalendarService() {
+    return new OutlookCalendarService(this);
+  }
+
+  /**
+   * Access token for scopes beyond the mail token's, cached until shortly
+   * before it expires.
+   * @param {string} scope - Space-separated Graph scopes
+   * @param {Function} consentError - Builds the error thrown when the user
+   *   never granted the scopes
+   * @returns {Promise<string>}
+   */
+  async getScopedAccessToken(scope, consentError) {
+    const cacheKey = `${this.account._id}:${scope}`;
+    const cached = scopedTokenCache.get(cacheKey);
+    if (cached) return cached;
+
+    const refreshToken = this.account.microsoftRefreshToken;
+    if (!refreshToken) {
+      throw new ApiError(
+        StatusCodes.UNAUTHORIZED,
+        "No Microsoft refresh token available. Please re-authenticate."
+      );
+    }
+
+    const response = await fetch(TOKEN_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: process.env.MICROSOFT_CLIENT_ID,
+        client_secret: process.env.MICROSOFT_CLIENT_SECRET,
+        refresh_token: refreshToken,
+        grant_type: "refresh_token",
+        scope,
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.access_token) {
+      console.error(
+        `[ERROR] Microsoft token request for "${scope}" failed:`,
+        data
+      );
+      // AADSTS65001: the user never consented to these scopes
+      if (
+        ["consent_required", "interaction_required"].includes(data.error) ||
+        /AADSTS65001/.test(data.error_description || "")
+      ) {
+        throw consentError();
+      }
+      if (data.error === "invalid_grant") {
+        throw new ApiError(
+          StatusCodes.UNAUTHORIZED,
+          "Refresh token is invalid. Please re-authenticate."
+        );
+      }
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to get Microsoft access token: ${
+          data.error_description || data.error || "Unknown error"
+        }`
+      );
+    }
+
+    if (data.refresh_token) {
+      this.account.microsoftRefreshToken = data.refresh_token;
+      await this.account.save();
+    }
+    scopedTokenCache.set(
+      cacheKey,
+      data.access_token,
+      Math.max((data.expires_in || 3600) - 60, 60)
+    );
+    return data.access_token;
+  }
+
+  // Outlook contacts as [{ email, name, source }], following
+  // @odata.nextLink up to maxResults
+  async listProviderContacts({ maxResults = 1000 } = {}) {
+    const accessToken = await this.getScopedAccessToken(
+      CONTACTS_SCOPE,
+      contactsConsentError
+    );
+    const contacts = [];
+    let url = `https://graph.microsoft.com/v1.0/me/contacts?$select=displayName,emailAddresses&$top=100`;
+    while (url && contacts.length < maxResults) {
+      const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      if (response.status === 403) throw contactsConsentError();
+      if (!response.ok) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Failed to list contacts: ${await response.text()}`
+        );
+      }
+      const data = await response.json();
+      for (const contact of data.value || []) {
+        for (const { address, name } of contact.emailAddresses || []) {
+          if (address) {
+            contacts.push({
+              email: address,
+              name: contact.displayName || name || "",
+              source: "microsoft",
+            });
+          }
+        }
+      }
+      url = data["@odata.nextLink"];
+    }
+    return contacts.slice(0, maxResults);
+  }
+
+  // Graph validates notificationUrl and lifecycleUrl when the subscription
+  // is created, so both must be publicly reachable over https. Mail
+  // subscriptions last at most 7 days.
+  async watchMailbox({
+    notificationUrl,
+    lifecycleUrl,
+    clientState,
+    expiresAt,
+  }) {
+    if (!/^https:\/\//.test(notificationUrl || "")) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "Outlook push notifications need BACKENDURL to be a public https URL"
+      );
+    }
+    const subscription = await this.graphRequest(GRAPH_SUBSCRIPTIONS_URL, {
+      method: "POST",
+      action: "subscribe to mailbox changes",
+      body: {
+        changeType: "created,updated,deleted",
+        notificationUrl,
+        lifecycleNotificationUrl: lifecycleUrl,
+        resource: "me/mailFolders('inbox')/messages",
+        expirationDateTime: expiresAt.toISOString(),
+        clientState,
+      },
+    });
+    return {
+      provider: "microsoft",
+      subscriptionId: subscription.id,
+      expiresAt: new Date(subscription.expirationDateTime),
+    };
+  }
+
+  // Subscriptions Graph has already dropped are created again
+  async renewMailboxWatch(watch, options) {
+    if (!watch.subscriptionId) return this.watchMailbox(options);
+    try {
+      const subscription = await this.graphRequest(
+        `${GRAPH_SUBSCRIPTIONS_URL}/${watch.subscriptionId}`,
+        {
+          method: "PATCH",
+          action: "renew mailbox subscription",
+          body: { expirationDateTime: options.expiresAt.toISOString() },
+        }
+      );
+      return {
+        provider: "microsoft",
+        subscriptionId: subscription.id,
+        expiresAt: new Date(subscription.expirationDateTime),
+      };
+    } catch (error) {
+      if (error.statusCode !== StatusCodes.NOT_FOUND) throw error;
+      return this.watchMailbox(options);
+    }
+  }
+
+  async stopWatchingMailbox(watch) {
+    if (!watch.subscriptionId) return;
+    try {
+      await this.graphRequest(
+        `${GRAPH_SUBSCRIPTIONS_URL}/${watch.subscriptionId}`,
+        { method: "DELETE", action: "delete mailbox subscription" }
+      );
+    } catch (error) {
+      if (error.statusCode !== StatusCodes.NOT_FOUND) throw error;
+    }
+  }
+
+  // Index sync with one delta query per folder. Each call reads one page;
+  // the index has caught up once every folder has handed out a new
+  // deltaLink. Messages moved out of these folders arrive as removed.
+  async listMailboxChanges(cursor, { since = null, pageSize = 50 } = {}) {
+    const links = { ...(cursor?.links || {}) };
+    const pending = cursor?.pending?.length
+      ? [...cursor.pending]
+      : [...INDEX_FOLDERS];
+    const folder = pending[0];
+    const params = new URLSearchParams({ $select: INDEX_FIELDS });
+    if (since) {
+      params.set("$filter", `receivedDateTime ge ${since.toISOString()}`);
+    }
+    const data = await this.graphRequest(
+      links[folder] || `/mailFolders/${folder}/messages/delta?${params}`,
+      {
+        action: "sync mailbox",
+        headers: { Prefer: `odata.maxpagesize=${pageSize}` },
+      }
+    );
+
+    const upserts = [];
+    const deletions = [];
+    for (const item of data.value || []) {
+      if (item["@removed"]) deletions.push(item.id);
+      else upserts.push(this.formatEmail(item));
+    }
+    if (data["@odata.nextLink"]) {
+      links[folder] = data["@odata.nextLink"];
+    } else {
+      links[folder] = data["@odata.deltaLink"];
+      pending.shift();
+    }
+    return {
+      upserts,
+      deletions,
+      cursor: { links, pending },
+      done: pending.length === 0,
+    };
+  }
+
   async getAttachment(emailId, attachmentId) {
     const client = await this.getClient();
     const response = await fetch(
@@ -449,10 +798,10 @@ class OutlookService extends EmailService {
   async replyToEmail(emailId, { body, attachments = [] }) {
     const client = await this.getClient();
     const email = await this.getEmail(emailId);
-    const replyTo = email.from === this.user.email ? email.to : email.from;
+    const replyTo = email.from === this.account.email ? email.to : email.from;
+    // The reply action (rather than sendMail) keeps the message in the same
+    // conversation and quotes the history below the comment
     const message = {
-      subject: `Re: ${email.subject}`,
-      body: { contentType: "Text", content: body },
       toRecipients: [{ emailAddress: { address: replyTo } }],
     };
 
@@ -469,15 +818,17 @@ class OutlookService extends EmailService {
       );
     }
 
-    const sendMailBody = { message, saveToSentItems: "true" };
-    const response = await fetch(`${client.baseUrl}/sendMail`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${client.accessToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(sendMailBody),
-    });
+    const response = await fetch(
+      `${client.baseUrl}/messages/${emailId}/reply`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${client.accessToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ message, comment: body }),
+      }
+    );
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -549,6 +900,342 @@ class OutlookService extends EmailService {
     }
   }
 
+  // JSON request against Graph, with its error message surfaced. Paths are
+  // relative to /me unless given as a full URL.
+  async graphRequest(path, { method = "GET", body, action, headers = {} }) {
+    const client = await this.getClient();
+    const url = path.startsWith("https://") ? path : `${client.baseUrl}${path}`;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${client.accessToken}`,
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...headers,
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage;
+      try {
+        const errorData = JSON.parse(errorText);
+        errorMessage = errorData.error?.message || JSON.stringify(errorData);
+      } catch (e) {
+        errorMessage = errorText || "Unknown error";
+      }
+      // GONE is an expired delta token
+      throw new ApiError(
+        [
+          StatusCodes.NOT_FOUND,
+          StatusCodes.CONFLICT,
+          StatusCodes.GONE,
+        ].includes(response.status)
+          ? response.status
+          : StatusCodes.BAD_REQUEST,
+        `Failed to ${action}: ${errorMessage}`
+      );
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  formatFolder(folder, parentPath = "") {
+    const name = parentPath
+      ? `${parentPath}/${folder.displayName}`
+      : folder.displayName;
+    return {
+      id: folder.id,
+      name,
+      type:
+        !parentPath && SYSTEM_FOLDER_NAMES.has(folder.displayName.toLowerCase())
+          ? "system"
+          : "user",
+      kind: "folder",
+      messageCount: folder.totalItemCount || 0,
+      unreadCount: folder.unreadItemCount || 0,
+    };
+  }
+
+  async listFolders(path = "/mailFolders", parentPath = "", depth = 1) {
+    const data = await this.graphRequest(
+      `${path}?$top=200&$select=id,displayName,totalItemCount,unreadItemCount,childFolderCount`,
+      { action: "list folders" }
+    );
+    const folders = [];
+    for (const folder of data.value || []) {
+      const formatted = this.formatFolder(folder, parentPath);
+      folders.push(formatted);
+      if (folder.childFolderCount > 0 && depth < MAX_FOLDER_DEPTH) {
+        folders.push(
+          ...(await this.listFolders(
+            `/mailFolders/${folder.id}/childFolders`,
+            formatted.name,
+            depth + 1
+          ))
+        );
+      }
+    }
+    return folders;
+  }
+
+  async archiveEmail(emailId) {
+    return this.moveToFolder(emailId, "archive");
+  }
+
+  async starEmail(emailId, starred = true) {
+    await this.graphRequest(`/messages/${emailId}`, {
+      method: "PATCH",
+      body: { flag: { flagStatus: starred ? "flagged" : "notFlagged" } },
+      action: starred ? "flag email" : "unflag email",
+    });
+  }
+
+  // Graph v1.0 has no junk-reporting call; moving to Junk Email is what
+  // Outlook's own "Move to junk" does
+  async reportSpam(emailId) {
+    return this.moveToFolder(emailId, "junkemail");
+  }
+
+  async untrashEmail(emailId) {
+    return this.moveToFolder(emailId, "inbox");
+  }
+
+  // Outlook has both: folders hold a message, categories tag it
+  async listLabels() {
+    const folders = await this.listFolders();
+    // Reading the category list needs MailboxSettings.Read, which older
+    // sign-ins did not grant; folders alone are still useful
+    const categories = await this.graphRequest("/outlook/masterCategories", {
+      action: "list categories",
+    })
+      .then((data) =>
+        (data.value || []).map((category) => ({
+          id: category.id,
+          name: category.displayName,
+          type: "user",
+          kind: "category",
+          color: category.color,
+        }))
+      )
+      .catch((error) => {
+        console.error("[ERROR] Failed to list Outlook categories:", error);
+        return [];
+      });
+    return [...folders, ...categories];
+  }
+
+  // New labels are folders; categories need no setup and are created by
+  // applyLabel
+  async createLabel(name) {
+    const folder = await this.graphRequest("/mailFolders", {
+      method: "POST",
+      body: { displayName: name },
+      action: "create folder",
+    });
+    return this.formatFolder(folder);
+  }
+
+  async getCategories(emailId) {
+    const message = await this.graphRequest(
+      `/messages/${emailId}?$select=categories`,
+      { action: "read email categories" }
+    );
+    return message.categories || [];
+  }
+
+  // Categories are free text, so an unknown name is used as given
+  async categoryName(label) {
+    const existing = await this.resolveLabel(label, {
+      kinds: ["category"],
+    }).catch((error) => {
+      if (error.statusCode === StatusCodes.NOT_FOUND) return null;
+      throw error;
+    });
+    return existing?.name || String(label).trim();
+  }
+
+  async applyLabel(emailId, label) {
+    const name = await this.categoryName(label);
+    const categories = await this.getCategories(emailId);
+    if (categories.some((item) => item.toLowerCase() === name.toLowerCase())) {
+      return;
+    }
+    await this.graphRequest(`/messages/${emailId}`, {
+      method: "PATCH",
+      body: { categories: [...categories, name] },
+      action: "label email",
+    });
+  }
+
+  async removeLabel(emailId, label) {
+    const name = String(label).trim().toLowerCase();
+    const categories = await this.getCategories(emailId);
+    const remaining = categories.filter((item) => item.toLowerCase() !== name);
+    if (remaining.length === categories.length) return;
+    await this.graphRequest(`/messages/${emailId}`, {
+      method: "PATCH",
+      body: { categories: remaining },
+      action: "remove label",
+    });
+  }
+
+  // A moved message gets a new id in Graph
+  async moveToFolder(emailId, folder) {
+    const destinationId =
+      WELL_KNOWN_FOLDERS[String(folder).trim().toLowerCase()] ||
+      (await this.resolveLabel(folder, { create: true, kinds: ["folder"] })).id;
+    const moved = await this.graphRequest(`/messages/${emailId}/move`, {
+      method: "POST",
+      body: { destinationId },
+      action: "move email",
+    });
+    return moved?.id || emailId;
+  }
+
+  // internetMessageHeaders is only returned when selected. unsubscribeData
+  // holds the List-Unsubscribe URIs Exchange parsed, used if the raw header
+  // is missing.
+  async getUnsubscribeHeaders(emailId) {
+    const message = await this.graphRequest(
+      `/messages/${emailId}?$select=internetMessageHeaders,unsubscribeData`,
+      { action: "read email headers" }
+    );
+    const headers = message.internetMessageHeaders || [];
+    const find = (name) =>
+      headers.find((h) => h.name.toLowerCase() === name)?.value || "";
+    return {
+      listUnsubscribe:
+        find("list-unsubscribe") ||
+        (message.unsubscribeData || []).map((uri) => `<${uri}>`).join(", "),
+      listUnsubscribePost: find("list-unsubscribe-post"),
+    };
+  }
+
+  /**
+   * Runs one Graph request per message through JSON batching, 20 per call.
+   * @param {string[]} emailIds - Messages to act on
+   * @param {Function} toRequest - Maps an id to { method, url, body }, with
+   * the url relative to the mailbox
+   * @returns {Promise<Map>} id -> { success, body, error }
+   */
+  async batchRequests(emailIds, toRequest) {
+    const client = await this.getClient();
+    const outcomes = new Map();
+    for (let i = 0; i < emailIds.length; i += GRAPH_BATCH_LIMIT) {
+      const ids = emailIds.slice(i, i + GRAPH_BATCH_LIMIT);
+      const response = await fetch(GRAPH_BATCH_URL, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${client.accessToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          requests: ids.map((id, index) => {
+            const { method, url, body } = toRequest(id);
+            return {
+              id: String(index),
+              method,
+              url: `/me${url}`,
+              ...(body
+                ? { body, headers: { "Content-Type": "application/json" } }
+                : {}),
+            };
+          }),
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = `Batch request failed: ${
+          errorData.error?.message || response.statusText
+        }`;
+        ids.forEach((id) => outcomes.set(id, { success: false, error }));
+        continue;
+      }
+
+      const { responses = [] } = await response.json();
+      ids.forEach((id, index) => {
+        const item = responses.find((entry) => entry.id === String(index));
+        const success = !!item && item.status >= 200 && item.status < 300;
+        outcomes.set(id, {
+          success,
+          body: item?.body,
+          ...(success
+            ? {}
+            : {
+                error:
+                  item?.body?.error?.message ||
+                  `Request failed with status ${item?.status ?? "unknown"}`,
+              }),
+        });
+      });
+    }
+    return outcomes;
+  }
+
+  async bulkModify(emailIds, action, { label } = {}) {
+    const move = (destinationId) => (id) => ({
+      method: "POST",
+      url: `/messages/${id}/move`,
+      body: { destinationId },
+    });
+
+    let outcomes;
+    switch (action) {
+      case "read":
+      case "unread":
+        outcomes = await this.batchRequests(emailIds, (id) => ({
+          method: "PATCH",
+          url: `/messages/${id}`,
+          body: { isRead: action === "read" },
+        }));
+        break;
+      case "trash":
+        outcomes = await this.batchRequests(emailIds, move("deleteditems"));
+        break;
+      case "archive":
+        outcomes = await this.batchRequests(emailIds, move("archive"));
+        break;
+      case "label": {
+        // Setting categories replaces them, so each message's current ones
+        // are read in a first round
+        const name = await this.categoryName(label);
+        const lookups = await this.batchRequests(emailIds, (id) => ({
+          method: "GET",
+          url: `/messages/${id}?$select=categories`,
+        }));
+        const categoriesOf = (id) => lookups.get(id).body?.categories || [];
+        const toLabel = emailIds.filter(
+          (id) =>
+            lookups.get(id).success &&
+            !categoriesOf(id).some(
+              (item) => item.toLowerCase() === name.toLowerCase()
+            )
+        );
+        const patches = await this.batchRequests(toLabel, (id) => ({
+          method: "PATCH",
+          url: `/messages/${id}`,
+          body: { categories: [...categoriesOf(id), name] },
+        }));
+        outcomes = new Map(
+          emailIds.map((id) => [id, patches.get(id) || lookups.get(id)])
+        );
+        break;
+      }
+      default:
+        return super.bulkModify(emailIds, action, { label });
+    }
+
+    return emailIds.map((id) => {
+      const { success, body, error } = outcomes.get(id);
+      if (!success) return { id, success, error };
+      // Moved messages get a new id
+      return body?.id && body.id !== id
+        ? { id, success, newId: body.id }
+        : { id, success };
+    });
+  }
+
   async getInboxStats() {
     const client = await this.getClient();
     try {
@@ -670,6 +1357,21 @@ class OutlookService extends EmailService {
     }
     return draftId;
   }
+
+  async deleteDraft(draftId) {
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/messages/${draftId}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${client.accessToken}` },
+    });
+    if (!response.ok && response.status !== 404) {
+      const errorText = await response.text();
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to delete draft: ${errorText || "Unknown error"}`
+      );
+    }
+  }
 }
 
 export default OutlookService;
@@ -0,0 +1,491 @@
+// services/pushService.js
+import crypto from "crypto";
+import { google } from "googleapis";
+import { StatusCodes } from "http-status-codes";
+import PushSubscription from "../models/PushSubscription.js";
+import MailEvent from "../models/MailEvent.js";
+import User from "../models/User.js";
+import { ApiError } from "../utils/errorHandler.js";
+import {
+  createEmailServiceFor,
+  getServiceInboxId,
+  getUserEmailServices,
+} from "./emailService.js";
+
+// Graph takes mail subscriptions of up to 7 days; Gmail watches last 7
+const GRAPH_SUBSCRIPTION_MS = 3 * 24 * 60 * 60 * 1000;
+// Watches are renewed this long before they expire
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+const RENEW_RETRY_MS = 15 * 60 * 1000;
+// Changes listed in one event; past that clients are asked to refetch
+const MAX_EVENT_CHANGES = 100;
+const MAX_RELAYED_EVENTS = 500;
+const CHANGE_TYPES = ["created", "updated", "deleted"];
+// When one message changed several ways, the strongest change is reported
+const CHANGE_RANK = { updated: 0, created: 1, deleted: 2 };
+const PERMANENT_FAILURES = [
+  StatusCodes.UNAUTHORIZED,
+  StatusCodes.FORBIDDEN,
+  StatusCodes.NOT_FOUND,
+];
+
+const notificationUrl = (path) =>
+  `${(process.env.BACKENDURL || "").replace(
+    /\/$/,
+    ""
+  )}/api/v1/notifications/${path}`;
+
+const watchOptions = (clientState) => ({
+  topicName: process.env.GMAIL_PUBSUB_TOPIC,
+  notificationUrl: notificationUrl("graph"),
+  lifecycleUrl: notificationUrl("graph/lifecycle"),
+  clientState,
+  expiresAt: new Date(Date.now() + GRAPH_SUBSCRIPTION_MS),
+});
+
+const renewAtFor = (expiresAt) =>
+  new Date(
+    Math.max(expiresAt.getTime() - RENEW_BEFORE_MS, Date.now() + RENEW_RETRY_MS)
+  );
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return (
+    left.length > 0 &&
+    left.length === right.length &&
+    crypto.timingSafeEqual(left, right)
+  );
+};
+
+const formatSubscription = (subscription) => ({
+  inboxId: subscription.inboxId || "primary",
+  provider: subscription.provider,
+  email: subscription.email,
+  status: subscription.status,
+  expiresAt: subscription.expiresAt,
+  lastNotificationAt: subscription.lastNotificationAt,
+  lastError: subscription.lastError,
+});
+
+/*
+ * Subscriptions
+ */
+
+/**
+ * Turns on push for the service's inbox, or renews it when it is close to
+ * expiring. Calling it again while push is on does nothing.
+ * @param {EmailService} emailService
+ * @param {string} userId
+ * @returns {Promise<Object>} The subscription
+ * @throws {ApiError} BAD_REQUEST for providers without push, or when the
+ *   Pub/Sub topic or public URL is not configured
+ */
+const subscribe = async (emailService, userId) => {
+  const inboxId = getServiceInboxId(emailService);
+  const existing = await PushSubscription.findOne({ userId, inboxId });
+  const active = existing?.status === "active";
+  if (active && existing.renewAt > new Date()) {
+    return formatSubscription(existing);
+  }
+
+  const clientState =
+    existing?.clientState || crypto.randomBytes(24).toString("hex");
+  const options = watchOptions(clientState);
+  const watch = active
+    ? await emailService.renewMailboxWatch(existing, options)
+    : await emailService.watchMailbox(options);
+
+  const subscription = await PushSubscription.findOneAndUpdate(
+    { userId, inboxId },
+    {
+      provider: watch.provider,
+      email: emailService.account.email.toLowerCase(),
+      status: "active",
+      // A renewed Gmail watch keeps reading history where it left off
+      historyId: (active && existing.historyId) || watch.historyId || null,
+      subscriptionId: watch.subscriptionId || null,
+      clientState,
+      expiresAt: watch.expiresAt,
+      renewAt: renewAtFor(watch.expiresAt),
+      lastError: null,
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return formatSubscription(subscription);
+};
+
+const unsubscribe = async (emailService, userId) => {
+  const subscription = await PushSubscription.findOne({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    status: "active",
+  });
+  if (!subscription) {
+    throw new ApiError(
+      StatusCodes.NOT_FOUND,
+      "Push notifications are not on for this inbox"
+    );
+  }
+
+  // A Gmail mailbox has one watch, shared by everyone who connected it
+  const shared =
+    subscription.provider === "google" &&
+    (await PushSubscription.exists({
+      _id: { $ne: subscription._id },
+      provider: "google",
+      email: subscription.email,
+      status: "active",
+    }));
+  if (!shared) {
+    await emailService.stopWatchingMailbox(subscription).catch((error) => {
+      console.warn(
+        `[WARN] Could not stop push for subscription ${subscription._id}:`,
+        error.message
+      );
+    });
+  }
+  subscription.status = "stopped";
+  await subscription.save();
+  return formatSubscription(subscription);
+};
+
+/**
+ * Turns on push for every inbox of the user that supports it.
+ * @param {string} userId
+ * @returns {Promise<Object[]>} Per inbox: { inboxId, email, provider, push,
+ *   expiresAt } or { ..., push: false, error }
+ */
+const ensureSubscriptions = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(StatusCodes.NOT_FOUND, "User not found");
+
+  const accounts = await getUserEmailServices(user);
+  return Promise.all(
+    accounts.map(async ({ inboxId, email, provider, service }) => {
+      try {
+        const subscription = await subscribe(service, userId);
+        return {
+          inboxId,
+          email,
+          provider,
+          push: true,
+          expiresAt: subscription.expiresAt,
+        };
+      } catch (error) {
+        return { inboxId, email, provider, push: false, error: error.message };
+      }
+    })
+  );
+};
+
+const listSubscriptions = async (userId) =>
+  (await PushSubscription.find({ userId }).sort({ createdAt: 1 })).map(
+    formatSubscription
+  );
+
+const claimDueRenewal = async () => {
+  const now = new Date();
+  return PushSubscription.findOneAndUpdate(
+    { status: "active", renewAt: { $lte: now } },
+    { renewAt: new Date(now.getTime() + RENEW_RETRY_MS) },
+    { new: true, sort: { renewAt: 1 } }
+  );
+};
+
+// Failures are retried until the watch expires, except when the inbox or
+// its sign-in is gone
+const renewSubscription = async (subscription) => {
+  try {
+    const emailService = await createEmailServiceFor(
+      subscription.userId,
+      subscription.inboxId
+    );
+    const watch = await emailService.renewMailboxWatch(
+      subscription,
+      watchOptions(subscription.clientState)
+    );
+    subscription.set({
+      subscriptionId: watch.subscriptionId || null,
+      expiresAt: watch.expiresAt,
+      renewAt: renewAtFor(watch.expiresAt),
+      lastError: null,
+    });
+  } catch (error) {
+    console.error(
+      `[ERROR] Failed to renew push subscription ${subscription._id}:`,
+      error.message
+    );
+    const failed =
+      PERMANENT_FAILURES.includes(error.statusCode) ||
+      subscription.expiresAt <= new Date();
+    subscription.set({
+      lastError: error.message,
+      ...(failed ? { status: "failed" } : {}),
+    });
+  }
+  await subscription.save();
+  return subscription;
+};
+
+/*
+ * Events
+ */
+
+const publish = async (subscription, { changes = [], resync = false }) => {
+  const strongest = new Map();
+  for (const change of changes) {
+    const current = strongest.get(change.emailId);
+    if (
+      !current ||
+      CHANGE_RANK[change.changeType] > CHANGE_RANK[current.changeType]
+    ) {
+      strongest.set(change.emailId, change);
+    }
+  }
+  const unique = [...strongest.values()];
+  if (!resync && unique.length === 0) return null;
+
+  await PushSubscription.updateOne(
+    { _id: subscription._id },
+    { lastNotificationAt: new Date() }
+  );
+  return MailEvent.create({
+    userId: subscription.userId,
+    inboxId: subscription.inboxId,
+    provider: subscription.provider,
+    email: subscription.email,
+    changes: unique.slice(0, MAX_EVENT_CHANGES),
+    resync: resync || unique.length > MAX_EVENT_CHANGES,
+  });
+};
+
+const readEventsSince = (since) =>
+  MailEvent.find({ createdAt: { $gte: since } })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_RELAYED_EVENTS)
+    .lean();
+
+// The shape listeners of helper/mailEvents.js receive
+const formatEvent = (event) => ({
+  userId: String(event.userId),
+  inboxId: event.inboxId || "primary",
+  provider: event.provider,
+  email: event.email,
+  changes: event.changes || [],
+  resync: Boolean(event.resync),
+  receivedAt: event.createdAt,
+});
+
+/*
+ * Gmail (Pub/Sub push)
+ */
+
+/**
+ * Checks that a push request came from our Pub/Sub subscription: its OIDC
+ * token when GMAIL_PUSH_AUDIENCE is set, otherwise the shared
+ * GMAIL_PUSH_TOKEN passed as ?token=.
+ * @param {Object} request - { authorization, token }
+ * @returns {Promise<boolean>}
+ */
+const verifyGmailPush = async ({ authorization = "", token }) => {
+  const audience = process.env.GMAIL_PUSH_AUDIENCE;
+  if (audience) {
+    const idToken = authorization.startsWith("Bearer ")
+      ? authorization.slice(7)
+      : "";
+    if (!idToken) return false;
+    try {
+      const ticket = await new google.auth.OAuth2().verifyIdToken({
+        idToken,
+        audience,
+      });
+      const { email, email_verified } = ticket.getPayload() || {};
+      const expected = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+      return Boolean(email_verified) && (!expected || email === expected);
+    } catch (error) {
+      console.warn("[WARN] Rejected Gmail push token:", error.message);
+      return false;
+    }
+  }
+  return safeEqual(token, process.env.GMAIL_PUSH_TOKEN);
+};
+
+// Notifications only say the mailbox moved on to a history id; what
+// changed is read from the history since the last one processed
+const syncGmailHistory = async (subscription, notifiedHistoryId) => {
+  // Pub/Sub delivers late and sometimes twice
+  if (
+    subscription.historyId &&
+    BigInt(notifiedHistoryId) <= BigInt(subscription.historyId)
+  ) {
+    return null;
+  }
+  if (!subscription.historyId) {
+    await PushSubscription.updateOne(
+      { _id: subscription._id },
+      { historyId: notifiedHistoryId }
+    );
+    return publish(subscription, { resync: true });
+  }
+
+  const emailService = await createEmailServiceFor(
+    subscription.userId,
+    subscription.inboxId
+  );
+  let result;
+  try {
+    result = await emailService.listHistory(subscription.historyId);
+  } catch (error) {
+    if (error.statusCode !== StatusCodes.GONE) throw error;
+    result = { historyId: notifiedHistoryId, changes: [], complete: false };
+  }
+
+  // Whoever moves the history id on reports the changes
+  const { modifiedCount } = await PushSubscription.updateOne(
+    { _id: subscription._id, historyId: subscription.historyId },
+    { historyId: result.historyId }
+  );
+  if (modifiedCount === 0) return null;
+  return publish(subscription, {
+    changes: result.changes,
+    resync: !result.complete,
+  });
+};
+
+/**
+ * Handles a Pub/Sub push body, whose message data is base64 JSON
+ * { emailAddress, historyId }.
+ * @param {Object} body
+ */
+const handleGmailNotification = async (body) => {
+  let data;
+  try {
+    data = JSON.parse(
+      Buffer.from(body?.message?.data || "", "base64").toString("utf-8")
+    );
+  } catch (error) {
+    console.warn("[WARN] Unreadable Gmail push message:", error.message);
+    return;
+  }
+  const { emailAddress, historyId } = data || {};
+  if (!emailAddress || !historyId) return;
+
+  const subscriptions = await PushSubscription.find({
+    provider: "google",
+    email: String(emailAddress).toLowerCase(),
+    status: "active",
+  });
+  for (const subscription of subscriptions) {
+    try {
+      await syncGmailHistory(subscription, String(historyId));
+    } catch (error) {
+      console.error(
+        `[ERROR] Gmail push for subscription ${subscription._id} failed:`,
+        error.message
+      );
+    }
+  }
+};
+
+/*
+ * Microsoft Graph (change notifications)
+ */
+
+// Notifications are only trusted when they echo the subscription's
+// clientState
+const findGraphSubscription = async ({ subscriptionId, clientState }) => {
+  if (!subscriptionId) return null;
+  const subscription = await PushSubscription.findOne({
+    provider: "microsoft",
+    subscriptionId,
+    status: "active",
+  });
+  if (!subscription) return null;
+  if (!safeEqual(clientState, subscription.clientState)) {
+    console.warn(
+      `[WARN] Graph notification for ${subscriptionId} had a wrong clientState`
+    );
+    return null;
+  }
+  return subscription;
+};
+
+/**
+ * Handles the `value` array of a Graph change notification.
+ * @param {Object[]} notifications
+ */
+const handleGraphNotifications = async (notifications = []) => {
+  const bySubscription = new Map();
+  for (const notification of Array.isArray(notifications)
+    ? notifications
+    : []) {
+    const key = `${notification.subscriptionId}:${notification.clientState}`;
+    bySubscription.set(key, [...(bySubscription.get(key) || []), notification]);
+  }
+
+  for (const group of bySubscription.values()) {
+    try {
+      const subscription = await findGraphSubscription(group[0]);
+      if (!subscription) continue;
+      await publish(subscription, {
+        changes: group
+          .map((notification) => ({
+            emailId: notification.resourceData?.id,
+            changeType: notification.changeType,
+          }))
+          .filter(
+            ({ emailId, changeType }) =>
+              emailId && CHANGE_TYPES.includes(changeType)
+          ),
+      });
+    } catch (error) {
+      console.error("[ERROR] Graph notification failed:", error.message);
+    }
+  }
+};
+
+/**
+ * Handles Graph lifecycle notifications: reauthorizationRequired and
+ * subscriptionRemoved renew (or recreate) the subscription, missed asks
+ * clients to refetch.
+ * @param {Object[]} notifications
+ */
+const handleGraphLifecycle = async (notifications = []) => {
+  for (const notification of Array.isArray(notifications)
+    ? notifications
+    : []) {
+    try {
+      const subscription = await findGraphSubscription(notification);
+      if (!subscription) continue;
+      switch (notification.lifecycleEvent) {
+        case "reauthorizationRequired":
+        case "subscriptionRemoved":
+          await renewSubscription(subscription);
+          break;
+        case "missed":
+          await publish(subscription, { resync: true });
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error("[ERROR] Graph lifecycle notification failed:", error);
+    }
+  }
+};
+
+export default {
+  subscribe,
+  unsubscribe,
+  ensureSubscriptions,
+  listSubscriptions,
+  claimDueRenewal,
+  renewSubscription,
+  readEventsSince,
+  formatEvent,
+  verifyGmailPush,
+  handleGmailNotification,
+  handleGraphNotifications,
+  handleGraphLifecycle,
+};
@@ -0,0 +1,95 @@
+// services/pushWorker.js
+import pushService from "./pushService.js";
+import mailEvents from "../helper/mailEvents.js";
+
+const DEFAULT_RELAY_INTERVAL_MS = 2 * 1000;
+const DEFAULT_RENEW_INTERVAL_MS = 10 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+// Events are read again this far back: instances' clocks and writes are
+// not in step, and seen ids filter the repeats
+const RELAY_OVERLAP_MS = 10 * 1000;
+
+// Two jobs for push notifications. The relay hands stored mail events to
+// this instance's listeners (open streams, list caches) whichever instance
+// received them; it runs everywhere. Renewal keeps Gmail watches and Graph
+// subscriptions alive; claiming is atomic, so each is renewed once.
+class PushWorker {
+  constructor({
+    relayInterval = Number(process.env.PUSH_RELAY_POLL_MS) ||
+      DEFAULT_RELAY_INTERVAL_MS,
+    renewInterval = DEFAULT_RENEW_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.relayInterval = relayInterval;
+    this.renewInterval = renewInterval;
+    this.batchSize = batchSize;
+    this.relayTimer = null;
+    this.renewTimer = null;
+    this.relaying = false;
+    this.renewing = false;
+    // Only events stored after start are relayed
+    this.cursor = new Date();
+    this.seen = new Map();
+  }
+
+  start() {
+    if (this.relayTimer) return;
+    this.relayTimer = setInterval(() => this.relay(), this.relayInterval);
+    this.relayTimer.unref?.();
+    this.renewTimer = setInterval(() => this.renew(), this.renewInterval);
+    this.renewTimer.unref?.();
+    this.renew();
+    console.log(`📬 Push worker relaying every ${this.relayInterval / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.relayTimer);
+    clearInterval(this.renewTimer);
+    this.relayTimer = null;
+    this.renewTimer = null;
+  }
+
+  async relay() {
+    if (this.relaying) return;
+    this.relaying = true;
+    try {
+      const events = await pushService.readEventsSince(
+        new Date(this.cursor.getTime() - RELAY_OVERLAP_MS)
+      );
+      for (const event of events) {
+        const id = String(event._id);
+        if (this.seen.has(id)) continue;
+        this.seen.set(id, event.createdAt.getTime());
+        if (event.createdAt > this.cursor) this.cursor = event.createdAt;
+        mailEvents.emit("mail", pushService.formatEvent(event));
+      }
+      // Ids older than the overlap will not be read again
+      const horizon = this.cursor.getTime() - 2 * RELAY_OVERLAP_MS;
+      for (const [id, time] of this.seen) {
+        if (time < horizon) this.seen.delete(id);
+      }
+    } catch (error) {
+      console.error("[ERROR] Push relay tick failed:", error);
+    } finally {
+      this.relaying = false;
+    }
+  }
+
+  async renew() {
+    if (this.renewing) return;
+    this.renewing = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const subscription = await pushService.claimDueRenewal();
+        if (!subscription) break;
+        await pushService.renewSubscription(subscription);
+      }
+    } catch (error) {
+      console.error("[ERROR] Push renewal tick failed:", error);
+    } finally {
+      this.renewing = false;
+    }
+  }
+}
+
+export default PushWorker;
@@ -0,0 +1,663 @@
+// services/ruleEngineService.js
+import crypto from "crypto";
+import vm from "vm";
+import mongoose from "mongoose";
+import NodeCache from "node-cache";
+import { StatusCodes } from "http-status-codes";
+import MailRule, {
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  RULE_ACTIONS,
+} from "../models/MailRule.js";
+import RuleExecution from "../models/RuleExecution.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { createEmailServiceFor, getServiceInboxId } from "./emailService.js";
+
+const MAX_RULES_PER_INBOX = 50;
+const MAX_CONDITION_LENGTH = 200;
+const MAX_AI_CONDITION_LENGTH = 300;
+const RULE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Re-read a little before the last check so late-arriving mail is not missed;
+// the execution log keeps overlapping messages from being handled twice
+const CHECK_OVERLAP_MS = 10 * 60 * 1000;
+const MAX_MESSAGES_PER_CHECK = 50;
+const MAX_DRY_RUN_MESSAGES = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// "matches" patterns are the user's, so they run with a time limit over the
+// start of the field: a pattern like "(a+)+$" must not stall the server
+const REGEX_TIMEOUT_MS = 50;
+const MAX_REGEX_INPUT_LENGTH = 5000;
+
+// AI verdicts per inbox, condition and message, so polling and dry runs
+// don't ask the model about the same message twice
+const aiVerdictCache = new NodeCache({ stdTTL: 6 * 60 * 60 });
+
+const toBoolean = (value) => value === true || value === "true";
+
+/**
+ * Validates a rule from a request body.
+ * @param {Object} input - Rule fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Only validate the fields present
+ * @returns {Object} Sanitized fields ready for the MailRule model
+ */
+const validateRuleInput = (input = {}, { partial = false } = {}) => {
+  const rule = {};
+
+  if (!partial || input.name !== undefined) {
+    if (!input.name || !String(input.name).trim()) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Rule name is required");
+    }
+    rule.name = String(input.name).trim().slice(0, 100);
+  }
+  if (input.enabled !== undefined) rule.enabled = toBoolean(input.enabled);
+  if (input.stopProcessing !== undefined) {
+    rule.stopProcessing = toBoolean(input.stopProcessing);
+  }
+  if (input.match !== undefined) {
+    if (!["all", "any"].includes(input.match)) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "match must be 'all' or 'any'"
+      );
+    }
+    rule.match = input.match;
+  }
+  if (input.priority !== undefined) {
+    rule.priority = Number(input.priority);
+    if (!Number.isInteger(rule.priority)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "priority must be a number");
+    }
+  }
+
+  if (input.conditions !== undefined) {
+    if (!Array.isArray(input.conditions)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "conditions must be a list");
+    }
+    rule.conditions = input.conditions.map((condition) => {
+      const { field, operator = "contains", value } = condition || {};
+      if (!RULE_FIELDS.includes(field)) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Condition field must be one of: ${RULE_FIELDS.join(", ")}`
+        );
+      }
+      if (!RULE_OPERATORS.includes(operator)) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Condition operator must be one of: ${RULE_OPERATORS.join(", ")}`
+        );
+      }
+      if (!value || String(value).length > MAX_CONDITION_LENGTH) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Condition value is required (at most ${MAX_CONDITION_LENGTH} characters)`
+        );
+      }
+      if (operator === "matches") {
+        try {
+          new RegExp(value, "i");
+        } catch (error) {
+          throw new ApiError(
+            StatusCodes.BAD_REQUEST,
+            `Invalid regular expression: ${value}`
+          );
+        }
+      }
+      return { field, operator, value: String(value) };
+    });
+  }
+
+  if (input.aiCondition !== undefined) {
+    const aiCondition = input.aiCondition
+      ? String(input.aiCondition).trim()
+      : null;
+    if (aiCondition && aiCondition.length > MAX_AI_CONDITION_LENGTH) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `aiCondition can be at most ${MAX_AI_CONDITION_LENGTH} characters`
+      );
+    }
+    rule.aiCondition = aiCondition || null;
+  }
+
+  if (!partial || input.actions !== undefined) {
+    if (!Array.isArray(input.actions) || input.actions.length === 0) {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        "A rule needs at least one action"
+      );
+    }
+    rule.actions = input.actions.map((action) => {
+      const { type, value } = action || {};
+      if (!RULE_ACTIONS.includes(type)) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Action type must be one of: ${RULE_ACTIONS.join(", ")}`
+        );
+      }
+      if (type === "label" && !value) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          "The label action needs a label name"
+        );
+      }
+      if (type === "forward" && !EMAIL_PATTERN.test(value || "")) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          "The forward action needs a valid email address"
+        );
+      }
+      return value ? { type, value: String(value).trim() } : { type };
+    });
+  }
+
+  return rule;
+};
+
+const assertHasCondition = (rule) => {
+  if ((rule.conditions || []).length === 0 && !rule.aiCondition) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "A rule needs at least one condition or an aiCondition"
+    );
+  }
+};
+
+const formatRule = (rule) => ({
+  id: rule._id,
+  inboxId: rule.inboxId,
+  name: rule.name,
+  enabled: rule.enabled,
+  match: rule.match,
+  conditions: rule.conditions,
+  aiCondition: rule.aiCondition,
+  actions: rule.actions,
+  priority: rule.priority,
+  stopProcessing: rule.stopProcessing,
+  matchCount: rule.matchCount,
+  lastMatchedAt: rule.lastMatchedAt,
+  lastCheckedAt: rule.lastCheckedAt,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt,
+});
+
+const formatExecution = (execution) => ({
+  id: execution._id,
+  ruleId: execution.ruleId,
+  ruleName: execution.ruleName,
+  emailId: execution.emailId,
+  from: execution.from,
+  subject: execution.subject,
+  trigger: execution.trigger,
+  status: execution.status,
+  actions: execution.actions,
+  createdAt: execution.createdAt,
+});
+
+const listRules = async (emailService, userId) =>
+  MailRule.find({ userId, inboxId: getServiceInboxId(emailService) }).sort({
+    priority: 1,
+    createdAt: 1,
+  });
+
+const getRule = async (emailService, userId, ruleId) => {
+  const rule = await MailRule.findOne({
+    _id: ruleId,
+    userId,
+    inboxId: getServiceInboxId(emailService),
+  }).catch(() => null);
+  if (!rule) throw new ApiError(StatusCodes.NOT_FOUND, "Rule not found");
+  return rule;
+};
+
+const createRule = async (emailService, userId, input) => {
+  const fields = validateRuleInput(input);
+  assertHasCondition(fields);
+
+  const inboxId = getServiceInboxId(emailService);
+  const count = await MailRule.countDocuments({ userId, inboxId });
+  if (count >= MAX_RULES_PER_INBOX) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `You can have at most ${MAX_RULES_PER_INBOX} rules per inbox`
+    );
+  }
+
+  return MailRule.create({
+    priority: count,
+    ...fields,
+    userId,
+    inboxId,
+  });
+};
+
+const updateRule = async (rule, input) => {
+  const fields = validateRuleInput(input, { partial: true });
+  assertHasCondition({ ...rule.toObject(), ...fields });
+
+  // Turning a rule back on should not replay what arrived while it was off
+  if (fields.enabled && !rule.enabled) fields.activeSince = new Date();
+  Object.assign(rule, fields);
+  await rule.save();
+  return rule;
+};
+
+const deleteRule = async (rule) => {
+  await rule.deleteOne();
+};
+
+/*
+ * Matching
+ */
+
+const getFieldValue = (email, field) => {
+  if (field === "any") {
+    return [email.from, email.to, email.subject, email.body || email.snippet]
+      .filter(Boolean)
+      .join("\n");
+  }
+  if (field === "body") return email.body || email.snippet || "";
+  return email[field] || "";
+};
+
+const regexScript = new vm.Script('new RegExp(pattern, "i").test(text)');
+const regexContext = vm.createContext({ pattern: "", text: "" });
+
+// A pattern that runs out of time counts as not matching
+const testPattern = (pattern, text) => {
+  regexContext.pattern = pattern;
+  regexContext.text = text.slice(0, MAX_REGEX_INPUT_LENGTH);
+  try {
+    return (
+      regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS }) ===
+      true
+    );
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+    console.warn(`[WARN] Rule pattern timed out: ${pattern}`);
+    return false;
+  } finally {
+    regexContext.text = "";
+  }
+};
+
+const matchesCondition = (email, { field, operator, value }) => {
+  const actual = getFieldValue(email, field);
+  if (operator === "matches") return testPattern(value, actual);
+
+  const haystack = actual.toLowerCase();
+  const needle = value.toLowerCase();
+  switch (operator) {
+    case "contains":
+      return haystack.includes(needle);
+    case "notContains":
+      return !haystack.includes(needle);
+    case "equals":
+      return haystack.trim() === needle.trim();
+    case "startsWith":
+      return haystack.startsWith(needle);
+    case "endsWith":
+      return haystack.trim().endsWith(needle);
+    default:
+      return false;
+  }
+};
+
+const matchesConditions = (rule, email) => {
+  if (rule.conditions.length === 0) return true;
+  return rule.match === "any"
+    ? rule.conditions.some((condition) => matchesCondition(email, condition))
+    : rule.conditions.every((condition) => matchesCondition(email, condition));
+};
+
+const matchesAiCondition = async (emailService, rule, email) => {
+  // Message ids are only unique per mailbox (IMAP ids are a folder and a
+  // UID), and dry-run rules have no owner yet, so the key takes the inbox
+  // from the service
+  const inboxId = getServiceInboxId(emailService) || "primary";
+  const cacheKey = crypto
+    .createHash("sha1")
+    .update(
+      `${emailService.user._id}:${inboxId}:${rule.aiCondition}:${email.id}`
+    )
+    .digest("hex");
+  const cached = aiVerdictCache.get(cacheKey);
+  if (cached !== undefined) return cached;
+
+  const prompt = `
+      Decide whether the email below matches this condition: "${
+        rule.aiCondition
+      }".
+      Return only a valid JSON object: {"matches": BOOLEAN_VALUE, "reason": "short reason"}
+      Sender: "${email.from || "Unknown"}"
+      Subject: "${email.subject || ""}"
+      Email content: "${(email.body || email.snippet || "").slice(0, 3000)}"
+    `;
+
+  let verdict = false;
+  try {
+    const { content } = await emailService.callModelWithFallback(prompt);
+    verdict = JSON.parse(content || "{}").matches === true;
+  } catch (error) {
+    // Acting on a guess is worse than missing a message; treat as no match
+    console.error(`[ERROR] AI rule check failed for ${email.id}:`, error);
+    return false;
+  }
+  aiVerdictCache.set(cacheKey, verdict);
+  return verdict;
+};
+
+const matchesRule = async (emailService, rule, email) =>
+  matchesConditions(rule, email) &&
+  (!rule.aiCondition || (await matchesAiCondition(emailService, rule, email)));
+
+/*
+ * Actions
+ */
+
+const forwardEmail = async (emailService, email, to) => {
+  const body = [
+    "---------- Forwarded message ----------",
+    `From: ${email.from}`,
+    `Date: ${email.date}`,
+    `Subject: ${email.subject}`,
+    `To: ${email.to}`,
+    "",
+    email.body || email.snippet || "",
+  ].join("\n");
+  await emailService.sendEmail({
+    to,
+    subject: /^fwd?:/i.test(email.subject || "")
+      ? email.subject
+      : `Fwd: ${email.subject || ""}`,
+    body,
+  });
+};
+
+const runAction = async (emailService, action, email) => {
+  switch (action.type) {
+    case "markRead":
+      return emailService.markAsRead(email.id, true);
+    case "markUnread":
+      return emailService.markAsRead(email.id, false);
+    case "trash":
+      return emailService.trashEmail(email.id);
+    case "forward":
+      return forwardEmail(emailService, email, action.value);
+    case "label":
+      return emailService.applyLabel(email.id, action.value);
+    case "archive":
+      return emailService.archiveEmail(email.id);
+    case "star":
+      return emailService.starEmail(email.id, true);
+    default:
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Unknown action: ${action.type}`
+      );
+  }
+};
+
+// Trash goes last so the other actions still find the message
+const orderActions = (actions) => [
+  ...actions.filter((action) => action.type !== "trash"),
+  ...actions.filter((action) => action.type === "trash"),
+];
+
+const executeRule = async (emailService, userId, rule, email, trigger) => {
+  let execution;
+  try {
+    execution = await RuleExecution.create({
+      userId,
+      inboxId: rule.inboxId,
+      ruleId: rule._id,
+      ruleName: rule.name,
+      emailId: email.id,
+      from: email.from,
+      subject: email.subject,
+      trigger,
+    });
+  } catch (error) {
+    // Another instance, an earlier poll or a manual run already handled
+    // this message
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // Outlook and IMAP give an archived message a new id; later actions need it
+  let target = email;
+  const results = [];
+  for (const action of orderActions(rule.actions)) {
+    try {
+      const newId = await runAction(emailService, action, target);
+      if (action.type === "archive" && newId) target = { ...target, id: newId };
+      results.push({ ...action, status: "success" });
+    } catch (error) {
+      results.push({
+        ...action,
+        status: "failed",
+        error: error.message || "Unknown error",
+      });
+    }
+  }
+
+  const failed = results.filter((result) => result.status === "failed");
+  execution.actions = results;
+  execution.status =
+    failed.length === 0
+      ? "success"
+      : failed.length === results.length
+      ? "failed"
+      : "partial";
+  await execution.save();
+  await MailRule.updateOne(
+    { _id: rule._id },
+    { $inc: { matchCount: 1 }, lastMatchedAt: new Date() }
+  );
+  return execution;
+};
+
+/**
+ * Runs the given rules, in priority order, over a list of messages.
+ * @param {EmailService} emailService - Service of the inbox the mail is in
+ * @param {string} userId - Owner of the rules
+ * @param {Object[]} rules - Enabled MailRule documents
+ * @param {Object[]} emails - Formatted emails
+ * @param {"auto"|"manual"} trigger - What started the run
+ * @returns {Promise<Object[]>} Execution log entries that were created
+ */
+const applyRules = async (emailService, userId, rules, emails, trigger) => {
+  const executions = [];
+  for (const email of emails) {
+    for (const rule of rules) {
+      if (
+        trigger === "auto" &&
+        new Date(email.date).getTime() < rule.activeSince.getTime()
+      ) {
+        continue;
+      }
+      if (!(await matchesRule(emailService, rule, email))) continue;
+
+      const execution = await executeRule(
+        emailService,
+        userId,
+        rule,
+        email,
+        trigger
+      );
+      if (execution) executions.push(execution);
+      if (
+        rule.stopProcessing ||
+        rule.actions.some((action) => action.type === "trash")
+      ) {
+        break;
+      }
+    }
+  }
+  return executions;
+};
+
+const fetchRecentEmails = async (emailService, { maxResults, timeFilter }) => {
+  const { messages = [] } = await emailService.fetchEmails({
+    filter: "all",
+    maxResults,
+    timeFilter,
+  });
+  return messages;
+};
+
+/**
+ * Shows which recent messages a rule would act on, without acting.
+ * @param {EmailService} emailService - Service of the inbox to test against
+ * @param {Object} rule - A saved MailRule or unsaved rule fields
+ * @param {Object} [options]
+ * @param {number} [options.maxResults] - How many recent messages to test
+ * @param {string} [options.timeFilter] - daily, weekly, monthly or all
+ */
+const dryRun = async (
+  emailService,
+  rule,
+  { maxResults = 50, timeFilter = "weekly" } = {}
+) => {
+  const candidate = {
+    match: "all",
+    conditions: [],
+    ...(rule.toObject ? rule.toObject() : rule),
+  };
+  assertHasCondition(candidate);
+
+  const emails = await fetchRecentEmails(emailService, {
+    maxResults: Math.min(Number(maxResults) || 50, MAX_DRY_RUN_MESSAGES),
+    timeFilter,
+  });
+
+  const matches = [];
+  for (const email of emails) {
+    if (await matchesRule(emailService, candidate, email)) {
+      matches.push({
+        id: email.id,
+        threadId: email.threadId,
+        from: email.from,
+        subject: email.subject,
+        date: email.date,
+        actions: orderActions(candidate.actions || []),
+      });
+    }
+  }
+  return { checked: emails.length, matched: matches.length, matches };
+};
+
+// Runs every enabled rule of the inbox over recent mail right away
+const runRulesNow = async (
+  emailService,
+  userId,
+  { timeFilter = "daily" } = {}
+) => {
+  const rules = await MailRule.find({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    enabled: true,
+  }).sort({ priority: 1, createdAt: 1 });
+  if (rules.length === 0) return [];
+
+  const emails = await fetchRecentEmails(emailService, {
+    maxResults: MAX_MESSAGES_PER_CHECK,
+    timeFilter,
+  });
+  return applyRules(emailService, userId, rules, emails, "manual");
+};
+
+const listExecutions = async (
+  emailService,
+  userId,
+  { ruleId, limit = 50 } = {}
+) => {
+  if (ruleId && !mongoose.isValidObjectId(ruleId)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Invalid ruleId");
+  }
+  return RuleExecution.find({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    ...(ruleId ? { ruleId } : {}),
+  })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200));
+};
+
+/*
+ * Worker side. The rules of one inbox are checked together so priority and
+ * stopProcessing apply across them. A group is claimed by moving one due
+ * rule's nextCheckAt with a conditional update.
+ */
+
+const claimDueRuleGroup = async () => {
+  const now = new Date();
+  const due = await MailRule.findOne({
+    enabled: true,
+    nextCheckAt: { $lte: now },
+  }).sort({ nextCheckAt: 1 });
+  if (!due) return null;
+
+  const claimed = await MailRule.findOneAndUpdate(
+    { _id: due._id, nextCheckAt: due.nextCheckAt },
+    { nextCheckAt: new Date(now.getTime() + RULE_CHECK_INTERVAL_MS) }
+  );
+  if (!claimed) return null;
+
+  const rules = await MailRule.find({
+    userId: due.userId,
+    inboxId: due.inboxId,
+    enabled: true,
+  }).sort({ priority: 1, createdAt: 1 });
+  await MailRule.updateMany(
+    { _id: { $in: rules.map((rule) => rule._id) } },
+    { nextCheckAt: new Date(now.getTime() + RULE_CHECK_INTERVAL_MS) }
+  );
+  return { userId: due.userId, inboxId: due.inboxId, rules, claimedAt: now };
+};
+
+const processRuleGroup = async ({ userId, inboxId, rules, claimedAt }) => {
+  try {
+    const emailService = await createEmailServiceFor(userId, inboxId);
+    const since = Math.min(
+      ...rules.map(
+        (rule) =>
+          (rule.lastCheckedAt || rule.activeSince).getTime() - CHECK_OVERLAP_MS
+      )
+    );
+    const emails = (
+      await fetchRecentEmails(emailService, {
+        maxResults: MAX_MESSAGES_PER_CHECK,
+        timeFilter: "daily",
+      })
+    ).filter((email) => new Date(email.date).getTime() >= since);
+
+    await applyRules(emailService, userId, rules, emails, "auto");
+    await MailRule.updateMany(
+      { _id: { $in: rules.map((rule) => rule._id) } },
+      { lastCheckedAt: claimedAt }
+    );
+  } catch (error) {
+    console.error(
+      `[ERROR] Mail rules for user ${userId} failed:`,
+      error.message || error
+    );
+  }
+};
+
+export default {
+  validateRuleInput,
+  formatRule,
+  formatExecution,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRun,
+  runRulesNow,
+  listExecutions,
+  claimDueRuleGroup,
+  processRuleGroup,
+};
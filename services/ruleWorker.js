@@ -0,0 +1,52 @@
+// services/ruleWorker.js
+import ruleEngineService from "./ruleEngineService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+
+// Applies mail rules to newly arrived messages. Runs in every server
+// instance; inboxes are claimed atomically and the execution log dedupes
+// messages, so each rule acts on a message once.
+class RuleWorker {
+  constructor({
+    pollInterval = Number(process.env.RULES_POLL_MS) ||
+      DEFAULT_POLL_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.tick();
+    console.log(`🧹 Rule worker polling every ${this.pollInterval / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const group = await ruleEngineService.claimDueRuleGroup();
+        if (!group) break;
+        await ruleEngineService.processRuleGroup(group);
+      }
+    } catch (error) {
+      console.error("[ERROR] Rule worker tick failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default RuleWorker;
@@ -0,0 +1,385 @@
+// services/scheduledSendService.js
+import { StatusCodes } from "http-status-codes";
+import ScheduledEmail from "../models/ScheduledEmail.js";
+import EmailDraft from "../models/EmailDraft.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { createEmailServiceFor, getServiceInboxId } from "./emailService.js";
+import draftService from "./draftService.js";
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// A job stuck in "sending" this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// Inbox, draft or plan problems that retrying will not fix
+const PERMANENT_STATUS_CODES = [
+  StatusCodes.FORBIDDEN,
+  StatusCodes.NOT_FOUND,
+  StatusCodes.CONFLICT,
+];
+const SCHEDULED_STATUSES = ["pending", "sent", "failed", "cancelled", "all"];
+// Held mail is dispatched by an in-process timer just after the window closes;
+// the polling worker only picks it up if this process went away meanwhile
+const UNDO_DISPATCH_SLACK_MS = 250;
+
+/**
+ * Validates an optional sendAt value from a request or tool call.
+ * @param {string|Date} value - ISO 8601 date-time, ideally with an offset
+ * @returns {Date|null} The parsed date, or null when no sendAt was given
+ */
+const parseSendAt = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const sendAt = new Date(value);
+  if (Number.isNaN(sendAt.getTime())) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "sendAt must be an ISO 8601 date-time, e.g. 2025-01-31T09:00:00+01:00"
+    );
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "sendAt must be in the future");
+  }
+  if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "sendAt can be at most one year ahead"
+    );
+  }
+  return sendAt;
+};
+
+const formatScheduledEmail = (job) => ({
+  id: job._id,
+  inboxId: job.inboxId,
+  type: job.type,
+  to: job.to,
+  subject: job.subject,
+  message: job.message,
+  emailId: job.emailId,
+  draftId: job.draftId,
+  attachments: (job.attachments || []).map(
+    (file) => file.originalname || file.filename
+  ),
+  sendAt: job.sendAt,
+  undoable: job.undoable,
+  status: job.status,
+  attempts: job.attempts,
+  lastError: job.lastError,
+  sentAt: job.sentAt,
+  createdAt: job.createdAt,
+});
+
+const scheduleEmail = async (
+  emailService,
+  userId,
+  {
+    type,
+    to,
+    subject,
+    message,
+    attachments = [],
+    emailId,
+    draftId,
+    sendAt,
+    undoable = false,
+  }
+) => {
+  if (type === "send" && (!to || !subject || !message)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Missing required fields");
+  }
+  if (type === "reply" && (!emailId || !message)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Email ID and message are required"
+    );
+  }
+
+  let draft;
+  if (type === "draft") {
+    draft = await draftService.getDraft(emailService, userId, draftId);
+    if (draft.status !== "draft") {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Draft was already sent");
+    }
+  }
+
+  return ScheduledEmail.create({
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    type,
+    to: draft ? draft.recipientId : to,
+    subject: draft ? draft.subject : subject,
+    message,
+    attachments,
+    emailId,
+    draftId: draft?._id,
+    sendAt,
+    undoable,
+    nextAttemptAt: sendAt,
+  });
+};
+
+const listScheduled = async (userId, { status = "pending" } = {}) => {
+  if (!SCHEDULED_STATUSES.includes(status)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Invalid status. Must be one of: ${SCHEDULED_STATUSES.join(", ")}`
+    );
+  }
+  return ScheduledEmail.find({
+    userId,
+    ...(status === "all" ? {} : { status }),
+  }).sort({ sendAt: 1 });
+};
+
+const getScheduled = async (userId, scheduledId) => {
+  const job = await ScheduledEmail.findOne({
+    _id: scheduledId,
+    userId,
+  }).catch(() => null);
+  if (!job) {
+    throw new ApiError(StatusCodes.NOT_FOUND, "Scheduled email not found");
+  }
+  return job;
+};
+
+// Failed jobs can be rescheduled too, which starts a fresh round of retries
+const rescheduleEmail = async (job, sendAt) => {
+  if (!["pending", "failed"].includes(job.status)) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `A ${job.status} email can't be rescheduled`
+    );
+  }
+  job.sendAt = sendAt;
+  job.nextAttemptAt = sendAt;
+  job.status = "pending";
+  job.attempts = 0;
+  job.lastError = null;
+  await job.save();
+  return job;
+};
+
+const cancelScheduledEmail = async (job) => {
+  const cancelled = await ScheduledEmail.findOneAndUpdate(
+    { _id: job._id, status: "pending" },
+    { status: "cancelled" },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      job.status === "sending"
+        ? "This email is being sent right now"
+        : `A ${job.status} email can't be cancelled`
+    );
+  }
+  return cancelled;
+};
+
+/*
+ * Worker side. Jobs are claimed atomically so several PM2 instances can poll
+ * the same collection without sending anything twice.
+ */
+
+const claimScheduledEmail = async (scheduledId) => {
+  const now = new Date();
+  return ScheduledEmail.findOneAndUpdate(
+    { _id: scheduledId, status: "pending", nextAttemptAt: { $lte: now } },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const claimDueEmail = async () => {
+  const now = new Date();
+  return ScheduledEmail.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { status: "sending", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Whether the provider accepted the message is unknown, so a stale job is
+// failed rather than retried to avoid a duplicate send
+const failStaleEmails = async () =>
+  ScheduledEmail.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    {
+      status: "failed",
+      lockedAt: null,
+      lastError:
+        "Sending was interrupted. Check your Sent folder before rescheduling.",
+    }
+  );
+
+const deliverScheduledEmail = async (job) => {
+  const emailService = await createEmailServiceFor(job.userId, job.inboxId);
+
+  switch (job.type) {
+    case "send":
+      await emailService.sendEmail({
+        to: job.to,
+        subject: job.subject,
+        body: job.message,
+        attachments: job.attachments,
+      });
+      await draftService.markDraftsSent(emailService, job.userId, {
+        to: job.to,
+        subject: job.subject,
+      });
+      break;
+    case "reply":
+      await emailService.replyToEmail(job.emailId, {
+        body: job.message,
+        attachments: job.attachments,
+      });
+      break;
+    case "draft": {
+      const draft = await EmailDraft.findOne({
+        _id: job.draftId,
+        userId: job.userId,
+      });
+      if (!draft) {
+        throw new ApiError(StatusCodes.NOT_FOUND, "Draft no longer exists");
+      }
+      if (draft.status !== "draft") {
+        throw new ApiError(StatusCodes.CONFLICT, "Draft was already sent");
+      }
+      await draftService.sendDraft(emailService, draft);
+      break;
+    }
+    default:
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Unknown scheduled email type: ${job.type}`
+      );
+  }
+};
+
+const markScheduledSent = async (job) => {
+  job.status = "sent";
+  job.sentAt = new Date();
+  job.lockedAt = null;
+  job.lastError = null;
+  await job.save();
+};
+
+// Exponential backoff: 1, 2, 4, 8 minutes... capped at an hour
+const recordScheduledFailure = async (job, error) => {
+  const permanent = PERMANENT_STATUS_CODES.includes(error.statusCode);
+  job.lockedAt = null;
+  job.lastError = error.message || "Unknown error";
+  if (permanent || job.attempts >= MAX_SEND_ATTEMPTS) {
+    job.status = "failed";
+  } else {
+    job.status = "pending";
+    job.nextAttemptAt = new Date(
+      Date.now() +
+        Math.min(
+          RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1),
+          RETRY_MAX_DELAY_MS
+        )
+    );
+  }
+  await job.save();
+};
+
+const processScheduledEmail = async (job) => {
+  try {
+    await deliverScheduledEmail(job);
+    await markScheduledSent(job);
+  } catch (error) {
+    console.error(
+      `[ERROR] Scheduled email ${job._id} failed (attempt ${job.attempts}):`,
+      error.message || error
+    );
+    await recordScheduledFailure(job, error);
+  }
+};
+
+/**
+ * Holds an outgoing email for the user's undo-send window, then sends it.
+ * @param {EmailService} emailService - Service of the inbox to send from
+ * @param {string} userId - Owner of the email
+ * @param {Object} fields - Same fields as scheduleEmail, without sendAt
+ * @param {number} delaySeconds - Length of the undo window
+ * @returns {Promise<Object>} The held ScheduledEmail document
+ */
+const holdForUndo = async (emailService, userId, fields, delaySeconds) => {
+  const job = await scheduleEmail(emailService, userId, {
+    ...fields,
+    sendAt: new Date(Date.now() + delaySeconds * 1000),
+    undoable: true,
+  });
+
+  setTimeout(async () => {
+    try {
+      const claimed = await claimScheduledEmail(job._id);
+      if (claimed) await processScheduledEmail(claimed);
+    } catch (error) {
+      console.error(`[ERROR] Failed to dispatch held email ${job._id}:`, error);
+    }
+  }, delaySeconds * 1000 + UNDO_DISPATCH_SLACK_MS);
+
+  return job;
+};
+
+// Cancels a held email (the most recent one when no id is given). A new
+// email comes back as a draft so the user can fix it and send again.
+const undoSend = async (userId, scheduledId = null) => {
+  const job = scheduledId
+    ? await getScheduled(userId, scheduledId)
+    : await ScheduledEmail.findOne({
+        userId,
+        undoable: true,
+        status: "pending",
+      }).sort({ createdAt: -1 });
+  if (!job || !job.undoable) {
+    throw new ApiError(
+      StatusCodes.NOT_FOUND,
+      "There is no recently sent email to undo"
+    );
+  }
+
+  let cancelled;
+  try {
+    cancelled = await cancelScheduledEmail(job);
+  } catch (error) {
+    throw new ApiError(
+      StatusCodes.CONFLICT,
+      "Too late to undo, the email has already been sent"
+    );
+  }
+
+  let draft = null;
+  if (cancelled.type === "send") {
+    const emailService = await createEmailServiceFor(userId, job.inboxId);
+    draft = await draftService.createDraft(emailService, userId, {
+      to: cancelled.to,
+      subject: cancelled.subject,
+      message: cancelled.message,
+      attachments: cancelled.attachments,
+    });
+  }
+  return { scheduled: cancelled, draft };
+};
+
+export default {
+  parseSendAt,
+  formatScheduledEmail,
+  scheduleEmail,
+  listScheduled,
+  getScheduled,
+  rescheduleEmail,
+  cancelScheduledEmail,
+  claimDueEmail,
+  failStaleEmails,
+  processScheduledEmail,
+  holdForUndo,
+  undoSend,
+};
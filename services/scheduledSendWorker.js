@@ -0,0 +1,54 @@
+// services/scheduledSendWorker.js
+import scheduledSendService from "./scheduledSendService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+
+// Polls the ScheduledEmail collection and delivers whatever is due. Runs in
+// every server instance; claiming is atomic, so instances never double-send.
+class ScheduledSendWorker {
+  constructor({
+    pollInterval = Number(process.env.SCHEDULED_SEND_POLL_MS) ||
+      DEFAULT_POLL_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.tick();
+    console.log(
+      `📮 Scheduled send worker polling every ${this.pollInterval / 1000}s`
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      await scheduledSendService.failStaleEmails();
+      for (let i = 0; i < this.batchSize; i++) {
+        const job = await scheduledSendService.claimDueEmail();
+        if (!job) break;
+        await scheduledSendService.processScheduledEmail(job);
+      }
+    } catch (error) {
+      console.error("[ERROR] Scheduled send worker tick failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default ScheduledSendWorker;
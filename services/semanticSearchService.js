@@ -0,0 +1,261 @@
+// services/semanticSearchService.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import EmailChunk from "../models/EmailChunk.js";
+import IndexedEmail from "../models/IndexedEmail.js";
+import embeddingService from "./embeddingService.js";
+
+const CHUNK_LENGTH = 1000;
+const CHUNK_OVERLAP = 200;
+const MAX_CHUNKS_PER_EMAIL = 8;
+// Messages embedded per embedder call, and per sync
+const EMBED_BATCH_SIZE = 50;
+const MAX_EMBEDDED_PER_SYNC = 300;
+// Newest chunks scored per query when Atlas Vector Search is not used
+const MAX_LOCAL_CHUNKS = 5000;
+// Chunks kept per wanted message, since one message can match several times
+const CHUNKS_PER_RESULT = 4;
+const ATLAS_CANDIDATES_PER_RESULT = 20;
+const DEFAULT_VECTOR_INDEX = "email_chunks_vector";
+
+const contentHash = ({ subject = "", body = "" }) =>
+  crypto.createHash("sha1").update(`${subject}\n${body}`).digest("hex");
+
+/**
+ * Splits a message into overlapping pieces of about CHUNK_LENGTH
+ * characters, cut at whitespace. Each starts with the subject and sender
+ * so it still says what it belongs to.
+ * @param {Object} email - Indexed email
+ * @returns {string[]}
+ */
+const chunkEmail = ({ subject = "", from = "", body = "", snippet = "" }) => {
+  const header = `Subject: ${subject}\nFrom: ${from}\n`;
+  const text = (body || snippet).replace(/\s+/g, " ").trim();
+  const chunks = [];
+  let start = 0;
+  while (chunks.length < MAX_CHUNKS_PER_EMAIL) {
+    let end = Math.min(start + CHUNK_LENGTH, text.length);
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > start + CHUNK_LENGTH / 2) end = space;
+    }
+    chunks.push(`${header}${text.slice(start, end)}`);
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+  return chunks;
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const dateFilter = ({ after, before }) =>
+  after || before
+    ? {
+        date: {
+          ...(after ? { $gte: after } : {}),
+          ...(before ? { $lt: before } : {}),
+        },
+      }
+    : {};
+
+// Messages whose stored chunks are missing or out of date
+const pendingFilter = (key, embedder) => ({
+  ...key,
+  $or: [
+    { embeddedModel: { $ne: embedder.id } },
+    { $expr: { $ne: ["$embeddedHash", "$contentHash"] } },
+  ],
+});
+
+/**
+ * Embeds the inbox's indexed messages that are new, changed or embedded by
+ * another embedder, newest first.
+ * @param {Object} key - { userId, inboxId }
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Messages to embed at most
+ * @returns {Promise<Object>} { embedded, remaining }
+ */
+const embedPending = async (key, { limit = MAX_EMBEDDED_PER_SYNC } = {}) => {
+  const embedder = embeddingService.getEmbedder();
+  const pending = pendingFilter(key, embedder);
+  let embedded = 0;
+  while (embedded < limit) {
+    const emails = await IndexedEmail.find(pending)
+      .select("emailId subject from body snippet date contentHash")
+      .sort({ date: -1 })
+      .limit(Math.min(EMBED_BATCH_SIZE, limit - embedded))
+      .lean();
+    if (emails.length === 0) return { embedded, remaining: false };
+
+    const chunks = emails.flatMap((email) =>
+      chunkEmail(email).map((text, chunkIndex) => ({ email, text, chunkIndex }))
+    );
+    const vectors = await embedder.embed(chunks.map(({ text }) => text));
+    const emailIds = emails.map(({ emailId }) => emailId);
+    await EmailChunk.deleteMany({ ...key, emailId: { $in: emailIds } });
+    await EmailChunk.insertMany(
+      chunks.map(({ email, text, chunkIndex }, i) => ({
+        ...key,
+        emailId: email.emailId,
+        chunkIndex,
+        text,
+        embedding: vectors[i],
+        model: embedder.id,
+        date: email.date,
+      }))
+    );
+    // A message that changed meanwhile keeps a stale hash and comes again
+    await IndexedEmail.bulkWrite(
+      emails.map((email) => ({
+        updateOne: {
+          filter: { _id: email._id },
+          update: {
+            embeddedHash: email.contentHash,
+            embeddedModel: embedder.id,
+          },
+        },
+      }))
+    );
+    embedded += emails.length;
+  }
+  return { embedded, remaining: true };
+};
+
+// Whether some indexed message is not embedded by the current embedder yet
+const hasPending = async (key) =>
+  Boolean(
+    await IndexedEmail.exists(
+      pendingFilter(key, embeddingService.getEmbedder())
+    )
+  );
+
+const removeChunks = async (key, emailIds) => {
+  if (emailIds.length === 0) return;
+  await EmailChunk.deleteMany({ ...key, emailId: { $in: emailIds } });
+};
+
+// Atlas scores cosine similarity as (1 + cos) / 2; it is turned back into
+// the cosine the local scoring gives
+const atlasSearch = async (key, vector, model, { limit, ...range }) => {
+  const chunks = await EmailChunk.aggregate([
+    {
+      $vectorSearch: {
+        index: process.env.MAIL_VECTOR_INDEX || DEFAULT_VECTOR_INDEX,
+        path: "embedding",
+        queryVector: vector,
+        numCandidates: limit * ATLAS_CANDIDATES_PER_RESULT,
+        limit: limit * CHUNKS_PER_RESULT,
+        filter: {
+          userId: new mongoose.Types.ObjectId(String(key.userId)),
+          inboxId: key.inboxId,
+          model,
+          ...dateFilter(range),
+        },
+      },
+    },
+    {
+      $project: {
+        emailId: 1,
+        text: 1,
+        score: { $meta: "vectorSearchScore" },
+      },
+    },
+  ]);
+  return chunks.map((chunk) => ({ ...chunk, score: chunk.score * 2 - 1 }));
+};
+
+const localSearch = async (
+  key,
+  vector,
+  model,
+  { limit, maxChunks, ...range }
+) => {
+  const keep = limit * CHUNKS_PER_RESULT;
+  let best = [];
+  const cursor = EmailChunk.find({ ...key, model, ...dateFilter(range) })
+    .select("emailId text embedding")
+    .sort({ date: -1 })
+    .limit(maxChunks)
+    .lean()
+    .cursor();
+  for await (const chunk of cursor) {
+    const score = dot(vector, chunk.embedding);
+    if (score <= 0) continue;
+    best.push({ emailId: chunk.emailId, text: chunk.text, score });
+    if (best.length >= keep * 2) {
+      best = best.sort((a, b) => b.score - a.score).slice(0, keep);
+    }
+  }
+  return best;
+};
+
+/**
+ * Messages of the inbox whose meaning is closest to the query.
+ * MAIL_VECTOR_SEARCH=atlas uses Atlas Vector Search, falling back to
+ * scoring the newest MAX_LOCAL_CHUNKS chunks here when that fails.
+ * @param {Object} key - { userId, inboxId }
+ * @param {string} query - Free text, e.g. "landlord broken heater"
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Messages to return
+ * @param {Date} [options.after]
+ * @param {Date} [options.before]
+ * @param {boolean} [options.relevantOnly] - Leave out chunks scoring below
+ *   the embedder's minScore
+ * @param {number} [options.maxChunks] - Newest chunks scored locally, up to
+ *   MAX_LOCAL_CHUNKS
+ * @returns {Promise<Object[]>} Per message, best first: { emailId, score,
+ *   text } with the text of its best chunk
+ */
+const findSimilar = async (
+  key,
+  query,
+  { limit = 10, after, before, relevantOnly = false, maxChunks } = {}
+) => {
+  const embedder = embeddingService.getEmbedder();
+  const [vector] = await embedder.embed([query]);
+  const options = {
+    limit,
+    after,
+    before,
+    maxChunks: Math.min(maxChunks || MAX_LOCAL_CHUNKS, MAX_LOCAL_CHUNKS),
+  };
+  const minScore = relevantOnly ? embedder.minScore || 0 : -Infinity;
+
+  let chunks;
+  if (process.env.MAIL_VECTOR_SEARCH === "atlas") {
+    try {
+      chunks = await atlasSearch(key, vector, embedder.id, options);
+    } catch (error) {
+      console.error(
+        "[ERROR] Atlas vector search failed, scoring locally:",
+        error.message
+      );
+    }
+  }
+  if (!chunks) chunks = await localSearch(key, vector, embedder.id, options);
+
+  const best = new Map();
+  for (const chunk of chunks) {
+    if (chunk.score < minScore) continue;
+    if ((best.get(chunk.emailId)?.score ?? -Infinity) < chunk.score) {
+      best.set(chunk.emailId, chunk);
+    }
+  }
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ emailId, score, text }) => ({ emailId, score, text }));
+};
+
+export default {
+  contentHash,
+  chunkEmail,
+  embedPending,
+  hasPending,
+  removeChunks,
+  findSimilar,
+};
@@ -0,0 +1,236 @@
+// services/snoozeService.js
+import { StatusCodes } from "http-status-codes";
+import SnoozedEmail from "../models/SnoozedEmail.js";
+import { ApiError } from "../utils/errorHandler.js";
+import { createEmailServiceFor, getServiceInboxId } from "./emailService.js";
+
+const MAX_SNOOZE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_WAKE_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// A snooze stuck in "waking" this long belongs to a worker that died mid-move
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// The message is gone or the inbox is no longer usable
+const PERMANENT_STATUS_CODES = [StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND];
+
+/**
+ * Validates the time a snoozed email should come back.
+ * @param {string|Date} value - ISO 8601 date-time, ideally with an offset
+ * @returns {Date} The parsed date
+ */
+const parseSnoozeUntil = (value) => {
+  const until = value ? new Date(value) : null;
+  if (!until || Number.isNaN(until.getTime())) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "until must be an ISO 8601 date-time, e.g. 2025-01-31T09:00:00+01:00"
+    );
+  }
+  if (until.getTime() <= Date.now()) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "until must be in the future");
+  }
+  if (until.getTime() - Date.now() > MAX_SNOOZE_AHEAD_MS) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "An email can be snoozed for at most one year"
+    );
+  }
+  return until;
+};
+
+const formatSnoozed = (snooze) => ({
+  id: snooze._id,
+  inboxId: snooze.inboxId,
+  emailId: snooze.emailId,
+  originalEmailId: snooze.originalEmailId,
+  subject: snooze.subject,
+  from: snooze.from,
+  until: snooze.until,
+  status: snooze.status,
+  attempts: snooze.attempts,
+  lastError: snooze.lastError,
+  wokenAt: snooze.wokenAt,
+  restoredEmailId: snooze.restoredEmailId,
+  createdAt: snooze.createdAt,
+});
+
+const inboxFilter = (emailService) => ({
+  userId: emailService.user._id,
+  inboxId: getServiceInboxId(emailService),
+});
+
+// Pending snooze of a message, by the id it has now or had when snoozed
+const findPendingSnooze = (emailService, emailId) =>
+  SnoozedEmail.findOne({
+    ...inboxFilter(emailService),
+    status: "pending",
+    $or: [{ emailId }, { originalEmailId: emailId }],
+  });
+
+/**
+ * Archives an email and schedules its return to the inbox. Snoozing an
+ * already snoozed email only moves its wake-up time.
+ * @param {EmailService} emailService - Service of the inbox holding the email
+ * @param {string} emailId - Id of the email to snooze
+ * @param {string|Date} until - When the email should come back
+ * @returns {Promise<Object>} The SnoozedEmail document
+ */
+const snoozeEmail = async (emailService, emailId, until) => {
+  const wakeAt = parseSnoozeUntil(until);
+
+  const existing = await findPendingSnooze(emailService, emailId);
+  if (existing) {
+    existing.until = wakeAt;
+    existing.nextAttemptAt = wakeAt;
+    await existing.save();
+    return existing;
+  }
+
+  const email = await emailService.getEmail(emailId);
+  const snoozedId = await emailService.archiveEmail(emailId);
+  if (!snoozedId) {
+    throw new ApiError(
+      StatusCodes.INTERNAL_SERVER_ERROR,
+      "The email was archived, but the server did not report where it went, so it can't be brought back automatically"
+    );
+  }
+
+  return SnoozedEmail.create({
+    ...inboxFilter(emailService),
+    emailId: snoozedId,
+    originalEmailId: emailId,
+    subject: email?.subject,
+    from: email?.from,
+    until: wakeAt,
+    nextAttemptAt: wakeAt,
+  });
+};
+
+const listSnoozed = async (emailService) =>
+  SnoozedEmail.find({ ...inboxFilter(emailService), status: "pending" }).sort({
+    until: 1,
+  });
+
+const getSnoozed = async (emailService, emailId) => {
+  const snooze = await findPendingSnooze(emailService, emailId);
+  if (!snooze) {
+    throw new ApiError(StatusCodes.NOT_FOUND, "This email is not snoozed");
+  }
+  return snooze;
+};
+
+/*
+ * Worker side. Snoozes are claimed atomically so several PM2 instances can
+ * poll the same collection without moving a message twice.
+ */
+
+const claimDueSnooze = async () => {
+  const now = new Date();
+  return SnoozedEmail.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { status: "waking", lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Moving a message back to the inbox is safe to repeat, so stale snoozes
+// are simply retried
+const releaseStaleSnoozes = async () =>
+  SnoozedEmail.updateMany(
+    {
+      status: "waking",
+      lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { status: "pending", lockedAt: null }
+  );
+
+const wakeSnoozed = async (snooze) => {
+  const emailService = await createEmailServiceFor(
+    snooze.userId,
+    snooze.inboxId
+  );
+  const restoredId =
+    (await emailService.moveToFolder(snooze.emailId, "inbox")) ||
+    snooze.emailId;
+  // Best effort: the message should stand out like new mail
+  await emailService.markAsRead(restoredId, false).catch((error) => {
+    console.warn(
+      `[WARN] Could not mark snoozed email ${snooze._id} unread:`,
+      error.message
+    );
+  });
+
+  snooze.status = "woken";
+  snooze.wokenAt = new Date();
+  snooze.restoredEmailId = restoredId;
+  snooze.lockedAt = null;
+  snooze.lastError = null;
+  await snooze.save();
+};
+
+// Exponential backoff: 1, 2, 4, 8 minutes... capped at an hour
+const recordWakeFailure = async (snooze, error) => {
+  const permanent = PERMANENT_STATUS_CODES.includes(error.statusCode);
+  snooze.lockedAt = null;
+  snooze.lastError = error.message || "Unknown error";
+  if (permanent || snooze.attempts >= MAX_WAKE_ATTEMPTS) {
+    snooze.status = "failed";
+  } else {
+    snooze.status = "pending";
+    snooze.nextAttemptAt = new Date(
+      Date.now() +
+        Math.min(
+          RETRY_BASE_DELAY_MS * 2 ** (snooze.attempts - 1),
+          RETRY_MAX_DELAY_MS
+        )
+    );
+  }
+  await snooze.save();
+};
+
+const processSnooze = async (snooze) => {
+  try {
+    await wakeSnoozed(snooze);
+  } catch (error) {
+    console.error(
+      `[ERROR] Waking snoozed email ${snooze._id} failed (attempt ${snooze.attempts}):`,
+      error.message || error
+    );
+    await recordWakeFailure(snooze, error);
+  }
+};
+
+// Brings a snoozed email back right away instead of waiting for the worker
+const unsnoozeEmail = async (snooze) => {
+  const claimed = await SnoozedEmail.findOneAndUpdate(
+    { _id: snooze._id, status: "pending" },
+    { status: "waking", lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ApiError(
+      StatusCodes.CONFLICT,
+      "This email is being brought back right now"
+    );
+  }
+
+  try {
+    await wakeSnoozed(claimed);
+  } catch (error) {
+    await recordWakeFailure(claimed, error);
+    throw error;
+  }
+  return claimed;
+};
+
+export default {
+  parseSnoozeUntil,
+  formatSnoozed,
+  snoozeEmail,
+  listSnoozed,
+  getSnoozed,
+  unsnoozeEmail,
+  claimDueSnooze,
+  releaseStaleSnoozes,
+  processSnooze,
+};
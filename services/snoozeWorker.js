@@ -0,0 +1,52 @@
+// services/snoozeWorker.js
+import snoozeService from "./snoozeService.js";
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 20;
+
+// Moves snoozed emails back to the inbox when they are due. Runs in every
+// server instance; claiming is atomic, so a message is only moved once.
+class SnoozeWorker {
+  constructor({
+    pollInterval = Number(process.env.SNOOZE_POLL_MS) ||
+      DEFAULT_POLL_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = {}) {
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref?.();
+    this.tick();
+    console.log(`⏰ Snooze worker polling every ${this.pollInterval / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      await snoozeService.releaseStaleSnoozes();
+      for (let i = 0; i < this.batchSize; i++) {
+        const snooze = await snoozeService.claimDueSnooze();
+        if (!snooze) break;
+        await snoozeService.processSnooze(snooze);
+      }
+    } catch (error) {
+      console.error("[ERROR] Snooze worker tick failed:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default SnoozeWorker;
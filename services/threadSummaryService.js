@@ -0,0 +1,225 @@
+// services/threadSummaryService.js
+import crypto from "crypto";
+import ThreadSummary from "../models/ThreadSummary.js";
+import { getServiceInboxId } from "./emailService.js";
+
+// Roughly what fits a small model's context next to the instructions
+const CHUNK_CHARS = 9000;
+const MAX_MESSAGE_CHARS = CHUNK_CHARS - 500;
+
+const SUMMARY_SHAPE = `{
+  "overview": "2-3 sentences on what the conversation is about",
+  "participants": [{ "name": "", "email": "", "role": "what they contribute" }],
+  "decisions": [{ "decision": "", "madeBy": "email or name", "date": "YYYY-MM-DD or null" }],
+  "openQuestions": [{ "question": "", "askedBy": "email or name" }],
+  "actionItems": [{ "task": "", "owner": "email or name, or null", "dueDate": "YYYY-MM-DD or null", "status": "open | done" }],
+  "latestStatus": "one sentence on where things stand after the last message"
+}`;
+
+const SYSTEM_PROMPT = `You analyze email conversations and answer with a single JSON object of exactly this shape:
+${SUMMARY_SHAPE}
+Only include decisions that were actually agreed, questions still unanswered at the end, and tasks someone is expected to do. Resolve relative due dates ("Friday", "next week") against the date of the message that set them. Use empty arrays when there is nothing to report.`;
+
+/**
+ * Fingerprint of a conversation's messages. A new or removed message
+ * changes it, which invalidates the cached summary.
+ * @param {Object} thread - Result of buildThread
+ * @returns {string}
+ */
+const getThreadVersion = (thread) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      thread.messages
+        .map((message) => `${message.id}:${message.date}`)
+        .join("|")
+    )
+    .digest("hex")
+    .slice(0, 16);
+
+const formatMessage = (message, index, total) => {
+  const body = (message.body || message.snippet || "").trim();
+  return (
+    `[${index + 1}/${total}] From: ${message.from}\nTo: ${message.to}\n` +
+    `Date: ${message.date}\n\n` +
+    (body.length > MAX_MESSAGE_CHARS
+      ? `${body.slice(0, MAX_MESSAGE_CHARS)}... (truncated)`
+      : body)
+  );
+};
+
+// Splits the conversation on message boundaries into prompt-sized chunks
+const chunkThread = (thread) => {
+  const chunks = [];
+  let current = "";
+  thread.messages.forEach((message, i) => {
+    const text = formatMessage(message, i, thread.messages.length);
+    if (current && current.length + text.length > CHUNK_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current += `${current ? "\n\n---\n\n" : ""}${text}`;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+const parseJson = (text = "") => {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return {};
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return {};
+  }
+};
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+const asDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : null;
+
+// Models drift from the requested shape; the frontend gets a stable one
+const normalizeSummary = (raw, thread) => {
+  const participants = asArray(raw.participants)
+    .filter((p) => p && (p.email || p.name))
+    .map((p) => ({
+      name: asText(p.name),
+      email: asText(p.email).toLowerCase(),
+      role: asText(p.role),
+    }));
+  // Everyone on the thread is listed, even if the model skipped them
+  for (const email of thread.participants) {
+    if (!participants.some((p) => p.email === email)) {
+      participants.push({ name: "", email, role: "" });
+    }
+  }
+
+  return {
+    overview: asText(raw.overview),
+    participants,
+    decisions: asArray(raw.decisions)
+      .filter((d) => asText(d?.decision))
+      .map((d) => ({
+        decision: asText(d.decision),
+        madeBy: asText(d.madeBy) || null,
+        date: asDate(d.date),
+      })),
+    openQuestions: asArray(raw.openQuestions)
+      .filter((q) => asText(q?.question))
+      .map((q) => ({
+        question: asText(q.question),
+        askedBy: asText(q.askedBy) || null,
+      })),
+    actionItems: asArray(raw.actionItems)
+      .filter((a) => asText(a?.task))
+      .map((a) => ({
+        task: asText(a.task),
+        owner: asText(a.owner) || null,
+        dueDate: asDate(a.dueDate),
+        status: a.status === "done" ? "done" : "open",
+      })),
+    latestStatus: asText(raw.latestStatus),
+  };
+};
+
+const summarizeChunk = async (callModel, thread, chunk, part, parts) =>
+  parseJson(
+    await callModel([
+      { role: "system", content: SYSTEM_PROMPT },
+      {
+        role: "user",
+        content:
+          parts > 1
+            ? `Conversation "${thread.subject}", part ${part} of ${parts} (messages oldest first):\n\n${chunk}`
+            : `Conversation "${thread.subject}" (messages oldest first):\n\n${chunk}`,
+      },
+    ])
+  );
+
+// Later parts win on status: an action item marked done in part 3 closes
+// the one opened in part 1
+const combineSummaries = async (callModel, thread, partials) =>
+  parseJson(
+    await callModel([
+      { role: "system", content: SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: `These are summaries of consecutive parts of the conversation "${
+          thread.subject
+        }", oldest first. Merge them into one summary: drop duplicates, drop questions answered and decisions reversed in later parts, and take the latest status from the last part.\n\n${partials
+          .map((partial, i) => `Part ${i + 1}: ${JSON.stringify(partial)}`)
+          .join("\n\n")}`,
+      },
+    ])
+  );
+
+/**
+ * Returns the structured summary of a conversation, from cache when the
+ * thread has not changed since it was last summarized.
+ * @param {EmailService} emailService - Service of the inbox the thread is in
+ * @param {string} userId - Owner of the inbox
+ * @param {Object} thread - Result of buildThread
+ * @param {Object} options
+ * @param {Function} options.callModel - (messages) => Promise<string>, the
+ *   completion text of a JSON-mode model call
+ * @param {boolean} [options.refresh] - Ignore the cache
+ * @returns {Promise<Object>} ThreadSummary document
+ */
+const summarizeThread = async (
+  emailService,
+  userId,
+  thread,
+  { callModel, refresh = false }
+) => {
+  const key = {
+    userId,
+    inboxId: getServiceInboxId(emailService),
+    threadId: thread.id,
+  };
+  const version = getThreadVersion(thread);
+
+  if (!refresh) {
+    const cached = await ThreadSummary.findOne({ ...key, version });
+    if (cached) return cached;
+  }
+
+  const chunks = chunkThread(thread);
+  const partials = [];
+  // Sequential on purpose: parallel chunks trip the providers' rate limits
+  for (let i = 0; i < chunks.length; i++) {
+    partials.push(
+      await summarizeChunk(callModel, thread, chunks[i], i + 1, chunks.length)
+    );
+  }
+  const raw =
+    partials.length > 1
+      ? await combineSummaries(callModel, thread, partials)
+      : partials[0] || {};
+
+  return ThreadSummary.findOneAndUpdate(
+    key,
+    {
+      version,
+      messageCount: thread.messageCount,
+      summary: normalizeSummary(raw, thread),
+      chunkCount: chunks.length,
+    },
+    { new: true, upsert: true }
+  );
+};
+
+const formatThreadSummary = (doc) => ({
+  threadId: doc.threadId,
+  version: doc.version,
+  messageCount: doc.messageCount,
+  ...doc.summary,
+  chunkCount: doc.chunkCount,
+  generatedAt: doc.updatedAt,
+});
+
+export default {
+  getThreadVersion,
+  summarizeThread,
+  formatThreadSummary,
+};
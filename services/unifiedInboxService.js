@@ -0,0 +1,253 @@
+// services/unifiedInboxService.js
+import crypto from "crypto";
+import { ApiError } from "../utils/errorHandler.js";
+import { StatusCodes } from "http-status-codes";
+
+// How many emitted message keys the composite token remembers so a duplicate
+// split across two pages is still dropped
+const SEEN_KEYS_LIMIT = 50;
+// Upper bound on provider pages fetched per account for one unified page
+const MAX_PAGES_PER_ACCOUNT = 5;
+
+const encodePageToken = (state) =>
+  Buffer.from(JSON.stringify(state)).toString("base64url");
+
+const decodePageToken = (pageToken) => {
+  if (!pageToken) return { cursors: {}, seen: [] };
+  try {
+    const state = JSON.parse(
+      Buffer.from(String(pageToken), "base64url").toString("utf-8")
+    );
+    return { cursors: state.cursors || {}, seen: state.seen || [] };
+  } catch (error) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, "Invalid pageToken");
+  }
+};
+
+const toTime = (date) => {
+  const time = new Date(date).getTime();
+  return isNaN(time) ? 0 : time;
+};
+
+// Mail sent to several of the user's addresses has the same Message-ID in
+// every inbox. Providers that do not expose it fall back to sender, subject
+// and the minute it arrived.
+const dedupeKey = (email) => {
+  const source = email.messageId
+    ? email.messageId.trim().toLowerCase()
+    : [
+        (email.from || "").toLowerCase(),
+        (email.subject || "").trim().toLowerCase(),
+        Math.floor(toTime(email.date) / 60000),
+      ].join("|");
+  return crypto.createHash("sha1").update(source).digest("hex").slice(0, 16);
+};
+
+const sortByDate = (messages) =>
+  [...messages].sort((a, b) => toTime(b.date) - toTime(a.date));
+
+class UnifiedInboxService {
+  /**
+   * @param {Array<{inboxId: string, email: string, provider: string, service: EmailService}>} accounts
+   */
+  constructor(accounts) {
+    this.accounts = accounts;
+  }
+
+  /**
+   * Merges one page from every account by date. Each account keeps its own
+   * cursor (provider page token plus how many messages of that page were
+   * already shown) inside a single composite pageToken.
+   */
+  async fetchEmails({
+    query = "",
+    maxResults = 50,
+    pageToken,
+    filter = "all",
+    timeFilter = "all",
+  }) {
+    const limit = Math.max(parseInt(maxResults, 10) || 50, 1);
+    const { cursors, seen } = decodePageToken(pageToken);
+    const seenKeys = new Set(seen);
+    const errors = [];
+
+    const fetchPage = async (account, token) => {
+      const result = await account.service.fetchEmails({
+        query,
+        maxResults: limit,
+        pageToken: token || undefined,
+        filter,
+        timeFilter,
+      });
+      return {
+        messages: sortByDate(result?.messages || []),
+        nextPageToken: result?.nextPageToken || null,
+        totalCount: result?.totalCount || 0,
+      };
+    };
+
+    // Load the current page for every account that is not exhausted yet
+    const sources = await Promise.all(
+      this.accounts.map(async (account) => {
+        const cursor = cursors[account.inboxId] || { t: null, s: 0 };
+        const source = {
+          account,
+          cursor: { ...cursor },
+          buffer: [],
+          nextPageToken: null,
+          pagesFetched: 0,
+          totalCount: 0,
+          failed: false,
+        };
+        if (cursor.d) return source;
+        try {
+          const page = await fetchPage(account, cursor.t);
+          source.buffer = page.messages.slice(cursor.s || 0);
+          source.nextPageToken = page.nextPageToken;
+          source.totalCount = page.totalCount;
+          source.pagesFetched = 1;
+        } catch (error) {
+          console.error(
+            `[ERROR] Unified inbox fetch failed for ${account.email}:`,
+            error
+          );
+          source.failed = true;
+          errors.push({
+            inboxId: account.inboxId,
+            email: account.email,
+            message: error.message || "Failed to fetch emails",
+          });
+        }
+        return source;
+      })
+    );
+
+    // Refill a drained buffer from the next provider page; a source can only
+    // be left behind once it is truly exhausted, otherwise the merge order
+    // would be wrong
+    const refill = async (source) => {
+      while (
+        source.buffer.length === 0 &&
+        source.nextPageToken &&
+        source.pagesFetched < MAX_PAGES_PER_ACCOUNT
+      ) {
+        const page = await fetchPage(source.account, source.nextPageToken);
+        source.cursor = { t: source.nextPageToken, s: 0 };
+        source.buffer = page.messages;
+        source.nextPageToken = page.nextPageToken;
+        source.pagesFetched += 1;
+      }
+      return source.buffer.length > 0;
+    };
+
+    const messages = [];
+    const byKey = new Map();
+
+    while (messages.length < limit) {
+      const live = sources.filter(
+        (source) => !source.failed && !source.cursor.d
+      );
+      let newest = null;
+      let blocked = false;
+      for (const source of live) {
+        const hasMore = await refill(source).catch((error) => {
+          console.error(
+            `[ERROR] Unified inbox refill failed for ${source.account.email}:`,
+            error
+          );
+          source.failed = true;
+          return false;
+        });
+        if (!hasMore) {
+          if (source.nextPageToken && !source.failed) blocked = true;
+          else if (!source.failed) source.cursor.d = true;
+          continue;
+        }
+        if (
+          !newest ||
+          toTime(source.buffer[0].date) > toTime(newest.buffer[0].date)
+        ) {
+          newest = source;
+        }
+      }
+      // Stop when everything is exhausted or a source hit the page cap
+      if (!newest || blocked) break;
+
+      const email = newest.buffer.shift();
+      newest.cursor.s = (newest.cursor.s || 0) + 1;
+
+      const key = dedupeKey(email);
+      const inboxRef = {
+        inboxId: newest.account.inboxId,
+        email: newest.account.email,
+      };
+      if (byKey.has(key)) {
+        byKey.get(key).inboxes.push(inboxRef);
+        continue;
+      }
+      if (seenKeys.has(key)) continue;
+
+      const merged = {
+        ...email,
+        inboxId: newest.account.inboxId,
+        inboxEmail: newest.account.email,
+        provider: newest.account.provider,
+        inboxes: [inboxRef],
+      };
+      byKey.set(key, merged);
+      seenKeys.add(key);
+      messages.push(merged);
+    }
+
+    // Copies of the last emitted messages may still sit at the head of other
+    // buffers; consume them now so they do not open the next page
+    for (const source of sources) {
+      while (source.buffer.length > 0) {
+        const key = dedupeKey(source.buffer[0]);
+        if (!byKey.has(key)) break;
+        byKey.get(key).inboxes.push({
+          inboxId: source.account.inboxId,
+          email: source.account.email,
+        });
+        source.buffer.shift();
+        source.cursor.s = (source.cursor.s || 0) + 1;
+      }
+      if (
+        source.buffer.length === 0 &&
+        !source.nextPageToken &&
+        !source.failed
+      ) {
+        source.cursor.d = true;
+      }
+    }
+
+    const nextCursors = {};
+    for (const source of sources) {
+      nextCursors[source.account.inboxId] = source.cursor;
+    }
+    const hasMore = sources.some(
+      (source) => !source.cursor.d && !source.failed
+    );
+
+    return {
+      messages,
+      nextPageToken: hasMore
+        ? encodePageToken({
+            cursors: nextCursors,
+            seen: [...seenKeys].slice(-SEEN_KEYS_LIMIT),
+          })
+        : null,
+      // Composite tokens only move forward; clients keep earlier tokens to go back
+      prevPageToken: null,
+      totalCount: sources.reduce((sum, source) => sum + source.totalCount, 0),
+      inboxes: this.accounts.map(({ inboxId, email, provider }) => ({
+        inboxId,
+        email,
+        provider,
+      })),
+      errors,
+    };
+  }
+}
+
+export default UnifiedInboxService;
@@ -36,10 +36,20 @@ const updateProfile = async (userId, profileData, file) => {
     "gender",
     "dateOfBirth",
     "profilePicture",
+    "undoSendDelay",
   ];
   const updates = Object.keys(profileData)
     .filter((key) => allowedFields.includes(key))
     .reduce((obj, key) => ({ ...obj, [key]: profileData[key] }), {});
+  if (updates.undoSendDelay !== undefined) {
+    const delay = Number(updates.undoSendDelay);
+    if (!Number.isInteger(delay) || (delay !== 0 && (delay < 5 || delay > 30)))
+      throw new ApiError(
+        400,
+        "undoSendDelay must be 0 (off) or between 5 and 30 seconds"
+      );
+    updates.undoSendDelay = delay;
+  }
   if (file) {
     const fileExt = path.extname(file.originalname).toLowerCase();
     updates.profilePicture = `https://server.inbox-buddy.ai/uploads/images/${userId}${fileExt}`;
@@ -110,7 +120,9 @@ const getAllUsers = async (
     };
   }
   const users = await User.find(query)
-    .select("-password -refreshToken -googleAccessToken -microsoftAccessToken")
+    .select(
+      "-password -refreshToken -googleAccessToken -microsoftAccessToken -yahooAccessToken -yahooRefreshToken -imapSettings.password"
+    )
     .skip(skip)
     .limit(limit)
     .sort({ createdAt: -1 })
@@ -8,8 +8,15 @@ import { convert } from "html-to-text";
 
 class YahooService extends EmailService {
   async getClient() {
-    const yahooTokenExpiry = this.user.yahooAccessTokenExpires || 0;
-    if (yahooTokenExpiry < Date.now()) {
+    if (!this.account.yahooRefreshToken) {
+      throw new ApiError(
+        StatusCodes.UNAUTHORIZED,
+        "No Yahoo refresh token available. Please re-authenticate."
+      );
+    }
+
+    const yahooTokenExpiry = this.account.yahooAccessTokenExpires || 0;
+    if (yahooTokenExpiry < Date.now() || !this.account.yahooAccessToken) {
       const response = await fetch(
         "https://api.login.yahoo.com/oauth2/get_token",
         {
@@ -18,7 +25,7 @@ class YahooService extends EmailService {
           body: new URLSearchParams({
             client_id: process.env.YAHOO_CLIENT_ID,
             client_secret: process.env.YAHOO_CLIENT_SECRET,
-            refresh_token: this.user.yahooRefreshToken,
+            refresh_token: this.account.yahooRefreshToken,
             grant_type: "refresh_token",
           }),
         }
@@ -33,14 +40,14 @@ class YahooService extends EmailService {
         );
       }
       const { access_token, refresh_token, expires_in } = await response.json();
-      this.user.yahooAccessToken = access_token;
-      this.user.yahooRefreshToken =
-        refresh_token || this.user.yahooRefreshToken;
-      this.user.yahooAccessTokenExpires = Date.now() + expires_in * 1000;
-      await this.user.save();
+      this.account.yahooAccessToken = access_token;
+      this.account.yahooRefreshToken =
+        refresh_token || this.account.yahooRefreshToken;
+      this.account.yahooAccessTokenExpires = Date.now() + expires_in * 1000;
+      await this.account.save();
     }
     return {
-      accessToken: this.user.yahooAccessToken,
+      accessToken: this.account.yahooAccessToken,
       baseUrl: "https://api.mail.yahoo.com",
     };
   }
@@ -103,6 +110,13 @@ class YahooService extends EmailService {
   }
 
   formatEmail(email) {
+    const attachments = (email.attachments || []).map((att) => ({
+      id: att.id,
+      filename: att.filename || att.name || "unnamed",
+      mimeType: att.contentType || "application/octet-stream",
+      size: att.size || 0,
+    }));
+
     return {
       id: email.id,
       subject: email.subject || "",
@@ -112,6 +126,8 @@ class YahooService extends EmailService {
       snippet: email.snippet || "",
       body: email.plainText || "",
       isRead: email.isRead || false,
+      hasAttachments: attachments.length > 0,
+      attachments,
     };
   }
 
@@ -162,7 +178,7 @@ class YahooService extends EmailService {
   async replyToEmail(emailId, { body, attachments = [] }) {
     const client = await this.getClient();
     const email = await this.getEmail(emailId);
-    const replyTo = email.from === this.user.email ? email.to : email.from;
+    const replyTo = email.from === this.account.email ? email.to : email.from;
     const formData = new FormData();
     formData.append("to", replyTo);
     formData.append("subject", `Re: ${email.subject}`);
@@ -228,6 +244,130 @@ class YahooService extends EmailService {
     }
   }
 
+  async archiveEmail(emailId) {
+    return this.moveToFolder(emailId, "Archive");
+  }
+
+  async starEmail(emailId, starred = true) {
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/v1/message/${emailId}`, {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${client.accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ isFlagged: starred }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to star Yahoo email: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+  }
+
+  async reportSpam(emailId) {
+    return this.moveToFolder(emailId, "Spam");
+  }
+
+  async untrashEmail(emailId) {
+    return this.moveToFolder(emailId, "Inbox");
+  }
+
+  formatFolder(folder) {
+    return {
+      id: folder.id,
+      name: folder.name,
+      type: folder.type === "user" ? "user" : "system",
+      kind: "folder",
+      messageCount: folder.total || 0,
+      unreadCount: folder.unread || 0,
+    };
+  }
+
+  async listLabels() {
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/v1/folders`, {
+      headers: { Authorization: `Bearer ${client.accessToken}` },
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to list Yahoo folders: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+    const data = await response.json();
+    return (data.folders || []).map((folder) => this.formatFolder(folder));
+  }
+
+  async createLabel(name) {
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/v1/folders`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${client.accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ name }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        response.status === StatusCodes.CONFLICT
+          ? StatusCodes.CONFLICT
+          : StatusCodes.BAD_REQUEST,
+        `Failed to create Yahoo folder: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+    return this.formatFolder({ type: "user", ...(await response.json()) });
+  }
+
+  // Yahoo Mail only has folders
+  async applyLabel(emailId, label) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Yahoo Mail has no labels. Move the email to a folder instead."
+    );
+  }
+
+  async removeLabel(emailId, label) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      "Yahoo Mail has no labels. Move the email to a folder instead."
+    );
+  }
+
+  async moveToFolder(emailId, folder) {
+    const target = await this.resolveLabel(folder, { create: true });
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/v1/message/${emailId}`, {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${client.accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ folder: target.id }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to move Yahoo email: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+    return emailId;
+  }
+
   async draftEmail({ to, subject, body, attachments = [] }) {
     const client = await this.getClient();
     const formData = new FormData();
@@ -259,6 +399,87 @@ class YahooService extends EmailService {
     const draft = await response.json();
     return draft.id;
   }
+
+  async deleteDraft(draftId) {
+    const client = await this.getClient();
+    const response = await fetch(`${client.baseUrl}/v1/draft/${draftId}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${client.accessToken}` },
+    });
+    if (!response.ok && response.status !== 404) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to delete Yahoo draft: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+  }
+
+  async getInboxStats() {
+    const client = await this.getClient();
+    try {
+      const response = await fetch(`${client.baseUrl}/v1/folders/inbox`, {
+        headers: { Authorization: `Bearer ${client.accessToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(`Yahoo API responded with ${response.status}`);
+      }
+      const folder = await response.json();
+      return {
+        totalEmails: folder.total || 0,
+        unreadEmails: folder.unread || 0,
+      };
+    } catch (error) {
+      console.error("[ERROR] Failed to get Yahoo inbox stats:", error);
+      return { totalEmails: 0, unreadEmails: 0 };
+    }
+  }
+
+  async getEmailCount({ filter = "all", query = "" }) {
+    try {
+      const { messages } = await this.fetchEmails({
+        filter: filter === "unread" ? "unread" : "all",
+        query,
+      });
+      return messages.length;
+    } catch (error) {
+      console.error("[ERROR] Failed to count Yahoo emails:", error);
+      return 0;
+    }
+  }
+
+  async getAttachments(emailId) {
+    const email = await this.getEmail(emailId);
+    return email.attachments;
+  }
+
+  async getAttachment(emailId, attachmentId) {
+    const client = await this.getClient();
+    const response = await fetch(
+      `${client.baseUrl}/v1/message/${emailId}/attachment/${attachmentId}`,
+      { headers: { Authorization: `Bearer ${client.accessToken}` } }
+    );
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        `Failed to fetch Yahoo attachment: ${
+          errorData.error?.description || "Unknown error"
+        }`
+      );
+    }
+    return {
+      filename:
+        response.headers
+          .get("content-disposition")
+          ?.match(/filename="?([^"]+)"?/)?.[1] || "unnamed",
+      mimeType:
+        response.headers.get("content-type") || "application/octet-stream",
+      content: Buffer.from(await response.arrayBuffer()),
+    };
+  }
 }
 
 export default YahooService;
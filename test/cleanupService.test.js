@@ -0,0 +1,131 @@
+// test/cleanupService.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns/promises";
+import https from "https";
+import cleanupService from "../services/cleanupService.js";
+import Unsubscription from "../models/Unsubscription.js";
+
+const UNSUBSCRIBE_URL = "https://lists.example.com/unsubscribe?id=42";
+
+// An inbox whose newest message offers a one-click unsubscribe link
+const createInbox = (url = UNSUBSCRIBE_URL) => ({
+  user: { _id: "user-1" },
+  getEmail: async () => ({ from: "News <news@example.com>" }),
+  getUnsubscribeHeaders: async () => ({
+    listUnsubscribe: `<${url}>`,
+    listUnsubscribePost: "List-Unsubscribe=One-Click",
+  }),
+});
+
+// https.request answering with the given status, recording what it was
+// asked to connect to
+const stubRequest = (t, statusCode) =>
+  t.mock.method(https, "request", (url, options, onResponse) => {
+    const request = {
+      on: () => request,
+      end: () =>
+        setImmediate(() => onResponse({ statusCode, resume: () => {} })),
+    };
+    return request;
+  });
+
+const resolvedAddress = (options) =>
+  new Promise((resolve, reject) =>
+    options.lookup("lists.example.com", {}, (error, address) =>
+      error ? reject(error) : resolve(address)
+    )
+  );
+
+describe("one-click unsubscribe", () => {
+  it("posts to the address that was checked", async (t) => {
+    const lookup = t.mock.method(dns, "lookup", async () => [
+      { address: "93.184.216.34", family: 4 },
+    ]);
+    const request = stubRequest(t, 202);
+    t.mock.method(Unsubscription, "findOneAndUpdate", async () => null);
+
+    const result = await cleanupService.unsubscribe(createInbox(), "user-1", {
+      emailId: "message-1",
+    });
+
+    assert.equal(result.method, "one-click");
+    assert.equal(result.completed, true);
+    assert.equal(lookup.mock.callCount(), 1);
+    const [url, options] = request.mock.calls[0].arguments;
+    assert.equal(url, UNSUBSCRIBE_URL);
+    assert.equal(options.method, "POST");
+    // A host that now resolves elsewhere still gets the checked address
+    assert.equal(await resolvedAddress(options), "93.184.216.34");
+  });
+
+  it("refuses links to private addresses without posting", async (t) => {
+    t.mock.method(dns, "lookup", async () => [
+      { address: "93.184.216.34", family: 4 },
+      { address: "169.254.169.254", family: 4 },
+    ]);
+    const request = stubRequest(t, 202);
+
+    await assert.rejects(
+      cleanupService.unsubscribe(createInbox(), "user-1", {
+        emailId: "message-1",
+      }),
+      { statusCode: 400 }
+    );
+    assert.equal(request.mock.callCount(), 0);
+  });
+
+  it("reports error answers from the sender", async (t) => {
+    t.mock.method(dns, "lookup", async () => [
+      { address: "93.184.216.34", family: 4 },
+    ]);
+    stubRequest(t, 500);
+
+    await assert.rejects(
+      cleanupService.unsubscribe(createInbox(), "user-1", {
+        emailId: "message-1",
+      }),
+      { statusCode: 502 }
+    );
+  });
+});
+
+describe("groupBySender", () => {
+  it("counts a sender once however the From header writes it", () => {
+    const [acme, other] = cleanupService.groupBySender([
+      {
+        id: "1",
+        from: '"Acme News" <News@Acme.com>',
+        subject: "Sale",
+        date: "2024-03-01T09:00:00Z",
+        isRead: true,
+      },
+      {
+        id: "2",
+        from: "news@acme.com",
+        subject: "Sale",
+        date: "2024-03-02T09:00:00Z",
+        isRead: false,
+        canUnsubscribe: true,
+      },
+      {
+        id: "3",
+        from: "Ada <ada@example.net>",
+        subject: "Hi",
+        date: "2024-03-03T09:00:00Z",
+      },
+    ]);
+
+    assert.equal(acme.address, "news@acme.com");
+    assert.equal(acme.name, "Acme News");
+    assert.equal(acme.count, 2);
+    assert.equal(acme.unread, 1);
+    assert.equal(acme.readRate, 0.5);
+    assert.equal(acme.latestEmailId, "2");
+    assert.equal(acme.lastOpened, "2024-03-01T09:00:00.000Z");
+    assert.equal(acme.canUnsubscribe, true);
+    assert.deepEqual(acme.subjects, ["Sale"]);
+    assert.equal(other.address, "ada@example.net");
+  });
+});
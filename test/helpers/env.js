@@ -0,0 +1,19 @@
+// test/helpers/env.js
+// Settings the services read when they are imported. Imported first by every
+// test file, so real values from the environment still win.
+import crypto from "crypto";
+
+const defaults = {
+  NODE_ENV: "test",
+  GROQ_API_KEY: "test-groq-key",
+  OPENAI_API_KEY: "test-openai-key",
+  STRIPE_SECRET_KEY: "sk_test_key",
+  ENCRYPTION_KEY: crypto.randomBytes(32).toString("hex"),
+  EMBEDDING_PROVIDER: "local",
+  // The local stand-in servers listen on 127.0.0.1
+  ALLOW_PRIVATE_MAIL_HOSTS: "true",
+};
+
+for (const [name, value] of Object.entries(defaults)) {
+  if (process.env[name] === undefined) process.env[name] = value;
+}
@@ -0,0 +1,65 @@
+// test/helpers/imapServer.js
+// In-memory IMAP server on a random local port. Nothing is stored, so every
+// server starts from the mailboxes it is given.
+import net from "net";
+import { mock } from "node:test";
+import hoodiecrow from "hoodiecrow-imap";
+
+export const IMAP_USER = "tester@example.com";
+export const IMAP_PASSWORD = "imap-pass";
+// The port clients are configured with. Only the standard IMAP ports pass
+// the service's checks, and binding 143 needs root, so connections to it on
+// 127.0.0.1 are sent to the server's random port instead.
+export const IMAP_PORT = 143;
+
+/**
+ * Starts a server with SPECIAL-USE, so Sent/Trash/Junk resolve as they do on
+ * real servers, reachable at 127.0.0.1:IMAP_PORT until it is closed.
+ * @param {Object} storage - Hoodiecrow mailbox tree
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+export const startImapServer = async (storage) => {
+  const server = hoodiecrow({
+    plugins: ["ID", "ENABLE", "UNSELECT", "SPECIAL-USE", "NAMESPACE"],
+    users: { [IMAP_USER]: { password: IMAP_PASSWORD } },
+    storage,
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.server.address();
+
+  const connect = net.connect;
+  const redirect = mock.method(net, "connect", (options, ...rest) =>
+    connect(
+      options.host === "127.0.0.1" && options.port === IMAP_PORT
+        ? { ...options, port }
+        : options,
+      ...rest
+    )
+  );
+  return {
+    port,
+    close: () => {
+      redirect.mock.restore();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+/**
+ * A raw RFC 822 message for a mailbox in the server's storage.
+ * @param {{from: string, subject: string, body: string, date: string}} fields
+ */
+export const rawMessage = ({ from, to = IMAP_USER, subject, body, date }) => ({
+  raw: [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Message-ID: <${subject.replace(/\W+/g, ".")}@example.net>`,
+    `Date: ${new Date(date).toUTCString()}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    body,
+  ].join("\r\n"),
+  flags: [],
+  internaldate: new Date(date),
+});
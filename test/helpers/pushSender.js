@@ -0,0 +1,109 @@
+// test/helpers/pushSender.js
+// Stand-in for the services that call our webhooks: Cloud Pub/Sub pushing
+// Gmail watch notifications and Microsoft Graph sending change, lifecycle
+// and validation requests. Bodies follow the shapes both document.
+import express from "express";
+import { globalErrorHandler } from "../../utils/errorHandler.js";
+
+/**
+ * Serves the given routes the way index.js does, on a random local port.
+ * @param {string} path - Mount path, e.g. "/api/v1/notifications"
+ * @param {express.Router} router
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+export const startApp = async (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  app.use(globalErrorHandler);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+const post = (url, body) =>
+  fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+let pubsubMessageId = 0;
+
+/**
+ * Pushes a Gmail watch notification as a Pub/Sub push subscription does.
+ * @param {string} url - Webhook URL, including ?token= if any
+ * @param {{emailAddress: string, historyId: (string|number)}} data
+ */
+export const pushGmail = (url, data) => {
+  pubsubMessageId += 1;
+  return post(url, {
+    message: {
+      data: Buffer.from(JSON.stringify(data)).toString("base64"),
+      messageId: String(pubsubMessageId),
+      publishTime: new Date().toISOString(),
+    },
+    subscription: "projects/test/subscriptions/gmail-push",
+  });
+};
+
+/**
+ * Checks a notification URL as Graph does when a subscription is created.
+ * @param {string} url
+ * @param {string} validationToken
+ */
+export const validateGraphUrl = (url, validationToken) =>
+  post(`${url}?validationToken=${encodeURIComponent(validationToken)}`);
+
+/**
+ * Sends Graph change notifications for messages in one subscription.
+ * @param {string} url
+ * @param {{subscriptionId: string, clientState: string}} subscription
+ * @param {{id: string, changeType: string}[]} changes
+ */
+export const notifyGraph = (url, { subscriptionId, clientState }, changes) =>
+  post(url, {
+    value: changes.map(({ id, changeType }) => ({
+      subscriptionId,
+      clientState,
+      changeType,
+      resource: `Users/user-id/Messages/${id}`,
+      resourceData: {
+        "@odata.type": "#Microsoft.Graph.Message",
+        "@odata.id": `Users/user-id/Messages/${id}`,
+        id,
+      },
+      subscriptionExpirationDateTime: new Date(
+        Date.now() + 60 * 60 * 1000
+      ).toISOString(),
+      tenantId: "tenant-id",
+    })),
+  });
+
+/**
+ * Sends a Graph lifecycle notification (missed, reauthorizationRequired or
+ * subscriptionRemoved).
+ * @param {string} url
+ * @param {{subscriptionId: string, clientState: string}} subscription
+ * @param {string} lifecycleEvent
+ */
+export const notifyGraphLifecycle = (
+  url,
+  { subscriptionId, clientState },
+  lifecycleEvent
+) =>
+  post(url, {
+    value: [
+      {
+        subscriptionId,
+        clientState,
+        lifecycleEvent,
+        subscriptionExpirationDateTime: new Date().toISOString(),
+        tenantId: "tenant-id",
+      },
+    ],
+  });
@@ -0,0 +1,272 @@
+// test/imapSmtpService.test.js
+import "./helpers/env.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import dns from "dns/promises";
+import ImapSmtpService from "../services/imapSmtpService.js";
+import { imapLogin } from "../controllers/authController.js";
+import User from "../models/User.js";
+import WaitingList from "../models/WaitingList.js";
+import { encrypt } from "../utils/encryptionUtils.js";
+import {
+  assertMailPorts,
+  hostServesEmailDomain,
+  resolveMailHost,
+} from "../helper/mailHostHelper.js";
+import {
+  IMAP_PASSWORD,
+  IMAP_PORT,
+  IMAP_USER,
+  rawMessage,
+  startImapServer,
+} from "./helpers/imapServer.js";
+
+const mailboxes = () => ({
+  INBOX: {
+    messages: [
+      rawMessage({
+        from: "Ada <ada@example.net>",
+        subject: "Quarterly report",
+        body: "The report is attached to the shared drive.",
+        date: "2024-03-01T09:00:00Z",
+      }),
+      rawMessage({
+        from: "Grace <grace@example.net>",
+        subject: "Lunch on Friday",
+        body: "Are you free for lunch on Friday?",
+        date: "2024-03-02T12:00:00Z",
+      }),
+    ],
+  },
+  "": {
+    separator: "/",
+    folders: {
+      Sent: { "special-use": "\\Sent", messages: [] },
+      Trash: { "special-use": "\\Trash", messages: [] },
+    },
+  },
+});
+
+// Runs a controller to its response or its error
+const runController = (handler, body) =>
+  new Promise((resolve) => {
+    const res = {
+      cookie: () => res,
+      status: (statusCode) => {
+        res.statusCode = statusCode;
+        return res;
+      },
+      json: (payload) => resolve({ statusCode: res.statusCode, payload }),
+    };
+    handler({ body }, res, (error) => resolve({ error }));
+  });
+
+// Runs fn with ALLOW_PRIVATE_MAIL_HOSTS switched off
+const withHostChecks = async (fn) => {
+  const previous = process.env.ALLOW_PRIVATE_MAIL_HOSTS;
+  process.env.ALLOW_PRIVATE_MAIL_HOSTS = "false";
+  try {
+    return await fn();
+  } finally {
+    process.env.ALLOW_PRIVATE_MAIL_HOSTS = previous;
+  }
+};
+
+describe("ImapSmtpService against a local IMAP server", () => {
+  let server;
+  let settings;
+
+  before(async () => {
+    server = await startImapServer(mailboxes());
+    settings = {
+      imapHost: "127.0.0.1",
+      imapPort: IMAP_PORT,
+      imapSecure: false,
+      smtpHost: "127.0.0.1",
+      smtpPort: 465,
+      smtpSecure: true,
+      username: IMAP_USER,
+    };
+  });
+
+  after(() => server.close());
+
+  const createService = () => {
+    const user = { name: "Tester", email: IMAP_USER };
+    return new ImapSmtpService(user, {
+      email: IMAP_USER,
+      imapSettings: { ...settings, password: encrypt(IMAP_PASSWORD) },
+    });
+  };
+
+  it("verifies working credentials", async () => {
+    await ImapSmtpService.verifyConnection({
+      ...settings,
+      password: IMAP_PASSWORD,
+    });
+  });
+
+  it("rejects a wrong password with 401", async () => {
+    await assert.rejects(
+      ImapSmtpService.verifyConnection({ ...settings, password: "wrong" }),
+      { statusCode: 401 }
+    );
+  });
+
+  it("lists the inbox newest first", async () => {
+    const { messages, totalCount, nextPageToken } =
+      await createService().fetchEmails({ maxResults: 10 });
+
+    assert.equal(totalCount, 2);
+    assert.equal(nextPageToken, null);
+    assert.deepEqual(
+      messages.map((message) => message.subject),
+      ["Lunch on Friday", "Quarterly report"]
+    );
+    assert.equal(messages[0].from, '"Grace" <grace@example.net>');
+    assert.equal(messages[0].isRead, false);
+  });
+
+  it("pages through the inbox", async () => {
+    const service = createService();
+    const firstPage = await service.fetchEmails({ maxResults: 1 });
+    const secondPage = await service.fetchEmails({
+      maxResults: 1,
+      pageToken: firstPage.nextPageToken,
+    });
+
+    assert.equal(firstPage.messages[0].subject, "Lunch on Friday");
+    assert.equal(secondPage.messages[0].subject, "Quarterly report");
+    assert.equal(secondPage.nextPageToken, null);
+  });
+
+  it("gets a message and marks it read", async () => {
+    const service = createService();
+    const [listed] = (await service.fetchEmails({ query: "from:ada" }))
+      .messages;
+
+    await service.markAsRead(listed.id);
+    const email = await service.getEmail(listed.id);
+
+    assert.equal(email.subject, "Quarterly report");
+    assert.match(email.body, /shared drive/);
+    assert.equal(email.isRead, true);
+  });
+
+  it("moves trashed mail to the Trash mailbox", async () => {
+    const service = createService();
+    const [listed] = (await service.fetchEmails({ query: "from:grace" }))
+      .messages;
+
+    await service.trashEmail(listed.id);
+
+    assert.equal((await service.fetchEmails({})).totalCount, 1);
+    const trash = await service.withMailbox("Trash", (client) =>
+      client.search({ all: true }, { uid: true })
+    );
+    assert.equal(trash.length, 1);
+  });
+});
+
+describe("mail host checks", () => {
+  it("refuses private addresses", async () => {
+    await withHostChecks(async () => {
+      await assert.rejects(resolveMailHost("127.0.0.1"), { statusCode: 400 });
+      await assert.rejects(resolveMailHost("169.254.169.254"), {
+        statusCode: 400,
+      });
+      await assert.rejects(resolveMailHost("::ffff:10.0.0.1"), {
+        statusCode: 400,
+      });
+    });
+  });
+
+  it("accepts public addresses", async () => {
+    await withHostChecks(async () => {
+      assert.deepEqual(await resolveMailHost("93.184.216.34"), {
+        address: "93.184.216.34",
+        servername: undefined,
+      });
+    });
+  });
+
+  // Also with ALLOW_PRIVATE_MAIL_HOSTS=true, which the tests run with
+  it("refuses ports other than the mail ones", () => {
+    assert.throws(() => assertMailPorts({ imapPort: 6379, smtpPort: 465 }), {
+      statusCode: 400,
+    });
+    assert.throws(() => assertMailPorts({ imapPort: 993, smtpPort: 25 }), {
+      statusCode: 400,
+    });
+    assertMailPorts({ imapPort: 993, smtpPort: 587 });
+  });
+
+  it("matches IMAP hosts to the mail domain and its MX hosts", async (t) => {
+    t.mock.method(dns, "resolveMx", async (domain) => {
+      if (domain === "example.org") {
+        return [{ exchange: "mx1.mailhost.net", priority: 10 }];
+      }
+      if (domain === "gmail-hosted.com") {
+        return [{ exchange: "aspmx.l.google.com", priority: 1 }];
+      }
+      throw Object.assign(new Error("queryMx ENOTFOUND"), {
+        code: "ENOTFOUND",
+      });
+    });
+
+    assert.equal(
+      await hostServesEmailDomain("imap.example.org", "a@example.org"),
+      true
+    );
+    assert.equal(
+      await hostServesEmailDomain("imap.mailhost.net", "a@example.org"),
+      true
+    );
+    assert.equal(
+      await hostServesEmailDomain("imap.gmail.com", "a@gmail-hosted.com"),
+      true
+    );
+    assert.equal(
+      await hostServesEmailDomain("imap.attacker.net", "a@example.org"),
+      false
+    );
+    assert.equal(
+      await hostServesEmailDomain("imap.gmail.com", "a@nomx.example"),
+      false
+    );
+  });
+});
+
+describe("imapLogin", () => {
+  const body = {
+    email: "owner@example.org",
+    password: "app-password",
+    imapHost: "imap.attacker.net",
+  };
+
+  it("refuses an email registered with another sign-in", async (t) => {
+    t.mock.method(WaitingList, "findOne", async () => ({ status: "approved" }));
+    t.mock.method(User, "findOne", async () => ({
+      email: body.email,
+      authProvider: "google",
+    }));
+
+    const { error } = await runController(imapLogin, body);
+
+    assert.equal(error.statusCode, 409);
+  });
+
+  it("refuses a host that does not serve the email domain", async (t) => {
+    t.mock.method(WaitingList, "findOne", async () => ({ status: "approved" }));
+    t.mock.method(User, "findOne", async () => null);
+    t.mock.method(dns, "resolveMx", async () => [
+      { exchange: "mx.example.org", priority: 10 },
+    ]);
+    const verify = t.mock.method(ImapSmtpService, "verifyConnection");
+
+    const { error } = await runController(imapLogin, body);
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(verify.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,214 @@
+// test/pushNotifications.test.js
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import notificationRoutes from "../routes/notificationRoutes.js";
+import PushSubscription from "../models/PushSubscription.js";
+import MailEvent from "../models/MailEvent.js";
+import {
+  notifyGraph,
+  notifyGraphLifecycle,
+  pushGmail,
+  startApp,
+  validateGraphUrl,
+} from "./helpers/pushSender.js";
+
+const GMAIL_PUSH_TOKEN = "push-secret";
+
+const graphSubscription = {
+  _id: "sub-graph",
+  userId: "user-1",
+  inboxId: "primary",
+  provider: "microsoft",
+  email: "tester@outlook.com",
+  subscriptionId: "graph-subscription-id",
+  clientState: "graph-client-state",
+  status: "active",
+};
+
+const gmailSubscription = {
+  _id: "sub-gmail",
+  userId: "user-1",
+  inboxId: "primary",
+  provider: "google",
+  email: "tester@gmail.com",
+  status: "active",
+};
+
+// Webhooks answer before they handle the notification, so tests wait for
+// the handler to reach the stubbed models
+const waitForCalls = async (mockFn, count = 1) => {
+  const deadline = Date.now() + 2000;
+  while (mockFn.mock.callCount() < count) {
+    if (Date.now() > deadline) {
+      throw new Error(`Expected ${count} call(s) to a stubbed model`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  // Lets the handler finish what it does after the awaited call
+  await new Promise((resolve) => setImmediate(resolve));
+};
+
+describe("push notification webhooks", () => {
+  let app;
+  let createEvent;
+  let updateSubscription;
+
+  before(async () => {
+    process.env.GMAIL_PUSH_TOKEN = GMAIL_PUSH_TOKEN;
+    delete process.env.GMAIL_PUSH_AUDIENCE;
+    app = await startApp("/api/v1/notifications", notificationRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach((t) => {
+    createEvent = t.mock.method(MailEvent, "create", async (event) => event);
+    updateSubscription = t.mock.method(
+      PushSubscription,
+      "updateOne",
+      async () => ({ modifiedCount: 1 })
+    );
+  });
+
+  describe("Microsoft Graph", () => {
+    it("echoes the validation token as plain text", async () => {
+      const res = await validateGraphUrl(`${app.url}/graph`, "token <1&2>");
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^text\/plain/);
+      assert.equal(await res.text(), "token <1&2>");
+    });
+
+    it("publishes one change per message, the strongest kind", async (t) => {
+      const findOne = t.mock.method(
+        PushSubscription,
+        "findOne",
+        async () => graphSubscription
+      );
+
+      const res = await notifyGraph(`${app.url}/graph`, graphSubscription, [
+        { id: "AAMk-1", changeType: "created" },
+        { id: "AAMk-1", changeType: "updated" },
+        { id: "AAMk-2", changeType: "updated" },
+        { id: "AAMk-3", changeType: "missed" },
+      ]);
+      assert.equal(res.status, 202);
+      await waitForCalls(createEvent);
+
+      assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+        provider: "microsoft",
+        subscriptionId: graphSubscription.subscriptionId,
+        status: "active",
+      });
+      const [event] = createEvent.mock.calls[0].arguments;
+      assert.equal(event.userId, "user-1");
+      assert.equal(event.resync, false);
+      assert.deepEqual(event.changes, [
+        { emailId: "AAMk-1", changeType: "created" },
+        { emailId: "AAMk-2", changeType: "updated" },
+      ]);
+    });
+
+    it("ignores notifications with the wrong clientState", async (t) => {
+      const findOne = t.mock.method(
+        PushSubscription,
+        "findOne",
+        async () => graphSubscription
+      );
+
+      const res = await notifyGraph(
+        `${app.url}/graph`,
+        { ...graphSubscription, clientState: "guessed" },
+        [{ id: "AAMk-1", changeType: "created" }]
+      );
+      assert.equal(res.status, 202);
+      await waitForCalls(findOne);
+
+      assert.equal(createEvent.mock.callCount(), 0);
+    });
+
+    it("asks clients to refetch after missed notifications", async (t) => {
+      t.mock.method(PushSubscription, "findOne", async () => graphSubscription);
+
+      const res = await notifyGraphLifecycle(
+        `${app.url}/graph/lifecycle`,
+        graphSubscription,
+        "missed"
+      );
+      assert.equal(res.status, 202);
+      await waitForCalls(createEvent);
+
+      const [event] = createEvent.mock.calls[0].arguments;
+      assert.equal(event.resync, true);
+      assert.deepEqual(event.changes, []);
+    });
+  });
+
+  describe("Gmail through Pub/Sub", () => {
+    const gmailUrl = () => `${app.url}/gmail?token=${GMAIL_PUSH_TOKEN}`;
+
+    it("refuses pushes without the shared token", async (t) => {
+      const find = t.mock.method(PushSubscription, "find", async () => []);
+
+      const res = await pushGmail(`${app.url}/gmail?token=wrong`, {
+        emailAddress: gmailSubscription.email,
+        historyId: 100,
+      });
+
+      // The error handler reports the status in the body outside development
+      assert.equal((await res.json()).statusCode, 403);
+      assert.equal(find.mock.callCount(), 0);
+    });
+
+    it("starts from the first history id with a full refetch", async (t) => {
+      const find = t.mock.method(PushSubscription, "find", async () => [
+        { ...gmailSubscription },
+      ]);
+
+      const res = await pushGmail(gmailUrl(), {
+        emailAddress: "Tester@Gmail.com",
+        historyId: 100,
+      });
+      assert.equal(res.status, 204);
+      await waitForCalls(createEvent);
+
+      assert.equal(find.mock.calls[0].arguments[0].email, "tester@gmail.com");
+      assert.deepEqual(updateSubscription.mock.calls[0].arguments, [
+        { _id: "sub-gmail" },
+        { historyId: "100" },
+      ]);
+      assert.equal(createEvent.mock.calls[0].arguments[0].resync, true);
+    });
+
+    it("drops late and repeated pushes", async (t) => {
+      const find = t.mock.method(PushSubscription, "find", async () => [
+        { ...gmailSubscription, historyId: "200" },
+      ]);
+
+      const res = await pushGmail(gmailUrl(), {
+        emailAddress: gmailSubscription.email,
+        historyId: 200,
+      });
+      assert.equal(res.status, 204);
+      await waitForCalls(find);
+
+      assert.equal(updateSubscription.mock.callCount(), 0);
+      assert.equal(createEvent.mock.callCount(), 0);
+    });
+
+    it("ignores unreadable messages", async (t) => {
+      const find = t.mock.method(PushSubscription, "find", async () => []);
+
+      const res = await fetch(gmailUrl(), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message: { data: "not base64 json" } }),
+      });
+
+      assert.equal(res.status, 204);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.equal(find.mock.callCount(), 0);
+    });
+  });
+});
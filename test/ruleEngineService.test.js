@@ -0,0 +1,68 @@
+// test/ruleEngineService.test.js
+import "./helpers/env.js";
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import ruleEngineService from "../services/ruleEngineService.js";
+
+// IMAP ids are base64url("INBOX\n<uid>"), the same in every mailbox
+const SHARED_EMAIL_ID = Buffer.from("INBOX\n1").toString("base64url");
+
+const rule = {
+  name: "Invoices",
+  aiCondition: "an invoice that asks for payment",
+  actions: [{ type: "trash" }],
+};
+
+// An inbox with one message and a model that always gives the same verdict
+const createInbox = (userId, matches, account) => {
+  const user = { _id: userId, name: userId };
+  return {
+    user,
+    account: account || user,
+    fetchEmails: async () => ({
+      messages: [
+        {
+          id: SHARED_EMAIL_ID,
+          from: "billing@example.com",
+          subject: "Invoice 42",
+          body: "Please pay the attached invoice.",
+        },
+      ],
+    }),
+    callModelWithFallback: mock.fn(async () => ({
+      content: JSON.stringify({ matches, reason: "test" }),
+    })),
+  };
+};
+
+describe("AI rule conditions", () => {
+  it("keeps verdicts apart for users with the same message id", async () => {
+    const first = createInbox("user-a", true);
+    const second = createInbox("user-b", false);
+
+    const firstRun = await ruleEngineService.dryRun(first, rule);
+    const secondRun = await ruleEngineService.dryRun(second, rule);
+
+    assert.equal(firstRun.matched, 1);
+    assert.equal(secondRun.matched, 0);
+    assert.equal(second.callModelWithFallback.mock.callCount(), 1);
+  });
+
+  it("keeps verdicts apart for a user's linked inboxes", async () => {
+    const primary = createInbox("user-c", true);
+    const linked = createInbox("user-c", false, { _id: "inbox-2" });
+
+    assert.equal((await ruleEngineService.dryRun(primary, rule)).matched, 1);
+    assert.equal((await ruleEngineService.dryRun(linked, rule)).matched, 0);
+  });
+
+  it("asks the model once per inbox and message", async () => {
+    const inbox = createInbox("user-d", true);
+
+    await ruleEngineService.dryRun(inbox, rule);
+    const again = await ruleEngineService.dryRun(inbox, rule);
+
+    assert.equal(again.matched, 1);
+    assert.equal(inbox.callModelWithFallback.mock.callCount(), 1);
+  });
+});
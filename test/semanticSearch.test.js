@@ -0,0 +1,227 @@
+// test/semanticSearch.test.js
+import "./helpers/env.js";
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import embeddingService, {
+  createLocalEmbedder,
+} from "../services/embeddingService.js";
+import semanticSearchService from "../services/semanticSearchService.js";
+import EmailChunk from "../models/EmailChunk.js";
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const emails = [
+  {
+    emailId: "heater",
+    subject: "Broken heater in the apartment",
+    from: "landlord@example.com",
+    body: "The heater repair is booked for Tuesday morning. The technician will fix the broken heater.",
+  },
+  {
+    emailId: "invoice",
+    subject: "Your invoice for March",
+    from: "billing@example.com",
+    body: "Your March invoice is ready. The amount due will be charged to your card.",
+  },
+  {
+    emailId: "newsletter",
+    subject: "Weekly gardening tips",
+    from: "news@example.com",
+    body: "Plant tulip bulbs in autumn and water roses early in the day.",
+  },
+];
+
+// EmailChunk.find as localSearch chains it, over chunks in memory
+const stubChunks = (t, chunks) =>
+  t.mock.method(EmailChunk, "find", () => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: () => query,
+      lean: () => query,
+      cursor: async function* () {
+        yield* chunks;
+      },
+    };
+    return query;
+  });
+
+describe("local embedder", () => {
+  const embedder = createLocalEmbedder();
+
+  it("returns the same unit-length vector for the same text", async () => {
+    const [first, second] = await embedder.embed([
+      "Meeting moved to Friday",
+      "Meeting moved to Friday",
+    ]);
+
+    assert.equal(first.length, 256);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(dot(first, first) - 1) < 1e-9);
+  });
+
+  it("scores related text above unrelated text", async () => {
+    const [query, related, unrelated] = await embedder.embed([
+      "landlord broken heater",
+      emails[0].body,
+      emails[2].body,
+    ]);
+
+    assert.ok(dot(query, related) > embedder.minScore);
+    assert.ok(dot(query, unrelated) < embedder.minScore);
+  });
+
+  it("matches word forms", async () => {
+    const [query, text] = await embedder.embed([
+      "reports booked",
+      "report book",
+    ]);
+
+    assert.ok(dot(query, text) > 0.99);
+  });
+
+  it("leaves text without words as a zero vector", async () => {
+    const [vector] = await embedder.embed(["-- !! --"]);
+
+    assert.ok(vector.every((value) => value === 0));
+  });
+});
+
+describe("getEmbedder", () => {
+  afterEach(() => embeddingService.setEmbedder(null));
+
+  it("uses the local embedder unless another is set", (t) => {
+    const previous = process.env.EMBEDDING_PROVIDER;
+    delete process.env.EMBEDDING_PROVIDER;
+    t.after(() => {
+      process.env.EMBEDDING_PROVIDER = previous;
+    });
+    embeddingService.setEmbedder(null);
+
+    assert.equal(embeddingService.getEmbedder().id, "local:hash-256");
+  });
+
+  it("refuses unknown providers", (t) => {
+    const previous = process.env.EMBEDDING_PROVIDER;
+    process.env.EMBEDDING_PROVIDER = "other";
+    t.after(() => {
+      process.env.EMBEDDING_PROVIDER = previous;
+    });
+    embeddingService.setEmbedder(null);
+
+    assert.throws(() => embeddingService.getEmbedder(), /other/);
+  });
+});
+
+describe("chunkEmail", () => {
+  it("keeps a short message in one chunk under its header", () => {
+    const chunks = semanticSearchService.chunkEmail({
+      subject: "Hello",
+      from: "ada@example.net",
+      body: "  Short\n\nmessage  ",
+    });
+
+    assert.deepEqual(chunks, [
+      "Subject: Hello\nFrom: ada@example.net\nShort message",
+    ]);
+  });
+
+  it("falls back to the snippet", () => {
+    const [chunk] = semanticSearchService.chunkEmail({
+      subject: "Hi",
+      snippet: "Preview text",
+    });
+
+    assert.match(chunk, /Preview text$/);
+  });
+
+  it("cuts long messages at spaces with overlap, up to 8 chunks", () => {
+    const words = Array.from({ length: 3000 }, (_, i) => `word${i}`);
+    const chunks = semanticSearchService.chunkEmail({
+      subject: "Long",
+      from: "a@example.net",
+      body: words.join(" "),
+    });
+    const texts = chunks.map((chunk) => chunk.split("\n")[2]);
+
+    assert.equal(chunks.length, 8);
+    for (const text of texts) {
+      assert.ok(text.length <= 1000);
+      assert.match(text, /word\d+$/);
+    }
+    // Each chunk repeats the end of the one before
+    for (let i = 1; i < texts.length; i++) {
+      const firstWord = texts[i].split(" ")[1];
+      assert.ok(texts[i - 1].includes(firstWord));
+    }
+  });
+});
+
+describe("contentHash", () => {
+  it("changes with the subject or body only", () => {
+    const email = { subject: "Hi", body: "Body", from: "a@example.net" };
+    const hash = semanticSearchService.contentHash(email);
+
+    assert.equal(
+      semanticSearchService.contentHash({ ...email, from: "b@example.net" }),
+      hash
+    );
+    assert.notEqual(
+      semanticSearchService.contentHash({ ...email, body: "Body!" }),
+      hash
+    );
+    assert.notEqual(
+      semanticSearchService.contentHash({ subject: "HiB", body: "ody" }),
+      hash
+    );
+  });
+});
+
+describe("findSimilar with the local embedder", () => {
+  const embedder = createLocalEmbedder();
+  const key = { userId: "user-1", inboxId: "primary" };
+
+  const indexedChunks = async () => {
+    const texts = emails.map(
+      (email) => semanticSearchService.chunkEmail(email)[0]
+    );
+    const vectors = await embedder.embed(texts);
+    return emails.map(({ emailId }, i) => ({
+      emailId,
+      text: texts[i],
+      embedding: vectors[i],
+    }));
+  };
+
+  afterEach(() => embeddingService.setEmbedder(null));
+
+  it("ranks the matching message first", async (t) => {
+    embeddingService.setEmbedder(embedder);
+    stubChunks(t, await indexedChunks());
+
+    const [best] = await semanticSearchService.findSimilar(
+      key,
+      "invoice amount due"
+    );
+
+    assert.equal(best.emailId, "invoice");
+    assert.match(best.text, /March invoice/);
+  });
+
+  it("leaves out unrelated messages when only relevant ones are wanted", async (t) => {
+    embeddingService.setEmbedder(embedder);
+    const find = stubChunks(t, await indexedChunks());
+
+    const results = await semanticSearchService.findSimilar(
+      key,
+      "landlord broken heater",
+      { relevantOnly: true }
+    );
+
+    assert.deepEqual(
+      results.map((result) => result.emailId),
+      ["heater"]
+    );
+    assert.equal(find.mock.calls[0].arguments[0].model, "local:hash-256");
+  });
+});
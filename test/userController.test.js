@@ -0,0 +1,78 @@
+// test/userController.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getMe } from "../controllers/userController.js";
+import userService from "../services/userService.js";
+import User from "../models/User.js";
+
+// Sign-in secrets that must never reach a response
+const SECRET_FIELDS = [
+  "password",
+  "googleAccessToken",
+  "microsoftAccessToken",
+  "yahooAccessToken",
+  "yahooRefreshToken",
+  "imapSettings.password",
+];
+
+const excludedFields = (projection) =>
+  projection
+    .split(/\s+/)
+    .filter((field) => field.startsWith("-"))
+    .map((field) => field.slice(1));
+
+// A query whose select() records the projection and which resolves to value
+const recordingQuery = (projections, value) => {
+  const query = {
+    select: (projection) => {
+      projections.push(projection);
+      return query;
+    },
+    skip: () => query,
+    limit: () => query,
+    sort: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("user responses", () => {
+  it("leave the secrets out of /users/me", async (t) => {
+    const projections = [];
+    t.mock.method(User, "findById", () =>
+      recordingQuery(projections, { _id: "user-1" })
+    );
+
+    await new Promise((resolve, reject) =>
+      getMe(
+        { user: { id: "user-1" } },
+        { status: () => ({ json: resolve }) },
+        reject
+      )
+    );
+
+    assert.deepEqual(
+      SECRET_FIELDS.filter(
+        (field) => !excludedFields(projections[0]).includes(field)
+      ),
+      []
+    );
+  });
+
+  it("leave the secrets out of the admin user list", async (t) => {
+    const projections = [];
+    t.mock.method(User, "find", () => recordingQuery(projections, []));
+    t.mock.method(User, "countDocuments", async () => 0);
+
+    await userService.getAllUsers();
+
+    assert.deepEqual(
+      SECRET_FIELDS.filter(
+        (field) => !excludedFields(projections[0]).includes(field)
+      ),
+      []
+    );
+  });
+});
@@ -1,5 +1,7 @@
 // utils\encryptionUtils.js
 import crypto from "crypto";
+import { StatusCodes } from "http-status-codes";
+import { ApiError } from "./errorHandler.js";
 
 const algorithm = "aes-256-gcm";
 const key = Buffer.from(process.env.ENCRYPTION_KEY, "hex"); //32-byte key from .env variable
@@ -27,7 +29,6 @@ const decrypt = (encryption) => {
     decipher.setAuthTag(Buffer.from(encryption.authTag, "hex"));
     let decrypted = decipher.update(encryption.encryptedData, "hex", "utf8");
     decrypted += decipher.final("utf8");
-    console.log("[DEBUG] Decrypted token:", decrypted.substring(0, 10) + "...");
     return decrypted;
   } catch (error) {
     console.error("[ERROR] Decryption failed:", error.message);